@@ -15,3 +15,7 @@ WHERE NOT EXISTS (SELECT FROM pg_database WHERE datname = 'marketplace_orders')\
 -- Check and create Payment Database
 SELECT 'CREATE DATABASE marketplace_payments'
 WHERE NOT EXISTS (SELECT FROM pg_database WHERE datname = 'marketplace_payments')\gexec
+
+-- Check and create Event Bus Database (shared LISTEN/NOTIFY channel)
+SELECT 'CREATE DATABASE marketplace_events'
+WHERE NOT EXISTS (SELECT FROM pg_database WHERE datname = 'marketplace_events')\gexec
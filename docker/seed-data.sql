@@ -22,5 +22,18 @@ INSERT INTO products (id, name, description, price, stock, seller_id, category,
 ('b4c5d6e7-f8a9-4b0c-1d2e-3f4a5b6c7d8e', 'Dyson Vacuum V15', 'Powerful cordless vacuum with laser detection and HEPA filtration.', 649.99, 18, '00000000-0000-0000-0000-000000000005', 'Home', 'https://images.unsplash.com/photo-1558317374-067fb5f30001?w=500', true, CURRENT_TIMESTAMP),
 ('c5d6e7f8-a9b0-4c1d-2e3f-4a5b6c7d8e9f', 'Samsung Smart TV 55"', 'QLED 4K Smart TV with HDR and built-in streaming apps.', 899.99, 12, '00000000-0000-0000-0000-000000000002', 'Electronics', 'https://images.unsplash.com/photo-1593359677879-a4bb92f829d1?w=500', true, CURRENT_TIMESTAMP);
 
+-- File the sample products under top-level categories named after their category
+INSERT INTO categories (name, slug)
+SELECT DISTINCT category, TRIM(BOTH '-' FROM regexp_replace(LOWER(category), '[^a-z0-9]+', '-', 'g'))
+FROM products
+WHERE category IS NOT NULL AND category_id IS NULL
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE products p
+SET category_id = c.id
+FROM categories c
+WHERE p.category_id IS NULL
+  AND c.slug = TRIM(BOTH '-' FROM regexp_replace(LOWER(p.category), '[^a-z0-9]+', '-', 'g'));
+
 -- Verify insertion
 SELECT COUNT(*) as total_products FROM products;
@@ -6,11 +6,15 @@ import Layout from './components/Layout';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Products from './pages/Products';
 import ProductDetails from './pages/ProductDetails';
 import Cart from './pages/Cart';
 import Orders from './pages/Orders';
 import Dashboard from './pages/Dashboard';
+import Security from './pages/Security';
 import NotFound from './pages/NotFound';
 
 // Protected Route Component
@@ -35,14 +39,13 @@ function App() {
         <Route index element={<Home />} />
         <Route path="login" element={<Login />} />
         <Route path="register" element={<Register />} />
+        <Route path="forgot-password" element={<ForgotPassword />} />
+        <Route path="reset-password" element={<ResetPassword />} />
+        <Route path="verify-email" element={<VerifyEmail />} />
         <Route path="products" element={<Products />} />
         <Route path="products/:id" element={<ProductDetails />} />
         
-        <Route path="cart" element={
-          <ProtectedRoute roles={['BUYER', 'ADMIN']}>
-            <Cart />
-          </ProtectedRoute>
-        } />
+        <Route path="cart" element={<Cart />} />
         
         <Route path="orders" element={
           <ProtectedRoute>
@@ -55,6 +58,12 @@ function App() {
             <Dashboard />
           </ProtectedRoute>
         } />
+
+        <Route path="security" element={
+          <ProtectedRoute>
+            <Security />
+          </ProtectedRoute>
+        } />
         
         <Route path="*" element={<NotFound />} />
       </Route>
@@ -1,11 +1,13 @@
 import { Outlet } from 'react-router-dom';
 import Navbar from './Navbar';
 import Footer from './Footer';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 export default function Layout() {
   return (
     <div className="min-h-screen flex flex-col">
       <Navbar />
+      <VerifyEmailBanner />
       <main className="flex-grow">
         <Outlet />
       </main>
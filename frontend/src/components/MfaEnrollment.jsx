@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+
+const errorMessage = (error, fallback) => {
+  const { error: message, details } = error.response?.data || {};
+  return details?.length ? details.join(', ') : message || fallback;
+};
+
+export function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm">
+        {codes.map((code) => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => navigator.clipboard?.writeText(codes.join('\n')).then(() => toast.success('Copied'))}
+          className="btn-secondary"
+        >
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Set up an authenticator app: onStart() resolves to { secret, otpauthUri },
+// onConfirm(code) to the recovery codes, and onDone runs once they are saved
+export default function MfaEnrollment({ onStart, onConfirm, onDone }) {
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // Starting again replaces the secret, so only start once
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    onStart()
+      .then(setEnrolment)
+      .catch((error) => toast.error(errorMessage(error, 'Failed to start MFA setup')));
+  }, []);
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      setRecoveryCodes(await onConfirm(code));
+      toast.success('Multi-factor authentication enabled');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to enable MFA'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onDone} />;
+  }
+
+  if (!enrolment) {
+    return <p className="text-gray-500">Preparing setup...</p>;
+  }
+
+  return (
+    <form onSubmit={handleConfirm} className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Add this account to an authenticator app such as Google Authenticator or 1Password, by
+        opening the link on your phone or entering the secret, then enter the 6-digit code it shows.
+      </p>
+      <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+        <p className="font-mono text-sm break-all">{enrolment.secret}</p>
+        <a href={enrolment.otpauthUri} className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          Open in authenticator app
+        </a>
+      </div>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        maxLength={6}
+        required
+        className="input-field"
+      />
+      <button type="submit" disabled={submitting} className="btn-primary w-full disabled:opacity-50">
+        {submitting ? 'Checking...' : 'Enable MFA'}
+      </button>
+    </form>
+  );
+}
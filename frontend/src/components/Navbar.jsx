@@ -70,6 +70,10 @@ export default function Navbar() {
                       {user?.role}
                     </span>
                   </div>
+
+                  <Link to="/security" className="text-sm font-medium text-gray-700 hover:text-primary-600">
+                    Security
+                  </Link>
                   
                   <button
                     onClick={handleLogout}
@@ -81,6 +85,9 @@ export default function Navbar() {
               </>
             ) : (
               <div className="flex items-center space-x-4">
+                <Link to="/cart" className="p-2 text-gray-400 hover:text-gray-500">
+                  <ShoppingCartIcon className="h-6 w-6" />
+                </Link>
                 <Link to="/login" className="btn-secondary text-sm">
                   Login
                 </Link>
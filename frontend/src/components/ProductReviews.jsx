@@ -0,0 +1,257 @@
+import { useState, useEffect } from 'react';
+import { reviewsAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+import toast from 'react-hot-toast';
+
+const EMPTY_REVIEW = { rating: 5, title: '', body: '' };
+
+const errorMessage = (error, fallback) => {
+  const { error: message, details } = error.response?.data || {};
+  return details?.length ? details.join(', ') : message || fallback;
+};
+
+function Stars({ rating }) {
+  const rounded = Math.round(rating);
+  return (
+    <span className="text-yellow-500" aria-label={`${rating} out of 5`}>
+      {'★'.repeat(rounded)}
+      <span className="text-gray-300">{'★'.repeat(5 - rounded)}</span>
+    </span>
+  );
+}
+
+export default function ProductReviews({ productId, sellerId }) {
+  const { user, isAuthenticated } = useAuthStore();
+  const [rating, setRating] = useState({ average: 0, count: 0 });
+  const [reviews, setReviews] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [form, setForm] = useState(EMPTY_REVIEW);
+  const [submitting, setSubmitting] = useState(false);
+  // Draft seller reply per review id
+  const [replies, setReplies] = useState({});
+
+  const isAdmin = user?.role === 'ADMIN';
+  const canReply = isAdmin || (user && user.id === sellerId);
+  const hasReviewed = reviews.some((review) => review.user_id === user?.id);
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [productId]);
+
+  const fetchReviews = async (page) => {
+    try {
+      const response = await reviewsAPI.list(productId, { page });
+      const { data } = response.data;
+      setRating(data.rating);
+      setReviews((current) => (page === 1 ? data.reviews : [...current, ...data.reviews]));
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Failed to load reviews', error);
+    }
+  };
+
+  // Swap in a changed review without reloading the page of reviews
+  const replaceReview = (updated) => {
+    setReviews((current) => current.map((review) => (review.id === updated.id ? updated : review)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await reviewsAPI.create(productId, { ...form, rating: Number(form.rating) });
+      toast.success('Thanks for your review!');
+      setForm(EMPTY_REVIEW);
+      fetchReviews(1);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to post review'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!confirm('Delete this review?')) return;
+    try {
+      await reviewsAPI.delete(review.id);
+      toast.success('Review deleted');
+      fetchReviews(1);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete review'));
+    }
+  };
+
+  const handleReply = async (review) => {
+    try {
+      const response = await reviewsAPI.reply(review.id, replies[review.id] || '');
+      replaceReview(response.data.data.review);
+      setReplies((current) => ({ ...current, [review.id]: undefined }));
+      toast.success('Reply saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save reply'));
+    }
+  };
+
+  const handleDeleteReply = async (review) => {
+    try {
+      const response = await reviewsAPI.deleteReply(review.id);
+      replaceReview(response.data.data.review);
+      toast.success('Reply deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete reply'));
+    }
+  };
+
+  const handleModerate = async (review, status) => {
+    const reason = status === 'PUBLISHED' ? undefined : prompt('Reason (optional)') || undefined;
+    try {
+      await reviewsAPI.moderate(review.id, status, reason);
+      toast.success(`Review ${status.toLowerCase()}`);
+      fetchReviews(1);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to moderate review'));
+    }
+  };
+
+  return (
+    <div className="mt-12">
+      <div className="flex items-center gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Reviews</h2>
+        {rating.count > 0 && (
+          <span className="text-gray-600">
+            <Stars rating={rating.average} /> {rating.average.toFixed(1)} out of 5 ({rating.count})
+          </span>
+        )}
+      </div>
+
+      {isAuthenticated && user?.id !== sellerId && !hasReviewed && (
+        <form onSubmit={handleSubmit} className="card mb-8 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">Write a review</h3>
+          <p className="text-sm text-gray-500">You can review products from your delivered orders.</p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rating</label>
+            <select
+              value={form.rating}
+              onChange={(e) => setForm({ ...form, rating: e.target.value })}
+              className="input-field w-32"
+            >
+              {[5, 4, 3, 2, 1].map((stars) => (
+                <option key={stars} value={stars}>{'★'.repeat(stars)}</option>
+              ))}
+            </select>
+          </div>
+          <input
+            type="text"
+            placeholder="Title"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            maxLength={120}
+            required
+            className="input-field"
+          />
+          <textarea
+            placeholder="What did you think?"
+            value={form.body}
+            onChange={(e) => setForm({ ...form, body: e.target.value })}
+            rows={4}
+            maxLength={2000}
+            required
+            className="input-field"
+          />
+          <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+            {submitting ? 'Posting...' : 'Post review'}
+          </button>
+        </form>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-gray-500">No reviews yet</p>
+      ) : (
+        <div className="space-y-6">
+          {reviews.map((review) => (
+            <div key={review.id} className="border-b pb-6">
+              <div className="flex items-center gap-3 mb-1">
+                <Stars rating={review.rating} />
+                <h4 className="font-semibold text-gray-900">{review.title}</h4>
+                {isAdmin && review.status === 'FLAGGED' && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Flagged
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mb-2">
+                {new Date(review.created_at).toLocaleDateString()}
+              </p>
+              <p className="text-gray-700 whitespace-pre-line">{review.body}</p>
+
+              {review.seller_reply && (
+                <div className="mt-3 ml-6 p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm font-medium text-gray-900 mb-1">Seller's reply</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">{review.seller_reply}</p>
+                  {canReply && (
+                    <button
+                      onClick={() => handleDeleteReply(review)}
+                      className="mt-2 text-xs text-red-600 hover:underline"
+                    >
+                      Delete reply
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {canReply && !review.seller_reply && (
+                <div className="mt-3 ml-6 flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="Reply to this review"
+                    value={replies[review.id] || ''}
+                    onChange={(e) => setReplies({ ...replies, [review.id]: e.target.value })}
+                    maxLength={2000}
+                    className="input-field flex-1 text-sm"
+                  />
+                  <button
+                    onClick={() => handleReply(review)}
+                    disabled={!replies[review.id]}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Reply
+                  </button>
+                </div>
+              )}
+
+              <div className="mt-2 flex gap-4 text-xs">
+                {(isAdmin || review.user_id === user?.id) && (
+                  <button onClick={() => handleDelete(review)} className="text-red-600 hover:underline">
+                    Delete
+                  </button>
+                )}
+                {isAdmin && (
+                  <>
+                    {review.status === 'FLAGGED' ? (
+                      <button onClick={() => handleModerate(review, 'PUBLISHED')} className="text-gray-600 hover:underline">
+                        Unflag
+                      </button>
+                    ) : (
+                      <button onClick={() => handleModerate(review, 'FLAGGED')} className="text-gray-600 hover:underline">
+                        Flag
+                      </button>
+                    )}
+                    <button onClick={() => handleModerate(review, 'HIDDEN')} className="text-gray-600 hover:underline">
+                      Hide
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.page < pagination.pages && (
+        <button onClick={() => fetchReviews(pagination.page + 1)} className="btn-secondary mt-6">
+          Show more reviews
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+
+// Reminds signed-in users with an unverified email that ordering and
+// listing products wait for verification
+export default function VerifyEmailBanner() {
+  const { user, isAuthenticated } = useAuthStore();
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || user?.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await authAPI.resendVerificationEmail();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between text-sm text-yellow-800">
+        <span>
+          Please verify your email address. Until then you cannot place orders or list products.
+        </span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium underline hover:no-underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -59,12 +59,7 @@ const setupInterceptors = (apiInstance) => {
         
         if (refreshToken) {
           try {
-            const response = await axios.post(`${AUTH_SERVICE_URL}/auth/refresh`, {
-              refreshToken,
-            });
-            
-            const { accessToken } = response.data.data;
-            useAuthStore.setState({ accessToken });
+            const accessToken = await useAuthStore.getState().refreshSession();
             
             originalRequest.headers.Authorization = `Bearer ${accessToken}`;
             return apiInstance(originalRequest);
@@ -98,6 +93,30 @@ export const authAPI = {
   register: (userData) => authApi.post('/auth/register', userData),
   logout: (refreshToken) => authApi.post('/auth/logout', { refreshToken }),
   getCurrentUser: () => authApi.get('/auth/me'),
+  forgotPassword: (email) => authApi.post('/auth/password/forgot', { email }),
+  resetPassword: (token, newPassword) => authApi.post('/auth/password/reset', { token, newPassword }),
+  verifyEmail: (token) => authApi.post('/auth/verify-email', { token }),
+  resendVerificationEmail: () => authApi.post('/auth/verify-email/resend'),
+};
+
+export const mfaAPI = {
+  getStatus: () => authApi.get('/auth/mfa'),
+  enroll: (password) => authApi.post('/auth/mfa/enroll', { password }),
+  confirm: (code) => authApi.post('/auth/mfa/confirm', { code }),
+  regenerateRecoveryCodes: (code) => authApi.post('/auth/mfa/recovery-codes', { code }),
+  // data: { password, code } or { password, recoveryCode }
+  disable: (data) => authApi.delete('/auth/mfa', { data }),
+  getPolicy: () => authApi.get('/auth/mfa/policy'),
+  updatePolicy: (requiredRoles) => authApi.put('/auth/mfa/policy', { requiredRoles }),
+};
+
+export const sessionsAPI = {
+  list: () => authApi.get('/auth/sessions'),
+  revoke: (id) => authApi.delete(`/auth/sessions/${id}`),
+  revokeOthers: () => authApi.delete('/auth/sessions'),
+  // Admin only
+  getForUser: (userId) => authApi.get(`/auth/users/${userId}/sessions`),
+  revokeForUser: (userId) => authApi.delete(`/auth/users/${userId}/sessions`),
 };
 
 export const productsAPI = {
@@ -107,17 +126,128 @@ export const productsAPI = {
   update: (id, data) => productApi.put(`/products/${id}`, data),
   delete: (id) => productApi.delete(`/products/${id}`),
   getBySeller: (sellerId, params) => productApi.get(`/products/seller/${sellerId}`, { params }),
+  // Own products including inactive ones; params: { status, stock }
+  getMine: (params) => productApi.get('/products/mine', { params }),
+  restore: (id) => productApi.post(`/products/${id}/restore`),
+  getImages: (id) => productApi.get(`/products/${id}/images`),
+  // The instance defaults to JSON, which would turn the form into JSON
+  uploadImages: (id, files) => {
+    const form = new FormData();
+    files.forEach((file) => form.append('images', file));
+    return productApi.post(`/products/${id}/images`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000,
+    });
+  },
+  reorderImages: (id, imageIds) => productApi.put(`/products/${id}/images/order`, { image_ids: imageIds }),
+  deleteImage: (id, imageId) => productApi.delete(`/products/${id}/images/${imageId}`),
+  // format is 'csv' or 'json'; resolves with the file as a Blob
+  exportCatalogue: (format) => productApi.get('/products/export', {
+    params: { format },
+    responseType: 'blob',
+  }),
+  importCatalogue: (file, dryRun) => productApi.post('/products/import', file, {
+    params: dryRun ? { dryRun: true } : {},
+    headers: { 'Content-Type': file.name.toLowerCase().endsWith('.csv') ? 'text/csv' : 'application/json' },
+    timeout: 60000,
+  }),
+  getImportJob: (jobId) => productApi.get(`/products/import/${jobId}`),
+};
+
+export const reviewsAPI = {
+  list: (productId, params) => productApi.get(`/products/${productId}/reviews`, { params }),
+  create: (productId, data) => productApi.post(`/products/${productId}/reviews`, data),
+  update: (id, data) => productApi.patch(`/reviews/${id}`, data),
+  delete: (id) => productApi.delete(`/reviews/${id}`),
+  reply: (id, reply) => productApi.put(`/reviews/${id}/reply`, { reply }),
+  deleteReply: (id) => productApi.delete(`/reviews/${id}/reply`),
+  getForModeration: (params) => productApi.get('/reviews', { params }),
+  moderate: (id, status, reason) => productApi.patch(`/reviews/${id}/moderation`, { status, reason }),
+};
+
+export const categoriesAPI = {
+  list: () => productApi.get('/categories'),
+  get: (idOrSlug) => productApi.get(`/categories/${idOrSlug}`),
+  create: (data) => productApi.post('/categories', data),
+  update: (id, data) => productApi.patch(`/categories/${id}`, data),
+  delete: (id) => productApi.delete(`/categories/${id}`),
 };
 
 export const ordersAPI = {
-  create: (data) => orderApi.post('/orders', data),
+  create: (data, idempotencyKey) => orderApi.post('/orders', data, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+  }),
   getMyOrders: () => orderApi.get('/orders'),
   getById: (id) => orderApi.get(`/orders/${id}`),
   getAll: () => orderApi.get('/orders/all/admin'),
+  getSellerOrders: () => orderApi.get('/orders/seller'),
+  updateStatus: (id, status, reason) => orderApi.patch(`/orders/${id}/status`, { status, reason }),
+  getHistory: (id) => orderApi.get(`/orders/${id}/history`),
+};
+
+export const checkoutAPI = {
+  start: (data, idempotencyKey) => orderApi.post('/checkout', data, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+  }),
+  get: (id) => orderApi.get(`/checkout/${id}`),
+};
+
+// Guests keep only the ID of their server-side cart, which is merged into
+// the user's cart at login
+const GUEST_CART_KEY = 'guestCartId';
+
+const cartHeaders = () => {
+  const guestCartId = localStorage.getItem(GUEST_CART_KEY);
+  return !useAuthStore.getState().isAuthenticated && guestCartId
+    ? { 'X-Cart-ID': guestCartId }
+    : {};
+};
+
+const rememberGuestCart = (response) => {
+  const { cart } = response.data.data;
+  if (!useAuthStore.getState().isAuthenticated && cart.id) {
+    localStorage.setItem(GUEST_CART_KEY, cart.id);
+  }
+  return response;
+};
+
+export const cartAPI = {
+  get: () => orderApi.get('/cart/items', { headers: cartHeaders() }),
+  // variantId names the chosen variant of a product that has variants
+  addItem: (productId, quantity, variantId) => orderApi
+    .post(
+      '/cart/items',
+      { product_id: productId, variant_id: variantId, quantity },
+      { headers: cartHeaders() }
+    )
+    .then(rememberGuestCart),
+  updateItem: (productId, quantity, variantId) => orderApi.patch(
+    `/cart/items/${productId}`,
+    { quantity },
+    { headers: cartHeaders(), params: { variantId } }
+  ),
+  removeItem: (productId, variantId) => orderApi.delete(`/cart/items/${productId}`, {
+    headers: cartHeaders(),
+    params: { variantId },
+  }),
+  clear: () => orderApi.delete('/cart/items', { headers: cartHeaders() }),
+  // Call once signed in; a failed merge is retried at the next login
+  mergeGuestCart: async () => {
+    const guestCartId = localStorage.getItem(GUEST_CART_KEY);
+    if (!guestCartId) return null;
+    const response = await orderApi.post('/cart/merge', { cart_id: guestCartId });
+    localStorage.removeItem(GUEST_CART_KEY);
+    return response;
+  },
 };
 
 export const paymentsAPI = {
-  process: (data) => paymentApi.post('/payments/process', data),
+  process: (data, idempotencyKey) => paymentApi.post('/payments/process', data, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+  }),
+  authenticate: (id, challengeResponse) => paymentApi.post(`/payments/${id}/authenticate`, {
+    challenge_response: challengeResponse,
+  }),
   getByOrderId: (orderId) => paymentApi.get(`/payments/order/${orderId}`),
 };
 
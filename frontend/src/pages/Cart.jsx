@@ -1,61 +1,87 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ordersAPI, paymentsAPI } from '../lib/api';
+import { cartAPI, checkoutAPI, paymentsAPI } from '../lib/api';
 import toast from 'react-hot-toast';
 import { useAuthStore } from '../store/authStore';
 
+const EMPTY_CART = { id: null, items: [], subtotal: 0, hasIssues: false };
+
+const ISSUE_MESSAGES = {
+  UNAVAILABLE: 'This product is no longer available',
+  INSUFFICIENT_STOCK: 'Not enough stock for this quantity',
+};
+
 export default function Cart() {
   const navigate = useNavigate();
-  const { isAuthenticated, user } = useAuthStore();
-  const [cart, setCart] = useState([]);
+  const { isAuthenticated } = useAuthStore();
+  const [cart, setCart] = useState(EMPTY_CART);
   const [loading, setLoading] = useState(false);
   const [shippingAddress, setShippingAddress] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('credit_card');
+  const [card, setCard] = useState({ number: '4242424242424242', expiry: '12/30', cvv: '123' });
+
+  // One key per checkout attempt: double clicks and retries replay the same
+  // checkout, while editing the basket or card starts a new attempt
+  const checkoutKey = useMemo(
+    () => crypto.randomUUID(),
+    [cart, shippingAddress, paymentMethod, card]
+  );
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login');
-      return;
-    }
     loadCart();
   }, [isAuthenticated]);
 
-  const loadCart = () => {
-    const savedCart = JSON.parse(localStorage.getItem('cart') || '[]');
-    setCart(savedCart);
+  // The server re-prices the cart and re-checks stock on every read
+  const loadCart = async () => {
+    try {
+      const response = await cartAPI.get();
+      setCart(response.data.data.cart);
+    } catch (error) {
+      console.error('Cart error:', error);
+      toast.error('Failed to load your cart');
+    }
   };
 
-  const updateQuantity = (index, newQuantity) => {
-    const updatedCart = [...cart];
+  const updateQuantity = async (item, newQuantity) => {
     if (newQuantity <= 0) {
-      updatedCart.splice(index, 1);
-    } else if (newQuantity <= updatedCart[index].product.stock) {
-      updatedCart[index].quantity = newQuantity;
-    } else {
-      toast.error('Not enough stock available');
+      removeItem(item);
       return;
     }
-    setCart(updatedCart);
-    localStorage.setItem('cart', JSON.stringify(updatedCart));
-  };
-
-  const removeItem = (index) => {
-    const updatedCart = cart.filter((_, i) => i !== index);
-    setCart(updatedCart);
-    localStorage.setItem('cart', JSON.stringify(updatedCart));
-    toast.success('Item removed from cart');
+    try {
+      const response = await cartAPI.updateItem(item.productId, newQuantity, item.variantId);
+      setCart(response.data.data.cart);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update cart');
+    }
   };
 
-  const calculateTotal = () => {
-    return cart.reduce((sum, item) => sum + (item.product.price * item.quantity), 0);
+  const removeItem = async (item) => {
+    try {
+      const response = await cartAPI.removeItem(item.productId, item.variantId);
+      setCart(response.data.data.cart);
+      toast.success('Item removed from cart');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove item');
+    }
   };
 
   const handleCheckout = async () => {
-    if (cart.length === 0) {
+    if (!isAuthenticated) {
+      toast.error('Please login to checkout');
+      navigate('/login');
+      return;
+    }
+
+    if (cart.items.length === 0) {
       toast.error('Your cart is empty');
       return;
     }
 
+    if (cart.hasIssues) {
+      toast.error('Some items in your cart need attention');
+      return;
+    }
+
     if (!shippingAddress.trim()) {
       toast.error('Please enter a shipping address');
       return;
@@ -64,38 +90,42 @@ export default function Cart() {
     setLoading(true);
 
     try {
-      // Process each cart item as a separate order
-      const orderPromises = cart.map(async (item) => {
-        // Create order
-        const orderResponse = await ordersAPI.create({
-          product_id: item.product.id,
+      // Reserve stock, place the order and pay in one checkout; the server
+      // undoes completed steps if any later step fails
+      const checkoutResponse = await checkoutAPI.start({
+        items: cart.items.map((item) => ({
+          product_id: item.productId,
+          variant_id: item.variantId || undefined,
           quantity: item.quantity,
-          total_amount: item.product.price * item.quantity,
-          shipping_address: shippingAddress,
-        });
-
-        const order = orderResponse.data.data.order;
+        })),
+        shipping_address: shippingAddress,
+        payment_method: paymentMethod,
+        card_number: card.number,
+        cvv: card.cvv,
+        expiry_date: card.expiry,
+      }, `checkout:${checkoutKey}`);
 
-        // Process payment (mock)
-        await paymentsAPI.process({
-          order_id: order.id,
-          amount: order.total_amount,
-          payment_method: paymentMethod,
-          card_number: '4111111111111111', // Mock card number
-          cvv: '123', // Mock CVV
-          expiry_date: '12/25', // Mock expiry
-        });
+      let { checkout } = checkoutResponse.data.data;
+      const { payment, nextAction } = checkoutResponse.data.data;
 
-        return order;
-      });
+      if (checkout.status === 'PAYMENT_ACTION_REQUIRED') {
+        const code = window.prompt(nextAction?.hint || 'Enter your 3-D Secure code');
+        try {
+          await paymentsAPI.authenticate(payment.id, code || '');
+        } finally {
+          // Let the checkout settle either way, so a failed challenge frees the stock
+          const refreshed = await checkoutAPI.get(checkout.id);
+          checkout = refreshed.data.data.checkout;
+        }
+      }
 
-      await Promise.all(orderPromises);
+      // The order is placed; a failure to empty the cart must not hide that
+      await cartAPI.clear().catch((error) => console.error('Cart clear error:', error));
+      setCart(EMPTY_CART);
 
-      // Clear cart
-      localStorage.removeItem('cart');
-      setCart([]);
-
-      toast.success('Orders placed successfully!');
+      toast.success(checkout.status === 'COMPLETED'
+        ? 'Order placed successfully!'
+        : 'Order placed, payment is being confirmed');
       navigate('/orders');
     } catch (error) {
       console.error('Checkout error:', error);
@@ -105,17 +135,13 @@ export default function Cart() {
     }
   };
 
-  const total = calculateTotal();
-
-  if (!isAuthenticated) {
-    return null;
-  }
+  const total = cart.subtotal;
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">Shopping Cart</h1>
 
-      {cart.length === 0 ? (
+      {cart.items.length === 0 ? (
         <div className="text-center py-12">
           <div className="text-gray-400 text-6xl mb-4">🛒</div>
           <h3 className="text-xl font-semibold text-gray-700 mb-2">Your cart is empty</h3>
@@ -128,39 +154,56 @@ export default function Cart() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Cart Items */}
           <div className="lg:col-span-2 space-y-4">
-            {cart.map((item, index) => (
-              <div key={index} className="card flex gap-6">
+            {cart.items.map((item) => (
+              <div key={`${item.productId}:${item.variantId}`} className="card flex gap-6">
                 <img
-                  src={item.product.image_url || 'https://via.placeholder.com/150'}
-                  alt={item.product.name}
+                  src={item.imageUrl || 'https://via.placeholder.com/150'}
+                  alt={item.name || 'Unavailable product'}
                   className="w-32 h-32 object-cover rounded"
                 />
                 <div className="flex-1">
                   <h3 className="text-lg font-semibold text-gray-900 mb-1">
-                    {item.product.name}
+                    {item.name || 'Unavailable product'}
                   </h3>
-                  <p className="text-sm text-gray-600 mb-2">{item.product.category}</p>
-                  <p className="text-xl font-bold text-primary-600 mb-4">
-                    ${parseFloat(item.product.price).toFixed(2)}
+                  <p className="text-sm text-gray-600 mb-2">
+                    {item.options
+                      ? Object.entries(item.options).map(([name, value]) => `${name}: ${value}`).join(' · ')
+                      : item.category}
+                  </p>
+                  <p className="text-xl font-bold text-primary-600 mb-1">
+                    ${item.unitPrice.toFixed(2)}
                   </p>
-                  <div className="flex items-center gap-4">
+                  {item.priceChanged && (
+                    <p className="text-sm text-amber-600 mb-1">
+                      Price changed from ${item.previousPrice.toFixed(2)}
+                    </p>
+                  )}
+                  {item.issue && (
+                    <p className="text-sm text-red-600 mb-1">
+                      {ISSUE_MESSAGES[item.issue]}
+                      {item.issue === 'INSUFFICIENT_STOCK' && ` (${item.availableStock} left)`}
+                    </p>
+                  )}
+                  <div className="flex items-center gap-4 mt-3">
                     <div className="flex items-center gap-2">
                       <button
-                        onClick={() => updateQuantity(index, item.quantity - 1)}
-                        className="w-8 h-8 rounded border-2 border-gray-300 hover:border-primary-500 flex items-center justify-center"
+                        onClick={() => updateQuantity(item, Math.min(item.quantity - 1, item.availableStock))}
+                        disabled={item.issue === 'UNAVAILABLE'}
+                        className="w-8 h-8 rounded border-2 border-gray-300 hover:border-primary-500 flex items-center justify-center disabled:opacity-50"
                       >
                         −
                       </button>
                       <span className="w-12 text-center font-semibold">{item.quantity}</span>
                       <button
-                        onClick={() => updateQuantity(index, item.quantity + 1)}
-                        className="w-8 h-8 rounded border-2 border-gray-300 hover:border-primary-500 flex items-center justify-center"
+                        onClick={() => updateQuantity(item, item.quantity + 1)}
+                        disabled={item.quantity >= item.availableStock}
+                        className="w-8 h-8 rounded border-2 border-gray-300 hover:border-primary-500 flex items-center justify-center disabled:opacity-50"
                       >
                         +
                       </button>
                     </div>
                     <button
-                      onClick={() => removeItem(index)}
+                      onClick={() => removeItem(item)}
                       className="text-red-600 hover:text-red-700 text-sm font-medium"
                     >
                       Remove
@@ -170,7 +213,7 @@ export default function Cart() {
                 <div className="text-right">
                   <p className="text-sm text-gray-600 mb-1">Subtotal</p>
                   <p className="text-xl font-bold text-gray-900">
-                    ${(item.product.price * item.quantity).toFixed(2)}
+                    ${item.lineTotal.toFixed(2)}
                   </p>
                 </div>
               </div>
@@ -211,8 +254,49 @@ export default function Cart() {
                   <option value="debit_card">Debit Card (Mock)</option>
                   <option value="paypal">PayPal (Mock)</option>
                 </select>
-                <p className="text-xs text-gray-500 mt-1">
-                  * This is a mock payment system for demonstration
+              </div>
+
+              {/* Card Details */}
+              <div className="mb-6 space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Card Number
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={card.number}
+                    onChange={(e) => setCard({ ...card, number: e.target.value })}
+                    className="input-field"
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Expiry (MM/YY)
+                    </label>
+                    <input
+                      type="text"
+                      value={card.expiry}
+                      onChange={(e) => setCard({ ...card, expiry: e.target.value })}
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      CVV
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={card.cvv}
+                      onChange={(e) => setCard({ ...card, cvv: e.target.value })}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">
+                  * Payments run against the test gateway; see the README for test cards
                 </p>
               </div>
 
@@ -239,10 +323,12 @@ export default function Cart() {
 
               <button
                 onClick={handleCheckout}
-                disabled={loading}
+                disabled={loading || cart.hasIssues}
                 className="btn-primary w-full py-3 text-lg disabled:opacity-50"
               >
-                {loading ? 'Processing...' : 'Proceed to Checkout'}
+                {loading
+                  ? 'Processing...'
+                  : isAuthenticated ? 'Proceed to Checkout' : 'Login to Checkout'}
               </button>
 
               <p className="text-xs text-gray-500 text-center mt-4">
@@ -1,35 +1,84 @@
 import { useState, useEffect } from 'react';
-import { productsAPI } from '../lib/api';
+import { productsAPI, categoriesAPI } from '../lib/api';
 import toast from 'react-hot-toast';
-import { useAuthStore } from '../store/authStore';
+
+const NO_FILTERS = { status: '', stock: '' };
 
 export default function Dashboard() {
-  const { user } = useAuthStore();
   const [products, setProducts] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
+  // Uploaded images of the product being edited, in display order
+  const [images, setImages] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  // Bulk import: the chosen file, its dry-run result, then the running job
+  const [importFile, setImportFile] = useState(null);
+  const [importCheck, setImportCheck] = useState(null);
+  const [importJob, setImportJob] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     price: '',
     stock: '',
-    category: '',
+    category_id: '',
     image_url: ''
   });
 
   useEffect(() => {
-    fetchMyProducts();
+    fetchCategories();
   }, []);
 
+  useEffect(() => {
+    fetchMyProducts();
+  }, [filters]);
+
+  // Follow an import job until it finishes
+  useEffect(() => {
+    if (!importJob || !['PENDING', 'RUNNING'].includes(importJob.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await productsAPI.getImportJob(importJob.id);
+        const job = response.data.data.job;
+        setImportJob(job);
+        if (job.status === 'COMPLETED') {
+          toast.success(`Imported ${job.created_count} product(s)`);
+          fetchMyProducts();
+        } else if (job.status === 'FAILED') {
+          toast.error('Import stopped before it finished');
+          fetchMyProducts();
+        }
+      } catch (error) {
+        toast.error('Failed to load import progress');
+      }
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [importJob]);
+
+  // Flatten the category tree into select options, indented by depth
+  const flattenCategories = (nodes, depth = 0) => nodes.flatMap((node) => [
+    { id: node.id, label: `${'\u00a0\u00a0'.repeat(depth)}${node.name}` },
+    ...flattenCategories(node.children, depth + 1),
+  ]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.list();
+      setCategories(flattenCategories(response.data.data.categories));
+    } catch (error) {
+      toast.error('Failed to load categories');
+    }
+  };
+
   const fetchMyProducts = async () => {
     try {
-      const response = await productsAPI.getAll();
-      // Filter by current user's products
-      const myProducts = response.data.data.products.filter(
-        p => p.seller_id === user?.id
-      );
-      setProducts(myProducts);
+      const response = await productsAPI.getMine(filters);
+      setProducts(response.data.data.products);
+      setSummary(response.data.data.summary);
     } catch (error) {
       toast.error('Failed to load products');
     } finally {
@@ -50,13 +99,17 @@ export default function Dashboard() {
         await productsAPI.update(editingProduct.id, productData);
         toast.success('Product updated successfully');
       } else {
-        await productsAPI.create(productData);
-        toast.success('Product created successfully');
+        const response = await productsAPI.create(productData);
+        toast.success('Product created. You can now upload its images.');
+        // Images are uploaded to an existing product, so keep it open for editing
+        handleEdit(response.data.data.product);
+        fetchMyProducts();
+        return;
       }
       
       setShowForm(false);
       setEditingProduct(null);
-      setFormData({ name: '', description: '', price: '', stock: '', category: '', image_url: '' });
+      setFormData({ name: '', description: '', price: '', stock: '', category_id: '', image_url: '' });
       fetchMyProducts();
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to save product');
@@ -70,12 +123,71 @@ export default function Dashboard() {
       description: product.description,
       price: product.price,
       stock: product.stock,
-      category: product.category,
+      category_id: product.category_id || '',
       image_url: product.image_url || ''
     });
+    setImages([]);
+    fetchImages(product.id);
     setShowForm(true);
   };
 
+  const fetchImages = async (productId) => {
+    try {
+      const response = await productsAPI.getImages(productId);
+      setImages(response.data.data.images);
+    } catch (error) {
+      toast.error('Failed to load images');
+    }
+  };
+
+  const imageError = (error, fallback) => error.response?.data?.details?.[0]
+    || error.response?.data?.error
+    || fallback;
+
+  const handleUploadImages = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    try {
+      const response = await productsAPI.uploadImages(editingProduct.id, files);
+      setImages(response.data.data.images);
+      toast.success('Images uploaded successfully');
+      fetchMyProducts();
+    } catch (error) {
+      toast.error(imageError(error, 'Failed to upload images'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Swap an image with its neighbour; the first image is the product's cover
+  const handleMoveImage = async (index, offset) => {
+    const imageIds = images.map((image) => image.id);
+    [imageIds[index], imageIds[index + offset]] = [imageIds[index + offset], imageIds[index]];
+
+    try {
+      const response = await productsAPI.reorderImages(editingProduct.id, imageIds);
+      setImages(response.data.data.images);
+      fetchMyProducts();
+    } catch (error) {
+      toast.error(imageError(error, 'Failed to reorder images'));
+    }
+  };
+
+  const handleDeleteImage = async (imageId) => {
+    if (!confirm('Delete this image?')) return;
+
+    try {
+      const response = await productsAPI.deleteImage(editingProduct.id, imageId);
+      setImages(response.data.data.images);
+      fetchMyProducts();
+    } catch (error) {
+      toast.error(imageError(error, 'Failed to delete image'));
+    }
+  };
+
   const handleDelete = async (id) => {
     if (!confirm('Are you sure you want to delete this product?')) return;
     
@@ -88,6 +200,59 @@ export default function Dashboard() {
     }
   };
 
+  const handleRestore = async (id) => {
+    try {
+      await productsAPI.restore(id);
+      toast.success('Product restored successfully');
+      fetchMyProducts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore product');
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await productsAPI.exportCatalogue(format);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `products.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export products');
+    }
+  };
+
+  // Choosing a file only validates it; nothing is created until it is confirmed
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImportFile(file);
+    setImportCheck(null);
+    setImportJob(null);
+    try {
+      const response = await productsAPI.importCatalogue(file, true);
+      setImportCheck(response.data.data);
+    } catch (error) {
+      setImportFile(null);
+      toast.error(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to read the file');
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const response = await productsAPI.importCatalogue(importFile, false);
+      setImportJob(response.data.data.job);
+      setImportFile(null);
+      setImportCheck(null);
+    } catch (error) {
+      toast.error(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to start the import');
+    }
+  };
+
   if (loading) {
     return <div className="flex justify-center items-center min-h-screen">Loading...</div>;
   }
@@ -100,7 +265,7 @@ export default function Dashboard() {
           onClick={() => {
             setShowForm(!showForm);
             setEditingProduct(null);
-            setFormData({ name: '', description: '', price: '', stock: '', category: '', image_url: '' });
+            setFormData({ name: '', description: '', price: '', stock: '', category_id: '', image_url: '' });
           }}
           className="btn-primary"
         >
@@ -108,6 +273,91 @@ export default function Dashboard() {
         </button>
       </div>
 
+      <div className="card mb-8">
+        <h2 className="text-xl font-semibold mb-2">Bulk Import / Export</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          CSV or JSON with the columns name, description, price, stock and category (slug or name).
+          Up to 1000 rows; every row creates a new product.
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          <button type="button" onClick={() => handleExport('csv')} className="btn-secondary text-sm">
+            Export CSV
+          </button>
+          <button type="button" onClick={() => handleExport('json')} className="btn-secondary text-sm">
+            Export JSON
+          </button>
+          <label className="btn-secondary text-sm cursor-pointer">
+            Import File...
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleImportFile}
+              className="hidden"
+            />
+          </label>
+        </div>
+
+        {importCheck && (
+          <div className="mt-4">
+            <p className="text-sm text-gray-700 mb-2">
+              <strong>{importFile?.name}</strong>: {importCheck.validRows} of {importCheck.totalRows} rows are valid.
+            </p>
+            {importCheck.errors.length > 0 && (
+              <ul className="text-sm text-red-600 mb-3 max-h-40 overflow-y-auto">
+                {importCheck.errors.map(({ row, errors }) => (
+                  <li key={row}>Row {row}: {errors.join('; ')}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={importCheck.validRows === 0}
+                className="btn-primary text-sm disabled:opacity-50"
+              >
+                Import {importCheck.validRows} product(s)
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setImportFile(null);
+                  setImportCheck(null);
+                }}
+                className="btn-secondary text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {importJob && (
+          <div className="mt-4">
+            <div className="flex justify-between text-sm text-gray-700 mb-1">
+              <span>Import {importJob.status.toLowerCase()}</span>
+              <span>{importJob.processed_rows} / {importJob.total_rows} rows</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded h-2">
+              <div
+                className="bg-primary-600 h-2 rounded"
+                style={{ width: `${(importJob.processed_rows / importJob.total_rows) * 100}%` }}
+              />
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {importJob.created_count} created, {importJob.failed_count} failed
+            </p>
+            {importJob.errors.length > 0 && (
+              <ul className="text-sm text-red-600 mt-2 max-h-40 overflow-y-auto">
+                {importJob.errors.map(({ row, errors }) => (
+                  <li key={row}>Row {row}: {errors.join('; ')}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
       {showForm && (
         <div className="card mb-8">
           <h2 className="text-xl font-semibold mb-4">
@@ -179,14 +429,17 @@ export default function Dashboard() {
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Category *
               </label>
-              <input
-                type="text"
+              <select
                 required
-                value={formData.category}
-                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                value={formData.category_id}
+                onChange={(e) => setFormData({ ...formData, category_id: e.target.value })}
                 className="input-field"
-                placeholder="e.g., Electronics, Books, Clothing"
-              />
+              >
+                <option value="">Select a category</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
             </div>
 
             <div>
@@ -202,6 +455,64 @@ export default function Dashboard() {
               />
             </div>
 
+            {editingProduct && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Images
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  JPEG, PNG or WebP, up to 5 MB each. The first image is shown in listings.
+                </p>
+                <div className="flex flex-wrap gap-3 mb-3">
+                  {images.map((image, index) => (
+                    <div key={image.id} className="w-32">
+                      <img
+                        src={image.urls.thumbnail}
+                        alt={`${editingProduct.name} ${index + 1}`}
+                        className={`w-32 h-32 object-cover rounded ${index === 0 ? 'ring-2 ring-primary-500' : ''}`}
+                      />
+                      <div className="flex justify-between mt-1 text-sm">
+                        <button
+                          type="button"
+                          onClick={() => handleMoveImage(index, -1)}
+                          disabled={index === 0}
+                          className="px-2 text-gray-600 disabled:opacity-30"
+                          aria-label="Move image left"
+                        >
+                          ←
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteImage(image.id)}
+                          className="px-2 text-red-600 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMoveImage(index, 1)}
+                          disabled={index === images.length - 1}
+                          className="px-2 text-gray-600 disabled:opacity-30"
+                          aria-label="Move image right"
+                        >
+                          →
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  multiple
+                  disabled={uploading}
+                  onChange={handleUploadImages}
+                  className="block text-sm text-gray-600"
+                />
+                {uploading && <p className="text-sm text-gray-500 mt-1">Uploading...</p>}
+              </div>
+            )}
+
             <div className="flex gap-3">
               <button type="submit" className="btn-primary">
                 {editingProduct ? 'Update Product' : 'Create Product'}
@@ -221,6 +532,43 @@ export default function Dashboard() {
         </div>
       )}
 
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        {summary && (
+          <div className="flex gap-6 text-sm text-gray-600">
+            <span><strong>{summary.active}</strong> active</span>
+            <span><strong>{summary.inactive}</strong> inactive</span>
+            <span className={summary.lowStock > 0 ? 'text-yellow-700' : ''}>
+              <strong>{summary.lowStock}</strong> low on stock
+            </span>
+            <span className={summary.outOfStock > 0 ? 'text-red-700' : ''}>
+              <strong>{summary.outOfStock}</strong> out of stock
+            </span>
+            <span><strong>{summary.unitsSold}</strong> units sold</span>
+          </div>
+        )}
+        <div className="flex gap-3">
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="input-field w-40"
+          >
+            <option value="">All products</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+          <select
+            value={filters.stock}
+            onChange={(e) => setFilters({ ...filters, stock: e.target.value })}
+            className="input-field w-40"
+          >
+            <option value="">Any stock</option>
+            <option value="in_stock">In stock</option>
+            <option value="low_stock">Low stock</option>
+            <option value="out_of_stock">Out of stock</option>
+          </select>
+        </div>
+      </div>
+
       <div className="grid grid-cols-1 gap-6">
         {products.map((product) => (
           <div key={product.id} className="card flex gap-6">
@@ -242,27 +590,45 @@ export default function Dashboard() {
               <div className="flex gap-6 mb-4 text-sm text-gray-600">
                 <span>Category: <strong>{product.category}</strong></span>
                 <span>Price: <strong className="text-primary-600">${product.price}</strong></span>
-                <span>Stock: <strong>{product.stock}</strong></span>
+                <span>
+                  Stock: <strong>{product.stock}</strong>
+                  {product.low_stock && <span className="ml-2 text-yellow-700">Low stock</span>}
+                  {product.stock === 0 && <span className="ml-2 text-red-700">Out of stock</span>}
+                </span>
+                <span>Sold: <strong>{product.units_sold}</strong></span>
               </div>
-              <div className="flex gap-3">
+              {product.is_active ? (
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => handleEdit(product)}
+                    className="btn-secondary text-sm"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(product.id)}
+                    className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 text-sm"
+                  >
+                    Delete
+                  </button>
+                </div>
+              ) : (
                 <button
-                  onClick={() => handleEdit(product)}
+                  onClick={() => handleRestore(product.id)}
                   className="btn-secondary text-sm"
                 >
-                  Edit
-                </button>
-                <button
-                  onClick={() => handleDelete(product.id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 text-sm"
-                >
-                  Delete
+                  Restore
                 </button>
-              </div>
+              )}
             </div>
           </div>
         ))}
 
-        {products.length === 0 && !showForm && (
+        {products.length === 0 && summary?.total > 0 && (
+          <p className="text-center py-12 text-gray-500">No products match these filters</p>
+        )}
+
+        {summary?.total === 0 && !showForm && (
           <div className="text-center py-12">
             <p className="text-gray-500 mb-4">You haven't created any products yet</p>
             <button onClick={() => setShowForm(true)} className="btn-primary">
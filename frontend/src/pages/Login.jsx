@@ -2,19 +2,109 @@ import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuthStore } from '../store/authStore';
+import { cartAPI } from '../lib/api';
+import MfaEnrollment from '../components/MfaEnrollment';
+
+function MfaCodeForm({ onSubmit, onCancel, loading }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(useRecoveryCode ? { recoveryCode: code } : { code });
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <div>
+        <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}
+        </label>
+        <input
+          id="code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          required
+          autoFocus
+          className="input-field mt-1"
+        />
+        <div className="mt-2 flex justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+            className="font-medium text-primary-600 hover:text-primary-500"
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+          <button type="button" onClick={onCancel} className="text-gray-600 hover:underline">
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <button type="submit" disabled={loading} className="btn-primary w-full">
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+    </form>
+  );
+}
 
 export default function Login() {
   const navigate = useNavigate();
-  const { login, loading } = useAuthStore();
+  const {
+    login, loginWithMfa, startMfaEnrollment, confirmMfaEnrollment, cancelMfa, mfa, loading,
+  } = useAuthStore();
   const { register, handleSubmit, formState: { errors } } = useForm();
 
+  const afterLogin = async () => {
+    // Keep whatever was put in the cart before signing in
+    await cartAPI.mergeGuestCart().catch((error) => console.error('Cart merge error:', error));
+    navigate('/products');
+  };
+
   const onSubmit = async (data) => {
     const success = await login(data);
     if (success) {
-      navigate('/products');
+      await afterLogin();
     }
   };
 
+  const onMfaSubmit = async (factor) => {
+    if (await loginWithMfa(factor)) {
+      await afterLogin();
+    }
+  };
+
+  if (mfa) {
+    return (
+      <div className="min-h-[80vh] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            {mfa.step === 'verify' ? 'Two-step verification' : 'Set up two-step verification'}
+          </h2>
+          {mfa.step === 'verify' ? (
+            <MfaCodeForm onSubmit={onMfaSubmit} onCancel={cancelMfa} loading={loading} />
+          ) : (
+            <>
+              <p className="text-center text-sm text-gray-600">
+                Your account must use multi-factor authentication before you can sign in.
+              </p>
+              <MfaEnrollment
+                onStart={startMfaEnrollment}
+                onConfirm={confirmMfaEnrollment}
+                onDone={() => { cancelMfa(); afterLogin(); }}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-[80vh] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -72,6 +162,11 @@ export default function Login() {
               {errors.password && (
                 <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
               )}
+              <div className="mt-2 text-right">
+                <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                  Forgot your password?
+                </Link>
+              </div>
             </div>
           </div>
 
@@ -24,13 +24,28 @@ export default function Orders() {
     }
   };
 
+  const handleCancel = async (orderId) => {
+    if (!confirm('Are you sure you want to cancel this order?')) return;
+
+    try {
+      await ordersAPI.updateStatus(orderId, 'CANCELLED');
+      toast.success('Order cancelled');
+      fetchMyOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel order');
+    }
+  };
+
   const getStatusColor = (status) => {
     const colors = {
-      pending: 'bg-yellow-100 text-yellow-800',
-      processing: 'bg-blue-100 text-blue-800',
-      shipped: 'bg-purple-100 text-purple-800',
-      delivered: 'bg-green-100 text-green-800',
-      cancelled: 'bg-red-100 text-red-800',
+      PENDING: 'bg-yellow-100 text-yellow-800',
+      PAID: 'bg-blue-100 text-blue-800',
+      FULFILLING: 'bg-blue-100 text-blue-800',
+      SHIPPED: 'bg-purple-100 text-purple-800',
+      DELIVERED: 'bg-green-100 text-green-800',
+      CANCELLED: 'bg-red-100 text-red-800',
+      PARTIALLY_REFUNDED: 'bg-gray-100 text-gray-800',
+      REFUNDED: 'bg-gray-100 text-gray-800',
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
@@ -66,7 +81,7 @@ export default function Orders() {
                       Order #{order.id.slice(0, 8)}
                     </h3>
                     <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(order.status)}`}>
-                      {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                      {order.status.charAt(0) + order.status.slice(1).toLowerCase()}
                     </span>
                   </div>
                   <p className="text-sm text-gray-600">
@@ -86,15 +101,23 @@ export default function Orders() {
               </div>
 
               <div className="border-t pt-4">
+                <div className="space-y-2 mb-4">
+                  {(order.items || []).map((item) => (
+                    <div key={item.id} className="flex justify-between text-sm">
+                      <span className="text-gray-900">
+                        {item.product_name || `${item.product_id.slice(0, 8)}...`}
+                        {item.variant_options && (
+                          <span className="text-gray-600"> ({Object.values(item.variant_options).join(' / ')})</span>
+                        )}
+                        <span className="text-gray-600"> × {item.quantity}</span>
+                      </span>
+                      <span className="font-medium text-gray-900">
+                        ${parseFloat(item.line_total).toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                  <div>
-                    <p className="text-gray-600">Product ID</p>
-                    <p className="font-medium text-gray-900">{order.product_id.slice(0, 8)}...</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600">Quantity</p>
-                    <p className="font-medium text-gray-900">{order.quantity} item(s)</p>
-                  </div>
                   {order.shipping_address && (
                     <div className="md:col-span-2">
                       <p className="text-gray-600">Shipping Address</p>
@@ -110,13 +133,10 @@ export default function Orders() {
                 </div>
               </div>
 
-              {order.status === 'pending' && (
+              {['PENDING', 'PAID'].includes(order.status) && (
                 <div className="mt-4 pt-4 border-t">
                   <button
-                    onClick={() => {
-                      // Handle cancel order
-                      toast.error('Cancel order feature coming soon');
-                    }}
+                    onClick={() => handleCancel(order.id)}
                     className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 text-sm"
                   >
                     Cancel Order
@@ -1,16 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { productsAPI } from '../lib/api';
+import { productsAPI, cartAPI } from '../lib/api';
+import ProductReviews from '../components/ProductReviews';
 import toast from 'react-hot-toast';
-import { useAuthStore } from '../store/authStore';
 
 export default function ProductDetails() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { isAuthenticated, user } = useAuthStore();
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [quantity, setQuantity] = useState(1);
+  // Chosen value of each option axis, e.g. { Size: 'M', Colour: 'Red' }
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [imageIndex, setImageIndex] = useState(0);
 
   useEffect(() => {
     fetchProduct();
@@ -20,6 +22,7 @@ export default function ProductDetails() {
     try {
       const response = await productsAPI.getById(id);
       setProduct(response.data.data.product);
+      setImageIndex(0);
     } catch (error) {
       toast.error('Failed to load product details');
       console.error(error);
@@ -28,39 +31,49 @@ export default function ProductDetails() {
     }
   };
 
-  const handleAddToCart = () => {
-    if (!isAuthenticated) {
-      toast.error('Please login to add items to cart');
-      navigate('/login');
-      return;
-    }
+  const images = product?.images || [];
+  const options = product?.options || [];
+  const variants = product?.variants || [];
+  const hasVariants = variants.length > 0;
 
-    // Get existing cart from localStorage
-    const cart = JSON.parse(localStorage.getItem('cart') || '[]');
-    
-    // Check if product already in cart
-    const existingItem = cart.find(item => item.product.id === product.id);
-    
-    if (existingItem) {
-      existingItem.quantity += quantity;
-    } else {
-      cart.push({ product, quantity });
-    }
-    
-    localStorage.setItem('cart', JSON.stringify(cart));
-    toast.success(`Added ${quantity} item(s) to cart`);
+  const matches = (variant, selection) => options.every(
+    ({ name }) => !selection[name] || variant.options[name] === selection[name]
+  );
+
+  // The variant matching every chosen value, once each axis has one
+  const variant = hasVariants && options.every(({ name }) => selectedOptions[name])
+    ? variants.find((candidate) => matches(candidate, selectedOptions))
+    : null;
+
+  // A value is in stock if some variant with it, and the other chosen values, is
+  const isValueInStock = (name, value) => variants.some((candidate) => candidate.stock > 0
+    && matches(candidate, { ...selectedOptions, [name]: value }));
+
+  const selectOption = (name, value) => {
+    setSelectedOptions({ ...selectedOptions, [name]: value });
+    setQuantity(1);
   };
 
-  const handleBuyNow = () => {
-    if (!isAuthenticated) {
-      toast.error('Please login to place an order');
-      navigate('/login');
-      return;
+  const price = variant ? variant.price : product?.price;
+  const stock = hasVariants ? (variant?.stock ?? 0) : product?.stock;
+  const needsSelection = hasVariants && !variant;
+
+  const handleAddToCart = async () => {
+    try {
+      await cartAPI.addItem(product.id, quantity, variant?.id);
+      toast.success(`Added ${quantity} item(s) to cart`);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add to cart');
+      return false;
     }
+  };
 
+  const handleBuyNow = async () => {
     // Add to cart and redirect to cart page
-    handleAddToCart();
-    navigate('/cart');
+    if (await handleAddToCart()) {
+      navigate('/cart');
+    }
   };
 
   if (loading) {
@@ -88,13 +101,35 @@ export default function ProductDetails() {
       </button>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-12">
-        {/* Product Image */}
-        <div className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
-          <img
-            src={product.image_url || 'https://via.placeholder.com/600'}
-            alt={product.name}
-            className="w-full h-full object-cover"
-          />
+        {/* Product Images */}
+        <div>
+          <div className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
+            <img
+              src={images[imageIndex]?.urls.large || product.image_url || 'https://via.placeholder.com/600'}
+              alt={product.name}
+              className="w-full h-full object-cover"
+            />
+          </div>
+          {images.length > 1 && (
+            <div className="flex gap-2 mt-4 overflow-x-auto">
+              {images.map((image, index) => (
+                <button
+                  key={image.id}
+                  type="button"
+                  onClick={() => setImageIndex(index)}
+                  className={`w-20 h-20 flex-shrink-0 rounded overflow-hidden border-2 ${
+                    index === imageIndex ? 'border-primary-600' : 'border-transparent'
+                  }`}
+                >
+                  <img
+                    src={image.urls.thumbnail}
+                    alt={`${product.name} ${index + 1}`}
+                    className="w-full h-full object-cover"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Product Info */}
@@ -104,27 +139,60 @@ export default function ProductDetails() {
               {product.category}
             </span>
             <h1 className="text-4xl font-bold text-gray-900 mb-2">{product.name}</h1>
+            {product.rating_count > 0 && (
+              <p className="text-gray-600 mb-2">
+                <span className="text-yellow-500">★</span> {Number(product.rating_average).toFixed(1)}
+                <span className="text-gray-400"> ({product.rating_count} reviews)</span>
+              </p>
+            )}
             <div className="flex items-center gap-4">
               <span className="text-3xl font-bold text-primary-600">
-                ${parseFloat(product.price).toFixed(2)}
-              </span>
-              <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                product.stock > 0 
-                  ? 'bg-green-100 text-green-800' 
-                  : 'bg-red-100 text-red-800'
-              }`}>
-                {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
+                ${parseFloat(price).toFixed(2)}
               </span>
+              {!needsSelection && (
+                <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+                  stock > 0 
+                    ? 'bg-green-100 text-green-800' 
+                    : 'bg-red-100 text-red-800'
+                }`}>
+                  {stock > 0 ? `${stock} in stock` : 'Out of stock'}
+                </span>
+              )}
             </div>
+            {variant && <p className="text-sm text-gray-500 mt-2">SKU: {variant.sku}</p>}
           </div>
 
+          {/* Option Picker */}
+          {hasVariants && options.map(({ name, values }) => (
+            <div key={name} className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {name}{selectedOptions[name] && `: ${selectedOptions[name]}`}
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {values.map((value) => (
+                  <button
+                    key={value}
+                    onClick={() => selectOption(name, value)}
+                    className={`px-4 py-2 rounded-lg border-2 text-sm font-medium ${
+                      selectedOptions[name] === value
+                        ? 'border-primary-600 text-primary-700'
+                        : 'border-gray-300 hover:border-primary-500'
+                    } ${isValueInStock(name, value) ? '' : 'text-gray-400 line-through'}`}
+                  >
+                    {value}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
           <div className="border-t border-b py-6 my-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-3">Description</h3>
             <p className="text-gray-700 leading-relaxed">{product.description}</p>
           </div>
 
           {/* Quantity Selector */}
-          {product.stock > 0 && (
+          {stock > 0 && (
             <div className="mb-6">
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Quantity
@@ -138,13 +206,13 @@ export default function ProductDetails() {
                 </button>
                 <span className="text-xl font-semibold w-12 text-center">{quantity}</span>
                 <button
-                  onClick={() => setQuantity(Math.min(product.stock, quantity + 1))}
+                  onClick={() => setQuantity(Math.min(stock, quantity + 1))}
                   className="w-10 h-10 rounded-lg border-2 border-gray-300 hover:border-primary-500 flex items-center justify-center font-bold text-lg"
                 >
                   +
                 </button>
                 <span className="text-sm text-gray-500">
-                  Max: {product.stock}
+                  Max: {stock}
                 </span>
               </div>
             </div>
@@ -152,7 +220,11 @@ export default function ProductDetails() {
 
           {/* Action Buttons */}
           <div className="flex gap-4">
-            {product.stock > 0 ? (
+            {needsSelection ? (
+              <button disabled className="flex-1 bg-gray-300 text-gray-500 py-4 text-lg rounded-lg cursor-not-allowed">
+                Select {options.map(({ name }) => name.toLowerCase()).join(' and ')}
+              </button>
+            ) : stock > 0 ? (
               <>
                 <button
                   onClick={handleBuyNow}
@@ -187,6 +259,8 @@ export default function ProductDetails() {
           </div>
         </div>
       </div>
+
+      <ProductReviews productId={product.id} sellerId={product.seller_id} />
     </div>
   );
 }
@@ -3,19 +3,62 @@ import { Link } from 'react-router-dom';
 import { productsAPI } from '../lib/api';
 import toast from 'react-hot-toast';
 
+const NO_FILTERS = { category: '', priceRange: null, inStock: false };
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Best match' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+  { value: 'name', label: 'Name' },
+  { value: 'popularity', label: 'Most popular' },
+  { value: 'rating', label: 'Top rated' },
+];
+
+const formatRange = ({ min, max }) => (max === null ? `$${min}+` : `$${min} - $${max}`);
+
+// Order category facets so each subcategory follows its parent, with its depth
+const categoryTree = (categories) => {
+  const ids = new Set(categories.map(({ id }) => id));
+  const walk = (parentId, depth) => categories
+    .filter((category) => (depth === 0 ? !ids.has(category.parentId) : category.parentId === parentId))
+    .flatMap((category) => [{ ...category, depth }, ...walk(category.id, depth + 1)]);
+  return walk(null, 0);
+};
+
 export default function Products() {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
+  const [facets, setFacets] = useState(null);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [sort, setSort] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     fetchProducts();
-  }, []);
+  }, [filters, sort]);
 
-  const fetchProducts = async () => {
+  // Without a cursor the first page replaces the list; with one it is appended
+  const fetchProducts = async (cursor) => {
+    const { category, priceRange, inStock } = filters;
     try {
-      const response = await productsAPI.getAll({ search });
-      setProducts(response.data.data.products);
+      const response = await productsAPI.getAll({
+        search: search || undefined,
+        // Best match ranks by relevance when searching and falls back to newest
+        sort: sort || undefined,
+        cursor,
+        category: category || undefined,
+        minPrice: priceRange?.min,
+        // Facet ranges exclude their upper bound; maxPrice includes it
+        maxPrice: priceRange?.max ? (priceRange.max - 0.01).toFixed(2) : undefined,
+        inStock: inStock || undefined,
+      });
+      const { products: page, facets: pageFacets, pagination } = response.data.data;
+      setProducts(cursor ? [...products, ...page] : page);
+      setFacets(pageFacets);
+      setNextCursor(pagination.nextCursor);
     } catch (error) {
       toast.error('Failed to load products');
     } finally {
@@ -28,6 +71,21 @@ export default function Products() {
     fetchProducts();
   };
 
+  const loadMore = async () => {
+    setLoadingMore(true);
+    await fetchProducts(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const isSelected = (key, value) => (key === 'priceRange'
+    ? filters.priceRange?.min === value.min
+    : filters[key] === value);
+
+  // Clicking the selected facet value again clears it
+  const toggleFilter = (key, value) => {
+    setFilters({ ...filters, [key]: isSelected(key, value) ? NO_FILTERS[key] : value });
+  };
+
   if (loading) {
     return <div className="flex justify-center items-center min-h-screen">Loading...</div>;
   }
@@ -46,42 +104,117 @@ export default function Products() {
             className="input-field w-64"
           />
           <button type="submit" className="btn-primary">Search</button>
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="input-field w-48"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </form>
       </div>
 
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-        {products.map((product) => (
-          <Link
-            key={product.id}
-            to={`/products/${product.id}`}
-            className="card hover:shadow-lg transition-shadow"
-          >
-            <div className="aspect-w-1 aspect-h-1 w-full overflow-hidden rounded-lg bg-gray-200 mb-4">
-              <img
-                src={product.image_url || 'https://via.placeholder.com/300'}
-                alt={product.name}
-                className="h-48 w-full object-cover"
-              />
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Facets */}
+        {facets && (
+          <aside className="space-y-6">
+            <div>
+              <h2 className="text-sm font-semibold text-gray-900 mb-2">Category</h2>
+              <ul className="space-y-1">
+                {categoryTree(facets.categories).map(({ slug, name, count, depth }) => (
+                  <li key={slug} style={{ paddingLeft: `${depth * 0.75}rem` }}>
+                    <button
+                      onClick={() => toggleFilter('category', slug)}
+                      className={`text-sm ${isSelected('category', slug) ? 'font-semibold text-primary-600' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      {name} ({count})
+                    </button>
+                  </li>
+                ))}
+              </ul>
             </div>
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">{product.name}</h3>
-            <p className="text-sm text-gray-600 mb-4 line-clamp-2">{product.description}</p>
-            <div className="flex justify-between items-center">
-              <span className="text-2xl font-bold text-primary-600">
-                ${product.price}
-              </span>
-              <span className="text-sm text-gray-500">
-                Stock: {product.stock}
-              </span>
+            <div>
+              <h2 className="text-sm font-semibold text-gray-900 mb-2">Price</h2>
+              <ul className="space-y-1">
+                {facets.priceRanges.filter(({ count }) => count > 0).map((range) => (
+                  <li key={range.min}>
+                    <button
+                      onClick={() => toggleFilter('priceRange', range)}
+                      className={`text-sm ${isSelected('priceRange', range) ? 'font-semibold text-primary-600' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      {formatRange(range)} ({range.count})
+                    </button>
+                  </li>
+                ))}
+              </ul>
             </div>
-          </Link>
-        ))}
-      </div>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={filters.inStock}
+                onChange={() => toggleFilter('inStock', true)}
+              />
+              In stock only ({facets.availability.inStock})
+            </label>
+          </aside>
+        )}
+
+        <div className="lg:col-span-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+            {products.map((product) => (
+              <Link
+                key={product.id}
+                to={`/products/${product.id}`}
+                className="card hover:shadow-lg transition-shadow"
+              >
+                <div className="aspect-w-1 aspect-h-1 w-full overflow-hidden rounded-lg bg-gray-200 mb-4">
+                  <img
+                    src={product.image_url || 'https://via.placeholder.com/300'}
+                    alt={product.name}
+                    className="h-48 w-full object-cover"
+                  />
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">{product.name}</h3>
+                {product.rating_count > 0 && (
+                  <p className="text-sm text-gray-600 mb-2">
+                    <span className="text-yellow-500">★</span> {Number(product.rating_average).toFixed(1)}
+                    <span className="text-gray-400"> ({product.rating_count})</span>
+                  </p>
+                )}
+                <p className="text-sm text-gray-600 mb-4 line-clamp-2">{product.description}</p>
+                <div className="flex justify-between items-center">
+                  <span className="text-2xl font-bold text-primary-600">
+                    ${product.price}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    Stock: {product.stock}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
 
-      {products.length === 0 && (
-        <div className="text-center py-12">
-          <p className="text-gray-500">No products found</p>
+          {products.length === 0 && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">No products found</p>
+            </div>
+          )}
+
+          {nextCursor && (
+            <div className="text-center mt-8">
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="btn-secondary disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
         </div>
-      )}
+      </div>
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { useNavigate, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuthStore } from '../store/authStore';
+import { cartAPI } from '../lib/api';
 
 export default function Register() {
   const navigate = useNavigate();
@@ -12,7 +13,12 @@ export default function Register() {
   const onSubmit = async (data) => {
     const { confirmPassword, ...userData } = data;
     const success = await registerUser(userData);
-    if (success) {
+    if (useAuthStore.getState().mfa) {
+      // The sign-in page walks the user through MFA enrolment
+      navigate('/login');
+    } else if (success) {
+      // Keep whatever was put in the cart before signing in
+      await cartAPI.mergeGuestCart().catch((error) => console.error('Cart merge error:', error));
       navigate('/products');
     }
   };
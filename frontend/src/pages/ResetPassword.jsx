@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { authAPI } from '../lib/api';
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [loading, setLoading] = useState(false);
+  const { register, handleSubmit, watch, formState: { errors } } = useForm();
+
+  const password = watch('password');
+
+  const onSubmit = async ({ password: newPassword }) => {
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, newPassword);
+      toast.success('Password reset. Please sign in.');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-[80vh] flex flex-col items-center justify-center gap-4">
+        <p className="text-gray-700">This reset link is incomplete.</p>
+        <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">New password</label>
+              <input
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: { value: 8, message: 'Min 8 characters' },
+                  pattern: {
+                    value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                    message: 'Must contain uppercase, lowercase, and number'
+                  }
+                })}
+                type="password"
+                className="input-field mt-1"
+              />
+              {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Confirm new password</label>
+              <input
+                {...register('confirmPassword', {
+                  required: 'Please confirm password',
+                  validate: value => value === password || 'Passwords do not match'
+                })}
+                type="password"
+                className="input-field mt-1"
+              />
+              {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>}
+            </div>
+          </div>
+
+          <button type="submit" disabled={loading} className="btn-primary w-full">
+            {loading ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { mfaAPI, sessionsAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+import MfaEnrollment, { RecoveryCodes } from '../components/MfaEnrollment';
+
+const errorMessage = (error, fallback) => {
+  const { error: message, details } = error.response?.data || {};
+  return details?.length ? details.join(', ') : message || fallback;
+};
+
+function MfaPolicy() {
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    mfaAPI.getPolicy()
+      .then((response) => setPolicy(response.data.data))
+      .catch((error) => toast.error(errorMessage(error, 'Failed to load MFA policy')));
+  }, []);
+
+  if (!policy) return null;
+
+  const toggleRole = (role) => {
+    const requiredRoles = policy.requiredRoles.includes(role)
+      ? policy.requiredRoles.filter((r) => r !== role)
+      : [...policy.requiredRoles, role];
+    setPolicy({ ...policy, requiredRoles });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await mfaAPI.updatePolicy(policy.requiredRoles);
+      setPolicy(response.data.data);
+      toast.success('MFA policy saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save MFA policy'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <h2 className="text-xl font-semibold text-gray-900">MFA policy</h2>
+      <p className="text-sm text-gray-600">
+        Users in these roles must set up MFA at their next sign-in and cannot turn it off.
+      </p>
+      <div className="flex gap-6">
+        {policy.enforceableRoles.map((role) => (
+          <label key={role} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={policy.requiredRoles.includes(role)}
+              onChange={() => toggleRole(role)}
+            />
+            {role}
+          </label>
+        ))}
+      </div>
+      <button onClick={handleSave} disabled={saving} className="btn-primary disabled:opacity-50">
+        {saving ? 'Saving...' : 'Save policy'}
+      </button>
+    </div>
+  );
+}
+
+function MfaSettings() {
+  const { user } = useAuthStore();
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [enrolPassword, setEnrolPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await mfaAPI.getStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load security settings'));
+    }
+  };
+
+  const handleEnrolled = () => {
+    setEnrolling(false);
+    setEnrolPassword('');
+    fetchStatus();
+  };
+
+  // A wrong password ends the attempt, back to the password form
+  const startEnrolment = () => mfaAPI.enroll(enrolPassword)
+    .then((response) => response.data.data)
+    .catch((error) => {
+      setEnrolling(false);
+      throw error;
+    });
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await mfaAPI.regenerateRecoveryCodes(regenerateCode);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setRegenerateCode('');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to replace recovery codes'));
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!confirm('Turn off multi-factor authentication?')) return;
+    try {
+      await mfaAPI.disable(disableForm);
+      toast.success('Multi-factor authentication disabled');
+      setDisableForm({ password: '', code: '' });
+      fetchStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to disable MFA'));
+    }
+  };
+
+  if (!status) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900">Multi-factor authentication</h2>
+          <span
+            className={`px-2 py-1 rounded-full text-xs font-medium ${
+              status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}
+          >
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        </div>
+
+        {status.required && !status.enabled && (
+          <p className="text-sm text-yellow-800">
+            Your role requires MFA. You will be asked to set it up at your next sign-in.
+          </p>
+        )}
+
+        {!status.enabled && (
+          enrolling ? (
+            <MfaEnrollment
+              onStart={startEnrolment}
+              onConfirm={(code) => mfaAPI.confirm(code).then((response) => response.data.data.recoveryCodes)}
+              onDone={handleEnrolled}
+            />
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                Ask for a code from an authenticator app in addition to your password when signing in.
+                Your other sessions are signed out once it is on.
+              </p>
+              <form onSubmit={(e) => { e.preventDefault(); setEnrolling(true); }} className="flex gap-2">
+                <input
+                  type="password"
+                  placeholder="Password"
+                  value={enrolPassword}
+                  onChange={(e) => setEnrolPassword(e.target.value)}
+                  required
+                  className="input-field flex-1"
+                />
+                <button type="submit" className="btn-primary">
+                  Set up MFA
+                </button>
+              </form>
+            </>
+          )
+        )}
+
+        {status.enabled && (
+          recoveryCodes ? (
+            <RecoveryCodes
+              codes={recoveryCodes}
+              onDone={() => { setRecoveryCodes(null); fetchStatus(); }}
+            />
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                {status.recoveryCodesRemaining} unused recovery codes left.
+              </p>
+              <form onSubmit={handleRegenerate} className="flex gap-2">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Code from your app"
+                  value={regenerateCode}
+                  onChange={(e) => setRegenerateCode(e.target.value)}
+                  maxLength={6}
+                  required
+                  className="input-field flex-1"
+                />
+                <button type="submit" className="btn-secondary">
+                  New recovery codes
+                </button>
+              </form>
+
+              {status.required ? (
+                <p className="text-sm text-gray-500">MFA is required for your role and cannot be turned off.</p>
+              ) : (
+                <form onSubmit={handleDisable} className="space-y-2 pt-4 border-t">
+                  <h3 className="text-sm font-medium text-gray-900">Turn off MFA</h3>
+                  <input
+                    type="password"
+                    placeholder="Password"
+                    value={disableForm.password}
+                    onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                    required
+                    className="input-field"
+                  />
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    placeholder="Code from your app"
+                    value={disableForm.code}
+                    onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                    maxLength={6}
+                    required
+                    className="input-field"
+                  />
+                  <button type="submit" className="btn-secondary text-red-600">
+                    Turn off MFA
+                  </button>
+                </form>
+              )}
+            </>
+          )
+        )}
+      </div>
+
+      {user?.role === 'ADMIN' && <MfaPolicy />}
+    </div>
+  );
+}
+
+function Sessions() {
+  const navigate = useNavigate();
+  const { user, logout } = useAuthStore();
+  const [sessions, setSessions] = useState(null);
+  const [userId, setUserId] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await sessionsAPI.list();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load sessions'));
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current && !confirm('This signs you out on this device. Continue?')) return;
+    try {
+      await sessionsAPI.revoke(session.id);
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to sign out session'));
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!confirm('Sign out everywhere except this device?')) return;
+    try {
+      const response = await sessionsAPI.revokeOthers();
+      toast.success(`Signed out of ${response.data.data.revoked} other sessions`);
+      fetchSessions();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to sign out other sessions'));
+    }
+  };
+
+  const handleForceLogout = async (e) => {
+    e.preventDefault();
+    if (!confirm('Sign this user out of every session?')) return;
+    try {
+      const response = await sessionsAPI.revokeForUser(userId.trim());
+      toast.success(`User signed out of ${response.data.data.revoked} sessions`);
+      setUserId('');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to sign out user'));
+    }
+  };
+
+  if (!sessions) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900">Active sessions</h2>
+          {sessions.length > 1 && (
+            <button onClick={handleRevokeOthers} className="btn-secondary text-sm">
+              Sign out everywhere else
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-gray-600">
+          Devices signed in to your account. A signed-out device may keep access for a short
+          while, until its current access token expires.
+        </p>
+
+        <ul className="divide-y">
+          {sessions.map((session) => (
+            <li key={session.id} className="py-3 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ipAddress || 'Unknown IP'} · signed in {new Date(session.createdAt).toLocaleString()} ·
+                  last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button onClick={() => handleRevoke(session)} className="text-sm text-red-600 hover:underline">
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {user?.role === 'ADMIN' && (
+        <form onSubmit={handleForceLogout} className="card space-y-4">
+          <h2 className="text-xl font-semibold text-gray-900">Sign out a user</h2>
+          <p className="text-sm text-gray-600">Ends every session of the user, for example after a compromised account.</p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="User ID"
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+              required
+              className="input-field flex-1"
+            />
+            <button type="submit" className="btn-secondary text-red-600">
+              Sign out everywhere
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+const TABS = [
+  { id: 'mfa', label: 'Two-step verification' },
+  { id: 'sessions', label: 'Sessions' },
+];
+
+export default function Security() {
+  const [tab, setTab] = useState('mfa');
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8">
+      <h1 className="text-3xl font-bold text-gray-900">Security</h1>
+
+      <div className="flex gap-6 border-b">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`pb-2 text-sm font-medium ${
+              tab === id ? 'border-b-2 border-primary-600 text-primary-600' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'mfa' ? <MfaSettings /> : <Sessions />}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../store/authStore';
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, markEmailVerified } = useAuthStore();
+  // 'verifying', 'verified' or 'failed'
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  // Tokens work once, so never send the same one twice
+  const sentToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || sentToken.current === token) return;
+    sentToken.current = token;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        if (user?.id === response.data.data.user.id) {
+          markEmailVerified();
+        }
+      })
+      .catch(() => setStatus('failed'));
+  }, [token]);
+
+  return (
+    <div className="min-h-[80vh] flex flex-col items-center justify-center gap-4 px-4 text-center">
+      {status === 'verifying' && <p className="text-gray-700">Verifying your email address...</p>}
+
+      {status === 'verified' && (
+        <>
+          <h2 className="text-3xl font-extrabold text-gray-900">Email verified</h2>
+          <p className="text-gray-700">You can now place orders and list products.</p>
+          <Link to={user ? '/products' : '/login'} className="btn-primary">
+            {user ? 'Browse products' : 'Sign in'}
+          </Link>
+        </>
+      )}
+
+      {status === 'failed' && (
+        <>
+          <h2 className="text-3xl font-extrabold text-gray-900">Link not valid</h2>
+          <p className="text-gray-700">
+            This verification link is invalid, was already used or has expired.
+            {user?.emailVerified === false && ' Use "Resend email" above to get a new one.'}
+            {!user && ' Sign in to request a new one.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -10,6 +10,10 @@ const BASE_URL = window.location.hostname === 'localhost'
 
 const API_URL = import.meta.env.VITE_AUTH_URL || `${BASE_URL}:3001`;
 
+// A refresh token works once, so two refreshes racing with the same token
+// would look like a stolen token and end the session. Share one instead.
+let pendingRefresh = null;
+
 export const useAuthStore = create(
   persist(
     (set, get) => ({
@@ -19,11 +23,25 @@ export const useAuthStore = create(
       isAuthenticated: false,
       loading: false,
 
+      // Set while a login waits for the second factor: { token, step },
+      // step being 'verify' (enter a code) or 'enroll' (set up MFA first)
+      mfa: null,
+
       login: async (credentials) => {
         set({ loading: true });
         try {
           const response = await axios.post(`${API_URL}/auth/login`, credentials);
-          const { user, accessToken, refreshToken } = response.data.data;
+          const { data } = response.data;
+
+          if (data.mfaRequired || data.mfaEnrollmentRequired) {
+            set({
+              mfa: { token: data.mfaToken, step: data.mfaRequired ? 'verify' : 'enroll' },
+              loading: false,
+            });
+            return false;
+          }
+
+          const { user, accessToken, refreshToken } = data;
           
           set({
             user,
@@ -42,11 +60,77 @@ export const useAuthStore = create(
         }
       },
 
+      // Second login step: factor is { code } or { recoveryCode }
+      loginWithMfa: async (factor) => {
+        set({ loading: true });
+        try {
+          const response = await axios.post(`${API_URL}/auth/login/mfa`, {
+            mfaToken: get().mfa?.token,
+            ...factor,
+          });
+          const { user, accessToken, refreshToken, recoveryCodesRemaining } = response.data.data;
+
+          set({
+            user,
+            accessToken,
+            refreshToken,
+            isAuthenticated: true,
+            loading: false,
+            mfa: null,
+          });
+
+          toast.success('Login successful!');
+          if (recoveryCodesRemaining !== undefined) {
+            toast(`You have ${recoveryCodesRemaining} recovery codes left`);
+          }
+          return true;
+        } catch (error) {
+          set({ loading: false });
+          toast.error(error.response?.data?.error || 'Login failed');
+          return false;
+        }
+      },
+
+      // MFA enrolment required before login can finish
+      startMfaEnrollment: async () => {
+        const response = await axios.post(`${API_URL}/auth/mfa/enroll`, { mfaToken: get().mfa?.token });
+        return response.data.data;
+      },
+
+      // Returns the recovery codes. The user is signed in once it resolves;
+      // mfa stays set until cancelMfa so the codes can be shown first.
+      confirmMfaEnrollment: async (code) => {
+        const response = await axios.post(`${API_URL}/auth/mfa/confirm`, {
+          mfaToken: get().mfa?.token,
+          code,
+        });
+        const { user, accessToken, refreshToken, recoveryCodes } = response.data.data;
+
+        set({
+          user,
+          accessToken,
+          refreshToken,
+          isAuthenticated: true,
+        });
+        return recoveryCodes;
+      },
+
+      cancelMfa: () => set({ mfa: null }),
+
       register: async (userData) => {
         set({ loading: true });
         try {
           const response = await axios.post(`${API_URL}/auth/register`, userData);
-          const { user, accessToken, refreshToken } = response.data.data;
+          const { data } = response.data;
+
+          // Roles that must use MFA enrol before they get a session
+          if (data.mfaEnrollmentRequired) {
+            set({ mfa: { token: data.mfaToken, step: 'enroll' }, loading: false });
+            toast.success('Account created! Set up two-step verification to sign in.');
+            return false;
+          }
+
+          const { user, accessToken, refreshToken } = data;
           
           set({
             user,
@@ -56,7 +140,7 @@ export const useAuthStore = create(
             loading: false,
           });
           
-          toast.success('Registration successful!');
+          toast.success('Registration successful! Check your email to verify your address.');
           return true;
         } catch (error) {
           set({ loading: false });
@@ -90,6 +174,34 @@ export const useAuthStore = create(
         }
       },
 
+      // Exchange the refresh token for new tokens; resolves to the access token
+      refreshSession: () => {
+        if (!pendingRefresh) {
+          pendingRefresh = axios.post(`${API_URL}/auth/refresh`, { refreshToken: get().refreshToken })
+            .then((response) => {
+              const { accessToken, refreshToken } = response.data.data;
+              set({ accessToken, refreshToken });
+              return accessToken;
+            })
+            .finally(() => {
+              pendingRefresh = null;
+            });
+        }
+        return pendingRefresh;
+      },
+
+      // After verifying the email, fetch an access token that says so
+      markEmailVerified: async () => {
+        const { user } = get();
+        if (!user) return;
+        set({ user: { ...user, emailVerified: true } });
+        try {
+          await get().refreshSession();
+        } catch (error) {
+          console.error('Token refresh error:', error);
+        }
+      },
+
       getAccessToken: () => get().accessToken,
     }),
     {
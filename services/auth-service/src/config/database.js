@@ -5,6 +5,7 @@
 
 import pg from 'pg';
 import { logger } from '../../../shared/utils/logger.js';
+import { createOutbox } from '../../../shared/events/outbox.js';
 
 const { Pool } = pg;
 
@@ -62,6 +63,29 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run a callback inside a single database transaction
+ * @param {function} callback - Receives a dedicated client, returns a promise
+ * @returns {Promise} - Callback result once committed
+ */
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Domain events written alongside the data that produced them
+export const outbox = createOutbox({ pool, source: 'auth-service' });
+
 /**
  * Initialize database schema
  */
@@ -101,6 +125,87 @@ export async function initializeDatabase() {
 
     await query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)');
 
+    // Rotation: each refresh replaces the token with the next one in its
+    // family (one family per sign-in). Tokens from before rotation start a
+    // family of their own.
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID');
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0');
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL');
+    await query('UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL');
+    await query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON refresh_tokens(token_hash)');
+
+    // Where each token was issued to, shown in the list of sessions. The
+    // live token of a family was issued at its last refresh.
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT');
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS ip_address TEXT');
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+
+    // A rotated token keeps its successor, encrypted, so a refresh whose
+    // response was lost can be repeated within the grace period
+    await query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replacement_token TEXT');
+
+    // Password reset tokens, stored hashed; each works once until it expires
+    await query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+
+    // Accounts registered from now on start unverified; existing ones
+    // count as verified
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT true');
+    await query('ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false');
+
+    // Email verification tokens, stored hashed like password reset tokens
+    await query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id)');
+
+    // TOTP MFA. mfa_secret is encrypted, set at enrolment and in use once
+    // mfa_enabled; mfa_last_used_step stops an accepted code being replayed.
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT false');
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret TEXT');
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id)');
+
+    // Settings admins change at runtime, such as which roles must use MFA
+    await query(`
+      CREATE TABLE IF NOT EXISTS security_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by UUID,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create audit log table
     await query(`
       CREATE TABLE IF NOT EXISTS audit_logs (
@@ -118,6 +223,8 @@ export async function initializeDatabase() {
     await query('CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at)');
 
+    await outbox.initialize();
+
     logger.info('Database schema initialized successfully');
   } catch (error) {
     logger.error('Database initialization failed', { error: error.message });
@@ -128,5 +235,7 @@ export async function initializeDatabase() {
 export default {
   query,
   pool,
+  withTransaction,
+  outbox,
   initializeDatabase,
 };
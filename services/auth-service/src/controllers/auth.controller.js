@@ -6,12 +6,43 @@
 
 import { asyncHandler, ValidationError, AuthenticationError, ConflictError } from '../../../shared/middleware/errorHandler.js';
 import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
-import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../../../shared/utils/jwt.js';
-import { logAuthEvent, logSecurityEvent } from '../../../shared/utils/logger.js';
-import userModel from '../models/user.model.js';
+import { generateMfaToken, verifyRefreshToken } from '../../../shared/utils/jwt.js';
+import { logger, logAuthEvent, logSecurityEvent } from '../../../shared/utils/logger.js';
+import userModel, {
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REFRESH_TOKEN_STATUS,
+} from '../models/user.model.js';
+import mfaModel from '../models/mfa.model.js';
+import {
+  issueSession,
+  issueAccessToken,
+  rotateRefreshToken,
+  toSessionUser,
+  completeLogin,
+} from '../utils/session.js';
+import { checkSecondFactor, readMfaToken, isMfaRequired } from '../utils/mfa.js';
+import { sendMail } from '../mail/mailer.js';
+import { passwordResetEmail, emailVerificationEmail } from '../mail/templates.js';
+
+// Same answer whether or not the email belongs to an account
+const PASSWORD_RESET_REQUESTED_MESSAGE = 'If an account exists for this email, a password reset link has been sent';
 
 /**
- * Register new user
+ * Create a verification token for a user and email it
+ */
+async function sendEmailVerification(user) {
+  const token = await userModel.createEmailVerificationToken(user.id);
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+  });
+}
+
+/**
+ * Register new user. The account starts unverified and is emailed a
+ * verification link. Roles that must use MFA get an MFA token to enrol
+ * with instead of a session, as at login.
  * @route POST /auth/register
  */
 const register = asyncHandler(async (req, res) => {
@@ -33,43 +64,45 @@ const register = asyncHandler(async (req, res) => {
   // Create user
   const user = await userModel.create({ email, password, role });
 
+  // A mail outage must not fail the registration; the user can ask again
+  sendEmailVerification(user).catch((error) => {
+    logger.error('Failed to send verification email', { userId: user.id, error: error.message });
+  });
+
   // Log auth event
   logAuthEvent('register', user.id, true, {
     ip: req.ip,
     userAgent: req.get('user-agent'),
   });
 
-  // Generate tokens
-  const accessToken = generateAccessToken({
-    userId: user.id,
-    email: user.email,
-    role: user.role,
-  });
-
-  const refreshToken = generateRefreshToken({
-    userId: user.id,
-  });
+  if (await isMfaRequired(user.role)) {
+    res.status(201).json({
+      success: true,
+      message: 'User registered; set up multi-factor authentication to continue',
+      data: {
+        user: toSessionUser(user),
+        mfaRequired: false,
+        mfaEnrollmentRequired: true,
+        mfaToken: generateMfaToken(user.id, 'enroll'),
+      },
+    });
+    return;
+  }
 
-  // Store refresh token
-  await userModel.storeRefreshToken(user.id, refreshToken);
+  const session = await issueSession(user, req);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     data: {
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-      },
-      accessToken,
-      refreshToken,
+      user: toSessionUser(user),
+      ...session,
     },
   });
 });
 
 /**
- * Login user
+ * Login user. Users who must use MFA get an MFA token instead of a session.
  * @route POST /auth/login
  */
 const login = asyncHandler(async (req, res) => {
@@ -116,47 +149,95 @@ const login = asyncHandler(async (req, res) => {
     throw new AuthenticationError('Invalid credentials');
   }
 
-  // Reset failed login attempts and update last login
-  await userModel.resetFailedLoginAttempts(user.id);
-  await userModel.updateLastLogin(user.id);
+  // The password alone does not sign in a user with MFA, nor one whose
+  // role requires MFA they have not set up. They get an MFA token to
+  // exchange at POST /auth/login/mfa, or to enrol with at /auth/mfa.
+  if (user.mfa_enabled || await isMfaRequired(user.role)) {
+    const purpose = user.mfa_enabled ? 'verify' : 'enroll';
 
-  // Log successful login
-  logAuthEvent('login', user.id, true, {
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-  });
+    logAuthEvent('login_password', user.id, true, {
+      ip: req.ip,
+      next: purpose,
+    });
 
-  // Generate tokens
-  const accessToken = generateAccessToken({
-    userId: user.id,
-    email: user.email,
-    role: user.role,
-  });
+    res.json({
+      success: true,
+      message: user.mfa_enabled
+        ? 'Enter the code from your authenticator app'
+        : 'Set up multi-factor authentication to continue',
+      data: {
+        mfaRequired: user.mfa_enabled,
+        mfaEnrollmentRequired: !user.mfa_enabled,
+        mfaToken: generateMfaToken(user.id, purpose),
+      },
+    });
+    return;
+  }
 
-  const refreshToken = generateRefreshToken({
-    userId: user.id,
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: await completeLogin(user, req),
   });
+});
 
-  // Store refresh token
-  await userModel.storeRefreshToken(user.id, refreshToken);
+/**
+ * Finish signing in with the MFA token from POST /auth/login and a code
+ * from the authenticator app, or a recovery code
+ * @route POST /auth/login/mfa
+ */
+const loginMfa = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    throw new ValidationError('Validation failed', ['mfaToken and a code or recoveryCode are required']);
+  }
+
+  const userId = readMfaToken(mfaToken, 'verify');
+  const user = userId ? await mfaModel.findState(userId) : null;
+
+  if (!user || !user.mfa_enabled) {
+    throw new AuthenticationError('Invalid or expired MFA token');
+  }
+
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    logSecurityEvent('ACCOUNT_LOCKED_LOGIN_ATTEMPT', {
+      userId: user.id,
+      ip: req.ip,
+    }, 'warn');
+    throw new AuthenticationError('Account is temporarily locked');
+  }
+
+  const factor = await checkSecondFactor(user, { code, recoveryCode });
+
+  if (!factor) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    await userModel.incrementFailedLoginAttempts(user.id);
+
+    logAuthEvent('login', user.id, false, {
+      ip: req.ip,
+      reason: 'Invalid MFA code',
+    });
+
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  const data = await completeLogin(user, req, { mfa: factor });
+  if (factor === 'recovery') {
+    data.recoveryCodesRemaining = await mfaModel.countRecoveryCodes(user.id);
+  }
 
   res.json({
     success: true,
     message: 'Login successful',
-    data: {
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-      },
-      accessToken,
-      refreshToken,
-    },
+    data,
   });
 });
 
 /**
- * Refresh access token
+ * Refresh access token. The refresh token is single use: it is exchanged
+ * for a new one, and presenting it again signs out the whole sign-in it
+ * came from.
  * @route POST /auth/refresh
  */
 const refreshToken = asyncHandler(async (req, res) => {
@@ -169,13 +250,6 @@ const refreshToken = asyncHandler(async (req, res) => {
   // Verify refresh token
   const decoded = verifyRefreshToken(refreshToken);
 
-  // Check if token is revoked
-  const isValid = await userModel.validateRefreshToken(decoded.userId, refreshToken);
-  
-  if (!isValid) {
-    throw new AuthenticationError('Invalid or revoked refresh token');
-  }
-
   // Get user
   const user = await userModel.findById(decoded.userId);
   
@@ -183,17 +257,38 @@ const refreshToken = asyncHandler(async (req, res) => {
     throw new AuthenticationError('User not found');
   }
 
-  // Generate new access token
-  const newAccessToken = generateAccessToken({
-    userId: user.id,
-    email: user.email,
-    role: user.role,
-  });
+  // Sessions from before the role required MFA end here; signing in again
+  // leads the user through enrolment
+  if (!user.mfa_enabled && await isMfaRequired(user.role)) {
+    await userModel.revokeAllRefreshTokens(user.id);
+    logSecurityEvent('REFRESH_MFA_ENROLLMENT_REQUIRED', {
+      userId: user.id,
+      ip: req.ip,
+    }, 'warn');
+    throw new AuthenticationError('Multi-factor authentication must be set up; please sign in again');
+  }
+
+  const rotation = await rotateRefreshToken(user.id, refreshToken, req);
+
+  if (rotation.status === REFRESH_TOKEN_STATUS.REUSED) {
+    // Either the user or someone holding a stolen copy already used it
+    logSecurityEvent('REFRESH_TOKEN_REUSE', {
+      userId: user.id,
+      familyId: rotation.familyId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    }, 'error');
+  }
+
+  if (rotation.status !== REFRESH_TOKEN_STATUS.ROTATED) {
+    throw new AuthenticationError('Invalid or revoked refresh token');
+  }
 
   res.json({
     success: true,
     data: {
-      accessToken: newAccessToken,
+      accessToken: issueAccessToken(user, rotation.familyId),
+      refreshToken: rotation.token,
     },
   });
 });
@@ -238,6 +333,8 @@ const getCurrentUser = asyncHandler(async (req, res) => {
         id: user.id,
         email: user.email,
         role: user.role,
+        emailVerified: user.email_verified,
+        mfaEnabled: user.mfa_enabled,
         createdAt: user.created_at,
         lastLogin: user.last_login,
       },
@@ -288,11 +385,164 @@ const changePassword = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Create a reset token for a user and email it
+ */
+async function sendPasswordReset(user, ip) {
+  const token = await userModel.createPasswordResetToken(user.id);
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+  });
+
+  logSecurityEvent('PASSWORD_RESET_REQUESTED', {
+    userId: user.id,
+    ip,
+  }, 'info');
+}
+
+/**
+ * Request a password reset link. The response never tells whether the
+ * email belongs to an account, and the email is sent after responding so
+ * the response time does not tell either.
+ * @route POST /auth/password/forgot
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, {
+    email: validationSchemas.user.email,
+  });
+
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const user = await userModel.findByEmail(validation.sanitized.email);
+  if (user) {
+    sendPasswordReset(user, req.ip).catch((error) => {
+      logger.error('Failed to send password reset email', { userId: user.id, error: error.message });
+    });
+  }
+
+  res.json({
+    success: true,
+    message: PASSWORD_RESET_REQUESTED_MESSAGE,
+  });
+});
+
+/**
+ * Set a new password with a reset token, and sign out every session
+ * @route POST /auth/password/reset
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    throw new ValidationError('Validation failed', ['token is required']);
+  }
+
+  const validation = validateInput({ password: newPassword }, {
+    password: validationSchemas.user.password,
+  });
+
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const userId = await userModel.resetPassword(token, newPassword);
+
+  if (!userId) {
+    logSecurityEvent('PASSWORD_RESET_FAILED', {
+      ip: req.ip,
+      reason: 'Invalid, used or expired token',
+    }, 'warn');
+    throw new ValidationError('Validation failed', ['token is invalid or has expired']);
+  }
+
+  await userModel.revokeAllRefreshTokens(userId);
+
+  logSecurityEvent('PASSWORD_RESET', {
+    userId,
+    ip: req.ip,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please sign in with your new password.',
+  });
+});
+
+/**
+ * Verify an email address with the token from the verification email
+ * @route POST /auth/verify-email
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    throw new ValidationError('Validation failed', ['token is required']);
+  }
+
+  const user = await userModel.verifyEmail(token);
+
+  if (!user) {
+    logSecurityEvent('EMAIL_VERIFICATION_FAILED', {
+      ip: req.ip,
+      reason: 'Invalid, used or expired token',
+    }, 'warn');
+    throw new ValidationError('Validation failed', ['token is invalid or has expired']);
+  }
+
+  logSecurityEvent('EMAIL_VERIFIED', {
+    userId: user.id,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.email_verified,
+      },
+    },
+  });
+});
+
+/**
+ * Send the current user a new verification email
+ * @route POST /auth/verify-email/resend
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await userModel.findById(req.user.userId);
+
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+
+  if (user.email_verified) {
+    throw new ConflictError('Email is already verified');
+  }
+
+  await sendEmailVerification(user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
 export default {
   register,
   login,
+  loginMfa,
   refreshToken,
   logout,
   getCurrentUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 };
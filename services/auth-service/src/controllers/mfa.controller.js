@@ -0,0 +1,290 @@
+/**
+ * MFA Controller
+ * TOTP enrolment, recovery codes and the admin policy on which roles must
+ * use MFA
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+} from '../../../shared/middleware/errorHandler.js';
+import { logSecurityEvent } from '../../../shared/utils/logger.js';
+import userModel from '../models/user.model.js';
+import mfaModel from '../models/mfa.model.js';
+import sessionModel from '../models/session.model.js';
+import {
+  ENFORCEABLE_ROLES,
+  createEnrolment,
+  matchTotp,
+  checkSecondFactor,
+  generateRecoveryCodes,
+  getRequiredRoles,
+  isMfaRequired,
+} from '../utils/mfa.js';
+import { completeLogin } from '../utils/session.js';
+
+/**
+ * The current user's MFA state
+ */
+async function findUser(req) {
+  const user = await mfaModel.findState(req.user.userId);
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+  return user;
+}
+
+function requireCode(code) {
+  if (!code) {
+    throw new ValidationError('Validation failed', ['code is required']);
+  }
+}
+
+/**
+ * Start enrolment: generate a secret for the authenticator app. Starting
+ * again replaces a secret that was never confirmed. With an access token
+ * the password is required too; the MFA token is only issued once it has
+ * been checked.
+ * @route POST /auth/mfa/enroll
+ */
+const enroll = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  if (!req.user.viaMfaToken && !password) {
+    throw new ValidationError('Validation failed', ['password is required']);
+  }
+
+  const user = await findUser(req);
+  if (!req.user.viaMfaToken && !await userModel.verifyPassword(user.id, password)) {
+    logSecurityEvent('MFA_ENROLMENT_FAILED', {
+      userId: user.id,
+      reason: 'Invalid password',
+    }, 'warn');
+    throw new AuthenticationError('Password is incorrect');
+  }
+
+  const enrolment = createEnrolment(user.email);
+
+  const started = await mfaModel.startEnrolment(user.id, enrolment.encryptedSecret);
+  if (!started) {
+    throw new ConflictError('MFA is already enabled');
+  }
+
+  logSecurityEvent('MFA_ENROLMENT_STARTED', {
+    userId: user.id,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Add this secret to your authenticator app, then confirm with a code',
+    data: {
+      secret: enrolment.secret,
+      otpauthUri: enrolment.otpauthUri,
+    },
+  });
+});
+
+/**
+ * Finish enrolment with a code from the app, turning MFA on. Signs out the
+ * user's other sessions, which were opened without a second factor. Returns
+ * the recovery codes, which are not shown again, and signs in a user who
+ * enrolled with the MFA token from login.
+ * @route POST /auth/mfa/confirm
+ */
+const confirm = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  requireCode(code);
+
+  const user = await findUser(req);
+  if (user.mfa_enabled) {
+    throw new ConflictError('MFA is already enabled');
+  }
+  if (!user.mfa_secret) {
+    throw new ValidationError('Validation failed', ['start enrolment first']);
+  }
+
+  const step = matchTotp(user, code);
+  if (step === null) {
+    throw new ValidationError('Validation failed', ['code is invalid']);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const enabled = await mfaModel.enable(user.id, step, hashes);
+  if (!enabled) {
+    throw new ConflictError('MFA is already enabled');
+  }
+
+  const revokedSessions = await sessionModel.revokeAllExcept(
+    user.id,
+    req.user.viaMfaToken ? null : req.user.sessionId || null
+  );
+
+  logSecurityEvent('MFA_ENABLED', {
+    userId: user.id,
+    revokedSessions,
+  }, 'info');
+
+  const session = req.user.viaMfaToken
+    ? await completeLogin(user, req, { mfa: 'enrolment' })
+    : {};
+
+  res.json({
+    success: true,
+    message: 'MFA enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes: codes,
+      ...session,
+    },
+  });
+});
+
+/**
+ * Replace the recovery codes, confirmed with a code from the app
+ * @route POST /auth/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  requireCode(code);
+
+  const user = await findUser(req);
+  if (!user.mfa_enabled) {
+    throw new ConflictError('MFA is not enabled');
+  }
+
+  if (!await checkSecondFactor(user, { code })) {
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await mfaModel.regenerateRecoveryCodes(user.id, hashes);
+
+  logSecurityEvent('MFA_RECOVERY_CODES_REGENERATED', {
+    userId: user.id,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Recovery codes replaced',
+    data: { recoveryCodes: codes },
+  });
+});
+
+/**
+ * Turn MFA off with the password and a code or recovery code. Not allowed
+ * for roles that must use MFA.
+ * @route DELETE /auth/mfa
+ */
+const disable = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    throw new ValidationError('Validation failed', ['password and a code or recoveryCode are required']);
+  }
+
+  const user = await findUser(req);
+  if (!user.mfa_enabled) {
+    throw new ConflictError('MFA is not enabled');
+  }
+
+  if (await isMfaRequired(user.role)) {
+    throw new AuthorizationError('MFA is required for your role');
+  }
+
+  const isValidPassword = await userModel.verifyPassword(user.id, password);
+  if (!isValidPassword || !await checkSecondFactor(user, { code, recoveryCode })) {
+    logSecurityEvent('MFA_DISABLE_FAILED', {
+      userId: user.id,
+      reason: 'Invalid password or code',
+    }, 'warn');
+    throw new AuthenticationError('Password or authentication code is incorrect');
+  }
+
+  await mfaModel.disable(user.id);
+
+  logSecurityEvent('MFA_DISABLED', {
+    userId: user.id,
+  }, 'warn');
+
+  res.json({
+    success: true,
+    message: 'MFA disabled',
+  });
+});
+
+/**
+ * Whether the current user has MFA on, must have it, and how many
+ * recovery codes are left
+ * @route GET /auth/mfa
+ */
+const getStatus = asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.mfa_enabled,
+      required: await isMfaRequired(user.role),
+      recoveryCodesRemaining: user.mfa_enabled ? await mfaModel.countRecoveryCodes(user.id) : 0,
+    },
+  });
+});
+
+/**
+ * Roles that must use MFA
+ * @route GET /auth/mfa/policy
+ */
+const getPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      requiredRoles: await getRequiredRoles(),
+      enforceableRoles: ENFORCEABLE_ROLES,
+    },
+  });
+});
+
+/**
+ * Set the roles that must use MFA. Users in them without MFA are signed out
+ * and asked to enrol at their next login.
+ * @route PUT /auth/mfa/policy
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles) || !requiredRoles.every((role) => ENFORCEABLE_ROLES.includes(role))) {
+    throw new ValidationError('Validation failed', [
+      `requiredRoles must be a list of: ${ENFORCEABLE_ROLES.join(', ')}`,
+    ]);
+  }
+
+  const roles = [...new Set(requiredRoles)];
+  const revokedSessions = await mfaModel.setRequiredRoles(roles, req.user.userId);
+
+  logSecurityEvent('MFA_POLICY_CHANGED', {
+    userId: req.user.userId,
+    requiredRoles: roles,
+    revokedSessions,
+  }, 'warn');
+
+  res.json({
+    success: true,
+    message: 'MFA policy updated',
+    data: {
+      requiredRoles: roles,
+      enforceableRoles: ENFORCEABLE_ROLES,
+      revokedSessions,
+    },
+  });
+});
+
+export default {
+  enroll,
+  confirm,
+  regenerateRecoveryCodes,
+  disable,
+  getStatus,
+  getPolicy,
+  updatePolicy,
+};
@@ -0,0 +1,166 @@
+/**
+ * Session Controller
+ * Lets users see and sign out their sessions, and admins sign out a user
+ */
+
+import { asyncHandler, ValidationError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+import { validateInput } from '../../../shared/utils/validation.js';
+import { logSecurityEvent } from '../../../shared/utils/logger.js';
+import sessionModel from '../models/session.model.js';
+import userModel from '../models/user.model.js';
+import { describeDevice } from '../utils/device.js';
+
+const ID_SCHEMA = { id: { required: true, type: 'uuid' } };
+
+/**
+ * A UUID from the URL, or a 404 for the given resource
+ */
+function uuidParam(value, notFoundMessage) {
+  const id = value.toLowerCase();
+  if (!validateInput({ id }, ID_SCHEMA).valid) {
+    throw new NotFoundError(notFoundMessage);
+  }
+  return id;
+}
+
+/**
+ * A session as shown to its user
+ * @param {object} session - Row from sessionModel.findActiveByUser
+ * @param {string} currentSessionId - Session of the request, if known
+ */
+function toSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * List the current user's active sessions
+ * @route GET /auth/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionModel.findActiveByUser(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => toSession(session, req.user.sessionId)),
+    },
+  });
+});
+
+/**
+ * Sign out one of the current user's sessions. Its access tokens keep
+ * working until they expire.
+ * @route DELETE /auth/sessions/:id
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const sessionId = uuidParam(req.params.id, 'Session not found');
+
+  const revoked = await sessionModel.revoke(req.user.userId, sessionId);
+  if (!revoked) {
+    throw new NotFoundError('Session not found');
+  }
+
+  logSecurityEvent('SESSION_REVOKED', {
+    userId: req.user.userId,
+    sessionId,
+    ip: req.ip,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Session signed out',
+  });
+});
+
+/**
+ * Sign out every session of the current user except this one. With an
+ * access token from before sessions had IDs, that includes this one.
+ * @route DELETE /auth/sessions
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionModel.revokeAllExcept(req.user.userId, req.user.sessionId || null);
+
+  logSecurityEvent('SESSIONS_REVOKED', {
+    userId: req.user.userId,
+    keptSessionId: req.user.sessionId,
+    count,
+    ip: req.ip,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    data: { revoked: count },
+  });
+});
+
+/**
+ * The user named by req.params.userId
+ */
+async function findUser(req) {
+  const user = await userModel.findById(uuidParam(req.params.userId, 'User not found'));
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+}
+
+/**
+ * List a user's active sessions
+ * @route GET /auth/users/:userId/sessions
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  const sessions = await sessionModel.findActiveByUser(user.id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => toSession(session, null)),
+    },
+  });
+});
+
+/**
+ * Sign a user out of every session
+ * @route DELETE /auth/users/:userId/sessions
+ */
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+
+  if (user.id === req.user.userId) {
+    throw new ValidationError('Validation failed', ['use DELETE /auth/sessions to sign out your own sessions']);
+  }
+
+  const count = await sessionModel.revokeAllExcept(user.id, null);
+
+  logSecurityEvent('USER_FORCE_LOGOUT', {
+    userId: user.id,
+    adminId: req.user.userId,
+    count,
+    ip: req.ip,
+  }, 'warn');
+
+  res.json({
+    success: true,
+    message: 'User signed out of all sessions',
+    data: { revoked: count },
+  });
+});
+
+export default {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSessions,
+};
@@ -0,0 +1,19 @@
+/**
+ * Console Mail Transport
+ * Writes each email to the service log instead of sending it. Messages
+ * contain live links and tokens, so this is for local runs only.
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+
+export function createConsoleTransport() {
+  return {
+    async send({ from, to, subject, text }) {
+      logger.info('Email (console transport)', { from, to, subject, text });
+    },
+  };
+}
+
+export default {
+  createConsoleTransport,
+};
@@ -0,0 +1,38 @@
+/**
+ * File Mail Transport
+ * Writes each email to its own file in MAIL_DIR instead of sending it, for
+ * local runs and for reading the messages a flow produced.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+  return {
+    async send({ from, to, subject, text }) {
+      await fs.mkdir(dir, { recursive: true });
+      // Timestamp first, so a directory listing is in the order mails were sent
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text,
+      ].join('\r\n');
+      await fs.writeFile(path.join(dir, name), message);
+    },
+  };
+}
+
+export default {
+  createFileTransport,
+};
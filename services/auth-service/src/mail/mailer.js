@@ -0,0 +1,97 @@
+/**
+ * Mailer
+ * Sends the service's emails through the configured transport, and the
+ * registry of transports.
+ *
+ * A transport is an object implementing:
+ *   send({ from, to, subject, text }) -> Promise, resolves once the message is handed over
+ *
+ * `console` and `file` are meant for local runs. Production loads its
+ * provider's transport from MAIL_TRANSPORT_MODULE, or registers one with
+ * registerMailTransport before initializeMailer runs.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createConsoleTransport } from './console.transport.js';
+import { createFileTransport } from './file.transport.js';
+
+// Write messages, including password reset links, where operators can read them
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const factories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Register an additional mail transport
+ * @param {string} name - Value of MAIL_TRANSPORT selecting it
+ * @param {function} factory - Returns a transport
+ */
+export function registerMailTransport(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured transport
+ * @returns {object} - Mail transport
+ */
+export function getMailTransport() {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+/**
+ * Load and check the configured transport at startup. MAIL_TRANSPORT_MODULE
+ * names a module whose default export is the factory for MAIL_TRANSPORT.
+ * In production the transport must be set and must not be a local one,
+ * unless MAIL_ALLOW_LOCAL_TRANSPORT=true (local stacks run as production).
+ */
+export async function initializeMailer() {
+  const name = process.env.MAIL_TRANSPORT;
+
+  if (process.env.MAIL_TRANSPORT_MODULE) {
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must name the transport in MAIL_TRANSPORT_MODULE');
+    }
+    const module = await import(pathToFileURL(path.resolve(process.env.MAIL_TRANSPORT_MODULE)).href);
+    if (typeof module.default !== 'function') {
+      throw new Error(`${process.env.MAIL_TRANSPORT_MODULE} must export a transport factory as default`);
+    }
+    registerMailTransport(name, module.default);
+  }
+
+  const localRefused = LOCAL_TRANSPORTS.includes(name) && process.env.MAIL_ALLOW_LOCAL_TRANSPORT !== 'true';
+  if (process.env.NODE_ENV === 'production' && (!name || localRefused)) {
+    throw new Error(`MAIL_TRANSPORT must name a provider transport in production, not ${name || 'the console default'}`);
+  }
+
+  getMailTransport();
+}
+
+/**
+ * Send an email from MAIL_FROM
+ * @param {object} message - { to, subject, text }
+ */
+export async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'Marketplace <no-reply@marketplace.local>';
+  await getMailTransport().send({ from, to, subject, text });
+}
+
+export default {
+  sendMail,
+  getMailTransport,
+  registerMailTransport,
+  initializeMailer,
+};
@@ -0,0 +1,53 @@
+/**
+ * Email Templates
+ * Plain-text messages sent by the auth service; links point at the frontend
+ */
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+/**
+ * Email with a link to choose a new password
+ * @param {object} data - { token, expiresInMinutes }
+ * @returns {object} - { subject, text }
+ */
+export function passwordResetEmail({ token, expiresInMinutes }) {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Reset your password',
+    text: [
+      'Someone asked to reset the password of your Marketplace account.',
+      '',
+      `Choose a new password here within ${expiresInMinutes} minutes:`,
+      link,
+      '',
+      'The link works once. If you did not ask for it, ignore this email;',
+      'your password has not changed.',
+    ].join('\n'),
+  };
+}
+
+/**
+ * Email with a link confirming the address belongs to the account
+ * @param {object} data - { token, expiresInHours }
+ * @returns {object} - { subject, text }
+ */
+export function emailVerificationEmail({ token, expiresInHours }) {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Confirm your email address',
+    text: [
+      'Welcome to Marketplace!',
+      '',
+      `Confirm your email address here within ${expiresInHours} hours:`,
+      link,
+      '',
+      'Until you do, you can browse and sign in but not place orders or list',
+      'products. If you did not create this account, ignore this email.',
+    ].join('\n'),
+  };
+}
+
+export default {
+  passwordResetEmail,
+  emailVerificationEmail,
+};
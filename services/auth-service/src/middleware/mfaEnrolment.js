@@ -0,0 +1,34 @@
+/**
+ * MFA Enrolment Authentication
+ * A user whose role requires MFA cannot sign in until they enrol, so the
+ * enrolment endpoints also accept the MFA token that login or registration
+ * hands them.
+ */
+
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { readMfaToken } from '../utils/mfa.js';
+
+/**
+ * Authenticate with an enrolment MFA token in the body, or else a bearer
+ * access token. Sets req.user.viaMfaToken when the MFA token was used.
+ */
+export function authenticateForEnrolment(req, res, next) {
+  const mfaToken = req.body?.mfaToken;
+  if (!mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  const userId = readMfaToken(mfaToken, 'enroll');
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired MFA token',
+      code: 'AUTH_TOKEN_INVALID',
+    });
+  }
+
+  req.user = { userId, viaMfaToken: true };
+  return next();
+}
+
+export default authenticateForEnrolment;
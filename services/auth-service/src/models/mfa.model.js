@@ -0,0 +1,197 @@
+/**
+ * MFA Model
+ * TOTP enrolment, recovery codes and the MFA policy
+ */
+
+import { query, withTransaction } from '../config/database.js';
+
+const REQUIRED_ROLES_KEY = 'mfa_required_roles';
+
+/**
+ * A user's MFA state, with what login needs to check it
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - User or null
+ */
+async function findState(userId) {
+  const result = await query(
+    `SELECT id, email, role, email_verified, locked_until,
+       mfa_enabled, mfa_secret, mfa_last_used_step
+     FROM users WHERE id = $1 AND is_active = true`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a new secret for a user who has not enabled MFA yet, replacing one
+ * from an unfinished enrolment
+ * @param {string} userId - User ID
+ * @param {string} encryptedSecret - Secret, encrypted
+ * @returns {Promise<boolean>} - False if MFA is already enabled
+ */
+async function startEnrolment(userId, encryptedSecret) {
+  const result = await query(
+    `UPDATE users SET mfa_secret = $1, mfa_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND mfa_enabled = false
+     RETURNING id`,
+    [encryptedSecret, userId]
+  );
+  return result.rows.length > 0;
+}
+
+async function replaceRecoveryCodes(client, userId, codeHashes) {
+  await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codeHashes]
+  );
+}
+
+/**
+ * Turn MFA on once the first code checks out
+ * @param {string} userId - User ID
+ * @param {number} step - Time step of the code that confirmed enrolment
+ * @param {array} codeHashes - Hashes of the new recovery codes
+ * @returns {Promise<boolean>} - False if MFA was already enabled
+ */
+async function enable(userId, step, codeHashes) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE users SET mfa_enabled = true, mfa_last_used_step = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND mfa_enabled = false AND mfa_secret IS NOT NULL
+       RETURNING id`,
+      [step, userId]
+    );
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await replaceRecoveryCodes(client, userId, codeHashes);
+    return true;
+  });
+}
+
+/**
+ * Turn MFA off and forget the secret and recovery codes
+ * @param {string} userId - User ID
+ */
+async function disable(userId) {
+  await withTransaction(async (client) => {
+    await client.query(
+      `UPDATE users
+       SET mfa_enabled = false, mfa_secret = NULL, mfa_last_used_step = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  });
+}
+
+/**
+ * Record the time step of an accepted code. Two requests racing with the
+ * same code cannot both succeed.
+ * @param {string} userId - User ID
+ * @param {number} step - Time step
+ * @returns {Promise<boolean>} - False if that step or a later one was already used
+ */
+async function useStep(userId, step) {
+  const result = await query(
+    `UPDATE users SET mfa_last_used_step = $1
+     WHERE id = $2 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Use up a recovery code
+ * @param {string} userId - User ID
+ * @param {string} codeHash - Hash of the code entered
+ * @returns {Promise<boolean>} - False if the code is unknown or used
+ */
+async function useRecoveryCode(userId, codeHash) {
+  const result = await query(
+    `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM mfa_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     ) AND used_at IS NULL
+     RETURNING id`,
+    [userId, codeHash]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @param {array} codeHashes - Hashes of the new codes
+ */
+async function regenerateRecoveryCodes(userId, codeHashes) {
+  await withTransaction((client) => replaceRecoveryCodes(client, userId, codeHashes));
+}
+
+/**
+ * Count a user's unused recovery codes
+ */
+async function countRecoveryCodes(userId) {
+  const result = await query(
+    'SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Roles that must use MFA
+ * @param {array} defaultRoles - Used until an admin sets the policy
+ * @returns {Promise<array>} - Roles
+ */
+async function getRequiredRoles(defaultRoles) {
+  const result = await query('SELECT value FROM security_settings WHERE key = $1', [REQUIRED_ROLES_KEY]);
+  return result.rows[0]?.value || defaultRoles;
+}
+
+/**
+ * Set the roles that must use MFA and sign out their users who have not
+ * set it up, so they enrol at their next login
+ * @param {array} roles - Roles
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function setRequiredRoles(roles, adminId) {
+  return withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO security_settings (key, value, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      [REQUIRED_ROLES_KEY, JSON.stringify(roles), adminId]
+    );
+
+    const result = await client.query(
+      `UPDATE refresh_tokens SET revoked = true
+       WHERE revoked = false
+         AND user_id IN (SELECT id FROM users WHERE role = ANY($1) AND mfa_enabled = false)`,
+      [roles]
+    );
+    return result.rowCount;
+  });
+}
+
+export default {
+  findState,
+  startEnrolment,
+  enable,
+  disable,
+  useStep,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  getRequiredRoles,
+  setRequiredRoles,
+};
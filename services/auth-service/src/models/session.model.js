@@ -0,0 +1,63 @@
+/**
+ * Session Model
+ * A session is a sign-in: one refresh token family, whose one live token
+ * tells where and when it was last refreshed
+ */
+
+import { query } from '../config/database.js';
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} - { id, user_agent, ip_address, created_at, last_used_at, expires_at }
+ */
+async function findActiveByUser(userId) {
+  const result = await query(
+    `SELECT t.family_id AS id, t.user_agent, t.ip_address, t.last_used_at, t.expires_at,
+       (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = t.family_id) AS created_at
+     FROM refresh_tokens t
+     WHERE t.user_id = $1 AND t.revoked = false AND t.expires_at > CURRENT_TIMESTAMP
+     ORDER BY t.last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Sign out one session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (family) ID
+ * @returns {Promise<boolean>} - False if the user has no such active session
+ */
+async function revoke(userId, sessionId) {
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked = true
+     WHERE user_id = $1 AND family_id = $2 AND revoked = false
+     RETURNING id`,
+    [userId, sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Sign out every session of a user but one
+ * @param {string} userId - User ID
+ * @param {string|null} keepSessionId - Session to keep, null to sign out all
+ * @returns {Promise<number>} - Number of sessions signed out
+ */
+async function revokeAllExcept(userId, keepSessionId) {
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked = true
+     WHERE user_id = $1 AND revoked = false
+       AND ($2::uuid IS NULL OR family_id <> $2::uuid)
+     RETURNING family_id`,
+    [userId, keepSessionId]
+  );
+  return new Set(result.rows.map((row) => row.family_id)).size;
+}
+
+export default {
+  findActiveByUser,
+  revoke,
+  revokeAllExcept,
+};
@@ -4,11 +4,33 @@
  */
 
 import crypto from 'crypto';
-import { query } from '../config/database.js';
-import { hashPassword, verifyPassword as verifyPasswordUtil } from '../../../shared/utils/crypto.js';
+import { query, withTransaction, outbox } from '../config/database.js';
+import {
+  hashPassword,
+  verifyPassword as verifyPasswordUtil,
+  generateToken,
+  encrypt,
+  decrypt,
+} from '../../../shared/utils/crypto.js';
+import { EVENT_TYPES } from '../../../shared/events/eventBus.js';
 
 const MAX_FAILED_ATTEMPTS = 5;
 const LOCK_DURATION_MINUTES = 15;
+export const PASSWORD_RESET_TTL_MINUTES = 30;
+export const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// Outcomes of presenting a refresh token
+export const REFRESH_TOKEN_STATUS = {
+  ROTATED: 'ROTATED',
+  REUSED: 'REUSED',
+  INVALID: 'INVALID',
+};
+
+// A replaced refresh token presented this soon after its rotation gets the
+// same successor back: the refresh response was lost, or another tab sent it
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 /**
  * Create new user
@@ -21,14 +43,23 @@ async function create(userData) {
   // Hash password
   const passwordHash = await hashPassword(password);
   
-  const result = await query(
-    `INSERT INTO users (email, password_hash, role) 
-     VALUES ($1, $2, $3) 
-     RETURNING id, email, role, created_at`,
-    [email, passwordHash, role]
-  );
-  
-  return result.rows[0];
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO users (email, password_hash, role) 
+       VALUES ($1, $2, $3) 
+       RETURNING id, email, role, email_verified, created_at`,
+      [email, passwordHash, role]
+    );
+    const user = result.rows[0];
+
+    await outbox.append(client, {
+      type: EVENT_TYPES.USER_REGISTERED,
+      aggregateId: user.id,
+      payload: { userId: user.id, email: user.email, role: user.role },
+    });
+
+    return user;
+  });
 }
 
 /**
@@ -52,7 +83,7 @@ async function findByEmail(email) {
  */
 async function findById(userId) {
   const result = await query(
-    'SELECT id, email, role, created_at, updated_at, last_login FROM users WHERE id = $1 AND is_active = true',
+    'SELECT id, email, role, email_verified, mfa_enabled, created_at, updated_at, last_login FROM users WHERE id = $1 AND is_active = true',
     [userId]
   );
   
@@ -135,38 +166,94 @@ async function resetFailedLoginAttempts(userId) {
   );
 }
 
+const refreshTokenExpiry = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+
 /**
- * Store refresh token
+ * Store the first refresh token of a sign-in, starting its family
  * @param {string} userId - User ID
  * @param {string} token - Refresh token
+ * @param {string} familyId - Family ID, also carried by the token
+ * @param {object} device - { userAgent, ip } of the device signing in
  */
-async function storeRefreshToken(userId, token) {
+async function storeRefreshToken(userId, token, familyId, device = {}) {
   // Hash token before storing
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-  
   await query(
-    'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
-    [userId, tokenHash, expiresAt]
+    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, family_id, user_agent, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, hashToken(token), refreshTokenExpiry(), familyId, device.userAgent, device.ip]
   );
 }
 
 /**
- * Validate refresh token
+ * Exchange a refresh token for the next one in its family. A token that
+ * was already exchanged being presented again means it leaked, so the whole
+ * family is revoked; within the grace period after its rotation it instead
+ * gets the successor it was exchanged for, if that is still live.
  * @param {string} userId - User ID
- * @param {string} token - Refresh token
- * @returns {Promise<boolean>} - True if token is valid
+ * @param {string} token - Refresh token presented
+ * @param {function} issueToken - (familyId, tokenVersion) => next refresh token
+ * @param {object} device - { userAgent, ip } of the device refreshing
+ * @returns {Promise<object>} - { status: REFRESH_TOKEN_STATUS, familyId, token }
  */
-async function validateRefreshToken(userId, token) {
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-  
-  const result = await query(
-    `SELECT * FROM refresh_tokens 
-     WHERE user_id = $1 AND token_hash = $2 AND expires_at > CURRENT_TIMESTAMP AND revoked = false`,
-    [userId, tokenHash]
-  );
-  
-  return result.rows.length > 0;
+async function rotateRefreshToken(userId, token, issueToken, device = {}) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT t.id, t.family_id, t.token_version, t.replaced_by, t.revoked, t.replacement_token,
+         t.expires_at > CURRENT_TIMESTAMP AS active,
+         t.last_used_at > CURRENT_TIMESTAMP - make_interval(secs => $3)
+           AND NOT successor.revoked AS in_grace
+       FROM refresh_tokens t
+       LEFT JOIN refresh_tokens successor ON successor.id = t.replaced_by
+       WHERE t.user_id = $1 AND t.token_hash = $2
+       FOR UPDATE OF t`,
+      [userId, hashToken(token), REFRESH_REUSE_GRACE_SECONDS]
+    );
+    const current = result.rows[0];
+
+    if (!current) {
+      return { status: REFRESH_TOKEN_STATUS.INVALID };
+    }
+
+    if (current.replaced_by && current.in_grace && current.replacement_token) {
+      return {
+        status: REFRESH_TOKEN_STATUS.ROTATED,
+        familyId: current.family_id,
+        token: decrypt(current.replacement_token),
+      };
+    }
+
+    if (current.replaced_by) {
+      await client.query('UPDATE refresh_tokens SET revoked = true WHERE family_id = $1', [current.family_id]);
+      return { status: REFRESH_TOKEN_STATUS.REUSED, familyId: current.family_id };
+    }
+
+    if (current.revoked || !current.active) {
+      return { status: REFRESH_TOKEN_STATUS.INVALID };
+    }
+
+    const tokenVersion = current.token_version + 1;
+    const next = issueToken(current.family_id, tokenVersion);
+    const inserted = await client.query(
+      `INSERT INTO refresh_tokens
+         (user_id, token_hash, expires_at, family_id, token_version, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [userId, hashToken(next), refreshTokenExpiry(), current.family_id, tokenVersion, device.userAgent, device.ip]
+    );
+    // The successor is kept, encrypted, only until the next rotation
+    await client.query(
+      `UPDATE refresh_tokens
+       SET revoked = true, replaced_by = $1, last_used_at = CURRENT_TIMESTAMP, replacement_token = $2
+       WHERE id = $3`,
+      [inserted.rows[0].id, encrypt(next), current.id]
+    );
+    await client.query(
+      'UPDATE refresh_tokens SET replacement_token = NULL WHERE family_id = $1 AND id <> $2 AND replacement_token IS NOT NULL',
+      [current.family_id, current.id]
+    );
+
+    return { status: REFRESH_TOKEN_STATUS.ROTATED, familyId: current.family_id, token: next };
+  });
 }
 
 /**
@@ -175,11 +262,9 @@ async function validateRefreshToken(userId, token) {
  * @param {string} token - Refresh token
  */
 async function revokeRefreshToken(userId, token) {
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-  
   await query(
     'UPDATE refresh_tokens SET revoked = true WHERE user_id = $1 AND token_hash = $2',
-    [userId, tokenHash]
+    [userId, hashToken(token)]
   );
 }
 
@@ -194,6 +279,117 @@ async function revokeAllRefreshTokens(userId) {
   );
 }
 
+/**
+ * Issue a one-time token, replacing the user's earlier unused ones
+ * @param {object} client - Transaction client
+ * @param {string} table - ONE_TIME_TOKEN_TABLES entry the token goes in
+ * @param {string} userId - User ID
+ * @param {string} lifetime - How long it works, as a Postgres interval
+ * @returns {Promise<string>} - Token; only its hash is stored
+ */
+async function issueOneTimeToken(client, table, userId, lifetime) {
+  const token = generateToken();
+
+  await client.query(`DELETE FROM ${table} WHERE user_id = $1 AND used_at IS NULL`, [userId]);
+  await client.query(
+    `INSERT INTO ${table} (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + $3::interval)`,
+    [userId, hashToken(token), lifetime]
+  );
+
+  return token;
+}
+
+/**
+ * Use up a one-time token
+ * @param {object} client - Transaction client
+ * @param {string} table - Table the token was issued in
+ * @param {string} token - Token
+ * @returns {Promise<string|null>} - User ID, or null if the token is unknown, used or expired
+ */
+async function consumeOneTimeToken(client, table, token) {
+  const result = await client.query(
+    `UPDATE ${table}
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+/**
+ * Issue a password reset token, replacing any earlier unused one
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Token
+ */
+async function createPasswordResetToken(userId) {
+  return withTransaction((client) => issueOneTimeToken(
+    client, 'password_reset_tokens', userId, `${PASSWORD_RESET_TTL_MINUTES} minutes`
+  ));
+}
+
+/**
+ * Set a new password with a reset token. The token is used up, and a
+ * lockout from failed logins is lifted.
+ * @param {string} token - Password reset token
+ * @param {string} newPassword - New password
+ * @returns {Promise<string|null>} - User ID, or null if the token is unknown, used or expired
+ */
+async function resetPassword(token, newPassword) {
+  const passwordHash = await hashPassword(newPassword);
+
+  return withTransaction(async (client) => {
+    const userId = await consumeOneTimeToken(client, 'password_reset_tokens', token);
+    if (!userId) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE users
+       SET password_hash = $1, failed_login_attempts = 0, locked_until = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+    return userId;
+  });
+}
+
+/**
+ * Issue an email verification token, replacing any earlier unused one
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Token
+ */
+async function createEmailVerificationToken(userId) {
+  return withTransaction((client) => issueOneTimeToken(
+    client, 'email_verification_tokens', userId, `${EMAIL_VERIFICATION_TTL_HOURS} hours`
+  ));
+}
+
+/**
+ * Mark a user's email as verified with a verification token
+ * @param {string} token - Email verification token
+ * @returns {Promise<object|null>} - User, or null if the token is unknown, used or expired
+ */
+async function verifyEmail(token) {
+  return withTransaction(async (client) => {
+    const userId = await consumeOneTimeToken(client, 'email_verification_tokens', token);
+    if (!userId) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE users
+       SET email_verified = true, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, email, role, email_verified`,
+      [userId]
+    );
+    return result.rows[0];
+  });
+}
+
 /**
  * Log audit event
  * @param {object} auditData - Audit data
@@ -218,8 +414,12 @@ export default {
   incrementFailedLoginAttempts,
   resetFailedLoginAttempts,
   storeRefreshToken,
-  validateRefreshToken,
+  rotateRefreshToken,
   revokeRefreshToken,
   revokeAllRefreshTokens,
+  createPasswordResetToken,
+  resetPassword,
+  createEmailVerificationToken,
+  verifyEmail,
   logAudit,
 };
@@ -6,7 +6,7 @@
 import express from 'express';
 import authController from '../controllers/auth.controller.js';
 import { authenticate } from '../../../shared/middleware/auth.js';
-import { strictRateLimiter } from '../../../shared/middleware/security.js';
+import { strictRateLimiter, emailRateLimiter } from '../../../shared/middleware/security.js';
 
 const router = express.Router();
 
@@ -24,6 +24,13 @@ router.post('/register', strictRateLimiter, authController.register);
  */
 router.post('/login', strictRateLimiter, authController.login);
 
+/**
+ * @route   POST /auth/login/mfa
+ * @desc    Finish login with an MFA token and authentication code
+ * @access  Public
+ */
+router.post('/login/mfa', strictRateLimiter, authController.loginMfa);
+
 /**
  * @route   POST /auth/refresh
  * @desc    Refresh access token
@@ -52,4 +59,32 @@ router.get('/me', authenticate, authController.getCurrentUser);
  */
 router.put('/password', authenticate, authController.changePassword);
 
+/**
+ * @route   POST /auth/password/forgot
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/password/forgot', emailRateLimiter, authController.forgotPassword);
+
+/**
+ * @route   POST /auth/password/reset
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ */
+router.post('/password/reset', strictRateLimiter, authController.resetPassword);
+
+/**
+ * @route   POST /auth/verify-email
+ * @desc    Verify email address with a verification token
+ * @access  Public
+ */
+router.post('/verify-email', strictRateLimiter, authController.verifyEmail);
+
+/**
+ * @route   POST /auth/verify-email/resend
+ * @desc    Email a new verification link
+ * @access  Private
+ */
+router.post('/verify-email/resend', authenticate, emailRateLimiter, authController.resendVerificationEmail);
+
 export default router;
@@ -0,0 +1,64 @@
+/**
+ * MFA Routes
+ * Defines multi-factor authentication endpoints
+ */
+
+import express from 'express';
+import mfaController from '../controllers/mfa.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+import { strictRateLimiter } from '../../../shared/middleware/security.js';
+import { authenticateForEnrolment } from '../middleware/mfaEnrolment.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /auth/mfa
+ * @desc    Get MFA status of the current user
+ * @access  Private
+ */
+router.get('/', authenticate, mfaController.getStatus);
+
+/**
+ * @route   DELETE /auth/mfa
+ * @desc    Disable MFA with password and code
+ * @access  Private
+ */
+router.delete('/', authenticate, strictRateLimiter, mfaController.disable);
+
+/**
+ * @route   POST /auth/mfa/enroll
+ * @desc    Generate a TOTP secret for an authenticator app
+ * @access  Private (access token, or MFA token from login)
+ */
+router.post('/enroll', authenticateForEnrolment, mfaController.enroll);
+
+/**
+ * @route   POST /auth/mfa/confirm
+ * @desc    Enable MFA with a first code and get recovery codes
+ * @access  Private (access token, or MFA token from login)
+ */
+router.post('/confirm', strictRateLimiter, authenticateForEnrolment, mfaController.confirm);
+
+/**
+ * @route   POST /auth/mfa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/recovery-codes', authenticate, strictRateLimiter, mfaController.regenerateRecoveryCodes);
+
+/**
+ * @route   GET /auth/mfa/policy
+ * @desc    Get roles that must use MFA
+ * @access  Private (Admin only)
+ */
+router.get('/policy', authenticate, authorize(ROLES.ADMIN), mfaController.getPolicy);
+
+/**
+ * @route   PUT /auth/mfa/policy
+ * @desc    Set roles that must use MFA
+ * @access  Private (Admin only)
+ */
+router.put('/policy', authenticate, authorize(ROLES.ADMIN), mfaController.updatePolicy);
+
+export default router;
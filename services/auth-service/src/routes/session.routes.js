@@ -0,0 +1,48 @@
+/**
+ * Session Routes
+ * Defines session management endpoints
+ */
+
+import express from 'express';
+import sessionController from '../controllers/session.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /auth/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticate, sessionController.getSessions);
+
+/**
+ * @route   DELETE /auth/sessions
+ * @desc    Sign out every other session
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, sessionController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /auth/sessions/:id
+ * @desc    Sign out one session
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, sessionController.revokeSession);
+
+/**
+ * @route   GET /auth/users/:userId/sessions
+ * @desc    List active sessions of a user
+ * @access  Private (Admin only)
+ */
+router.get('/users/:userId/sessions', authenticate, authorize(ROLES.ADMIN), sessionController.getUserSessions);
+
+/**
+ * @route   DELETE /auth/users/:userId/sessions
+ * @desc    Sign a user out of every session
+ * @access  Private (Admin only)
+ */
+router.delete('/users/:userId/sessions', authenticate, authorize(ROLES.ADMIN), sessionController.revokeUserSessions);
+
+export default router;
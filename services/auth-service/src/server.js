@@ -16,11 +16,17 @@ dotenv.config();
 // Import shared middleware
 import { configureHelmet, configureCORS, rateLimiter, logSecurityEvents } from '../../shared/middleware/security.js';
 import { errorHandler, notFoundHandler } from '../../shared/middleware/errorHandler.js';
+import { requestContext } from '../../shared/middleware/requestContext.js';
 import { logger } from '../../shared/utils/logger.js';
-import { initializeDatabase } from './config/database.js';
+import { getEventBus } from '../../shared/events/eventBus.js';
+import { initializeDatabase, outbox } from './config/database.js';
+import { initializeMailer } from './mail/mailer.js';
+import { requireEncryptionKey } from '../../shared/utils/crypto.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
+import mfaRoutes from './routes/mfa.routes.js';
+import sessionRoutes from './routes/session.routes.js';
 import healthRoutes from './routes/health.routes.js';
 
 // Create Express app
@@ -45,6 +51,8 @@ app.use(logSecurityEvents);
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// After the body parsers, whose stream callbacks would lose the request's async context
+app.use(requestContext);
 
 // Rate limiting
 app.use(rateLimiter);
@@ -55,6 +63,7 @@ app.use((req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - start;
     logger.http('Request completed', {
+      requestId: req.id,
       method: req.method,
       path: req.path,
       status: res.statusCode,
@@ -69,6 +78,8 @@ app.use((req, res, next) => {
 app.use('/health', healthRoutes);
 
 // API routes
+app.use('/auth/mfa', mfaRoutes);
+app.use('/auth', sessionRoutes);
 app.use('/auth', authRoutes);
 
 // Root endpoint
@@ -87,16 +98,22 @@ app.use(notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
-// Initialize database and start server
-initializeDatabase().then(() => {
+// Refuse to start without a usable encryption key and mail transport
+async function startServer() {
+  requireEncryptionKey();
+  await initializeMailer();
+  await initializeDatabase();
+  outbox.startRelay(getEventBus());
   app.listen(PORT, () => {
     logger.info(`Auth Service started on port ${PORT}`, {
       environment: process.env.NODE_ENV,
       pid: process.pid,
     });
   });
-}).catch((error) => {
-  logger.error('Failed to initialize database', { error: error.message });
+}
+
+startServer().catch((error) => {
+  logger.error('Failed to start Auth Service', { error: error.message });
   process.exit(1);
 });
 
@@ -0,0 +1,44 @@
+/**
+ * Device Names
+ * A short description of a browser and OS from a User-Agent header
+ */
+
+// First match wins, so more specific names come first
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const firstMatch = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+/**
+ * Describe a device, e.g. "Firefox on Windows"
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string} - Description, "Unknown device" if nothing is recognised
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const system = firstMatch(SYSTEMS, userAgent);
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || 'Unknown device';
+}
+
+export default describeDevice;
@@ -0,0 +1,128 @@
+/**
+ * MFA Helpers
+ * Enrolment secrets, recovery codes, second-factor checks and the policy
+ * deciding which roles must use MFA
+ */
+
+import crypto from 'crypto';
+import { encrypt, decrypt } from '../../../shared/utils/crypto.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
+import { verifyMfaToken } from '../../../shared/utils/jwt.js';
+import { generateSecret, verifyTotp, otpauthUri } from './totp.js';
+import mfaModel from '../models/mfa.model.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles an admin can require MFA for
+export const ENFORCEABLE_ROLES = [ROLES.ADMIN, ROLES.SELLER];
+
+/**
+ * Hash a recovery code; case and separators do not matter
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {object} - { codes: shown to the user once, hashes: stored }
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Generate a TOTP secret for an account
+ * @param {string} accountName - Shown in the authenticator app, the user's email
+ * @returns {object} - { secret, encryptedSecret, otpauthUri }
+ */
+export function createEnrolment(accountName) {
+  const secret = generateSecret();
+  return {
+    secret,
+    encryptedSecret: encrypt(secret),
+    otpauthUri: otpauthUri({ secret, accountName, issuer: process.env.MFA_ISSUER || 'Marketplace' }),
+  };
+}
+
+/**
+ * Time step of a code from the user's stored secret, ignoring replay
+ * @returns {number|null} - Step, or null if the code is wrong
+ */
+export function matchTotp(user, code) {
+  const lastUsedStep = user.mfa_last_used_step === null ? -1 : Number(user.mfa_last_used_step);
+  return verifyTotp(decrypt(user.mfa_secret), code, lastUsedStep);
+}
+
+/**
+ * Check a TOTP code or a recovery code of a user with MFA enabled. An
+ * accepted code is used up.
+ * @param {object} user - From mfaModel.findState
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} - 'totp' or 'recovery', null if neither checks out
+ */
+export async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    return await mfaModel.useRecoveryCode(user.id, hashRecoveryCode(recoveryCode)) ? 'recovery' : null;
+  }
+
+  const step = matchTotp(user, code);
+  return step !== null && await mfaModel.useStep(user.id, step) ? 'totp' : null;
+}
+
+/**
+ * User an MFA token was issued to, if it is valid and for the purpose given
+ * @param {string} token - MFA token
+ * @param {string} purpose - 'verify' or 'enroll'
+ * @returns {string|null} - User ID, or null
+ */
+export function readMfaToken(token, purpose) {
+  try {
+    const decoded = verifyMfaToken(token);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Roles that must use MFA until an admin sets the policy, from MFA_REQUIRED_ROLES
+ */
+function defaultRequiredRoles() {
+  return (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim().toUpperCase())
+    .filter((role) => ENFORCEABLE_ROLES.includes(role));
+}
+
+/**
+ * Roles that must use MFA
+ * @returns {Promise<array>} - Roles
+ */
+export async function getRequiredRoles() {
+  return mfaModel.getRequiredRoles(defaultRequiredRoles());
+}
+
+/**
+ * Whether users with a role must use MFA
+ */
+export async function isMfaRequired(role) {
+  return (await getRequiredRoles()).includes(role);
+}
+
+export default {
+  ENFORCEABLE_ROLES,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  createEnrolment,
+  matchTotp,
+  checkSecondFactor,
+  readMfaToken,
+  getRequiredRoles,
+  isMfaRequired,
+};
@@ -0,0 +1,111 @@
+/**
+ * Sessions
+ * Tokens issued when a sign-in completes, and the user as returned with them.
+ * A session is a refresh token family; access tokens carry its ID.
+ */
+
+import crypto from 'crypto';
+import { generateAccessToken, generateRefreshToken } from '../../../shared/utils/jwt.js';
+import { logAuthEvent } from '../../../shared/utils/logger.js';
+import userModel from '../models/user.model.js';
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * The device a request came from, as recorded with its refresh token
+ */
+function deviceOf(req) {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Access token for a user
+ * @param {object} user - User row
+ * @param {string} sessionId - Refresh token family the token belongs to
+ * @returns {string} - Access token
+ */
+export function issueAccessToken(user, sessionId) {
+  return generateAccessToken({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.email_verified,
+    sessionId,
+  });
+}
+
+/**
+ * Issue an access token and a stored refresh token that starts a new
+ * token family
+ * @param {object} user - User row
+ * @param {object} req - Request, for the device signing in
+ * @returns {Promise<object>} - { accessToken, refreshToken }
+ */
+export async function issueSession(user, req) {
+  const familyId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken({
+    userId: user.id,
+    familyId,
+  });
+
+  await userModel.storeRefreshToken(user.id, refreshToken, familyId, deviceOf(req));
+
+  return { accessToken: issueAccessToken(user, familyId), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for the next one in its family
+ * @param {string} userId - User ID from the token
+ * @param {string} refreshToken - Refresh token presented
+ * @param {object} req - Request, for the device refreshing
+ * @returns {Promise<object>} - { status, familyId, token }, see userModel.rotateRefreshToken
+ */
+export async function rotateRefreshToken(userId, refreshToken, req) {
+  return userModel.rotateRefreshToken(userId, refreshToken, (familyId, tokenVersion) => (
+    generateRefreshToken({ userId, familyId, tokenVersion })
+  ), deviceOf(req));
+}
+
+/**
+ * The user as returned on sign-in
+ */
+export function toSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.email_verified,
+  };
+}
+
+/**
+ * Finish a sign-in once every factor checked out
+ * @param {object} user - User row
+ * @param {object} req - Request, for the audit log
+ * @param {object} details - Extra audit log details
+ * @returns {Promise<object>} - { user, accessToken, refreshToken }
+ */
+export async function completeLogin(user, req, details = {}) {
+  await userModel.resetFailedLoginAttempts(user.id);
+  await userModel.updateLastLogin(user.id);
+
+  logAuthEvent('login', user.id, true, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    ...details,
+  });
+
+  const tokens = await issueSession(user, req);
+  return { user: toSessionUser(user), ...tokens };
+}
+
+export default {
+  issueAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  toSessionUser,
+  completeLogin,
+};
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import {
+  currentStep,
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+} from '../src/utils/totp.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1, with
+// the last 6 of the 8 published digits
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (seconds) => jest.useFakeTimers({ now: seconds * 1000 });
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('verifyTotp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('accepts the RFC 6238 code at %d seconds', (seconds, code) => {
+    at(seconds);
+
+    expect(verifyTotp(SECRET, code)).toBe(currentStep());
+  });
+
+  it('accepts a code from one step either side, for clock drift', () => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, '081804')).toBe(currentStep() - 1);
+  });
+
+  it('refuses a code two steps old', () => {
+    at(1111111109 + 60);
+
+    expect(verifyTotp(SECRET, '081804')).toBeNull();
+  });
+
+  it('refuses a wrong code', () => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, '050472')).toBeNull();
+  });
+
+  it('ignores spaces in the code', () => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, '050 471')).toBe(currentStep());
+  });
+
+  it.each([undefined, '', '12345', '1234567', 'abcdef'])('refuses the malformed code %j', (code) => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, code)).toBeNull();
+  });
+
+  it('throws on a secret that is not base32', () => {
+    expect(() => verifyTotp('not-base32!', '123456')).toThrow('Invalid base32 secret');
+  });
+});
+
+describe('step reuse', () => {
+  it('refuses a code from the last used step', () => {
+    at(1111111111);
+    const step = verifyTotp(SECRET, '050471');
+
+    expect(verifyTotp(SECRET, '050471', step)).toBeNull();
+  });
+
+  it('refuses a code from a step before the last used one', () => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, '081804', currentStep())).toBeNull();
+  });
+
+  it('accepts a later code after an earlier step was used', () => {
+    at(1111111111);
+
+    expect(verifyTotp(SECRET, '050471', currentStep() - 1)).toBe(currentStep());
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a fresh 160-bit base32 secret', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('otpauthUri', () => {
+  it('encodes the label and parameters authenticator apps read', () => {
+    const uri = new URL(otpauthUri({ secret: SECRET, accountName: 'a@example.com', issuer: 'Marketplace' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Marketplace:a@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: SECRET,
+      issuer: 'Marketplace',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+  });
+});
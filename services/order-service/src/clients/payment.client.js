@@ -0,0 +1,116 @@
+/**
+ * Payment Service Client
+ * Charges and payment lookups for the checkout saga
+ */
+
+import { generateServiceToken } from '../../../shared/utils/jwt.js';
+import { createServiceClient } from '../../../shared/utils/httpClient.js';
+import {
+  ValidationError,
+  ConflictError,
+  PaymentAmountMismatchError,
+  PaymentDeclinedError,
+} from '../../../shared/middleware/errorHandler.js';
+
+// Charges wait on the payment gateway, so allow longer than its own timeout
+const paymentService = createServiceClient('payment-service', {
+  baseURL: process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004',
+  timeoutMs: 15000,
+});
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'order-service';
+
+// Payment attempts that hold no money and need no compensation
+export const SETTLED_PAYMENT_STATUSES = ['DECLINED', 'FAILED', 'VOIDED', 'REFUNDED'];
+
+function serviceHeaders() {
+  return { Authorization: `Bearer ${generateServiceToken(SERVICE_NAME)}` };
+}
+
+/**
+ * Map a rejection from payment-service to the matching local error
+ */
+function toPaymentError(error) {
+  const { status, data = {} } = error.response || {};
+  switch (status) {
+    case 400:
+      return new ValidationError(data.error || 'Payment validation failed', data.details);
+    case 402:
+      return new PaymentDeclinedError(data.error, data.code);
+    case 409:
+      return new ConflictError(data.error || 'Payment could not be completed');
+    case 422:
+      return new PaymentAmountMismatchError(data.error);
+    default:
+      return error;
+  }
+}
+
+/**
+ * Charge an order on behalf of the buyer
+ * @param {object} paymentData - { orderId, amount, paymentMethod, card: { number, cvv, expiryDate } }
+ * @param {object} options - { authorization: buyer's Authorization header, idempotencyKey }
+ * @returns {Promise<object>} - { payment, nextAction }
+ */
+export async function processPayment(paymentData, { authorization, idempotencyKey }) {
+  const { orderId, amount, paymentMethod, card } = paymentData;
+  try {
+    // Retried safely thanks to the Idempotency-Key
+    const response = await paymentService.post(
+      '/payments/process',
+      {
+        order_id: orderId,
+        amount,
+        payment_method: paymentMethod,
+        card_number: card.number,
+        cvv: card.cvv,
+        expiry_date: card.expiryDate,
+      },
+      { headers: { Authorization: authorization, 'Idempotency-Key': idempotencyKey } }
+    );
+    return response.data.data;
+  } catch (error) {
+    throw toPaymentError(error);
+  }
+}
+
+/**
+ * Latest payment attempt for an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} - Payment or null if none was recorded
+ */
+export async function getPaymentForOrder(orderId) {
+  try {
+    const response = await paymentService.get(`/internal/payments/order/${orderId}`, {
+      headers: serviceHeaders(),
+    });
+    return response.data.data.payment;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Void an authorization, or refund a captured payment in full
+ * @param {string} paymentId - Payment ID
+ * @param {string} reason - Reason recorded with a refund
+ * @returns {Promise<object>} - Payment
+ */
+export async function cancelPayment(paymentId, reason) {
+  const response = await paymentService.post(
+    `/internal/payments/${paymentId}/cancel`,
+    { reason },
+    { headers: serviceHeaders(), idempotent: true }
+  );
+  return response.data.data.payment;
+}
+
+export default {
+  SETTLED_PAYMENT_STATUSES,
+  processPayment,
+  getPaymentForOrder,
+  cancelPayment,
+};
@@ -0,0 +1,107 @@
+/**
+ * Product Service Client
+ * Product lookups and stock reservations for order-service
+ */
+
+import { generateServiceToken } from '../../../shared/utils/jwt.js';
+import { createServiceClient } from '../../../shared/utils/httpClient.js';
+import { InsufficientStockError, ConflictError } from '../../../shared/middleware/errorHandler.js';
+
+const productService = createServiceClient('product-service', {
+  baseURL: process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002',
+});
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'order-service';
+
+function serviceHeaders() {
+  return { Authorization: `Bearer ${generateServiceToken(SERVICE_NAME)}` };
+}
+
+/**
+ * Fetch a public product
+ * @param {string} productId - Product ID
+ * @returns {Promise<object|null>} - Product or null if it does not exist
+ */
+export async function getProduct(productId) {
+  try {
+    const response = await productService.get(`/products/${productId}`);
+    return response.data.data.product;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reserve stock for all items or none
+ * @param {array} items - [{ productId, variantId, quantity }]
+ * @param {string} reference - Order the reservation belongs to
+ * @returns {Promise<object>} - Reservation
+ */
+export async function reserveStock(items, reference) {
+  try {
+    // Not retried: a lost response could otherwise reserve the stock twice
+    const response = await productService.post(
+      '/reservations',
+      {
+        items: items.map((item) => ({
+          product_id: item.productId,
+          variant_id: item.variantId || undefined,
+          quantity: item.quantity,
+        })),
+        reference,
+      },
+      { headers: serviceHeaders() }
+    );
+    return response.data.data.reservation;
+  } catch (error) {
+    if (error.response?.data?.code === 'INSUFFICIENT_STOCK') {
+      throw new InsufficientStockError('Insufficient stock', error.response.data.details);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make a reservation permanent
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<object>} - Reservation
+ */
+export async function commitReservation(reservationId) {
+  try {
+    const response = await productService.post(
+      `/reservations/${reservationId}/commit`,
+      {},
+      { headers: serviceHeaders(), idempotent: true }
+    );
+    return response.data.data.reservation;
+  } catch (error) {
+    if (error.response?.status === 409) {
+      throw new ConflictError('Stock reservation has expired');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Return reserved stock
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<object>} - Reservation
+ */
+export async function releaseReservation(reservationId) {
+  const response = await productService.post(
+    `/reservations/${reservationId}/release`,
+    {},
+    { headers: serviceHeaders(), idempotent: true }
+  );
+  return response.data.data.reservation;
+}
+
+export default {
+  getProduct,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+};
@@ -1,5 +1,7 @@
 import pg from 'pg';
 import { logger } from '../../../shared/utils/logger.js';
+import { createPostgresIdempotencyStore } from '../../../shared/middleware/idempotency.js';
+import { createOutbox } from '../../../shared/events/outbox.js';
 
 const { Pool } = pg;
 
@@ -22,6 +24,33 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run a callback inside a single database transaction
+ * @param {function} callback - Receives a dedicated client, returns a promise
+ * @returns {Promise} - Callback result once committed
+ */
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Transaction rolled back', { error: error.message });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Stored responses for Idempotency-Key retries
+export const idempotencyStore = createPostgresIdempotencyStore({ query });
+
+// Domain events written alongside the data that produced them
+export const outbox = createOutbox({ pool, source: 'order-service' });
+
 export async function initializeDatabase() {
   await query(`
     CREATE TABLE IF NOT EXISTS orders (
@@ -50,8 +79,117 @@ export async function initializeDatabase() {
   `);
   
   await query('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id)');
+
+  // Orders now carry their products as line items; the legacy single-product
+  // columns are kept for old rows only
+  await query('ALTER TABLE orders ALTER COLUMN product_id DROP NOT NULL');
+  await query('ALTER TABLE orders ALTER COLUMN quantity DROP NOT NULL');
+
+  // Stock reservation held in product-service for this order
+  await query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_id UUID');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      product_id UUID NOT NULL,
+      product_name VARCHAR(200),
+      unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      line_total DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)');
+
+  // Seller snapshot lets sellers see and fulfil orders containing their products
+  await query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS seller_id UUID');
+  await query('CREATE INDEX IF NOT EXISTS idx_order_items_seller ON order_items(seller_id)');
+
+  // Variant bought, with its SKU and option values as they were at the time
+  await query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID');
+  await query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(100)');
+  await query('ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_options JSONB');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      changed_by UUID,
+      changed_by_role VARCHAR(50),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id)');
+
+  // Backfill line items for orders created before order_items existed
+  await query(`
+    INSERT INTO order_items (order_id, product_id, unit_price, quantity, line_total, created_at)
+    SELECT o.id, o.product_id, ROUND(o.total_amount / o.quantity, 2), o.quantity, o.total_amount, o.created_at
+    FROM orders o
+    WHERE o.product_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id)
+  `);
+
+  // Persisted progress of each checkout so it can be resumed or compensated
+  await query(`
+    CREATE TABLE IF NOT EXISTS checkout_sagas (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL,
+      order_id UUID NOT NULL,
+      status VARCHAR(30) NOT NULL DEFAULT 'STARTED',
+      reservation_id UUID,
+      payment_id UUID,
+      items JSONB NOT NULL,
+      total_amount DECIMAL(10, 2) NOT NULL,
+      shipping_address TEXT,
+      failure_reason TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_checkout_sagas_user ON checkout_sagas(user_id)');
+  await query(`CREATE INDEX IF NOT EXISTS idx_checkout_sagas_active
+    ON checkout_sagas(updated_at) WHERE status NOT IN ('COMPLETED', 'FAILED')`);
+
+  // Shopping carts: one per user, or a guest cart (user_id NULL) until login
+  await query(`
+    CREATE TABLE IF NOT EXISTS carts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_carts_guest ON carts(updated_at) WHERE user_id IS NULL');
+
+  // unit_price is the price the buyer last saw, used to flag price changes
+  await query(`
+    CREATE TABLE IF NOT EXISTS cart_items (
+      cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+      product_id UUID NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      unit_price DECIMAL(10, 2) NOT NULL,
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (cart_id, product_id)
+    )
+  `);
+
+  // A cart line is a product, or one variant of it
+  await query('ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id UUID');
+  await query('ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_pkey');
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line
+    ON cart_items(cart_id, product_id, variant_id) NULLS NOT DISTINCT`);
+
+  await idempotencyStore.initialize();
+  await outbox.initialize();
+
   logger.info('Order database initialized');
 }
 
 export { pool };
-export default { query, pool, initializeDatabase };
+export default { query, pool, withTransaction, outbox, initializeDatabase };
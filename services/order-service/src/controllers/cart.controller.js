@@ -0,0 +1,330 @@
+/**
+ * Cart Controller
+ * Server-side shopping carts for signed-in users and guests. Every response
+ * re-prices the cart and re-checks stock against product-service.
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  InsufficientStockError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import { logDataAccess } from '../../../shared/utils/logger.js';
+import cartModel, { MAX_LINE_QUANTITY } from '../models/cart.model.js';
+import productClient from '../clients/product.client.js';
+import { toCents, findVariant, MAX_ORDER_ITEMS } from '../utils/orderItems.js';
+
+// Guests identify their cart with the ID returned when it was created
+const GUEST_CART_HEADER = 'X-Cart-ID';
+
+const ITEM_SCHEMA = validationSchemas.orderItem;
+const QUANTITY_SCHEMA = { quantity: validationSchemas.orderItem.quantity };
+const LINE_SCHEMA = {
+  product_id: validationSchemas.orderItem.product_id,
+  variant_id: validationSchemas.orderItem.variant_id,
+};
+const CART_ID_SCHEMA = { cart_id: { required: true, type: 'uuid' } };
+
+export const CART_ITEM_ISSUE = {
+  UNAVAILABLE: 'UNAVAILABLE',
+  INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+};
+
+function validate(data, schema) {
+  const validation = validateInput(data, schema);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+  return validation.sanitized;
+}
+
+/**
+ * The cart a request acts on: the user's own cart, or the guest cart named
+ * by the X-Cart-ID header
+ * @param {object} req - Express request
+ * @param {boolean} create - Start a cart when there is none yet
+ * @returns {Promise<object|null>} - Cart
+ */
+async function resolveCart(req, create = false) {
+  if (req.user) {
+    return create
+      ? cartModel.getOrCreateForUser(req.user.userId)
+      : cartModel.findByUser(req.user.userId);
+  }
+
+  const guestCartId = req.get(GUEST_CART_HEADER);
+  const cart = guestCartId && validateInput({ cart_id: guestCartId }, CART_ID_SCHEMA).valid
+    ? await cartModel.findGuest(guestCartId)
+    : null;
+
+  if (cart || !create) {
+    return cart;
+  }
+  return cartModel.createGuest();
+}
+
+/**
+ * The variant a cart line holds. Undefined when the line can no longer be
+ * bought as it is: the variant is gone, or the product gained variants
+ * after the line was added.
+ */
+function lineVariant(product, row) {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    return row.variant_id ? undefined : null;
+  }
+  return variants.find((variant) => variant.id === row.variant_id);
+}
+
+/**
+ * Price each line at the product's (or variant's) current price and flag
+ * lines that cannot be checked out as they are
+ * @param {object|null} cart - Cart
+ * @returns {Promise<object>} - Cart response
+ */
+async function priceCart(cart) {
+  if (!cart) {
+    return { id: null, items: [], itemCount: 0, subtotal: 0, hasIssues: false };
+  }
+
+  const rows = await cartModel.getItems(cart.id);
+  const productIds = [...new Set(rows.map((row) => row.product_id))];
+  const products = new Map(await Promise.all(
+    productIds.map(async (productId) => [productId, await productClient.getProduct(productId)])
+  ));
+
+  const items = rows.map((row) => {
+    const product = products.get(row.product_id);
+    const variant = product ? lineVariant(product, row) : undefined;
+    const shownPriceCents = toCents(row.unit_price);
+
+    if (variant === undefined) {
+      return {
+        productId: row.product_id,
+        variantId: row.variant_id,
+        name: product?.name,
+        quantity: row.quantity,
+        unitPrice: shownPriceCents / 100,
+        lineTotal: 0,
+        priceChanged: false,
+        previousPrice: null,
+        availableStock: 0,
+        issue: CART_ITEM_ISSUE.UNAVAILABLE,
+      };
+    }
+
+    const unitPriceCents = toCents(variant ? variant.price : product.price);
+    const priceChanged = unitPriceCents !== shownPriceCents;
+    const stock = variant ? variant.stock : product.stock;
+
+    return {
+      productId: row.product_id,
+      variantId: row.variant_id,
+      sku: variant?.sku || null,
+      options: variant?.options || null,
+      name: product.name,
+      category: product.category,
+      imageUrl: product.image_url,
+      sellerId: product.seller_id,
+      quantity: row.quantity,
+      unitPrice: unitPriceCents / 100,
+      lineTotal: (unitPriceCents * row.quantity) / 100,
+      priceChanged,
+      previousPrice: priceChanged ? shownPriceCents / 100 : null,
+      availableStock: stock,
+      issue: stock < row.quantity ? CART_ITEM_ISSUE.INSUFFICIENT_STOCK : null,
+    };
+  });
+
+  return {
+    id: cart.id,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: items.reduce((sum, item) => sum + toCents(item.lineTotal), 0) / 100,
+    hasIssues: items.some((item) => item.issue !== null),
+  };
+}
+
+/**
+ * Look up the product, and the variant, a line refers to
+ * @returns {Promise<object>} - { product, variant: null for a product without variants }
+ */
+async function findLine(productId, variantId) {
+  const product = await productClient.getProduct(productId);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+  return { product, variant: findVariant(product, variantId) };
+}
+
+function assertInStock({ product, variant }, quantity) {
+  const available = variant ? variant.stock : product.stock;
+  if (available < quantity) {
+    throw new InsufficientStockError('Insufficient stock', [{
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      requested: quantity,
+      available,
+    }]);
+  }
+}
+
+const linePrice = ({ product, variant }) => (variant ? variant.price : product.price);
+
+/**
+ * Get the current cart
+ * @route GET /cart/items
+ */
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+
+  res.json({
+    success: true,
+    data: { cart: await priceCart(cart) },
+  });
+});
+
+/**
+ * Add a product, or more of a product already in the cart. A product with
+ * variants is added by variant.
+ * A guest without a cart gets a new one; its ID is returned as cart.id.
+ * @route POST /cart/items
+ */
+const addItem = asyncHandler(async (req, res) => {
+  const { product_id, variant_id = null, quantity } = validate(req.body, ITEM_SCHEMA);
+  const line = await findLine(product_id, variant_id);
+
+  const cart = await resolveCart(req, true);
+  const existing = await cartModel.findItem(cart.id, product_id, variant_id);
+
+  if (!existing && await cartModel.countItems(cart.id) >= MAX_ORDER_ITEMS) {
+    throw new ValidationError('Validation failed', [`cart must not exceed ${MAX_ORDER_ITEMS} items`]);
+  }
+
+  const newQuantity = (existing?.quantity || 0) + quantity;
+  if (newQuantity > MAX_LINE_QUANTITY) {
+    throw new ValidationError('Validation failed', [`quantity must not exceed ${MAX_LINE_QUANTITY}`]);
+  }
+
+  assertInStock(line, newQuantity);
+  await cartModel.saveItem(cart.id, {
+    productId: product_id,
+    variantId: variant_id,
+    quantity: newQuantity,
+    unitPrice: linePrice(line),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Item added to cart',
+    data: { cart: await priceCart(cart) },
+  });
+});
+
+/**
+ * The line named by the URL: /cart/items/:productId, plus ?variantId= for a variant
+ */
+function parseLine(req) {
+  const { product_id, variant_id = null } = validate(
+    { product_id: req.params.productId, variant_id: req.query.variantId },
+    LINE_SCHEMA
+  );
+  return { productId: product_id, variantId: variant_id };
+}
+
+/**
+ * Change the quantity of a line. Saving the line also accepts its current price.
+ * @route PATCH /cart/items/:productId
+ */
+const updateItem = asyncHandler(async (req, res) => {
+  const { productId, variantId } = parseLine(req);
+  const { quantity } = validate(req.body, QUANTITY_SCHEMA);
+
+  const cart = await resolveCart(req);
+  const existing = cart && await cartModel.findItem(cart.id, productId, variantId);
+  if (!existing) {
+    throw new NotFoundError('Item not found in cart');
+  }
+
+  const line = await findLine(productId, variantId);
+  assertInStock(line, quantity);
+  await cartModel.saveItem(cart.id, {
+    productId,
+    variantId,
+    quantity,
+    unitPrice: linePrice(line),
+  });
+
+  res.json({
+    success: true,
+    message: 'Cart updated',
+    data: { cart: await priceCart(cart) },
+  });
+});
+
+/**
+ * Remove a line
+ * @route DELETE /cart/items/:productId
+ */
+const removeItem = asyncHandler(async (req, res) => {
+  const { productId, variantId } = parseLine(req);
+
+  const cart = await resolveCart(req);
+  const removed = cart && await cartModel.removeItem(cart.id, productId, variantId);
+  if (!removed) {
+    throw new NotFoundError('Item not found in cart');
+  }
+
+  res.json({
+    success: true,
+    message: 'Item removed from cart',
+    data: { cart: await priceCart(cart) },
+  });
+});
+
+/**
+ * Empty the cart
+ * @route DELETE /cart/items
+ */
+const clearCart = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+  if (cart) {
+    await cartModel.clear(cart.id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Cart cleared',
+    data: { cart: await priceCart(cart) },
+  });
+});
+
+/**
+ * Move a guest cart into the signed-in user's cart, e.g. right after login
+ * @route POST /cart/merge
+ */
+const mergeCart = asyncHandler(async (req, res) => {
+  const { cart_id } = validate(req.body, CART_ID_SCHEMA);
+
+  const cart = await cartModel.getOrCreateForUser(req.user.userId);
+  const mergedItems = await cartModel.mergeGuest(cart_id, cart.id);
+
+  logDataAccess(req.user.userId, 'cart', 'merge');
+
+  res.json({
+    success: true,
+    message: mergedItems > 0 ? 'Cart merged' : 'Nothing to merge',
+    data: { cart: await priceCart(cart), mergedItems },
+  });
+});
+
+export default {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeCart,
+};
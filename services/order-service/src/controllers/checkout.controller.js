@@ -0,0 +1,119 @@
+/**
+ * Checkout Controller
+ * Places and pays for an order in one request through the checkout saga
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import { logDataAccess } from '../../../shared/utils/logger.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
+import sagaModel from '../models/checkoutSaga.model.js';
+import orderModel from '../models/order.model.js';
+import { parseOrderItems, priceOrderItems } from '../utils/orderItems.js';
+import { SAGA_STATUS, startCheckout, refreshCheckout } from '../sagas/checkout.saga.js';
+
+const CHECKOUT_SCHEMA = {
+  shipping_address: validationSchemas.order.shipping_address,
+  payment_method: validationSchemas.payment.payment_method,
+  card_number: validationSchemas.payment.card_number,
+  cvv: validationSchemas.payment.cvv,
+  expiry_date: validationSchemas.payment.expiry_date,
+};
+
+function toCheckoutResponse(saga) {
+  return {
+    id: saga.id,
+    status: saga.status,
+    orderId: saga.order_id,
+    paymentId: saga.payment_id,
+    totalAmount: saga.total_amount,
+    failureReason: saga.failure_reason,
+    createdAt: saga.created_at,
+    updatedAt: saga.updated_at,
+  };
+}
+
+/**
+ * Reserve stock, create the order and charge it
+ * @route POST /checkout
+ */
+const createCheckout = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, CHECKOUT_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { shipping_address, payment_method, card_number, cvv, expiry_date } = validation.sanitized;
+  const requestedItems = parseOrderItems(req.body);
+  const { items, totalAmount } = await priceOrderItems(requestedItems);
+
+  const { saga, order, payment, nextAction } = await startCheckout({
+    user: req.user,
+    authorization: req.headers.authorization,
+    items,
+    totalAmount,
+    shippingAddress: shipping_address,
+    payment: {
+      paymentMethod: payment_method,
+      card: { number: card_number, cvv, expiryDate: expiry_date },
+    },
+  });
+
+  logDataAccess(req.user.userId, 'checkout', 'create');
+
+  const data = {
+    checkout: toCheckoutResponse(saga),
+    order,
+    payment,
+  };
+
+  if (saga.status === SAGA_STATUS.COMPLETED) {
+    return res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data,
+    });
+  }
+
+  // Awaiting 3-D Secure, or the payment outcome is still being confirmed
+  return res.status(202).json({
+    success: true,
+    message: saga.status === SAGA_STATUS.PAYMENT_ACTION_REQUIRED
+      ? 'Additional authentication required'
+      : 'Payment is being confirmed',
+    data: { ...data, nextAction },
+  });
+});
+
+/**
+ * Get the progress of a checkout, advancing it if its payment has settled
+ * @route GET /checkout/:id
+ */
+const getCheckout = asyncHandler(async (req, res) => {
+  let saga = await sagaModel.findById(req.params.id);
+  if (!saga) {
+    throw new NotFoundError('Checkout not found');
+  }
+
+  if (req.user.role !== ROLES.ADMIN && saga.user_id !== req.user.userId) {
+    throw new AuthorizationError('You can only view your own checkouts');
+  }
+
+  saga = await refreshCheckout(saga);
+  const order = await orderModel.findById(saga.order_id);
+
+  res.json({
+    success: true,
+    data: { checkout: toCheckoutResponse(saga), order },
+  });
+});
+
+export default {
+  createCheckout,
+  getCheckout,
+};
@@ -2,45 +2,72 @@
  * Order Controller
  */
 
-import axios from 'axios';
-import { asyncHandler, ValidationError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+import crypto from 'crypto';
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+} from '../../../shared/middleware/errorHandler.js';
 import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
-import { logDataAccess } from '../../../shared/utils/logger.js';
+import { logDataAccess, logAuthzFailure, logger } from '../../../shared/utils/logger.js';
 import orderModel from '../models/order.model.js';
+import productClient from '../clients/product.client.js';
 import { ROLES } from '../../../shared/middleware/rbac.js';
+import { ORDER_STATUS, canRoleRequest } from '../utils/orderStatus.js';
+import { parseOrderItems, priceOrderItems } from '../utils/orderItems.js';
+import { applyStatusChange } from '../utils/orderLifecycle.js';
 
-const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
+const PURCHASE_SCHEMA = {
+  user_id: { required: true, type: 'uuid' },
+  product_id: { required: true, type: 'uuid' },
+};
+
+const STATUS_CHANGE_SCHEMA = {
+  status: { required: true, type: 'enum', values: Object.values(ORDER_STATUS) },
+  reason: { required: false, type: 'string', maxLength: 500 },
+};
 
 const createOrder = asyncHandler(async (req, res) => {
-  const validation = validateInput(req.body, validationSchemas.order);
+  const validation = validateInput(req.body, {
+    shipping_address: validationSchemas.order.shipping_address,
+  });
   if (!validation.valid) {
     throw new ValidationError('Validation failed', validation.errors);
   }
 
-  const { product_id, quantity, shipping_address } = validation.sanitized;
+  const { shipping_address } = validation.sanitized;
+  const requestedItems = parseOrderItems(req.body);
 
-  // Fetch product details
-  const productResponse = await axios.get(`${PRODUCT_SERVICE_URL}/products/${product_id}`);
-  const product = productResponse.data.data.product;
+  // Snapshot the current unit price of each line
+  const { items, totalAmount } = await priceOrderItems(requestedItems);
 
-  if (!product) {
-    throw new NotFoundError('Product not found');
-  }
+  // Hold the stock before persisting the order so the last unit cannot be sold twice
+  const orderId = crypto.randomUUID();
+  const reservation = await productClient.reserveStock(items, orderId);
 
-  if (product.stock < quantity) {
-    throw new ValidationError('Insufficient stock');
+  let order;
+  try {
+    order = await orderModel.create({
+      id: orderId,
+      userId: req.user.userId,
+      userRole: req.user.role,
+      items,
+      totalAmount,
+      shippingAddress: shipping_address,
+      reservationId: reservation.id,
+    });
+  } catch (error) {
+    await productClient.releaseReservation(reservation.id).catch((releaseError) => {
+      // The sweeper returns the stock once the reservation expires
+      logger.error('Failed to release stock reservation', {
+        reservationId: reservation.id,
+        error: releaseError.message,
+      });
+    });
+    throw error;
   }
 
-  const totalAmount = product.price * quantity;
-
-  const order = await orderModel.create({
-    userId: req.user.userId,
-    productId: product_id,
-    quantity,
-    totalAmount,
-    shippingAddress: shipping_address,
-  });
-
   logDataAccess(req.user.userId, 'order', 'create');
 
   res.status(201).json({
@@ -58,6 +85,14 @@ const getUserOrders = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Buyers see their own orders, sellers see orders containing their products
+ */
+function canViewOrder(user, order) {
+  if (user.role === ROLES.ADMIN || order.user_id === user.userId) return true;
+  return user.role === ROLES.SELLER && order.items.some((item) => item.seller_id === user.userId);
+}
+
 const getOrderById = asyncHandler(async (req, res) => {
   const order = await orderModel.findById(req.params.id);
   if (!order) {
@@ -65,7 +100,7 @@ const getOrderById = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (req.user.role !== ROLES.ADMIN && order.user_id !== req.user.userId) {
+  if (!canViewOrder(req.user, order)) {
     throw new ValidationError('Access denied');
   }
 
@@ -75,6 +110,72 @@ const getOrderById = asyncHandler(async (req, res) => {
   });
 });
 
+const getSellerOrders = asyncHandler(async (req, res) => {
+  const orders = await orderModel.findBySeller(req.user.userId);
+  res.json({
+    success: true,
+    data: { orders },
+  });
+});
+
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, STATUS_CHANGE_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { status, reason } = validation.sanitized;
+  const order = await orderModel.findById(req.params.id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const { userId, role } = req.user;
+  const involved = role === ROLES.ADMIN
+    || (role === ROLES.BUYER && order.user_id === userId)
+    || (role === ROLES.SELLER && order.items.some((item) => item.seller_id === userId));
+
+  if (!involved || !canRoleRequest(role, order.status, status)) {
+    logAuthzFailure(userId, `order/${order.id}`, 'status', {
+      reason: 'Status change not permitted',
+      userRole: role,
+      requestedStatus: status,
+    });
+    throw new AuthorizationError(`You cannot set this order to ${status}`);
+  }
+
+  const { order: updated, previousStatus } = await applyStatusChange(order, status, {
+    actorId: userId,
+    actorRole: role,
+    reason,
+  });
+
+  logDataAccess(userId, `order/${order.id}`, `status:${previousStatus}->${status}`);
+
+  res.json({
+    success: true,
+    message: 'Order status updated successfully',
+    data: { order: { ...updated, items: order.items } },
+  });
+});
+
+const getOrderHistory = asyncHandler(async (req, res) => {
+  const order = await orderModel.findById(req.params.id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canViewOrder(req.user, order)) {
+    throw new ValidationError('Access denied');
+  }
+
+  const history = await orderModel.findStatusHistory(order.id);
+  res.json({
+    success: true,
+    data: { history },
+  });
+});
+
 const getAllOrders = asyncHandler(async (req, res) => {
   const orders = await orderModel.findAll();
   res.json({
@@ -83,4 +184,93 @@ const getAllOrders = asyncHandler(async (req, res) => {
   });
 });
 
-export default { createOrder, getUserOrders, getOrderById, getAllOrders };
+/**
+ * Get order for another service
+ * @route GET /internal/orders/:id
+ */
+const getOrderForService = asyncHandler(async (req, res) => {
+  const order = await orderModel.findById(req.params.id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  res.json({
+    success: true,
+    data: { order },
+  });
+});
+
+/**
+ * Find a delivered order in which a user bought a product, e.g. so
+ * product-service can accept the user's review
+ * @route GET /internal/orders/delivered?user_id=&product_id=
+ */
+const getDeliveredOrderForService = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.query, PURCHASE_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { user_id, product_id } = validation.sanitized;
+  const orderId = await orderModel.findDeliveredOrderWithProduct(user_id, product_id);
+
+  res.json({
+    success: true,
+    data: { orderId },
+  });
+});
+
+/**
+ * Change order status on behalf of another service (e.g. PAID after payment)
+ * @route PATCH /internal/orders/:id/status
+ */
+const updateOrderStatusForService = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, STATUS_CHANGE_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { status, reason } = validation.sanitized;
+  const order = await orderModel.findById(req.params.id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  // Retried service calls must not fail once the order already has the status
+  if (order.status === status) {
+    return res.json({
+      success: true,
+      data: { order },
+    });
+  }
+
+  const { order: updated, previousStatus } = await applyStatusChange(order, status, {
+    actorRole: `service:${req.service.name}`,
+    reason,
+  });
+
+  logger.info('Order status changed by service', {
+    orderId: order.id,
+    from: previousStatus,
+    to: status,
+    caller: req.service.name,
+  });
+
+  return res.json({
+    success: true,
+    data: { order: { ...updated, items: order.items } },
+  });
+});
+
+export default {
+  createOrder,
+  getUserOrders,
+  getOrderById,
+  getAllOrders,
+  getSellerOrders,
+  updateOrderStatus,
+  getOrderHistory,
+  getOrderForService,
+  getDeliveredOrderForService,
+  updateOrderStatusForService,
+};
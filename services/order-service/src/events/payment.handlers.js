@@ -0,0 +1,56 @@
+/**
+ * Payment Event Handlers
+ * Keep orders in line with what payment-service did to their payments
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import { EVENT_TYPES, subscribeAcrossServices } from '../../../shared/events/eventBus.js';
+import orderModel from '../models/order.model.js';
+import { applyStatusChange } from '../utils/orderLifecycle.js';
+import { canTransition } from '../utils/orderStatus.js';
+
+/**
+ * Move a refunded order to REFUNDED or PARTIALLY_REFUNDED. payment-service
+ * also does this directly, so the order usually has the status already.
+ * @param {object} event - PaymentRefunded envelope
+ */
+export async function handlePaymentRefunded(event) {
+  const { orderId, refundId, orderStatus } = event.payload;
+
+  // Refunds made while cancelling an order leave its status to the canceller
+  if (!orderStatus) return;
+
+  const order = await orderModel.findById(orderId);
+  if (!order) {
+    logger.error('Refunded payment belongs to an unknown order', { orderId, refundId });
+    return;
+  }
+
+  // Redelivered, or overtaken by a later refund
+  if (order.status === orderStatus || !canTransition(order.status, orderStatus)) {
+    logger.info('Ignoring refund for order', { orderId, refundId, status: order.status, orderStatus });
+    return;
+  }
+
+  await applyStatusChange(order, orderStatus, {
+    actorRole: `service:${event.source}`,
+    reason: `Refund ${refundId}`,
+  });
+
+  logger.info('Order status changed by refund', {
+    orderId,
+    refundId,
+    from: order.status,
+    to: orderStatus,
+  });
+}
+
+/**
+ * Subscribe the payment event handlers
+ * @param {object} bus - Event broker
+ */
+export function subscribePaymentEvents(bus) {
+  subscribeAcrossServices(bus, EVENT_TYPES.PAYMENT_REFUNDED, handlePaymentRefunded);
+}
+
+export default { subscribePaymentEvents };
@@ -0,0 +1,72 @@
+/**
+ * Checkout Recovery
+ * Periodically resumes or compensates checkouts that stopped making
+ * progress, e.g. because the service crashed mid-saga
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import sagaModel from '../models/checkoutSaga.model.js';
+import { resumeCheckout } from '../sagas/checkout.saga.js';
+
+const RECOVERY_INTERVAL_MS = parseInt(process.env.CHECKOUT_RECOVERY_INTERVAL_MS || '30000', 10);
+const STALE_SECONDS = parseInt(process.env.CHECKOUT_STALE_SECONDS || '60', 10);
+
+let timer = null;
+
+/**
+ * Run a single recovery pass
+ * @returns {Promise<number>} - Number of sagas processed
+ */
+export async function recoverCheckouts() {
+  let sagas;
+  try {
+    sagas = await sagaModel.claimStale(STALE_SECONDS);
+  } catch (error) {
+    logger.error('Checkout recovery failed', { error: error.message });
+    return 0;
+  }
+
+  for (const saga of sagas) {
+    try {
+      const updated = await resumeCheckout(saga);
+      if (updated.status !== saga.status) {
+        logger.info('Checkout recovered', {
+          sagaId: saga.id,
+          from: saga.status,
+          to: updated.status,
+        });
+      }
+    } catch (error) {
+      logger.error('Checkout recovery step failed', {
+        sagaId: saga.id,
+        status: saga.status,
+        attempts: saga.attempts,
+        error: error.message,
+      });
+    }
+  }
+
+  return sagas.length;
+}
+
+/**
+ * Start the periodic recovery; the first pass picks up checkouts left
+ * unfinished by a previous process
+ */
+export function startCheckoutRecovery() {
+  if (timer) return;
+  recoverCheckouts();
+  timer = setInterval(recoverCheckouts, RECOVERY_INTERVAL_MS);
+  timer.unref();
+  logger.info('Checkout recovery started', { intervalMs: RECOVERY_INTERVAL_MS });
+}
+
+/**
+ * Stop the periodic recovery
+ */
+export function stopCheckoutRecovery() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default { recoverCheckouts, startCheckoutRecovery, stopCheckoutRecovery };
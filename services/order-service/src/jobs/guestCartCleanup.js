@@ -0,0 +1,52 @@
+/**
+ * Guest Cart Cleanup
+ * Periodically deletes guest carts that were abandoned before login
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import cartModel from '../models/cart.model.js';
+
+const CLEANUP_INTERVAL_MS = parseInt(process.env.GUEST_CART_CLEANUP_INTERVAL_MS || '3600000', 10);
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS || '30', 10);
+
+let timer = null;
+
+/**
+ * Run a single cleanup pass
+ * @returns {Promise<number>} - Number of carts deleted
+ */
+export async function purgeGuestCarts() {
+  try {
+    const deleted = await cartModel.purgeGuests(GUEST_CART_TTL_DAYS);
+    if (deleted > 0) {
+      logger.info('Abandoned guest carts deleted', { count: deleted });
+    }
+    return deleted;
+  } catch (error) {
+    logger.error('Guest cart cleanup failed', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Start the periodic cleanup
+ */
+export function startGuestCartCleanup() {
+  if (timer) return;
+  timer = setInterval(purgeGuestCarts, CLEANUP_INTERVAL_MS);
+  timer.unref();
+  logger.info('Guest cart cleanup started', {
+    intervalMs: CLEANUP_INTERVAL_MS,
+    ttlDays: GUEST_CART_TTL_DAYS,
+  });
+}
+
+/**
+ * Stop the periodic cleanup
+ */
+export function stopGuestCartCleanup() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default { purgeGuestCarts, startGuestCartCleanup, stopGuestCartCleanup };
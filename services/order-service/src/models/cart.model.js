@@ -0,0 +1,170 @@
+import { query, withTransaction } from '../config/database.js';
+import { validationSchemas } from '../../../shared/utils/validation.js';
+
+// Merged and re-added quantities are capped at what a single order line accepts
+export const MAX_LINE_QUANTITY = validationSchemas.orderItem.quantity.max;
+
+/**
+ * Cart of a signed-in user, created on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - Cart
+ */
+async function getOrCreateForUser(userId) {
+  const result = await query(
+    `INSERT INTO carts (user_id) VALUES ($1)
+     ON CONFLICT (user_id) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+async function findByUser(userId) {
+  const result = await query('SELECT * FROM carts WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Start a cart for a visitor who has not signed in
+ * @returns {Promise<object>} - Cart
+ */
+async function createGuest() {
+  const result = await query('INSERT INTO carts (user_id) VALUES (NULL) RETURNING *');
+  return result.rows[0];
+}
+
+async function findGuest(id) {
+  const result = await query('SELECT * FROM carts WHERE id = $1 AND user_id IS NULL', [id]);
+  return result.rows[0] || null;
+}
+
+async function getItems(cartId) {
+  const result = await query(
+    'SELECT * FROM cart_items WHERE cart_id = $1 ORDER BY added_at, product_id, variant_id',
+    [cartId]
+  );
+  return result.rows;
+}
+
+async function countItems(cartId) {
+  const result = await query('SELECT COUNT(*) FROM cart_items WHERE cart_id = $1', [cartId]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Find the line of a product, or of one of its variants
+ * @param {string} cartId - Cart ID
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Variant ID, null for a product without variants
+ * @returns {Promise<object|null>} - Cart item
+ */
+async function findItem(cartId, productId, variantId = null) {
+  const result = await query(
+    `SELECT * FROM cart_items
+     WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+    [cartId, productId, variantId]
+  );
+  return result.rows[0] || null;
+}
+
+async function touch(cartId) {
+  await query('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [cartId]);
+}
+
+/**
+ * Save a line at the given quantity, replacing any existing one
+ * @param {string} cartId - Cart ID
+ * @param {object} item - { productId, variantId, quantity, unitPrice: price the buyer was shown }
+ * @returns {Promise<object>} - Cart item
+ */
+async function saveItem(cartId, { productId, variantId, quantity, unitPrice }) {
+  const result = await query(
+    `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, unit_price)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (cart_id, product_id, variant_id) DO UPDATE
+     SET quantity = EXCLUDED.quantity, unit_price = EXCLUDED.unit_price
+     RETURNING *`,
+    [cartId, productId, variantId || null, quantity, unitPrice]
+  );
+  await touch(cartId);
+  return result.rows[0];
+}
+
+async function removeItem(cartId, productId, variantId = null) {
+  const result = await query(
+    `DELETE FROM cart_items
+     WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3
+     RETURNING *`,
+    [cartId, productId, variantId]
+  );
+  await touch(cartId);
+  return result.rows[0] || null;
+}
+
+async function clear(cartId) {
+  await query('DELETE FROM cart_items WHERE cart_id = $1', [cartId]);
+  await touch(cartId);
+}
+
+/**
+ * Move the lines of a guest cart into a user's cart and delete the guest cart.
+ * Lines in both carts end up with the sum of both quantities.
+ * @param {string} guestCartId - Guest cart ID
+ * @param {string} userCartId - Destination cart ID
+ * @returns {Promise<number>} - Number of lines merged
+ */
+async function mergeGuest(guestCartId, userCartId) {
+  return withTransaction(async (client) => {
+    // Lock the guest cart so two concurrent logins cannot both merge it
+    const guest = await client.query(
+      'SELECT id FROM carts WHERE id = $1 AND user_id IS NULL FOR UPDATE',
+      [guestCartId]
+    );
+    if (guest.rows.length === 0) {
+      return 0;
+    }
+
+    const merged = await client.query(
+      `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, unit_price, added_at)
+       SELECT $2, product_id, variant_id, quantity, unit_price, added_at
+       FROM cart_items WHERE cart_id = $1
+       ON CONFLICT (cart_id, product_id, variant_id) DO UPDATE
+       SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $3)`,
+      [guestCartId, userCartId, MAX_LINE_QUANTITY]
+    );
+
+    await client.query('DELETE FROM carts WHERE id = $1', [guestCartId]);
+    await client.query('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [userCartId]);
+
+    return merged.rowCount;
+  });
+}
+
+/**
+ * Delete guest carts nobody has touched for a while
+ * @param {number} ttlDays - Days since the last change
+ * @returns {Promise<number>} - Number of carts deleted
+ */
+async function purgeGuests(ttlDays) {
+  const result = await query(
+    `DELETE FROM carts
+     WHERE user_id IS NULL AND updated_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [ttlDays]
+  );
+  return result.rowCount;
+}
+
+export default {
+  getOrCreateForUser,
+  findByUser,
+  createGuest,
+  findGuest,
+  getItems,
+  countItems,
+  findItem,
+  saveItem,
+  removeItem,
+  clear,
+  mergeGuest,
+  purgeGuests,
+};
@@ -0,0 +1,88 @@
+import { query } from '../config/database.js';
+
+// Columns a saga step may change, keyed by the field name used in code
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  reservationId: 'reservation_id',
+  paymentId: 'payment_id',
+  failureReason: 'failure_reason',
+};
+
+/**
+ * Persist a new checkout before any step runs
+ * @param {object} sagaData - { userId, orderId, items, totalAmount, shippingAddress }
+ * @returns {Promise<object>} - Saga
+ */
+async function create(sagaData) {
+  const { userId, orderId, items, totalAmount, shippingAddress } = sagaData;
+  const result = await query(
+    `INSERT INTO checkout_sagas (user_id, order_id, items, total_amount, shipping_address)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [userId, orderId, JSON.stringify(items), totalAmount, shippingAddress || '']
+  );
+  return result.rows[0];
+}
+
+async function findById(id) {
+  const result = await query('SELECT * FROM checkout_sagas WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the outcome of a step
+ * @param {string} id - Saga ID
+ * @param {object} fields - Any of status, reservationId, paymentId, failureReason
+ * @returns {Promise<object>} - Updated saga
+ */
+async function update(id, fields) {
+  const assignments = [];
+  const params = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    const column = UPDATABLE_COLUMNS[field];
+    if (!column) return;
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  });
+
+  params.push(id);
+  const result = await query(
+    `UPDATE checkout_sagas
+     SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim unfinished sagas that have made no progress for a while.
+ * Claiming bumps updated_at, so other replicas skip them until it is stale again.
+ * @param {number} staleSeconds - Minimum idle time
+ * @param {number} limit - Maximum sagas to claim
+ * @returns {Promise<array>} - Claimed sagas
+ */
+async function claimStale(staleSeconds, limit = 20) {
+  const result = await query(
+    `UPDATE checkout_sagas
+     SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM checkout_sagas
+       WHERE status NOT IN ('COMPLETED', 'FAILED')
+         AND updated_at <= CURRENT_TIMESTAMP - make_interval(secs => $1)
+       ORDER BY updated_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [staleSeconds, limit]
+  );
+  return result.rows;
+}
+
+export default {
+  create,
+  findById,
+  update,
+  claimStale,
+};
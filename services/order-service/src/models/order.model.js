@@ -1,39 +1,181 @@
-import { query } from '../config/database.js';
+import { query, withTransaction, outbox } from '../config/database.js';
+import { ConflictError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+import { EVENT_TYPES } from '../../../shared/events/eventBus.js';
+import { canTransition } from '../utils/orderStatus.js';
+
+// Every order read returns its line items as a JSON array
+const ORDER_WITH_ITEMS = `
+  SELECT o.*,
+    COALESCE(
+      json_agg(oi ORDER BY oi.created_at, oi.id) FILTER (WHERE oi.id IS NOT NULL),
+      '[]'
+    ) AS items
+  FROM orders o
+  LEFT JOIN order_items oi ON oi.order_id = o.id`;
 
 async function create(orderData) {
-  const { userId, productId, quantity, totalAmount, shippingAddress } = orderData;
-  const result = await query(
-    `INSERT INTO orders (user_id, product_id, quantity, total_amount, shipping_address, status)
-     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-    [userId, productId, quantity, totalAmount, shippingAddress || '', 'PENDING']
-  );
-  return result.rows[0];
+  const {
+    id, userId, userRole, items, totalAmount, shippingAddress, reservationId,
+  } = orderData;
+
+  return withTransaction(async (client) => {
+    const orderResult = await client.query(
+      `INSERT INTO orders (id, user_id, total_amount, shipping_address, status, reservation_id)
+       VALUES (COALESCE($1, gen_random_uuid()), $2, $3, $4, $5, $6) RETURNING *`,
+      [id || null, userId, totalAmount, shippingAddress || '', 'PENDING', reservationId || null]
+    );
+    const order = orderResult.rows[0];
+
+    const itemsResult = await client.query(
+      `INSERT INTO order_items
+         (order_id, product_id, variant_id, sku, variant_options,
+          seller_id, product_name, unit_price, quantity, line_total)
+       SELECT $1, * FROM UNNEST(
+         $2::uuid[], $3::uuid[], $4::varchar[], $5::jsonb[],
+         $6::uuid[], $7::varchar[], $8::numeric[], $9::int[], $10::numeric[]
+       )
+       RETURNING *`,
+      [
+        order.id,
+        items.map((item) => item.productId),
+        items.map((item) => item.variantId || null),
+        items.map((item) => item.sku || null),
+        items.map((item) => (item.variantOptions ? JSON.stringify(item.variantOptions) : null)),
+        items.map((item) => item.sellerId),
+        items.map((item) => item.productName),
+        items.map((item) => item.unitPrice),
+        items.map((item) => item.quantity),
+        items.map((item) => item.lineTotal),
+      ]
+    );
+
+    await client.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role)
+       VALUES ($1, NULL, $2, $3, $4)`,
+      [order.id, order.status, userId, userRole || null]
+    );
+
+    await outbox.append(client, {
+      type: EVENT_TYPES.ORDER_CREATED,
+      aggregateId: order.id,
+      payload: {
+        orderId: order.id,
+        userId,
+        totalAmount: order.total_amount,
+        reservationId: order.reservation_id,
+        items: itemsResult.rows.map((item) => ({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          sellerId: item.seller_id,
+          quantity: item.quantity,
+          unitPrice: item.unit_price,
+        })),
+      },
+    });
+
+    return { ...order, items: itemsResult.rows };
+  });
 }
 
 async function findByUser(userId) {
   const result = await query(
-    'SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC',
+    `${ORDER_WITH_ITEMS} WHERE o.user_id = $1 GROUP BY o.id ORDER BY o.created_at DESC`,
     [userId]
   );
   return result.rows;
 }
 
 async function findById(id) {
-  const result = await query('SELECT * FROM orders WHERE id = $1', [id]);
+  const result = await query(`${ORDER_WITH_ITEMS} WHERE o.id = $1 GROUP BY o.id`, [id]);
   return result.rows[0] || null;
 }
 
 async function findAll() {
-  const result = await query('SELECT * FROM orders ORDER BY created_at DESC');
+  const result = await query(`${ORDER_WITH_ITEMS} GROUP BY o.id ORDER BY o.created_at DESC`);
   return result.rows;
 }
 
-async function updateStatus(id, status) {
+async function findBySeller(sellerId) {
   const result = await query(
-    'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
-    [status, id]
+    `${ORDER_WITH_ITEMS}
+     WHERE o.id IN (SELECT order_id FROM order_items WHERE seller_id = $1)
+     GROUP BY o.id ORDER BY o.created_at DESC`,
+    [sellerId]
   );
-  return result.rows[0];
+  return result.rows;
+}
+
+/**
+ * Move an order to a new status and record who did it
+ * @param {string} id - Order ID
+ * @param {string} status - Target status
+ * @param {object} audit - { actorId, actorRole, reason }
+ * @returns {Promise<object>} - { order, previousStatus }
+ */
+async function transitionStatus(id, status, audit = {}) {
+  const { actorId, actorRole, reason } = audit;
+
+  return withTransaction(async (client) => {
+    // Lock the row so concurrent transitions are evaluated one at a time
+    const current = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const previousStatus = current.rows[0].status;
+    if (!canTransition(previousStatus, status)) {
+      throw new ConflictError(`Cannot change order status from ${previousStatus} to ${status}`);
+    }
+
+    const result = await client.query(
+      'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
+      [status, id]
+    );
+
+    await client.query(
+      `INSERT INTO order_status_history
+         (order_id, from_status, to_status, changed_by, changed_by_role, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [id, previousStatus, status, actorId || null, actorRole || null, reason || null]
+    );
+
+    return { order: result.rows[0], previousStatus };
+  });
+}
+
+/**
+ * Most recent delivered order of a user that contains a product
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<string|null>} - Order ID
+ */
+async function findDeliveredOrderWithProduct(userId, productId) {
+  const result = await query(
+    `SELECT o.id FROM orders o
+     WHERE o.user_id = $1 AND o.status = 'DELIVERED'
+       AND EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id AND oi.product_id = $2)
+     ORDER BY o.created_at DESC
+     LIMIT 1`,
+    [userId, productId]
+  );
+  return result.rows[0]?.id || null;
+}
+
+async function findStatusHistory(orderId) {
+  const result = await query(
+    'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id',
+    [orderId]
+  );
+  return result.rows;
 }
 
-export default { create, findByUser, findById, findAll, updateStatus };
+export default {
+  create,
+  findByUser,
+  findById,
+  findAll,
+  findBySeller,
+  transitionStatus,
+  findStatusHistory,
+  findDeliveredOrderWithProduct,
+};
@@ -0,0 +1,36 @@
+/**
+ * Cart Routes
+ * Guests use these without a token and pass their cart ID in X-Cart-ID
+ */
+
+import express from 'express';
+import cartController from '../controllers/cart.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+
+const router = express.Router();
+
+// Unlike optionalAuthenticate, an expired token is rejected rather than
+// silently treated as a guest, so the client refreshes it and keeps its cart
+const authenticateIfPresent = (req, res, next) => (
+  req.headers.authorization ? authenticate(req, res, next) : next()
+);
+
+// Get the cart, re-priced with current stock
+router.get('/items', authenticateIfPresent, cartController.getCart);
+
+// Add a product to the cart
+router.post('/items', authenticateIfPresent, cartController.addItem);
+
+// Empty the cart
+router.delete('/items', authenticateIfPresent, cartController.clearCart);
+
+// Change the quantity of a product
+router.patch('/items/:productId', authenticateIfPresent, cartController.updateItem);
+
+// Remove a product from the cart
+router.delete('/items/:productId', authenticateIfPresent, cartController.removeItem);
+
+// Move a guest cart into the signed-in user's cart
+router.post('/merge', authenticate, cartController.mergeCart);
+
+export default router;
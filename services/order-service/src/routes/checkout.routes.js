@@ -0,0 +1,27 @@
+/**
+ * Checkout Routes
+ */
+
+import express from 'express';
+import checkoutController from '../controllers/checkout.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { authorize, requireVerifiedEmail, ROLES } from '../../../shared/middleware/rbac.js';
+import { idempotent } from '../../../shared/middleware/idempotency.js';
+import { idempotencyStore } from '../config/database.js';
+
+const router = express.Router();
+
+// Reserve stock, create the order and pay for it in one step
+router.post(
+  '/',
+  authenticate,
+  authorize(ROLES.BUYER, ROLES.ADMIN),
+  requireVerifiedEmail,
+  idempotent(idempotencyStore),
+  checkoutController.createCheckout
+);
+
+// Get checkout progress
+router.get('/:id', authenticate, checkoutController.getCheckout);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { pool } from '../config/database.js';
+import { getHttpClientMetrics } from '../../../shared/utils/httpClient.js';
 
 const router = express.Router();
 
@@ -16,4 +17,9 @@ router.get('/readiness', async (req, res) => {
   }
 });
 
+// Calls to other services: circuit state, failures and latency per target
+router.get('/metrics', (req, res) => {
+  res.json({ service: 'order-service', httpClients: getHttpClientMetrics() });
+});
+
 export default router;
@@ -0,0 +1,21 @@
+/**
+ * Internal Order Routes
+ * Service-to-service endpoints, callable only with a service token
+ */
+
+import express from 'express';
+import orderController from '../controllers/order.controller.js';
+import { authenticateService } from '../../../shared/middleware/auth.js';
+
+const router = express.Router();
+
+// Find a user's delivered order containing a product
+router.get('/delivered', authenticateService, orderController.getDeliveredOrderForService);
+
+// Get order with items for another service
+router.get('/:id', authenticateService, orderController.getOrderForService);
+
+// Change order status on behalf of another service
+router.patch('/:id/status', authenticateService, orderController.updateOrderStatusForService);
+
+export default router;
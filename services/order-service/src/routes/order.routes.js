@@ -5,19 +5,42 @@
 import express from 'express';
 import orderController from '../controllers/order.controller.js';
 import { authenticate } from '../../../shared/middleware/auth.js';
-import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+import { authorize, requireVerifiedEmail, ROLES } from '../../../shared/middleware/rbac.js';
+import { idempotent } from '../../../shared/middleware/idempotency.js';
+import { idempotencyStore } from '../config/database.js';
 
 const router = express.Router();
 
-// Create new order
-router.post('/', authenticate, authorize(ROLES.BUYER, ROLES.ADMIN), orderController.createOrder);
+// Create new order (retries with the same Idempotency-Key replay the first response)
+router.post(
+  '/',
+  authenticate,
+  authorize(ROLES.BUYER, ROLES.ADMIN),
+  requireVerifiedEmail,
+  idempotent(idempotencyStore),
+  orderController.createOrder
+);
 
 // Get user's orders
 router.get('/', authenticate, orderController.getUserOrders);
 
+// Get orders containing the seller's products
+router.get('/seller', authenticate, authorize(ROLES.SELLER, ROLES.ADMIN), orderController.getSellerOrders);
+
 // Get order by ID
 router.get('/:id', authenticate, orderController.getOrderById);
 
+// Change order status (seller fulfils/ships, buyer cancels, admin anything legal)
+router.patch(
+  '/:id/status',
+  authenticate,
+  authorize(ROLES.BUYER, ROLES.SELLER, ROLES.ADMIN),
+  orderController.updateOrderStatus
+);
+
+// Get order status history
+router.get('/:id/history', authenticate, orderController.getOrderHistory);
+
 // Get all orders (admin only)
 router.get('/all/admin', authenticate, authorize(ROLES.ADMIN), orderController.getAllOrders);
 
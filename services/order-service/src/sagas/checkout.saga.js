@@ -0,0 +1,267 @@
+/**
+ * Checkout Saga
+ * Orchestrates reserve stock -> create order -> charge payment -> confirm.
+ *
+ * The saga row is updated after every step, so a checkout interrupted by a
+ * crash can be picked up by the recovery job. When a step fails, the steps
+ * already done are undone: the payment is voided or refunded, the order is
+ * cancelled and its stock released. Card details are never persisted, so a
+ * checkout interrupted before its charge is compensated rather than resumed.
+ */
+
+import crypto from 'crypto';
+import { ConflictError } from '../../../shared/middleware/errorHandler.js';
+import { logger } from '../../../shared/utils/logger.js';
+import sagaModel from '../models/checkoutSaga.model.js';
+import orderModel from '../models/order.model.js';
+import productClient from '../clients/product.client.js';
+import paymentClient, { SETTLED_PAYMENT_STATUSES } from '../clients/payment.client.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import { applyStatusChange } from '../utils/orderLifecycle.js';
+
+export const SAGA_STATUS = {
+  STARTED: 'STARTED',
+  STOCK_RESERVED: 'STOCK_RESERVED',
+  ORDER_CREATED: 'ORDER_CREATED',
+  PAYMENT_PENDING: 'PAYMENT_PENDING',
+  PAYMENT_ACTION_REQUIRED: 'PAYMENT_ACTION_REQUIRED',
+  COMPLETED: 'COMPLETED',
+  COMPENSATING: 'COMPENSATING',
+  FAILED: 'FAILED',
+};
+
+// How long a checkout may wait on 3-D Secure or an unsettled payment
+const ACTION_TIMEOUT_SECONDS = parseInt(process.env.CHECKOUT_ACTION_TIMEOUT_SECONDS || '900', 10);
+
+// Saga states in which payment-service may hold a payment for the order
+const CHARGE_STARTED_STATUSES = [
+  SAGA_STATUS.PAYMENT_PENDING,
+  SAGA_STATUS.PAYMENT_ACTION_REQUIRED,
+  SAGA_STATUS.COMPENSATING,
+];
+
+const SYSTEM_AUDIT = { actorId: null, actorRole: 'system:checkout' };
+
+function isPaid(order) {
+  return Boolean(order)
+    && order.status !== ORDER_STATUS.PENDING
+    && order.status !== ORDER_STATUS.CANCELLED;
+}
+
+function hasTimedOut(saga) {
+  return Date.now() - new Date(saga.created_at).getTime() > ACTION_TIMEOUT_SECONDS * 1000;
+}
+
+async function complete(saga) {
+  const completed = await sagaModel.update(saga.id, { status: SAGA_STATUS.COMPLETED });
+  logger.info('Checkout completed', { sagaId: saga.id, orderId: saga.order_id });
+  return completed;
+}
+
+/**
+ * Undo every step that may have run. Each step is safe to repeat, so an
+ * interrupted compensation is simply run again by the recovery job.
+ * @param {object} saga - Saga
+ * @param {string} reason - Why the checkout failed
+ * @returns {Promise<object>} - Failed saga
+ */
+async function compensate(saga, reason) {
+  const mayHaveCharged = CHARGE_STARTED_STATUSES.includes(saga.status);
+  await sagaModel.update(saga.id, { status: SAGA_STATUS.COMPENSATING, failureReason: reason });
+
+  if (mayHaveCharged) {
+    const payment = await paymentClient.getPaymentForOrder(saga.order_id);
+    if (payment && !SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      await paymentClient.cancelPayment(payment.id, `Checkout failed: ${reason}`);
+    }
+  }
+
+  const order = await orderModel.findById(saga.order_id);
+  if (order && order.status !== ORDER_STATUS.CANCELLED) {
+    await applyStatusChange(order, ORDER_STATUS.CANCELLED, { ...SYSTEM_AUDIT, reason });
+  }
+
+  // Releasing twice is harmless; this also covers a reservation made before
+  // the order was saved. Stock held by a reservation the saga never recorded
+  // is returned by product-service when the reservation expires.
+  if (saga.reservation_id) {
+    await productClient.releaseReservation(saga.reservation_id);
+  }
+
+  const failed = await sagaModel.update(saga.id, { status: SAGA_STATUS.FAILED });
+  logger.info('Checkout compensated', { sagaId: saga.id, orderId: saga.order_id, reason });
+  return failed;
+}
+
+/**
+ * Compensate without masking the original error; a compensation that fails
+ * here is retried by the recovery job
+ */
+async function compensateQuietly(saga, reason) {
+  try {
+    return await compensate(saga, reason);
+  } catch (error) {
+    logger.error('Checkout compensation failed, will retry', {
+      sagaId: saga.id,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Decide the outcome of a charge from what order-service and
+ * payment-service recorded
+ * @param {object} saga - Saga in PAYMENT_PENDING or PAYMENT_ACTION_REQUIRED
+ * @param {string} failureReason - Reason used if the checkout must be undone
+ * @returns {Promise<object>} - Updated saga
+ */
+async function reconcilePayment(saga, failureReason) {
+  const order = await orderModel.findById(saga.order_id);
+  if (isPaid(order)) {
+    return complete(saga);
+  }
+
+  const payment = await paymentClient.getPaymentForOrder(saga.order_id);
+  const inFlight = payment && !SETTLED_PAYMENT_STATUSES.includes(payment.status);
+
+  if (inFlight && !hasTimedOut(saga)) {
+    // Awaiting 3-D Secure, or authorized and still being settled
+    const status = payment.status === 'REQUIRES_ACTION'
+      ? SAGA_STATUS.PAYMENT_ACTION_REQUIRED
+      : saga.status;
+    return sagaModel.update(saga.id, { status, paymentId: payment.id });
+  }
+
+  const reason = inFlight
+    ? 'Payment was not completed in time'
+    : (payment?.failureCode && `Payment failed: ${payment.failureCode}`) || failureReason;
+  return compensate(saga, reason);
+}
+
+/**
+ * Run a checkout from the start
+ * @param {object} checkout - { user, authorization, items, totalAmount, shippingAddress, payment }
+ *   where payment is { paymentMethod, card: { number, cvv, expiryDate } }
+ * @returns {Promise<object>} - { saga, order, payment, nextAction }
+ */
+export async function startCheckout(checkout) {
+  const { user, authorization, items, totalAmount, shippingAddress, payment } = checkout;
+
+  let saga = await sagaModel.create({
+    userId: user.userId,
+    orderId: crypto.randomUUID(),
+    items,
+    totalAmount,
+    shippingAddress,
+  });
+
+  let order;
+  try {
+    // Step 1: hold the stock
+    const reservation = await productClient.reserveStock(items, saga.order_id);
+    saga = await sagaModel.update(saga.id, {
+      status: SAGA_STATUS.STOCK_RESERVED,
+      reservationId: reservation.id,
+    });
+
+    // Step 2: persist the order
+    order = await orderModel.create({
+      id: saga.order_id,
+      userId: user.userId,
+      userRole: user.role,
+      items,
+      totalAmount,
+      shippingAddress,
+      reservationId: reservation.id,
+    });
+    saga = await sagaModel.update(saga.id, { status: SAGA_STATUS.ORDER_CREATED });
+  } catch (error) {
+    await compensateQuietly(saga, error.message);
+    throw error;
+  }
+
+  // Step 3: charge; payment-service marks the order PAID, which commits the stock
+  saga = await sagaModel.update(saga.id, { status: SAGA_STATUS.PAYMENT_PENDING });
+
+  let charge;
+  try {
+    charge = await paymentClient.processPayment(
+      { orderId: order.id, amount: totalAmount, ...payment },
+      { authorization, idempotencyKey: `checkout-${saga.id}` }
+    );
+  } catch (error) {
+    // The charge may have gone through even though the call failed
+    saga = await reconcilePayment(saga, error.message).catch(async (reconcileError) => {
+      logger.error('Checkout payment reconciliation failed, will retry', {
+        sagaId: saga.id,
+        error: reconcileError.message,
+      });
+      return (await sagaModel.findById(saga.id)) || saga;
+    });
+    if (saga.status === SAGA_STATUS.FAILED || saga.status === SAGA_STATUS.COMPENSATING) {
+      throw error;
+    }
+    return { saga, order: await orderModel.findById(saga.order_id) };
+  }
+
+  if (charge.payment.status === 'REQUIRES_ACTION') {
+    saga = await sagaModel.update(saga.id, {
+      status: SAGA_STATUS.PAYMENT_ACTION_REQUIRED,
+      paymentId: charge.payment.id,
+    });
+    return { saga, order, payment: charge.payment, nextAction: charge.nextAction };
+  }
+
+  // Step 4: confirm the order took the payment
+  saga = await sagaModel.update(saga.id, { paymentId: charge.payment.id });
+  order = await orderModel.findById(saga.order_id);
+  if (!isPaid(order)) {
+    await compensateQuietly(saga, 'Order was not confirmed after payment');
+    throw new ConflictError('Order could not be confirmed; the payment has been cancelled');
+  }
+
+  saga = await complete(saga);
+  return { saga, order, payment: charge.payment };
+}
+
+/**
+ * Bring an unfinished saga up to date, e.g. after 3-D Secure was completed
+ * @param {object} saga - Saga
+ * @returns {Promise<object>} - Updated saga
+ */
+export async function refreshCheckout(saga) {
+  if (saga.status === SAGA_STATUS.PAYMENT_PENDING
+    || saga.status === SAGA_STATUS.PAYMENT_ACTION_REQUIRED) {
+    return reconcilePayment(saga, 'Payment was not completed');
+  }
+  return saga;
+}
+
+/**
+ * Continue a saga whose process stopped part way through
+ * @param {object} saga - Saga claimed by the recovery job
+ * @returns {Promise<object>} - Updated saga
+ */
+export async function resumeCheckout(saga) {
+  switch (saga.status) {
+    case SAGA_STATUS.STARTED:
+    case SAGA_STATUS.STOCK_RESERVED:
+    case SAGA_STATUS.ORDER_CREATED:
+      return compensate(saga, 'Checkout was interrupted before payment');
+    case SAGA_STATUS.PAYMENT_PENDING:
+    case SAGA_STATUS.PAYMENT_ACTION_REQUIRED:
+      return refreshCheckout(saga);
+    case SAGA_STATUS.COMPENSATING:
+      return compensate(saga, saga.failure_reason);
+    default:
+      return saga;
+  }
+}
+
+export default {
+  SAGA_STATUS,
+  startCheckout,
+  refreshCheckout,
+  resumeCheckout,
+};
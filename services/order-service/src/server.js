@@ -13,10 +13,18 @@ dotenv.config();
 
 import { configureHelmet, configureCORS, rateLimiter, logSecurityEvents } from '../../shared/middleware/security.js';
 import { errorHandler, notFoundHandler } from '../../shared/middleware/errorHandler.js';
+import { requestContext } from '../../shared/middleware/requestContext.js';
 import { logger } from '../../shared/utils/logger.js';
-import { initializeDatabase } from './config/database.js';
+import { getEventBus } from '../../shared/events/eventBus.js';
+import { initializeDatabase, outbox } from './config/database.js';
+import { startCheckoutRecovery } from './jobs/checkoutRecovery.js';
+import { startGuestCartCleanup } from './jobs/guestCartCleanup.js';
+import { subscribePaymentEvents } from './events/payment.handlers.js';
 
 import orderRoutes from './routes/order.routes.js';
+import checkoutRoutes from './routes/checkout.routes.js';
+import cartRoutes from './routes/cart.routes.js';
+import internalRoutes from './routes/internal.routes.js';
 import healthRoutes from './routes/health.routes.js';
 
 const app = express();
@@ -36,12 +44,15 @@ app.use(configureCORS());
 app.use(logSecurityEvents);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// After the body parsers, whose stream callbacks would lose the request's async context
+app.use(requestContext);
 app.use(rateLimiter);
 
 app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     logger.http('Request completed', {
+      requestId: req.id,
       method: req.method,
       path: req.path,
       status: res.statusCode,
@@ -53,6 +64,9 @@ app.use((req, res, next) => {
 
 app.use('/health', healthRoutes);
 app.use('/orders', orderRoutes);
+app.use('/checkout', checkoutRoutes);
+app.use('/cart', cartRoutes);
+app.use('/internal/orders', internalRoutes);
 
 app.get('/', (req, res) => {
   res.json({
@@ -66,6 +80,10 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 initializeDatabase().then(() => {
+  outbox.startRelay(getEventBus());
+  subscribePaymentEvents(getEventBus());
+  startCheckoutRecovery();
+  startGuestCartCleanup();
   app.listen(PORT, () => {
     logger.info(`Order Service started on port ${PORT}`);
   });
@@ -0,0 +1,128 @@
+/**
+ * Order Line Items
+ * Parsing of requested items and price snapshots shared by direct order
+ * creation and checkout
+ */
+
+import { ValidationError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import productClient from '../clients/product.client.js';
+
+export const MAX_ORDER_ITEMS = 50;
+
+// Money is summed in integer cents to avoid floating point drift
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Validate and normalise the line items of an order request.
+ * Accepts `items: [{ product_id, variant_id, quantity }]` or the legacy single
+ * `product_id`/`quantity` body, and merges repeated products (or variants)
+ * into one line.
+ * @param {object} body - Request body
+ * @returns {array} - [{ productId, variantId, quantity }]
+ */
+export function parseOrderItems(body) {
+  const rawItems = Array.isArray(body.items)
+    ? body.items
+    : [{ product_id: body.product_id, quantity: body.quantity }];
+
+  if (rawItems.length === 0) {
+    throw new ValidationError('Validation failed', ['items must contain at least one item']);
+  }
+  if (rawItems.length > MAX_ORDER_ITEMS) {
+    throw new ValidationError('Validation failed', [`items must not exceed ${MAX_ORDER_ITEMS} entries`]);
+  }
+
+  const errors = [];
+  const lines = new Map();
+
+  rawItems.forEach((rawItem, index) => {
+    const validation = validateInput(rawItem || {}, validationSchemas.orderItem);
+    if (!validation.valid) {
+      validation.errors.forEach((error) => errors.push(`items[${index}].${error}`));
+      return;
+    }
+    const { product_id, variant_id = null, quantity } = validation.sanitized;
+    const key = `${product_id}:${variant_id}`;
+    const line = lines.get(key) || { productId: product_id, variantId: variant_id, quantity: 0 };
+    lines.set(key, { ...line, quantity: line.quantity + quantity });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return Array.from(lines.values());
+}
+
+/**
+ * The variant a line buys. A product with variants is only sold by variant.
+ * @param {object} product - Product from product-service, with its active variants
+ * @param {string|null} variantId - Requested variant
+ * @returns {object|null} - Variant, or null for a product without variants
+ */
+export function findVariant(product, variantId) {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    if (variantId) {
+      throw new NotFoundError(`Variant ${variantId} not found`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new ValidationError('Validation failed', [`variant_id is required for product ${product.id}`]);
+  }
+  const variant = variants.find((candidate) => candidate.id === variantId);
+  if (!variant) {
+    throw new NotFoundError(`Variant ${variantId} not found`);
+  }
+  return variant;
+}
+
+/**
+ * Snapshot the current product details and unit price of each line.
+ * A variant line is priced at the variant's price.
+ * @param {array} requestedItems - [{ productId, variantId, quantity }]
+ * @returns {Promise<object>} - { items, totalAmount }
+ */
+export async function priceOrderItems(requestedItems) {
+  // Several variants of one product share a single lookup
+  const productIds = [...new Set(requestedItems.map((item) => item.productId))];
+  const products = new Map(await Promise.all(
+    productIds.map(async (productId) => [productId, await productClient.getProduct(productId)])
+  ));
+
+  const items = requestedItems.map((item) => {
+    const product = products.get(item.productId);
+
+    if (!product) {
+      throw new NotFoundError(`Product ${item.productId} not found`);
+    }
+
+    const variant = findVariant(product, item.variantId);
+    const unitPriceCents = toCents(variant ? variant.price : product.price);
+    return {
+      productId: item.productId,
+      variantId: variant?.id || null,
+      sku: variant?.sku || null,
+      variantOptions: variant?.options || null,
+      sellerId: product.seller_id,
+      productName: product.name,
+      quantity: item.quantity,
+      unitPrice: unitPriceCents / 100,
+      lineTotal: (unitPriceCents * item.quantity) / 100,
+    };
+  });
+
+  const totalAmount = items.reduce((sum, item) => sum + toCents(item.lineTotal), 0) / 100;
+
+  return { items, totalAmount };
+}
+
+export default {
+  toCents,
+  parseOrderItems,
+  findVariant,
+  priceOrderItems,
+};
@@ -0,0 +1,86 @@
+/**
+ * Order Lifecycle
+ * Status transitions together with the stock and payment side effects they imply
+ */
+
+import { ConflictError } from '../../../shared/middleware/errorHandler.js';
+import { logger } from '../../../shared/utils/logger.js';
+import orderModel from '../models/order.model.js';
+import productClient from '../clients/product.client.js';
+import paymentClient, { SETTLED_PAYMENT_STATUSES } from '../clients/payment.client.js';
+import { ORDER_STATUS, canTransition } from './orderStatus.js';
+
+// Statuses in which the buyer has paid, so cancelling must give the money back
+const PAID_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.FULFILLING];
+
+/**
+ * Void or refund the payment of an order being cancelled. The cancellation
+ * is refused if the money cannot be given back.
+ */
+async function returnPayment(order, reason) {
+  try {
+    const payment = await paymentClient.getPaymentForOrder(order.id);
+    if (payment && !SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      await paymentClient.cancelPayment(payment.id, reason || 'Order cancelled');
+    }
+  } catch (error) {
+    logger.error('Failed to return payment for cancelled order', {
+      orderId: order.id,
+      error: error.message,
+    });
+    throw new ConflictError('Order cannot be cancelled because its payment could not be refunded');
+  }
+}
+
+/**
+ * Apply the side effects that keep product stock in line with an order's status
+ */
+async function syncReservation(order, status) {
+  if (!order.reservation_id) return;
+
+  if (status === ORDER_STATUS.PAID) {
+    await productClient.commitReservation(order.reservation_id);
+  } else if (status === ORDER_STATUS.CANCELLED) {
+    await productClient.releaseReservation(order.reservation_id).catch((error) => {
+      logger.error('Failed to release stock for cancelled order', {
+        orderId: order.id,
+        reservationId: order.reservation_id,
+        error: error.message,
+      });
+    });
+  }
+}
+
+/**
+ * Validate and perform a status transition together with its stock and
+ * payment side effects
+ * @param {object} order - Current order
+ * @param {string} status - Requested status
+ * @param {object} audit - { actorId, actorRole, reason }
+ * @returns {Promise<object>} - { order, previousStatus }
+ */
+export async function applyStatusChange(order, status, audit) {
+  if (!canTransition(order.status, status)) {
+    throw new ConflictError(`Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  // Paying an order needs its stock still held, so commit before the transition
+  if (status === ORDER_STATUS.PAID) {
+    await syncReservation(order, status);
+  }
+
+  // Only cancel once the money is back with the buyer
+  if (status === ORDER_STATUS.CANCELLED && PAID_STATUSES.includes(order.status)) {
+    await returnPayment(order, audit.reason);
+  }
+
+  const result = await orderModel.transitionStatus(order.id, status, audit);
+
+  if (status !== ORDER_STATUS.PAID) {
+    await syncReservation(result.order, status);
+  }
+
+  return result;
+}
+
+export default { applyStatusChange };
@@ -0,0 +1,90 @@
+/**
+ * Order Status State Machine
+ * Single source of truth for legal order lifecycle transitions
+ */
+
+import { ROLES } from '../../../shared/middleware/rbac.js';
+
+export const ORDER_STATUS = {
+  PENDING: 'PENDING',
+  PAID: 'PAID',
+  FULFILLING: 'FULFILLING',
+  SHIPPED: 'SHIPPED',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+};
+
+const REFUND_STATES = [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED];
+
+// Allowed next states for each state; terminal states map to an empty list
+const TRANSITIONS = {
+  PENDING: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  PAID: [ORDER_STATUS.FULFILLING, ORDER_STATUS.CANCELLED, ...REFUND_STATES],
+  FULFILLING: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ...REFUND_STATES],
+  SHIPPED: [ORDER_STATUS.DELIVERED, ...REFUND_STATES],
+  DELIVERED: [...REFUND_STATES],
+  // Fulfilment of the remaining items continues after a partial refund
+  PARTIALLY_REFUNDED: [
+    ORDER_STATUS.FULFILLING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.REFUNDED,
+  ],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+// Transitions each role may request, as target -> allowed current states.
+// Admins may request any legal transition.
+const ROLE_TRANSITIONS = {
+  [ROLES.SELLER]: {
+    [ORDER_STATUS.FULFILLING]: [ORDER_STATUS.PAID, ORDER_STATUS.PARTIALLY_REFUNDED],
+    [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.FULFILLING, ORDER_STATUS.PARTIALLY_REFUNDED],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.PARTIALLY_REFUNDED],
+  },
+  [ROLES.BUYER]: {
+    // Buyers can only cancel before the seller starts fulfilment
+    [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.PENDING, ORDER_STATUS.PAID],
+  },
+};
+
+/**
+ * Get the states an order may move to next
+ * @param {string} status - Current status
+ * @returns {array} - Allowed next statuses
+ */
+export function nextStatuses(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether a transition is legal
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return nextStatuses(from).includes(to);
+}
+
+/**
+ * Check whether a role may request a transition
+ * @param {string} role - User role
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the role may request it
+ */
+export function canRoleRequest(role, from, to) {
+  if (role === ROLES.ADMIN) return true;
+  const allowedFrom = ROLE_TRANSITIONS[role]?.[to] || [];
+  return allowedFrom.includes(from);
+}
+
+export default {
+  ORDER_STATUS,
+  nextStatuses,
+  canTransition,
+  canRoleRequest,
+};
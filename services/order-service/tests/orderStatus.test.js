@@ -0,0 +1,103 @@
+import { ROLES } from '../../shared/middleware/rbac.js';
+import {
+  ORDER_STATUS,
+  nextStatuses,
+  canTransition,
+  canRoleRequest,
+} from '../src/utils/orderStatus.js';
+
+const {
+  PENDING, PAID, FULFILLING, SHIPPED, DELIVERED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED,
+} = ORDER_STATUS;
+
+describe('canTransition', () => {
+  it.each([
+    [PENDING, PAID],
+    [PENDING, CANCELLED],
+    [PAID, FULFILLING],
+    [PAID, CANCELLED],
+    [PAID, PARTIALLY_REFUNDED],
+    [PAID, REFUNDED],
+    [FULFILLING, SHIPPED],
+    [FULFILLING, CANCELLED],
+    [SHIPPED, DELIVERED],
+    [SHIPPED, REFUNDED],
+    [DELIVERED, PARTIALLY_REFUNDED],
+    [DELIVERED, REFUNDED],
+    [PARTIALLY_REFUNDED, FULFILLING],
+    [PARTIALLY_REFUNDED, SHIPPED],
+    [PARTIALLY_REFUNDED, DELIVERED],
+    [PARTIALLY_REFUNDED, REFUNDED],
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    [PENDING, FULFILLING],
+    [PENDING, REFUNDED],
+    [PAID, PENDING],
+    [SHIPPED, CANCELLED],
+    [DELIVERED, CANCELLED],
+    [DELIVERED, SHIPPED],
+    [PARTIALLY_REFUNDED, CANCELLED],
+    [PAID, PAID],
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('treats cancelled and refunded orders as terminal', () => {
+    expect(nextStatuses(CANCELLED)).toEqual([]);
+    expect(nextStatuses(REFUNDED)).toEqual([]);
+  });
+
+  it('allows nothing from an unknown status', () => {
+    expect(nextStatuses('LOST')).toEqual([]);
+    expect(canTransition('LOST', PAID)).toBe(false);
+  });
+});
+
+describe('canRoleRequest', () => {
+  it('lets admins request any transition', () => {
+    expect(canRoleRequest(ROLES.ADMIN, DELIVERED, REFUNDED)).toBe(true);
+    expect(canRoleRequest(ROLES.ADMIN, PENDING, CANCELLED)).toBe(true);
+  });
+
+  it.each([
+    [PAID, FULFILLING],
+    [PARTIALLY_REFUNDED, FULFILLING],
+    [FULFILLING, SHIPPED],
+    [SHIPPED, DELIVERED],
+  ])('lets sellers move %s -> %s', (from, to) => {
+    expect(canRoleRequest(ROLES.SELLER, from, to)).toBe(true);
+  });
+
+  it.each([
+    [PENDING, PAID],
+    [PAID, CANCELLED],
+    [PAID, REFUNDED],
+    [PAID, SHIPPED],
+  ])('refuses sellers %s -> %s', (from, to) => {
+    expect(canRoleRequest(ROLES.SELLER, from, to)).toBe(false);
+  });
+
+  it('lets buyers cancel only before fulfilment starts', () => {
+    expect(canRoleRequest(ROLES.BUYER, PENDING, CANCELLED)).toBe(true);
+    expect(canRoleRequest(ROLES.BUYER, PAID, CANCELLED)).toBe(true);
+    expect(canRoleRequest(ROLES.BUYER, FULFILLING, CANCELLED)).toBe(false);
+  });
+
+  it('refuses buyers anything but cancelling', () => {
+    expect(canRoleRequest(ROLES.BUYER, SHIPPED, DELIVERED)).toBe(false);
+    expect(canRoleRequest(ROLES.BUYER, PAID, REFUNDED)).toBe(false);
+  });
+
+  it('only grants transitions that are also legal', () => {
+    const roles = [ROLES.SELLER, ROLES.BUYER];
+    const statuses = Object.values(ORDER_STATUS);
+    roles.forEach((role) => statuses.forEach((from) => statuses.forEach((to) => {
+      if (canRoleRequest(role, from, to)) {
+        expect(canTransition(from, to)).toBe(true);
+      }
+    })));
+  });
+});
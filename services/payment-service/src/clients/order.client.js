@@ -0,0 +1,55 @@
+/**
+ * Order Service Client
+ * Order lookups and status updates for payment-service
+ */
+
+import { generateServiceToken } from '../../../shared/utils/jwt.js';
+import { createServiceClient } from '../../../shared/utils/httpClient.js';
+
+const orderService = createServiceClient('order-service', {
+  baseURL: process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+});
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'payment-service';
+
+function serviceHeaders() {
+  return { Authorization: `Bearer ${generateServiceToken(SERVICE_NAME)}` };
+}
+
+/**
+ * Fetch an order with its items
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} - Order or null if it does not exist
+ */
+export async function getOrder(orderId) {
+  try {
+    const response = await orderService.get(`/internal/orders/${orderId}`, {
+      headers: serviceHeaders(),
+    });
+    return response.data.data.order;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Move an order to a new status
+ * @param {string} orderId - Order ID
+ * @param {string} status - Target status
+ * @param {string} reason - Reason recorded in the order history
+ * @returns {Promise<object>} - Updated order
+ */
+export async function updateOrderStatus(orderId, status, reason) {
+  // Setting the status an order already has is a no-op, so retries are safe
+  const response = await orderService.patch(
+    `/internal/orders/${orderId}/status`,
+    { status, reason },
+    { headers: serviceHeaders(), idempotent: true }
+  );
+  return response.data.data.order;
+}
+
+export default { getOrder, updateOrderStatus };
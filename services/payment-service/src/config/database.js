@@ -1,5 +1,7 @@
 import pg from 'pg';
 import { logger } from '../../../shared/utils/logger.js';
+import { createPostgresIdempotencyStore } from '../../../shared/middleware/idempotency.js';
+import { createOutbox } from '../../../shared/events/outbox.js';
 
 const { Pool } = pg;
 
@@ -22,6 +24,32 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run a callback inside a single database transaction
+ * @param {function} callback - Receives a dedicated client, returns a promise
+ * @returns {Promise} - Callback result once committed
+ */
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Stored responses for Idempotency-Key retries
+export const idempotencyStore = createPostgresIdempotencyStore({ query });
+
+// Domain events written alongside the data that produced them
+export const outbox = createOutbox({ pool, source: 'payment-service' });
+
 export async function initializeDatabase() {
   await query(`
     CREATE TABLE IF NOT EXISTS payments (
@@ -36,8 +64,37 @@ export async function initializeDatabase() {
     )
   `);
   await query('CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id)');
+
+  // Declined, failed and voided attempts may be retried, so only one
+  // live payment per order is enforced
+  await query('ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_order_id_key');
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_order_active ON payments(order_id)
+    WHERE status NOT IN ('DECLINED', 'FAILED', 'VOIDED')`);
+  await query('ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway VARCHAR(50)');
+  await query('ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_code VARCHAR(50)');
+  await query('ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      payment_id UUID NOT NULL REFERENCES payments(id),
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      reason TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+      gateway_refund_id VARCHAR(100),
+      failure_code VARCHAR(50),
+      requested_by UUID,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id)');
+
+  await idempotencyStore.initialize();
+  await outbox.initialize();
+
   logger.info('Payment database initialized');
 }
 
 export { pool };
-export default { query, pool, initializeDatabase };
+export default { query, pool, withTransaction, outbox, initializeDatabase };
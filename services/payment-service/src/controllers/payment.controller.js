@@ -1,12 +1,106 @@
 /**
- * Payment Controller - Mock Payment Processing
+ * Payment Controller
+ * Processes payments through the configured payment gateway
  */
 
-import { asyncHandler, ValidationError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  PaymentAmountMismatchError,
+  PaymentDeclinedError,
+  GatewayTimeoutError,
+} from '../../../shared/middleware/errorHandler.js';
 import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
-import { encrypt, generateToken } from '../../../shared/utils/crypto.js';
+import { encrypt } from '../../../shared/utils/crypto.js';
 import { logSecurityEvent, logDataAccess } from '../../../shared/utils/logger.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
 import paymentModel from '../models/payment.model.js';
+import refundModel from '../models/refund.model.js';
+import orderClient from '../clients/order.client.js';
+import { getPaymentGateway } from '../gateways/index.js';
+import { settlePayment, sendRefund, updateOrderAfterRefund } from '../utils/settlement.js';
+
+// A new attempt may be made for an order whose last payment ended in one of these
+const RETRYABLE_STATUSES = ['DECLINED', 'FAILED', 'VOIDED'];
+
+// Payments holding an uncaptured authorization, and payments holding captured funds
+const VOIDABLE_STATUSES = ['AUTHORIZED', 'REQUIRES_ACTION'];
+const REFUNDABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+// Payment row status for each gateway authorization outcome
+const STATUS_BY_AUTHORIZATION = {
+  AUTHORIZED: 'AUTHORIZED',
+  DECLINED: 'DECLINED',
+  REQUIRES_ACTION: 'REQUIRES_ACTION',
+};
+
+/**
+ * Public view of a payment; never exposes card data
+ */
+function toPaymentResponse(payment) {
+  return {
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount,
+    status: payment.status,
+    transactionId: payment.transaction_id,
+    failureCode: payment.failure_code,
+    createdAt: payment.created_at,
+  };
+}
+
+// Compare money in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Load the order being paid and check the caller may pay it for this amount
+ */
+async function verifyOrderForPayment(orderId, amount, user) {
+  const order = await orderClient.getOrder(orderId);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (user.role !== ROLES.ADMIN && order.user_id !== user.userId) {
+    logSecurityEvent('PAYMENT_ORDER_OWNERSHIP_VIOLATION', {
+      userId: user.userId,
+      orderId,
+    }, 'warn');
+    throw new AuthorizationError('You can only pay for your own orders');
+  }
+
+  if (order.status !== 'PENDING') {
+    throw new ConflictError(`Order is ${order.status.toLowerCase()} and cannot be paid`);
+  }
+
+  if (toCents(amount) !== toCents(order.total_amount)) {
+    logSecurityEvent('PAYMENT_AMOUNT_MISMATCH', {
+      userId: user.userId,
+      orderId,
+      submittedAmount: amount,
+      orderTotal: order.total_amount,
+    }, 'warn');
+    throw new PaymentAmountMismatchError();
+  }
+
+  return order;
+}
+
+/**
+ * Reject a declined authorization with the processor's reason
+ */
+function throwDeclined(payment, result, userId) {
+  logSecurityEvent('PAYMENT_DECLINED', {
+    userId,
+    orderId: payment.order_id,
+    paymentId: payment.id,
+    declineCode: result.code,
+  }, 'info');
+  throw new PaymentDeclinedError(result.message, result.code.toUpperCase());
+}
 
 const processPayment = asyncHandler(async (req, res) => {
   const validation = validateInput(req.body, validationSchemas.payment);
@@ -14,52 +108,140 @@ const processPayment = asyncHandler(async (req, res) => {
     throw new ValidationError('Validation failed', validation.errors);
   }
 
-  const { order_id, amount, card_number } = validation.sanitized;
+  const { order_id, amount, card_number, cvv, expiry_date } = validation.sanitized;
 
   // Check if payment already exists for this order
   const existingPayment = await paymentModel.findByOrderId(order_id);
-  if (existingPayment) {
+  if (existingPayment && !RETRYABLE_STATUSES.includes(existingPayment.status)) {
     throw new ValidationError('Payment already processed for this order');
   }
 
-  // Encrypt card number (AES-256-GCM)
-  const encryptedCard = encrypt(card_number);
+  // Never trust the client's amount: it must match the order total exactly
+  const order = await verifyOrderForPayment(order_id, amount, req.user);
 
-  // Generate mock transaction ID
-  const transactionId = `TXN-${generateToken(16)}`;
+  const gateway = getPaymentGateway();
 
-  // Mock payment processing - always succeeds for demo
-  const payment = await paymentModel.create({
+  // Claim the order before calling the gateway, so a concurrent attempt is
+  // turned away instead of opening a second authorization
+  let payment = await paymentModel.createPending({
     orderId: order_id,
     userId: req.user.userId,
-    amount,
-    encryptedCard,
-    transactionId,
-    status: 'COMPLETED',
+    amount: order.total_amount,
+    // Encrypt card number (AES-256-GCM)
+    encryptedCard: encrypt(card_number),
+    gateway: gateway.name,
   });
+  if (!payment) {
+    throw new ConflictError('A payment for this order is already in progress');
+  }
+
+  let authorization;
+  try {
+    authorization = await gateway.authorize({
+      amount: order.total_amount,
+      currency: 'USD',
+      card: { number: card_number, cvv, expiryDate: expiry_date },
+      reference: order_id,
+    });
+  } catch (error) {
+    // Free the order for another attempt
+    await paymentModel.updateStatus(
+      payment.id,
+      'FAILED',
+      error instanceof GatewayTimeoutError ? 'gateway_timeout' : 'gateway_error'
+    );
+    throw error;
+  }
+
+  payment = await paymentModel.recordAuthorization(payment.id, {
+    transactionId: authorization.transactionId,
+    status: STATUS_BY_AUTHORIZATION[authorization.status] || 'FAILED',
+    failureCode: authorization.code,
+  });
+
+  if (authorization.status === 'DECLINED') {
+    throwDeclined(payment, authorization, req.user.userId);
+  }
+
+  if (authorization.status === 'REQUIRES_ACTION') {
+    return res.status(202).json({
+      success: true,
+      message: 'Additional authentication required',
+      data: {
+        payment: toPaymentResponse(payment),
+        nextAction: authorization.action,
+      },
+    });
+  }
+
+  payment = await settlePayment(payment, gateway);
 
   logSecurityEvent('PAYMENT_PROCESSED', {
     userId: req.user.userId,
     orderId: order_id,
-    amount,
-    transactionId,
+    amount: payment.amount,
+    transactionId: payment.transaction_id,
   }, 'info');
 
   logDataAccess(req.user.userId, 'payment', 'create');
 
-  res.status(201).json({
+  return res.status(201).json({
     success: true,
     message: 'Payment processed successfully',
-    data: {
-      payment: {
-        id: payment.id,
-        orderId: payment.order_id,
-        amount: payment.amount,
-        status: payment.status,
-        transactionId: payment.transaction_id,
-        createdAt: payment.created_at,
-      },
-    },
+    data: { payment: toPaymentResponse(payment) },
+  });
+});
+
+/**
+ * Complete a 3-D Secure challenge
+ * @route POST /payments/:id/authenticate
+ */
+const authenticatePayment = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, {
+    challenge_response: { required: true, type: 'string', maxLength: 20 },
+  });
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  let payment = await paymentModel.findById(req.params.id);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (req.user.role !== ROLES.ADMIN && payment.user_id !== req.user.userId) {
+    throw new AuthorizationError('You can only authenticate your own payments');
+  }
+
+  if (payment.status !== 'REQUIRES_ACTION') {
+    throw new ConflictError('Payment does not require authentication');
+  }
+
+  const gateway = getPaymentGateway();
+  const result = await gateway.confirmAuthentication(
+    payment.transaction_id,
+    validation.sanitized.challenge_response
+  );
+
+  if (result.status !== 'AUTHORIZED') {
+    payment = await paymentModel.updateStatus(payment.id, 'DECLINED', result.code);
+    throwDeclined(payment, result, req.user.userId);
+  }
+
+  payment = await paymentModel.updateStatus(payment.id, 'AUTHORIZED');
+  payment = await settlePayment(payment, gateway);
+
+  logSecurityEvent('PAYMENT_PROCESSED', {
+    userId: req.user.userId,
+    orderId: payment.order_id,
+    amount: payment.amount,
+    transactionId: payment.transaction_id,
+  }, 'info');
+
+  res.json({
+    success: true,
+    message: 'Payment processed successfully',
+    data: { payment: toPaymentResponse(payment) },
   });
 });
 
@@ -72,19 +254,168 @@ const getPaymentByOrderId = asyncHandler(async (req, res) => {
   }
 
   // Hide encrypted card details
-  const paymentData = {
-    id: payment.id,
-    orderId: payment.order_id,
-    amount: payment.amount,
-    status: payment.status,
-    transactionId: payment.transaction_id,
-    createdAt: payment.created_at,
+  res.json({
+    success: true,
+    data: { payment: toPaymentResponse(payment) },
+  });
+});
+
+/**
+ * Public view of a refund
+ */
+function toRefundResponse(refund) {
+  return {
+    id: refund.id,
+    paymentId: refund.payment_id,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status,
+    failureCode: refund.failure_code,
+    createdAt: refund.created_at,
   };
+}
+
+/**
+ * Record a refund and return the money through the gateway
+ * @param {string} paymentId - Payment ID
+ * @param {object} refundData - { amount, reason, requestedBy }; amount defaults to the remainder
+ * @param {object} options - { updateOrder }; see refundModel.complete
+ * @returns {Promise<object>} - { refund, payment, updatedPayment }
+ */
+async function refundPayment(paymentId, refundData, options) {
+  const { refund: pending, payment } = await refundModel.createPending({ paymentId, ...refundData });
+
+  const { refund, payment: updatedPayment } = await sendRefund(pending, payment, getPaymentGateway(), options);
+  return { refund, payment, updatedPayment };
+}
+
+/**
+ * Refund a payment in full or in part
+ * @route POST /payments/:id/refunds
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, validationSchemas.refund);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { amount, reason } = validation.sanitized;
+  const { refund, payment, updatedPayment } = await refundPayment(req.params.id, {
+    amount,
+    reason,
+    requestedBy: req.user.userId,
+  });
+
+  await updateOrderAfterRefund(updatedPayment, refund);
+
+  logSecurityEvent('PAYMENT_REFUNDED', {
+    userId: req.user.userId,
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    amount: refund.amount,
+  }, 'info');
+
+  logDataAccess(req.user.userId, `payment/${payment.id}/refunds`, 'create');
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund processed successfully',
+    data: {
+      refund: toRefundResponse(refund),
+      payment: toPaymentResponse(updatedPayment),
+    },
+  });
+});
+
+/**
+ * List refunds of a payment
+ * @route GET /payments/:id/refunds
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const payment = await paymentModel.findById(req.params.id);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (req.user.role !== ROLES.ADMIN && payment.user_id !== req.user.userId) {
+    throw new AuthorizationError('You can only view refunds of your own payments');
+  }
+
+  const refunds = await refundModel.findByPayment(payment.id);
+
+  res.json({
+    success: true,
+    data: { refunds: refunds.map(toRefundResponse) },
+  });
+});
+
+/**
+ * Get the latest payment of an order for another service
+ * @route GET /internal/payments/order/:orderId
+ */
+const getPaymentForService = asyncHandler(async (req, res) => {
+  const payment = await paymentModel.findByOrderId(req.params.orderId);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  res.json({
+    success: true,
+    data: { payment: toPaymentResponse(payment) },
+  });
+});
+
+/**
+ * Give back a payment on behalf of another service (e.g. a failed checkout):
+ * authorizations are voided, captured payments refunded in full
+ * @route POST /internal/payments/:id/cancel
+ */
+const cancelPaymentForService = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, {
+    reason: { required: false, type: 'string', maxLength: 500 },
+  });
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  let payment = await paymentModel.findById(req.params.id);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const previousStatus = payment.status;
+  if (VOIDABLE_STATUSES.includes(payment.status)) {
+    await getPaymentGateway().void(payment.transaction_id);
+    payment = await paymentModel.updateStatus(payment.id, 'VOIDED');
+  } else if (REFUNDABLE_STATUSES.includes(payment.status)) {
+    // The caller is cancelling the order, so the order keeps the status it sets
+    ({ updatedPayment: payment } = await refundPayment(payment.id, {
+      reason: validation.sanitized.reason,
+    }, { updateOrder: false }));
+  }
+
+  if (payment.status !== previousStatus) {
+    logSecurityEvent('PAYMENT_CANCELLED', {
+      service: req.service.name,
+      paymentId: payment.id,
+      orderId: payment.order_id,
+      from: previousStatus,
+      to: payment.status,
+    }, 'info');
+  }
 
   res.json({
     success: true,
-    data: { payment: paymentData },
+    data: { payment: toPaymentResponse(payment) },
   });
 });
 
-export default { processPayment, getPaymentByOrderId };
+export default {
+  processPayment,
+  authenticatePayment,
+  getPaymentByOrderId,
+  createRefund,
+  getRefunds,
+  getPaymentForService,
+  cancelPaymentForService,
+};
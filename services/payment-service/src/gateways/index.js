@@ -0,0 +1,69 @@
+/**
+ * Payment Gateway Registry
+ *
+ * A gateway is an object implementing:
+ *   authorize({ amount, currency, card, reference })
+ *     -> { status: 'AUTHORIZED' | 'DECLINED' | 'REQUIRES_ACTION', transactionId, code, message, action }
+ *   confirmAuthentication(authorizationId, challengeResponse)
+ *     -> { status: 'AUTHORIZED' | 'DECLINED', transactionId, code, message }
+ *   capture(authorizationId, amount) -> { status: 'CAPTURED', transactionId }
+ *   void(authorizationId)            -> { status: 'VOIDED', transactionId }
+ *   refund(transactionId, amount, { idempotencyKey })
+ *     -> { status: 'REFUNDED', refundId }; repeating a key returns the first result
+ *
+ * Every call is bounded by PAYMENT_GATEWAY_TIMEOUT_MS and rejects with
+ * GatewayTimeoutError when the processor does not answer in time.
+ */
+
+import { GatewayTimeoutError } from '../../../shared/middleware/errorHandler.js';
+import { createSimulatorGateway } from './simulator.gateway.js';
+
+const GATEWAY_TIMEOUT_MS = parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS || '10000', 10);
+const GATEWAY_METHODS = ['authorize', 'confirmAuthentication', 'capture', 'void', 'refund'];
+
+const factories = {
+  simulator: createSimulatorGateway,
+};
+
+let activeGateway = null;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new GatewayTimeoutError()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Register an additional gateway implementation
+ * @param {string} name - Value of PAYMENT_GATEWAY selecting it
+ * @param {function} factory - Returns a gateway object
+ */
+export function registerGateway(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured gateway, wrapped with call timeouts
+ * @returns {object} - Payment gateway
+ */
+export function getPaymentGateway() {
+  if (activeGateway) return activeGateway;
+
+  const name = process.env.PAYMENT_GATEWAY || 'simulator';
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  const gateway = factory();
+  activeGateway = GATEWAY_METHODS.reduce((wrapped, method) => ({
+    ...wrapped,
+    [method]: (...args) => withTimeout(gateway[method](...args), GATEWAY_TIMEOUT_MS),
+  }), { name: gateway.name });
+
+  return activeGateway;
+}
+
+export default { getPaymentGateway, registerGateway };
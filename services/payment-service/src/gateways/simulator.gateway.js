@@ -0,0 +1,124 @@
+/**
+ * Payment Gateway Simulator
+ * Deterministic local processor for development and QA.
+ *
+ * Test cards (any future expiry, any CVV unless noted):
+ *   4242424242424242, 4111111111111111  Approved
+ *   4000000000000002                    Declined (card_declined)
+ *   4000000000009995                    Declined (insufficient_funds)
+ *   4000000000000069                    Declined (expired_card)
+ *   4000000000000127                    Declined (incorrect_cvc)
+ *   4000000000000119                    Declined (processing_error)
+ *   4000000000003220                    3-D Secure challenge (code 123456 passes)
+ *   4000000000000044                    Gateway never answers (timeout)
+ * Any other valid card number is approved. A past expiry date is always
+ * declined with expired_card.
+ */
+
+import { generateToken } from '../../../shared/utils/crypto.js';
+
+const THREE_DS_CODE = process.env.SIMULATOR_3DS_CODE || '123456';
+
+const DECLINE_CARDS = {
+  '4000000000000002': { code: 'card_declined', message: 'Your card was declined' },
+  '4000000000009995': { code: 'insufficient_funds', message: 'Your card has insufficient funds' },
+  '4000000000000069': { code: 'expired_card', message: 'Your card has expired' },
+  '4000000000000127': { code: 'incorrect_cvc', message: "Your card's security code is incorrect" },
+  '4000000000000119': { code: 'processing_error', message: 'An error occurred while processing your card' },
+};
+
+const THREE_DS_CARD = '4000000000003220';
+const TIMEOUT_CARD = '4000000000000044';
+
+// Long enough to outlast any configured gateway timeout
+const HANG_MS = 5 * 60 * 1000;
+
+function transactionId(prefix) {
+  return `${prefix}-${generateToken(12)}`;
+}
+
+/**
+ * Check an MM/YY expiry date against the current month
+ */
+function isExpired(expiryDate) {
+  const match = /^(\d{2})\/(\d{2})$/.exec(expiryDate || '');
+  if (!match) return true;
+  const month = parseInt(match[1], 10);
+  const year = 2000 + parseInt(match[2], 10);
+  if (month < 1 || month > 12) return true;
+  // First day of the month after expiry
+  return new Date(year, month, 1) <= new Date();
+}
+
+function hang() {
+  return new Promise((resolve) => {
+    setTimeout(() => resolve({ status: 'FAILED', code: 'processing_error' }), HANG_MS).unref();
+  });
+}
+
+/**
+ * Create the simulator gateway
+ * @returns {object} - Payment gateway implementation
+ */
+export function createSimulatorGateway() {
+  // Refund results by idempotency key
+  const refunds = new Map();
+
+  return {
+    name: 'simulator',
+
+    async authorize({ card }) {
+      if (card.number === TIMEOUT_CARD) {
+        return hang();
+      }
+
+      const decline = DECLINE_CARDS[card.number]
+        || (isExpired(card.expiryDate) && DECLINE_CARDS['4000000000000069']);
+      if (decline) {
+        return { status: 'DECLINED', code: decline.code, message: decline.message };
+      }
+
+      if (card.number === THREE_DS_CARD) {
+        return {
+          status: 'REQUIRES_ACTION',
+          transactionId: transactionId('AUTH'),
+          action: { type: 'three_d_secure', hint: 'Enter the code sent by your bank' },
+        };
+      }
+
+      return { status: 'AUTHORIZED', transactionId: transactionId('AUTH') };
+    },
+
+    async confirmAuthentication(authorizationId, challengeResponse) {
+      if (challengeResponse !== THREE_DS_CODE) {
+        return {
+          status: 'DECLINED',
+          code: 'authentication_failed',
+          message: '3-D Secure authentication failed',
+        };
+      }
+      return { status: 'AUTHORIZED', transactionId: authorizationId };
+    },
+
+    async capture(authorizationId) {
+      return { status: 'CAPTURED', transactionId: authorizationId };
+    },
+
+    async void(authorizationId) {
+      return { status: 'VOIDED', transactionId: authorizationId };
+    },
+
+    async refund(transactionIdToRefund, amount, { idempotencyKey } = {}) {
+      if (idempotencyKey && refunds.has(idempotencyKey)) {
+        return refunds.get(idempotencyKey);
+      }
+      const result = {
+        status: 'REFUNDED', refundId: transactionId('RFND'), transactionId: transactionIdToRefund, amount,
+      };
+      if (idempotencyKey) refunds.set(idempotencyKey, result);
+      return result;
+    },
+  };
+}
+
+export default createSimulatorGateway;
@@ -0,0 +1,107 @@
+/**
+ * Settlement Recovery
+ * Periodically finishes payments left AUTHORIZED because a capture failed
+ * or it was unknown whether their order took the payment, and retries
+ * refunds left PENDING because the gateway's answer was lost
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import paymentModel from '../models/payment.model.js';
+import refundModel from '../models/refund.model.js';
+import { getPaymentGateway } from '../gateways/index.js';
+import { recoverSettlement, recoverRefund } from '../utils/settlement.js';
+
+const RECOVERY_INTERVAL_MS = parseInt(process.env.SETTLEMENT_RECOVERY_INTERVAL_MS || '60000', 10);
+// Well past any gateway and order-service timeout, so settlements still in flight are left alone
+const STALE_SECONDS = parseInt(process.env.SETTLEMENT_STALE_SECONDS || '300', 10);
+
+let timer = null;
+
+/**
+ * Retry refunds left PENDING, with the same gateway idempotency key
+ * @param {object} gateway - Payment gateway
+ * @returns {Promise<number>} - Number of refunds processed
+ */
+async function recoverRefunds(gateway) {
+  let refunds;
+  try {
+    refunds = await refundModel.claimStalePending(STALE_SECONDS);
+  } catch (error) {
+    logger.error('Refund recovery failed', { error: error.message });
+    return 0;
+  }
+
+  for (const pending of refunds) {
+    try {
+      const refund = await recoverRefund(pending, gateway);
+      logger.info('Refund recovered', { refundId: refund.id, paymentId: refund.payment_id });
+    } catch (error) {
+      logger.error('Refund recovery step failed', {
+        refundId: pending.id,
+        paymentId: pending.payment_id,
+        error: error.message,
+      });
+    }
+  }
+
+  return refunds.length;
+}
+
+/**
+ * Run a single recovery pass
+ * @returns {Promise<number>} - Number of payments and refunds processed
+ */
+export async function recoverSettlements() {
+  const gateway = getPaymentGateway();
+  const refundCount = await recoverRefunds(gateway);
+
+  let payments;
+  try {
+    payments = await paymentModel.claimStaleAuthorized(STALE_SECONDS);
+  } catch (error) {
+    logger.error('Settlement recovery failed', { error: error.message });
+    return refundCount;
+  }
+
+  for (const payment of payments) {
+    try {
+      const updated = await recoverSettlement(payment, gateway);
+      if (updated.status !== payment.status) {
+        logger.info('Settlement recovered', {
+          paymentId: payment.id,
+          orderId: payment.order_id,
+          to: updated.status,
+        });
+      }
+    } catch (error) {
+      logger.error('Settlement recovery step failed', {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        error: error.message,
+      });
+    }
+  }
+
+  return refundCount + payments.length;
+}
+
+/**
+ * Start the periodic recovery
+ */
+export function startSettlementRecovery() {
+  if (timer) return;
+  recoverSettlements();
+  timer = setInterval(recoverSettlements, RECOVERY_INTERVAL_MS);
+  timer.unref();
+  logger.info('Settlement recovery started', { intervalMs: RECOVERY_INTERVAL_MS });
+}
+
+/**
+ * Stop the periodic recovery
+ */
+export function stopSettlementRecovery() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default { recoverSettlements, startSettlementRecovery, stopSettlementRecovery };
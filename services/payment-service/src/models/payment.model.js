@@ -1,17 +1,49 @@
-import { query } from '../config/database.js';
+import { query, withTransaction, outbox } from '../config/database.js';
+import { EVENT_TYPES } from '../../../shared/events/eventBus.js';
 
-async function create(paymentData) {
-  const { orderId, userId, amount, encryptedCard, transactionId, status } = paymentData;
+/**
+ * Record a payment attempt as PENDING before the gateway is called. Only one
+ * live attempt per order is allowed, so a concurrent attempt gets null here
+ * and never reaches the gateway.
+ * @param {object} paymentData - { orderId, userId, amount, encryptedCard, gateway }
+ * @returns {Promise<object|null>} - Payment, or null if the order already has a live payment
+ */
+async function createPending(paymentData) {
+  const {
+    orderId, userId, amount, encryptedCard, gateway,
+  } = paymentData;
   const result = await query(
-    `INSERT INTO payments (order_id, user_id, amount, encrypted_card, transaction_id, status)
-     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-    [orderId, userId, amount, encryptedCard, transactionId, status]
+    `INSERT INTO payments (order_id, user_id, amount, encrypted_card, status, gateway)
+     VALUES ($1, $2, $3, $4, 'PENDING', $5)
+     ON CONFLICT (order_id) WHERE status NOT IN ('DECLINED', 'FAILED', 'VOIDED') DO NOTHING
+     RETURNING *`,
+    [orderId, userId, amount, encryptedCard, gateway || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the gateway's answer to a PENDING attempt
+ * @param {string} id - Payment ID
+ * @param {object} authorization - { transactionId, status, failureCode }
+ * @returns {Promise<object>} - Updated payment
+ */
+async function recordAuthorization(id, { transactionId, status, failureCode }) {
+  const result = await query(
+    `UPDATE payments
+     SET transaction_id = $1, status = $2, failure_code = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 RETURNING *`,
+    [transactionId || null, status, failureCode || null, id]
   );
   return result.rows[0];
 }
 
+// Latest attempt for the order; earlier declined attempts are kept for audit
 async function findByOrderId(orderId) {
-  const result = await query('SELECT * FROM payments WHERE order_id = $1', [orderId]);
+  const result = await query(
+    'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [orderId]
+  );
   return result.rows[0] || null;
 }
 
@@ -20,4 +52,76 @@ async function findById(id) {
   return result.rows[0] || null;
 }
 
-export default { create, findByOrderId, findById };
+async function updateStatus(id, status, failureCode = null) {
+  const result = await query(
+    `UPDATE payments
+     SET status = $1, failure_code = COALESCE($2, failure_code), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 RETURNING *`,
+    [status, failureCode, id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a captured payment as completed and record PaymentCompleted
+ * @returns {Promise<object>} - Updated payment
+ */
+async function markCompleted(id) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE payments
+       SET status = 'COMPLETED', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    const payment = result.rows[0];
+
+    await outbox.append(client, {
+      type: EVENT_TYPES.PAYMENT_COMPLETED,
+      aggregateId: payment.id,
+      payload: {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        userId: payment.user_id,
+        amount: payment.amount,
+        transactionId: payment.transaction_id,
+        gateway: payment.gateway,
+      },
+    });
+
+    return payment;
+  });
+}
+
+/**
+ * Claim AUTHORIZED payments that have not changed for a while, so one
+ * replica at a time recovers each
+ * @param {number} staleSeconds - Minimum age of the last update
+ * @param {number} limit - Maximum payments to claim
+ * @returns {Promise<array>} - Payments
+ */
+async function claimStaleAuthorized(staleSeconds, limit = 20) {
+  const result = await query(
+    `UPDATE payments SET updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM payments
+       WHERE status = 'AUTHORIZED' AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+       ORDER BY updated_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [staleSeconds, limit]
+  );
+  return result.rows;
+}
+
+export default {
+  createPending,
+  recordAuthorization,
+  findByOrderId,
+  findById,
+  claimStaleAuthorized,
+  updateStatus,
+  markCompleted,
+};
@@ -0,0 +1,160 @@
+import { query, withTransaction, outbox } from '../config/database.js';
+import { EVENT_TYPES } from '../../../shared/events/eventBus.js';
+import { ConflictError, NotFoundError } from '../../../shared/middleware/errorHandler.js';
+
+// Payment states that still hold captured funds
+const REFUNDABLE_PAYMENT_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+// Pending refunds count against the limit so concurrent requests cannot overshoot
+const COMMITTED_REFUND_STATUSES = ['PENDING', 'COMPLETED'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Record a pending refund if it fits within the captured amount
+ * @param {object} refundData - { paymentId, amount, reason, requestedBy }; amount defaults to the remainder
+ * @returns {Promise<object>} - { refund, payment }
+ */
+async function createPending(refundData) {
+  const { paymentId, amount, reason, requestedBy } = refundData;
+
+  return withTransaction(async (client) => {
+    const paymentResult = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ConflictError(`Payment is ${payment.status.toLowerCase()} and cannot be refunded`);
+    }
+
+    const totals = await client.query(
+      'SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE payment_id = $1 AND status = ANY($2)',
+      [paymentId, COMMITTED_REFUND_STATUSES]
+    );
+
+    const remainingCents = toCents(payment.amount) - toCents(totals.rows[0].refunded);
+    const refundCents = amount === undefined ? remainingCents : toCents(amount);
+
+    if (remainingCents <= 0) {
+      throw new ConflictError('Payment has already been fully refunded');
+    }
+    if (refundCents > remainingCents) {
+      throw new ConflictError(`Refund exceeds refundable amount of ${(remainingCents / 100).toFixed(2)}`);
+    }
+
+    const refundResult = await client.query(
+      `INSERT INTO refunds (payment_id, amount, reason, requested_by)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [paymentId, refundCents / 100, reason || null, requestedBy || null]
+    );
+
+    return { refund: refundResult.rows[0], payment };
+  });
+}
+
+/**
+ * Mark a refund as completed, move the payment to REFUNDED or
+ * PARTIALLY_REFUNDED and record PaymentRefunded
+ * @param {string} refundId - Refund ID
+ * @param {string} gatewayRefundId - Gateway reference of the refund
+ * @param {object} options - { updateOrder }; false when the caller manages the order's status
+ * @returns {Promise<object>} - { refund, payment }
+ */
+async function complete(refundId, gatewayRefundId, { updateOrder = true } = {}) {
+  return withTransaction(async (client) => {
+    const refundResult = await client.query(
+      `UPDATE refunds
+       SET status = 'COMPLETED', gateway_refund_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING *`,
+      [gatewayRefundId, refundId]
+    );
+    const refund = refundResult.rows[0];
+
+    const paymentResult = await client.query(
+      `UPDATE payments p
+       SET status = CASE
+             WHEN r.refunded >= p.amount THEN 'REFUNDED'
+             ELSE 'PARTIALLY_REFUNDED'
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT COALESCE(SUM(amount), 0) AS refunded
+         FROM refunds WHERE payment_id = $1 AND status = 'COMPLETED'
+       ) r
+       WHERE p.id = $1
+       RETURNING p.*`,
+      [refund.payment_id]
+    );
+    const payment = paymentResult.rows[0];
+
+    // order-service moves the order to orderStatus when it is set
+    await outbox.append(client, {
+      type: EVENT_TYPES.PAYMENT_REFUNDED,
+      aggregateId: payment.id,
+      payload: {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        refundId: refund.id,
+        amount: refund.amount,
+        paymentStatus: payment.status,
+        orderStatus: updateOrder ? payment.status : null,
+      },
+    });
+
+    return { refund, payment };
+  });
+}
+
+/**
+ * Mark a refund as failed so its amount is refundable again
+ */
+async function fail(refundId, failureCode) {
+  const result = await query(
+    `UPDATE refunds
+     SET status = 'FAILED', failure_code = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 RETURNING *`,
+    [failureCode, refundId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim PENDING refunds that have not changed for a while, so one replica
+ * at a time retries each
+ * @param {number} staleSeconds - Minimum age of the last update
+ * @param {number} limit - Maximum refunds to claim
+ * @returns {Promise<array>} - Refunds
+ */
+async function claimStalePending(staleSeconds, limit = 20) {
+  const result = await query(
+    `UPDATE refunds SET updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM refunds
+       WHERE status = 'PENDING' AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+       ORDER BY updated_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [staleSeconds, limit]
+  );
+  return result.rows;
+}
+
+async function findByPayment(paymentId) {
+  const result = await query(
+    'SELECT * FROM refunds WHERE payment_id = $1 ORDER BY created_at DESC',
+    [paymentId]
+  );
+  return result.rows;
+}
+
+export default {
+  createPending,
+  complete,
+  fail,
+  claimStalePending,
+  findByPayment,
+};
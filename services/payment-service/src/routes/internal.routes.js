@@ -0,0 +1,18 @@
+/**
+ * Internal Payment Routes
+ * Service-to-service endpoints, callable only with a service token
+ */
+
+import express from 'express';
+import paymentController from '../controllers/payment.controller.js';
+import { authenticateService } from '../../../shared/middleware/auth.js';
+
+const router = express.Router();
+
+// Get the latest payment of an order
+router.get('/order/:orderId', authenticateService, paymentController.getPaymentForService);
+
+// Void or fully refund a payment (checkout compensation)
+router.post('/:id/cancel', authenticateService, paymentController.cancelPaymentForService);
+
+export default router;
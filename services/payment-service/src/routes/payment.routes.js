@@ -6,11 +6,28 @@ import express from 'express';
 import paymentController from '../controllers/payment.controller.js';
 import { authenticate } from '../../../shared/middleware/auth.js';
 import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+import { idempotent } from '../../../shared/middleware/idempotency.js';
+import { idempotencyStore } from '../config/database.js';
 
 const router = express.Router();
 
-// Process payment (mock)
-router.post('/process', authenticate, authorize(ROLES.BUYER, ROLES.ADMIN), paymentController.processPayment);
+// Process payment (retries with the same Idempotency-Key replay the first response)
+router.post(
+  '/process',
+  authenticate,
+  authorize(ROLES.BUYER, ROLES.ADMIN),
+  idempotent(idempotencyStore),
+  paymentController.processPayment
+);
+
+// Complete a 3-D Secure challenge
+router.post('/:id/authenticate', authenticate, authorize(ROLES.BUYER, ROLES.ADMIN), paymentController.authenticatePayment);
+
+// Refund a payment in full or in part (admin only)
+router.post('/:id/refunds', authenticate, authorize(ROLES.ADMIN), paymentController.createRefund);
+
+// List refunds of a payment
+router.get('/:id/refunds', authenticate, paymentController.getRefunds);
 
 // Get payment by order ID
 router.get('/order/:orderId', authenticate, paymentController.getPaymentByOrderId);
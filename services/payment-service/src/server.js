@@ -13,10 +13,14 @@ dotenv.config();
 
 import { configureHelmet, configureCORS, rateLimiter, logSecurityEvents } from '../../shared/middleware/security.js';
 import { errorHandler, notFoundHandler } from '../../shared/middleware/errorHandler.js';
+import { requestContext } from '../../shared/middleware/requestContext.js';
 import { logger } from '../../shared/utils/logger.js';
-import { initializeDatabase } from './config/database.js';
+import { getEventBus } from '../../shared/events/eventBus.js';
+import { initializeDatabase, outbox } from './config/database.js';
+import { startSettlementRecovery } from './jobs/settlementRecovery.js';
 
 import paymentRoutes from './routes/payment.routes.js';
+import internalRoutes from './routes/internal.routes.js';
 import healthRoutes from './routes/health.routes.js';
 
 const app = express();
@@ -36,12 +40,15 @@ app.use(configureCORS());
 app.use(logSecurityEvents);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// After the body parsers, whose stream callbacks would lose the request's async context
+app.use(requestContext);
 app.use(rateLimiter);
 
 app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     logger.http('Request completed', {
+      requestId: req.id,
       method: req.method,
       path: req.path,
       status: res.statusCode,
@@ -53,6 +60,7 @@ app.use((req, res, next) => {
 
 app.use('/health', healthRoutes);
 app.use('/payments', paymentRoutes);
+app.use('/internal/payments', internalRoutes);
 
 app.get('/', (req, res) => {
   res.json({
@@ -66,6 +74,8 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 initializeDatabase().then(() => {
+  outbox.startRelay(getEventBus());
+  startSettlementRecovery();
   app.listen(PORT, () => {
     logger.info(`Payment Service started on port ${PORT}`);
   });
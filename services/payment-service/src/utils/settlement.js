@@ -0,0 +1,182 @@
+/**
+ * Payment Settlement
+ * Marks the order paid and captures the authorization, sends refunds to
+ * the gateway, and finishes settlements and refunds that were interrupted
+ */
+
+import { ConflictError, PaymentDeclinedError } from '../../../shared/middleware/errorHandler.js';
+import { logger } from '../../../shared/utils/logger.js';
+import paymentModel from '../models/payment.model.js';
+import refundModel from '../models/refund.model.js';
+import orderClient from '../clients/order.client.js';
+
+// Order statuses in which the order has taken the payment
+const PAID_ORDER_STATUSES = ['PAID', 'FULFILLING', 'SHIPPED', 'DELIVERED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// A timeout or server error may come after order-service committed the change
+const isAmbiguous = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * Whether the order has taken the payment
+ * @returns {Promise<boolean|null>} - null while it cannot be told: the order is
+ *   still PENDING (the update may yet commit) or order-service is unreachable
+ */
+async function orderTookPayment(orderId) {
+  try {
+    const order = await orderClient.getOrder(orderId);
+    if (!order) return false;
+    if (PAID_ORDER_STATUSES.includes(order.status)) return true;
+    return order.status === 'PENDING' ? null : false;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Capture a payment whose order is paid. A failed capture leaves the
+ * payment AUTHORIZED for recoverSettlement to retry.
+ */
+async function capturePayment(payment, gateway) {
+  try {
+    await gateway.capture(payment.transaction_id, payment.amount);
+  } catch (error) {
+    logger.error('Payment capture failed, payment left authorized for recovery', {
+      paymentId: payment.id,
+      error: error.message,
+    });
+    return payment;
+  }
+
+  return paymentModel.markCompleted(payment.id);
+}
+
+/**
+ * Mark the order paid, then capture the authorization.
+ * The authorization is voided only once the order certainly did not take
+ * the payment; when that is unknown it is left for recoverSettlement.
+ * @param {object} payment - AUTHORIZED payment
+ * @param {object} gateway - Payment gateway
+ * @returns {Promise<object>} - Payment, COMPLETED unless settlement is pending
+ */
+export async function settlePayment(payment, gateway) {
+  try {
+    await orderClient.updateOrderStatus(payment.order_id, 'PAID', `Payment ${payment.transaction_id}`);
+  } catch (error) {
+    const paid = isAmbiguous(error) ? await orderTookPayment(payment.order_id) : false;
+
+    if (paid === null) {
+      logger.error('Order status unknown after payment, left authorized for recovery', {
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        error: error.message,
+      });
+      return payment;
+    }
+
+    if (!paid) {
+      // The order could not take the payment (e.g. its stock hold expired)
+      await gateway.void(payment.transaction_id).catch((voidError) => {
+        logger.error('Failed to void authorization', {
+          paymentId: payment.id,
+          error: voidError.message,
+        });
+      });
+      await paymentModel.updateStatus(payment.id, 'VOIDED');
+      logger.error('Failed to mark order as paid, payment voided', {
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        error: error.message,
+      });
+      throw new ConflictError('Order could not be confirmed; the payment has been voided');
+    }
+  }
+
+  return capturePayment(payment, gateway);
+}
+
+/**
+ * Finish the settlement of a payment left AUTHORIZED: capture it if its
+ * order is paid, otherwise settle it again
+ * @param {object} payment - AUTHORIZED payment
+ * @param {object} gateway - Payment gateway
+ * @returns {Promise<object>} - Payment
+ */
+export async function recoverSettlement(payment, gateway) {
+  if (await orderTookPayment(payment.order_id)) {
+    return capturePayment(payment, gateway);
+  }
+  return settlePayment(payment, gateway);
+}
+
+/**
+ * Send a PENDING refund to the gateway, keyed by the refund's ID so a retry
+ * never refunds twice. A declined refund is marked FAILED. When the call
+ * itself fails the gateway may still have refunded, so the refund stays
+ * PENDING, counted against the refundable amount, for recovery to retry.
+ * @param {object} pending - PENDING refund
+ * @param {object} payment - Payment refunded
+ * @param {object} gateway - Payment gateway
+ * @param {object} options - { updateOrder }; see refundModel.complete
+ * @returns {Promise<object>} - { refund, payment } after completion
+ */
+export async function sendRefund(pending, payment, gateway, options) {
+  let gatewayResult;
+  try {
+    gatewayResult = await gateway.refund(payment.transaction_id, pending.amount, {
+      idempotencyKey: pending.id,
+    });
+  } catch (error) {
+    logger.error('Refund outcome unknown, left pending for recovery', {
+      refundId: pending.id,
+      paymentId: payment.id,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  if (gatewayResult.status !== 'REFUNDED') {
+    await refundModel.fail(pending.id, gatewayResult.code || 'refund_failed');
+    throw new PaymentDeclinedError(gatewayResult.message || 'Refund was declined', 'REFUND_DECLINED');
+  }
+
+  return refundModel.complete(pending.id, gatewayResult.refundId, options);
+}
+
+/**
+ * Move the order to the refunded payment's status. Failures are only logged:
+ * the PaymentRefunded event recorded with the refund is the fallback.
+ * @param {object} payment - Payment after the refund
+ * @param {object} refund - Completed refund
+ */
+export async function updateOrderAfterRefund(payment, refund) {
+  await orderClient.updateOrderStatus(payment.order_id, payment.status, `Refund ${refund.id}`)
+    .catch((error) => {
+      logger.error('Failed to update order after refund, left to the PaymentRefunded event', {
+        orderId: payment.order_id,
+        refundId: refund.id,
+        error: error.message,
+      });
+    });
+}
+
+/**
+ * Retry a refund left PENDING. It completes as a refund of the order, also
+ * when it was started by a cancellation that was refused because of it.
+ * @param {object} pending - PENDING refund
+ * @param {object} gateway - Payment gateway
+ * @returns {Promise<object>} - Completed refund
+ */
+export async function recoverRefund(pending, gateway) {
+  const payment = await paymentModel.findById(pending.payment_id);
+  const { refund, payment: updatedPayment } = await sendRefund(pending, payment, gateway);
+  await updateOrderAfterRefund(updatedPayment, refund);
+  return refund;
+}
+
+export default {
+  settlePayment,
+  recoverSettlement,
+  sendRefund,
+  updateOrderAfterRefund,
+  recoverRefund,
+};
@@ -0,0 +1,33 @@
+/**
+ * Order Service Client
+ * Purchase lookups for product-service
+ */
+
+import { generateServiceToken } from '../../../shared/utils/jwt.js';
+import { createServiceClient } from '../../../shared/utils/httpClient.js';
+
+const orderService = createServiceClient('order-service', {
+  baseURL: process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+});
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'product-service';
+
+function serviceHeaders() {
+  return { Authorization: `Bearer ${generateServiceToken(SERVICE_NAME)}` };
+}
+
+/**
+ * Find a delivered order in which the user bought the product
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<string|null>} - Order ID, or null if there is none
+ */
+export async function findDeliveredOrder(userId, productId) {
+  const response = await orderService.get('/internal/orders/delivered', {
+    params: { user_id: userId, product_id: productId },
+    headers: serviceHeaders(),
+  });
+  return response.data.data.orderId;
+}
+
+export default { findDeliveredOrder };
@@ -4,6 +4,7 @@
 
 import pg from 'pg';
 import { logger } from '../../../shared/utils/logger.js';
+import { createOutbox } from '../../../shared/events/outbox.js';
 
 const { Pool } = pg;
 
@@ -42,6 +43,34 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run a callback inside a single database transaction
+ * @param {function} callback - Receives a dedicated client, returns a promise
+ * @returns {Promise} - Callback result once committed
+ */
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Domain events written alongside the data that produced them
+export const outbox = createOutbox({ pool, source: 'product-service' });
+
+// Searchable document of a product; name matches outrank description matches.
+// Queries must use this exact expression for its GIN index to apply.
+export const PRODUCT_SEARCH_VECTOR = `(setweight(to_tsvector('english', name), 'A')
+  || setweight(to_tsvector('english', description), 'B'))`;
+
 export async function initializeDatabase() {
   try {
     // Create products table
@@ -67,6 +96,231 @@ export async function initializeDatabase() {
     await query('CREATE INDEX IF NOT EXISTS idx_products_active ON products(is_active)');
     await query('CREATE INDEX IF NOT EXISTS idx_products_created ON products(created_at)');
 
+    // Full-text search, plus trigram matching on names to tolerate typos
+    await query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await query(`CREATE INDEX IF NOT EXISTS idx_products_search
+      ON products USING GIN (${PRODUCT_SEARCH_VECTOR})`);
+    await query('CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops)');
+
+    // Stock held for pending orders until committed, released or expired
+    await query(`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        reference VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'RESERVED'
+          CHECK (status IN ('RESERVED', 'COMMITTED', 'RELEASED', 'EXPIRED')),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS stock_reservation_items (
+        reservation_id UUID NOT NULL REFERENCES stock_reservations(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id),
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        PRIMARY KEY (reservation_id, product_id)
+      )
+    `);
+
+    await query(`CREATE INDEX IF NOT EXISTS idx_reservations_expiry
+      ON stock_reservations(expires_at) WHERE status = 'RESERVED'`);
+
+    // Units sold through committed reservations, used to sort by popularity.
+    // Backfilled once from the reservations committed before it existed.
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'products' AND column_name = 'units_sold'
+        ) THEN
+          ALTER TABLE products ADD COLUMN units_sold INTEGER NOT NULL DEFAULT 0;
+          UPDATE products p
+          SET units_sold = sold.quantity
+          FROM (
+            SELECT i.product_id, SUM(i.quantity) AS quantity
+            FROM stock_reservation_items i
+            JOIN stock_reservations r ON r.id = i.reservation_id
+            WHERE r.status = 'COMMITTED'
+            GROUP BY i.product_id
+          ) sold
+          WHERE p.id = sold.product_id;
+        END IF;
+      END $$;
+    `);
+
+    // Category taxonomy; products reference a category by id
+    await query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(120) NOT NULL UNIQUE,
+        parent_id UUID REFERENCES categories(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id)');
+
+    // Turn the old free-text categories into top-level categories once,
+    // folding spellings that share a slug ("Electronics", "electronics")
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'products' AND column_name = 'category_id'
+        ) THEN
+          ALTER TABLE products ADD COLUMN category_id UUID REFERENCES categories(id);
+
+          INSERT INTO categories (name, slug)
+          SELECT MIN(TRIM(category)), slug
+          FROM (
+            SELECT category,
+              TRIM(BOTH '-' FROM regexp_replace(LOWER(category), '[^a-z0-9]+', '-', 'g')) AS slug
+            FROM products
+            WHERE category IS NOT NULL
+          ) legacy
+          WHERE slug <> ''
+          GROUP BY slug
+          ON CONFLICT (slug) DO NOTHING;
+
+          UPDATE products p
+          SET category_id = c.id, category = c.name
+          FROM categories c
+          WHERE c.slug = TRIM(BOTH '-' FROM regexp_replace(LOWER(p.category), '[^a-z0-9]+', '-', 'g'));
+        END IF;
+      END $$;
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id)');
+
+    // Option axes a product varies along, e.g. [{ "name": "Size", "values": ["S", "M"] }]
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '[]'`);
+
+    // One row per combination of option values. A product with active
+    // variants is sold by variant, and its stock is the sum of theirs.
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        product_id UUID NOT NULL REFERENCES products(id),
+        sku VARCHAR(100) NOT NULL UNIQUE,
+        options JSONB NOT NULL,
+        price DECIMAL(10, 2) CHECK (price >= 0),
+        stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+        position INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (product_id, options)
+      )
+    `);
+
+    // Reservation lines name a variant when the product has them, so a
+    // reservation may hold several variants of one product
+    await query(`ALTER TABLE stock_reservation_items
+      ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id)`);
+    await query('ALTER TABLE stock_reservation_items DROP CONSTRAINT IF EXISTS stock_reservation_items_pkey');
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reservation_items_line
+      ON stock_reservation_items(reservation_id, product_id, variant_id) NULLS NOT DISTINCT`);
+
+    // Uploaded images, in display order. `keys` holds the storage key of
+    // each rendition; products.image_url follows the first image.
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        id UUID PRIMARY KEY,
+        product_id UUID NOT NULL REFERENCES products(id),
+        position INTEGER NOT NULL,
+        keys JSONB NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position)');
+
+    // Bulk imports run in the background. `rows` holds the validated rows
+    // still to create, with their row numbers; `errors` the rows that failed.
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_import_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        seller_id UUID NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+          CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED')),
+        total_rows INTEGER NOT NULL,
+        processed_rows INTEGER NOT NULL DEFAULT 0,
+        created_count INTEGER NOT NULL DEFAULT 0,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        rows JSONB NOT NULL DEFAULT '[]',
+        errors JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_import_jobs_unfinished
+      ON product_import_jobs(created_at) WHERE status IN ('PENDING', 'RUNNING')`);
+
+    // Reviews by buyers with a delivered order, one per buyer and product.
+    // HIDDEN reviews are removed by moderation; FLAGGED ones stay visible
+    // but are marked for follow-up.
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_reviews (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        product_id UUID NOT NULL REFERENCES products(id),
+        user_id UUID NOT NULL,
+        order_id UUID NOT NULL,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title VARCHAR(120) NOT NULL,
+        body TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PUBLISHED'
+          CHECK (status IN ('PUBLISHED', 'FLAGGED', 'HIDDEN')),
+        moderation_reason VARCHAR(500),
+        moderated_by UUID,
+        moderated_at TIMESTAMP,
+        seller_reply TEXT,
+        seller_replied_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (product_id, user_id)
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_reviews_product ON product_reviews(product_id, created_at)');
+    await query(`CREATE INDEX IF NOT EXISTS idx_reviews_moderation
+      ON product_reviews(created_at) WHERE status = 'FLAGGED'`);
+
+    // Average and count of the reviews that are not hidden, kept in step
+    // with product_reviews
+    await query('ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_average DECIMAL(3, 2) NOT NULL DEFAULT 0');
+    await query('ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0');
+    await query('CREATE INDEX IF NOT EXISTS idx_products_rating ON products(rating_average, id) WHERE is_active = true');
+
+    // History of product edits, deletes and restores. `changes` maps each
+    // changed field to { "from": ..., "to": ... }.
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_revisions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        product_id UUID NOT NULL REFERENCES products(id),
+        action VARCHAR(20) NOT NULL CHECK (action IN ('UPDATE', 'DELETE', 'RESTORE')),
+        changes JSONB NOT NULL,
+        actor_id UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_product_revisions_product ON product_revisions(product_id, created_at)');
+
+    // Keyset pagination: one index per sort order, ending in id
+    await query('CREATE INDEX IF NOT EXISTS idx_products_newest ON products(created_at, id) WHERE is_active = true');
+    await query('CREATE INDEX IF NOT EXISTS idx_products_price ON products(price, id) WHERE is_active = true');
+    await query('CREATE INDEX IF NOT EXISTS idx_products_name ON products(name, id) WHERE is_active = true');
+    await query('CREATE INDEX IF NOT EXISTS idx_products_popularity ON products(units_sold, id) WHERE is_active = true');
+    await query(`CREATE INDEX IF NOT EXISTS idx_products_seller_newest
+      ON products(seller_id, created_at, id) WHERE is_active = true`);
+
+    await outbox.initialize();
+
     logger.info('Product database schema initialized');
   } catch (error) {
     logger.error('Product database initialization failed', { error: error.message });
@@ -74,4 +328,4 @@ export async function initializeDatabase() {
   }
 }
 
-export default { query, pool, initializeDatabase };
+export default { query, pool, withTransaction, outbox, initializeDatabase };
@@ -0,0 +1,185 @@
+/**
+ * Catalogue Controller
+ * Bulk import of products from CSV or JSON, and export of a seller's
+ * catalogue in the same formats
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import { logDataAccess } from '../../../shared/utils/logger.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
+import productModel from '../models/product.model.js';
+import categoryModel from '../models/category.model.js';
+import importModel from '../models/import.model.js';
+import { startImportJob } from '../jobs/productImporter.js';
+import {
+  CATALOGUE_FORMATS,
+  parseCatalogue,
+  toExportRow,
+  formatCatalogue,
+} from '../utils/catalogue.js';
+
+const UUID_SCHEMA = { id: { required: true, type: 'uuid' } };
+
+/**
+ * Format of an uploaded catalogue, from its Content-Type
+ */
+function uploadFormat(req) {
+  if (req.is('text/csv')) return 'csv';
+  if (req.is('application/json')) return 'json';
+  throw new ValidationError('Validation failed', ['catalogue must be sent as text/csv or application/json']);
+}
+
+/**
+ * Validate each row as a new product
+ * @param {array} rawRows - Parsed rows
+ * @returns {Promise<object>} - { rows: [{ row, product }], errors: [{ row, errors }] };
+ *   row is the 1-based position of the row in the file, not counting a CSV header
+ */
+async function validateRows(rawRows) {
+  // Catalogues repeat the same few categories
+  const categories = new Map();
+  const findCategory = (reference) => {
+    if (!categories.has(reference)) {
+      categories.set(reference, categoryModel.findByReference(reference));
+    }
+    return categories.get(reference);
+  };
+
+  const rows = [];
+  const errors = [];
+
+  for (const [index, raw] of rawRows.entries()) {
+    const row = index + 1;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, errors: ['row must be an object'] });
+      continue;
+    }
+
+    const validation = validateInput(raw, validationSchemas.product);
+    const rowErrors = [...validation.errors];
+
+    const reference = raw.category_id || raw.category;
+    const category = reference ? await findCategory(String(reference)) : null;
+    if (reference && !category) {
+      rowErrors.push('category does not exist');
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, errors: rowErrors });
+      continue;
+    }
+
+    const { name, description, price, stock } = validation.sanitized;
+    rows.push({
+      row,
+      product: { name, description, price, stock, categoryId: category?.id },
+    });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Import products from a CSV or JSON catalogue. With ?dryRun=true the rows
+ * are only validated; otherwise the valid rows are created by a background
+ * job, and invalid rows are reported on it.
+ * @route POST /products/import
+ */
+const importProducts = asyncHandler(async (req, res) => {
+  const format = uploadFormat(req);
+  const rawRows = parseCatalogue(format, req.body);
+  const { rows, errors } = await validateRows(rawRows);
+
+  if (req.query.dryRun === 'true') {
+    res.json({
+      success: true,
+      message: `${rows.length} of ${rawRows.length} rows are valid`,
+      data: {
+        dryRun: true,
+        totalRows: rawRows.length,
+        validRows: rows.length,
+        errors,
+      },
+    });
+    return;
+  }
+
+  const job = await importModel.create({
+    sellerId: req.user.userId,
+    format,
+    totalRows: rawRows.length,
+    rows,
+    errors,
+  });
+  if (rows.length > 0) {
+    startImportJob(job.id);
+  }
+
+  logDataAccess(req.user.userId, `product-import/${job.id}`, 'create');
+
+  res.status(202).json({
+    success: true,
+    message: 'Import started',
+    data: { job },
+  });
+});
+
+/**
+ * Get the progress of an import job
+ * @route GET /products/import/:jobId
+ */
+const getImportJob = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const job = validateInput({ id: jobId }, UUID_SCHEMA).valid
+    ? await importModel.findById(jobId)
+    : null;
+
+  // Other sellers' jobs are reported as missing
+  if (!job || (req.user.role !== ROLES.ADMIN && job.seller_id !== req.user.userId)) {
+    throw new NotFoundError('Import job not found');
+  }
+
+  res.json({
+    success: true,
+    data: { job },
+  });
+});
+
+/**
+ * Download the current user's active products as CSV or JSON. Admins may
+ * export any seller's with ?sellerId=.
+ * @route GET /products/export
+ */
+const exportProducts = asyncHandler(async (req, res) => {
+  const { format = 'csv', sellerId } = req.query;
+  if (!CATALOGUE_FORMATS.includes(format)) {
+    throw new ValidationError('Validation failed', [`format must be one of ${CATALOGUE_FORMATS.join(', ')}`]);
+  }
+
+  let exportedSellerId = req.user.userId;
+  if (req.user.role === ROLES.ADMIN && sellerId) {
+    if (!validateInput({ id: sellerId }, UUID_SCHEMA).valid) {
+      throw new ValidationError('Validation failed', ['sellerId must be a valid UUID']);
+    }
+    exportedSellerId = sellerId;
+  }
+
+  const products = await productModel.findCatalogue(exportedSellerId);
+
+  logDataAccess(req.user.userId, `products/seller/${exportedSellerId}`, 'export');
+
+  res.attachment(`products-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/json');
+  res.send(formatCatalogue(format, products.map(toExportRow)));
+});
+
+export default {
+  importProducts,
+  getImportJob,
+  exportProducts,
+};
@@ -0,0 +1,229 @@
+/**
+ * Category Controller
+ * Public category browsing and admin management of the taxonomy
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput } from '../../../shared/utils/validation.js';
+import { logDataAccess } from '../../../shared/utils/logger.js';
+import categoryModel from '../models/category.model.js';
+import { slugify } from '../utils/slug.js';
+
+const CATEGORY_SCHEMA = {
+  name: { required: true, type: 'string', minLength: 2, maxLength: 100 },
+  slug: { required: false, type: 'string', maxLength: 120 },
+  parent_id: { required: false, type: 'uuid' },
+};
+
+function toCategoryResponse(category) {
+  return {
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    parentId: category.parent_id,
+    createdAt: category.created_at,
+    updatedAt: category.updated_at,
+  };
+}
+
+/**
+ * Nest a flat list of categories under their parents
+ */
+function buildTree(categories) {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...toCategoryResponse(category), children: [] }])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+}
+
+/**
+ * Validate a slug, derived from the name unless one is given
+ */
+function toSlug(slug, name) {
+  const value = slugify(slug || name);
+  if (!value) {
+    throw new ValidationError('Validation failed', ['slug must contain letters or digits']);
+  }
+  return value;
+}
+
+async function assertSlugAvailable(slug, categoryId = null) {
+  const existing = await categoryModel.findBySlug(slug);
+  if (existing && existing.id !== categoryId) {
+    throw new ConflictError(`A category with slug "${slug}" already exists`);
+  }
+}
+
+async function findCategoryOrFail(id) {
+  const category = await categoryModel.findById(id);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+  return category;
+}
+
+/**
+ * Get the category tree
+ * @route GET /categories
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryModel.findAll();
+
+  res.json({
+    success: true,
+    data: { categories: buildTree(categories) },
+  });
+});
+
+/**
+ * Get a category by ID or slug, with its path from the top and its subcategories
+ * @route GET /categories/:reference
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const category = await categoryModel.findByReference(req.params.reference);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const [ancestors, categories] = await Promise.all([
+    categoryModel.findAncestors(category.id),
+    categoryModel.findAll(),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      category: {
+        ...toCategoryResponse(category),
+        path: ancestors.map(toCategoryResponse),
+        children: buildTree(categories.filter((c) => c.parent_id === category.id)),
+      },
+    },
+  });
+});
+
+/**
+ * Create category
+ * @route POST /categories
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, CATEGORY_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { name, parent_id: parentId } = validation.sanitized;
+  const slug = toSlug(validation.sanitized.slug, name);
+
+  if (parentId && !(await categoryModel.findById(parentId))) {
+    throw new ValidationError('Validation failed', ['parent_id does not exist']);
+  }
+  await assertSlugAvailable(slug);
+
+  const category = await categoryModel.create({ name, slug, parentId });
+
+  logDataAccess(req.user.userId, `category/${category.id}`, 'create');
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: { category: toCategoryResponse(category) },
+  });
+});
+
+/**
+ * Rename or move a category. `parent_id: null` moves it to the top level.
+ * @route PATCH /categories/:id
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await findCategoryOrFail(id);
+
+  const validation = validateInput(req.body, {
+    ...CATEGORY_SCHEMA,
+    name: { ...CATEGORY_SCHEMA.name, required: false },
+  });
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { name, parent_id: newParentId } = validation.sanitized;
+  const slug = validation.sanitized.slug !== undefined ? toSlug(validation.sanitized.slug) : undefined;
+  if (slug) {
+    await assertSlugAvailable(slug, id);
+  }
+
+  let parentId;
+  if (req.body.parent_id === null) {
+    parentId = null;
+  } else if (newParentId) {
+    if (!(await categoryModel.findById(newParentId))) {
+      throw new ValidationError('Validation failed', ['parent_id does not exist']);
+    }
+    // A category cannot move under itself or one of its own subcategories
+    const descendantIds = await categoryModel.findDescendantIds(id);
+    if (descendantIds.includes(newParentId)) {
+      throw new ValidationError('Validation failed', ['parent_id cannot be the category or one of its subcategories']);
+    }
+    parentId = newParentId;
+  }
+
+  const category = await categoryModel.update(id, { name, slug, parentId });
+
+  logDataAccess(req.user.userId, `category/${id}`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: { category: toCategoryResponse(category) },
+  });
+});
+
+/**
+ * Delete a category that has no subcategories or products
+ * @route DELETE /categories/:id
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await findCategoryOrFail(id);
+
+  const [children, products] = await Promise.all([
+    categoryModel.countChildren(id),
+    categoryModel.countProducts(id),
+  ]);
+  if (children > 0 || products > 0) {
+    throw new ConflictError('Move its subcategories and products before deleting a category');
+  }
+
+  await categoryModel.remove(id);
+
+  logDataAccess(req.user.userId, `category/${id}`, 'delete');
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully',
+  });
+});
+
+export default {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,181 @@
+/**
+ * Product Image Controller
+ * Sellers upload, order and delete the images of their products. Each upload
+ * is checked, resized into every rendition and kept in image storage.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput } from '../../../shared/utils/validation.js';
+import { logDataAccess, logger } from '../../../shared/utils/logger.js';
+import productModel from '../models/product.model.js';
+import imageModel from '../models/image.model.js';
+import { getImageStorage } from '../storage/imageStorage.js';
+import { processImage, MAX_IMAGES_PER_PRODUCT } from '../utils/images.js';
+import { findOwnedProduct } from '../utils/ownership.js';
+import { IMAGE_FIELD } from '../middleware/imageUpload.js';
+
+const IMAGE_ID_SCHEMA = { image_id: { required: true, type: 'uuid' } };
+const TOO_MANY_IMAGES = `a product may have at most ${MAX_IMAGES_PER_PRODUCT} images`;
+
+const isImageId = (value) => typeof value === 'string'
+  && validateInput({ image_id: value }, IMAGE_ID_SCHEMA).valid;
+
+/**
+ * Delete stored files. Failures are only logged: a leftover file is
+ * unreachable once its row is gone.
+ */
+async function removeStored(keys) {
+  const storage = getImageStorage();
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.warn('Failed to remove stored image', { key: keys[index], error: result.reason.message });
+    }
+  });
+}
+
+/**
+ * Get a product's images in display order
+ * @route GET /products/:id/images
+ */
+const getImages = asyncHandler(async (req, res) => {
+  const product = await productModel.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  res.json({
+    success: true,
+    data: { images: await imageModel.findByProduct(product.id) },
+  });
+});
+
+/**
+ * Upload images, added after the product's existing ones
+ * @route POST /products/:id/images
+ */
+const uploadImages = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'update');
+
+  const files = req.files || [];
+  if (files.length === 0) {
+    throw new ValidationError('Validation failed', [`at least one image is required in the "${IMAGE_FIELD}" field`]);
+  }
+
+  // Checked again under lock when the images are added; this saves resizing
+  // images that would be refused
+  const existing = await imageModel.findByProduct(product.id);
+  if (existing.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+    throw new ValidationError('Validation failed', [TOO_MANY_IMAGES]);
+  }
+
+  // One at a time: resizing is CPU-bound
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processImage(file));
+  }
+
+  const storage = getImageStorage();
+  const storedKeys = [];
+  let result;
+
+  try {
+    const images = [];
+    for (const { width, height, renditions } of processed) {
+      const id = randomUUID();
+      const keys = {};
+      for (const [size, buffer] of Object.entries(renditions)) {
+        keys[size] = `products/${product.id}/${id}-${size}.webp`;
+        await storage.put(keys[size], buffer, 'image/webp');
+        storedKeys.push(keys[size]);
+      }
+      images.push({ id, keys, width, height });
+    }
+
+    result = await imageModel.add(product.id, images, MAX_IMAGES_PER_PRODUCT);
+  } catch (error) {
+    await removeStored(storedKeys);
+    throw error;
+  }
+
+  if (!result) {
+    await removeStored(storedKeys);
+    throw new NotFoundError('Product not found');
+  }
+  if (result.limitExceeded) {
+    await removeStored(storedKeys);
+    throw new ValidationError('Validation failed', [TOO_MANY_IMAGES]);
+  }
+
+  logDataAccess(req.user.userId, `product/${product.id}/images`, 'create');
+
+  res.status(201).json({
+    success: true,
+    message: 'Images uploaded successfully',
+    data: { images: result.images },
+  });
+});
+
+/**
+ * Set the display order of a product's images; the first becomes the cover
+ * @route PUT /products/:id/images/order
+ */
+const reorderImages = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'update');
+
+  const { image_ids: imageIds } = req.body;
+  if (!Array.isArray(imageIds) || !imageIds.every(isImageId)) {
+    throw new ValidationError('Validation failed', ['image_ids must be an array of image IDs']);
+  }
+
+  const images = await imageModel.reorder(product.id, imageIds.map((id) => id.toLowerCase()));
+  if (!images) {
+    throw new ValidationError('Validation failed', ['image_ids must list every image of the product once']);
+  }
+
+  logDataAccess(req.user.userId, `product/${product.id}/images`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Image order updated successfully',
+    data: { images },
+  });
+});
+
+/**
+ * Delete an image and its stored renditions
+ * @route DELETE /products/:id/images/:imageId
+ */
+const deleteImage = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'update');
+  const imageId = req.params.imageId.toLowerCase();
+  if (!isImageId(imageId)) {
+    throw new NotFoundError('Image not found');
+  }
+
+  const removed = await imageModel.remove(product.id, imageId);
+  if (!removed) {
+    throw new NotFoundError('Image not found');
+  }
+  await removeStored(Object.values(removed.keys));
+
+  logDataAccess(req.user.userId, `product/${product.id}/images/${imageId}`, 'delete');
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    data: { images: await imageModel.findByProduct(product.id) },
+  });
+});
+
+export default {
+  getImages,
+  uploadImages,
+  reorderImages,
+  deleteImage,
+};
@@ -3,41 +3,98 @@
  * Implements secure product management with RBAC
  */
 
-import { asyncHandler, ValidationError, NotFoundError, AuthorizationError } from '../../../shared/middleware/errorHandler.js';
+import {
+  asyncHandler, ValidationError, NotFoundError, AuthorizationError, ConflictError,
+} from '../../../shared/middleware/errorHandler.js';
 import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
 import { logDataAccess, logAuthzFailure } from '../../../shared/utils/logger.js';
-import productModel from '../models/product.model.js';
+import productModel, {
+  SELLER_STATUS_FILTERS,
+  SELLER_STOCK_FILTERS,
+} from '../models/product.model.js';
+import categoryModel from '../models/category.model.js';
+import variantModel from '../models/variant.model.js';
+import imageModel from '../models/image.model.js';
+import revisionModel from '../models/revision.model.js';
 import { ROLES } from '../../../shared/middleware/rbac.js';
+import {
+  parseListOptions, toPagination, parsePage, toPagePagination,
+} from '../utils/listing.js';
+import { findOwnedProduct } from '../utils/ownership.js';
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Products with this many units or fewer left are flagged as low on stock
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+const MY_PRODUCTS_SCHEMA = {
+  status: { required: false, type: 'enum', values: Object.keys(SELLER_STATUS_FILTERS) },
+  stock: { required: false, type: 'enum', values: Object.keys(SELLER_STOCK_FILTERS) },
+  sellerId: { required: false, type: 'uuid' },
+};
+
+/**
+ * IDs the category filter matches: the category and everything below it.
+ * An unknown category matches nothing.
+ */
+async function resolveCategoryFilter(reference) {
+  if (!reference) return undefined;
+  const category = await categoryModel.findByReference(String(reference));
+  return category ? categoryModel.findDescendantIds(category.id) : [];
+}
+
+/**
+ * Category ID a product is assigned to, from `category_id` or, for older
+ * clients, a `category` name or slug that must name an existing category
+ * @returns {Promise<string|undefined>} - Category ID, undefined if none was given
+ */
+async function resolveProductCategory(body) {
+  const reference = body.category_id || body.category;
+  if (!reference) return undefined;
+
+  const category = await categoryModel.findByReference(String(reference));
+  if (!category) {
+    throw new ValidationError('Validation failed', ['category does not exist']);
+  }
+  return category.id;
+}
 
 /**
  * Get all products
  * @route GET /products
  */
 const getAllProducts = asyncHandler(async (req, res) => {
-  const { category, minPrice, maxPrice, search, page = 1, limit = 20 } = req.query;
+  const {
+    category, minPrice, maxPrice, search, inStock,
+  } = req.query;
+
+  const searchTerm = typeof search === 'string' ? search.trim() : undefined;
+  if (searchTerm && searchTerm.length > MAX_SEARCH_LENGTH) {
+    throw new ValidationError('Validation failed', [`search must not exceed ${MAX_SEARCH_LENGTH} characters`]);
+  }
 
   const filters = {
-    category,
+    categoryIds: await resolveCategoryFilter(category),
     minPrice: minPrice ? parseFloat(minPrice) : undefined,
     maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
-    search,
+    search: searchTerm || undefined,
+    inStock: inStock === 'true',
   };
 
-  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const options = parseListOptions(req.query, Boolean(filters.search));
 
-  const products = await productModel.findAll(filters, parseInt(limit), offset);
-  const total = await productModel.count(filters);
+  const [{ products, nextCursor }, total, facets] = await Promise.all([
+    productModel.findAll(filters, options),
+    productModel.count(filters),
+    productModel.facets(filters),
+  ]);
 
   res.json({
     success: true,
     data: {
       products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
+      facets,
+      pagination: toPagination(options, total, nextCursor),
     },
   });
 });
@@ -55,9 +112,14 @@ const getProductById = asyncHandler(async (req, res) => {
     throw new NotFoundError('Product not found');
   }
 
+  const [variants, images] = await Promise.all([
+    variantModel.findByProduct(id),
+    imageModel.findByProduct(id),
+  ]);
+
   res.json({
     success: true,
-    data: { product },
+    data: { product: { ...product, variants, images } },
   });
 });
 
@@ -75,6 +137,7 @@ const createProduct = asyncHandler(async (req, res) => {
 
   const productData = {
     ...validation.sanitized,
+    categoryId: await resolveProductCategory(req.body),
     sellerId: req.user.userId,
   };
 
@@ -117,13 +180,17 @@ const updateProduct = asyncHandler(async (req, res) => {
     description: validationSchemas.product.description,
     price: validationSchemas.product.price,
     stock: validationSchemas.product.stock,
+    category_id: validationSchemas.product.category_id,
   });
 
   if (!validation.valid) {
     throw new ValidationError('Validation failed', validation.errors);
   }
 
-  const product = await productModel.update(id, validation.sanitized);
+  const product = await productModel.update(id, {
+    ...validation.sanitized,
+    categoryId: await resolveProductCategory(req.body),
+  }, req.user.userId);
 
   logDataAccess(req.user.userId, `product/${id}`, 'update');
 
@@ -156,7 +223,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
     throw new AuthorizationError('You can only delete your own products');
   }
 
-  await productModel.softDelete(id);
+  await productModel.softDelete(id, req.user.userId);
 
   logDataAccess(req.user.userId, `product/${id}`, 'delete');
 
@@ -166,29 +233,95 @@ const deleteProduct = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get a page of a product's revisions, newest first, including those of a
+ * deleted product
+ * @route GET /products/:id/history
+ */
+const getProductHistory = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'read', { includeDeleted: true });
+
+  const pageOptions = parsePage(req.query);
+  const { revisions, total } = await revisionModel.findByProduct(product.id, pageOptions);
+
+  res.json({
+    success: true,
+    data: {
+      revisions,
+      pagination: toPagePagination(pageOptions, total),
+    },
+  });
+});
+
+/**
+ * Restore a deleted product
+ * @route POST /products/:id/restore
+ */
+const restoreProduct = asyncHandler(async (req, res) => {
+  const existing = await findOwnedProduct(req, 'restore', { includeDeleted: true });
+
+  const product = await productModel.restore(existing.id, req.user.userId);
+  if (!product) {
+    throw new ConflictError('Product is not deleted');
+  }
+
+  logDataAccess(req.user.userId, `product/${existing.id}`, 'restore');
+
+  res.json({
+    success: true,
+    message: 'Product restored successfully',
+    data: { product },
+  });
+});
+
+/**
+ * Get all of the current user's products, including deleted and
+ * out-of-stock ones, with units sold and low-stock flags.
+ * Admins may list any seller's with ?sellerId=.
+ * @route GET /products/mine?status=&stock=
+ */
+const getMyProducts = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.query, MY_PRODUCTS_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+  const { status, stock, sellerId } = validation.sanitized;
+
+  const listedSellerId = req.user.role === ROLES.ADMIN && sellerId ? sellerId : req.user.userId;
+  const { products, summary } = await productModel.findForSeller(listedSellerId, {
+    status,
+    stock,
+    lowStockThreshold: LOW_STOCK_THRESHOLD,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      products,
+      summary,
+      lowStockThreshold: LOW_STOCK_THRESHOLD,
+    },
+  });
+});
+
 /**
  * Get products by seller
  * @route GET /products/seller/:sellerId
  */
 const getProductsBySeller = asyncHandler(async (req, res) => {
   const { sellerId } = req.params;
-  const { page = 1, limit = 20 } = req.query;
-
-  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const options = parseListOptions(req.query);
 
-  const products = await productModel.findBySeller(sellerId, parseInt(limit), offset);
-  const total = await productModel.countBySeller(sellerId);
+  const [{ products, nextCursor }, total] = await Promise.all([
+    productModel.findBySeller(sellerId, options),
+    productModel.countBySeller(sellerId),
+  ]);
 
   res.json({
     success: true,
     data: {
       products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
+      pagination: toPagination(options, total, nextCursor),
     },
   });
 });
@@ -199,5 +332,8 @@ export default {
   createProduct,
   updateProduct,
   deleteProduct,
+  getProductHistory,
+  restoreProduct,
+  getMyProducts,
   getProductsBySeller,
 };
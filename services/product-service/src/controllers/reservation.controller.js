@@ -0,0 +1,155 @@
+/**
+ * Stock Reservation Controller
+ * Internal API used by order-service to hold, commit and release stock
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InsufficientStockError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import { logger } from '../../../shared/utils/logger.js';
+import reservationModel from '../models/reservation.model.js';
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS || '900', 10);
+const MAX_RESERVATION_ITEMS = 50;
+
+/**
+ * Validate reservation items, merging repeated products (or variants) into one line
+ */
+function parseItems(rawItems) {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    throw new ValidationError('Validation failed', ['items must contain at least one item']);
+  }
+  if (rawItems.length > MAX_RESERVATION_ITEMS) {
+    throw new ValidationError('Validation failed', [`items must not exceed ${MAX_RESERVATION_ITEMS} entries`]);
+  }
+
+  const errors = [];
+  const lines = new Map();
+
+  rawItems.forEach((rawItem, index) => {
+    const validation = validateInput(rawItem || {}, validationSchemas.orderItem);
+    if (!validation.valid) {
+      validation.errors.forEach((error) => errors.push(`items[${index}].${error}`));
+      return;
+    }
+    const { product_id: productId, variant_id: variantId = null, quantity } = validation.sanitized;
+    const key = `${productId}:${variantId}`;
+    const line = lines.get(key) || { productId, variantId, quantity: 0 };
+    lines.set(key, { ...line, quantity: line.quantity + quantity });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return Array.from(lines.values());
+}
+
+/**
+ * Reserve stock
+ * @route POST /reservations
+ */
+const createReservation = asyncHandler(async (req, res) => {
+  const validation = validateInput(req.body, validationSchemas.stockReservation);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const items = parseItems(req.body.items);
+  const { ttl_seconds: ttlSeconds = DEFAULT_TTL_SECONDS, reference } = validation.sanitized;
+
+  const { reservation, shortages } = await reservationModel.reserve({ items, ttlSeconds, reference });
+
+  if (shortages) {
+    throw new InsufficientStockError('Insufficient stock', shortages);
+  }
+
+  logger.info('Stock reserved', {
+    reservationId: reservation.id,
+    reference: reservation.reference,
+    caller: req.service.name,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { reservation },
+  });
+});
+
+/**
+ * Get reservation
+ * @route GET /reservations/:id
+ */
+const getReservation = asyncHandler(async (req, res) => {
+  const reservation = await reservationModel.findById(req.params.id);
+  if (!reservation) {
+    throw new NotFoundError('Reservation not found');
+  }
+
+  res.json({
+    success: true,
+    data: { reservation },
+  });
+});
+
+/**
+ * Commit reservation
+ * @route POST /reservations/:id/commit
+ */
+const commitReservation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let reservation = await reservationModel.commit(id);
+
+  if (!reservation) {
+    reservation = await reservationModel.findById(id);
+    if (!reservation) {
+      throw new NotFoundError('Reservation not found');
+    }
+    // Committing twice is harmless; anything else has lost its stock
+    if (reservation.status !== 'COMMITTED') {
+      throw new ConflictError(`Reservation is ${reservation.status.toLowerCase()}`);
+    }
+  }
+
+  logger.info('Stock reservation committed', { reservationId: id, caller: req.service.name });
+
+  res.json({
+    success: true,
+    data: { reservation },
+  });
+});
+
+/**
+ * Release reservation
+ * @route POST /reservations/:id/release
+ */
+const releaseReservation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let reservation = await reservationModel.release(id);
+
+  if (!reservation) {
+    reservation = await reservationModel.findById(id);
+    if (!reservation) {
+      throw new NotFoundError('Reservation not found');
+    }
+  } else {
+    logger.info('Stock reservation released', { reservationId: id, caller: req.service.name });
+  }
+
+  res.json({
+    success: true,
+    data: { reservation },
+  });
+});
+
+export default {
+  createReservation,
+  getReservation,
+  commitReservation,
+  releaseReservation,
+};
@@ -0,0 +1,294 @@
+/**
+ * Product Review Controller
+ * Buyers review products they received, sellers reply, admins moderate
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput } from '../../../shared/utils/validation.js';
+import { logDataAccess, logAuthzFailure } from '../../../shared/utils/logger.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
+import productModel from '../models/product.model.js';
+import reviewModel, { REVIEW_STATUS } from '../models/review.model.js';
+import orderClient from '../clients/order.client.js';
+import { parsePage, toPagePagination } from '../utils/listing.js';
+
+const PAGE_SIZES = { defaultLimit: 10, maxLimit: 50 };
+
+const REVIEW_SCHEMA = {
+  rating: { required: true, type: 'integer', min: 1, max: 5 },
+  title: { required: true, type: 'string', minLength: 3, maxLength: 120 },
+  body: { required: true, type: 'string', minLength: 10, maxLength: 2000 },
+};
+const REVIEW_UPDATE_SCHEMA = Object.fromEntries(
+  Object.entries(REVIEW_SCHEMA).map(([field, rules]) => [field, { ...rules, required: false }])
+);
+const REPLY_SCHEMA = {
+  reply: { required: true, type: 'string', minLength: 2, maxLength: 2000 },
+};
+const MODERATION_SCHEMA = {
+  status: { required: true, type: 'enum', values: Object.values(REVIEW_STATUS) },
+  reason: { required: false, type: 'string', maxLength: 500 },
+};
+const REVIEW_ID_SCHEMA = { review_id: { required: true, type: 'uuid' } };
+
+function validate(data, schema) {
+  const validation = validateInput(data, schema);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+  return validation.sanitized;
+}
+
+/**
+ * A review as shown to everyone: without the order it came from or who moderated it
+ */
+function toPublicReview(review) {
+  const {
+    order_id: orderId, moderated_by: moderatedBy, moderation_reason: moderationReason, ...visible
+  } = review;
+  return visible;
+}
+
+/**
+ * The review named by req.params.reviewId
+ */
+async function findReview(req) {
+  const reviewId = req.params.reviewId.toLowerCase();
+  const review = validateInput({ review_id: reviewId }, REVIEW_ID_SCHEMA).valid
+    ? await reviewModel.findById(reviewId)
+    : null;
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+  return review;
+}
+
+/**
+ * The review named by the URL, if the current user sells its product
+ */
+async function findReviewForSeller(req, action) {
+  const review = await findReview(req);
+  const product = await productModel.findById(review.product_id);
+  if (!product) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (req.user.role !== ROLES.ADMIN && product.seller_id !== req.user.userId) {
+    logAuthzFailure(req.user.userId, `review/${review.id}/reply`, action, {
+      reason: 'Not product owner',
+    });
+    throw new AuthorizationError('You can only reply to reviews of your own products');
+  }
+  return review;
+}
+
+/**
+ * Get a product's rating and a page of its reviews, newest first
+ * @route GET /products/:id/reviews
+ */
+const getProductReviews = asyncHandler(async (req, res) => {
+  const product = await productModel.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  const pageOptions = parsePage(req.query, PAGE_SIZES);
+  const { reviews, total } = await reviewModel.findByProduct(product.id, pageOptions);
+
+  res.json({
+    success: true,
+    data: {
+      rating: {
+        average: Number(product.rating_average),
+        count: product.rating_count,
+      },
+      reviews: reviews.map(toPublicReview),
+      pagination: toPagePagination(pageOptions, total),
+    },
+  });
+});
+
+/**
+ * Review a product. Only a user with a delivered order containing the
+ * product may, once per product.
+ * @route POST /products/:id/reviews
+ */
+const createReview = asyncHandler(async (req, res) => {
+  const { rating, title, body } = validate(req.body, REVIEW_SCHEMA);
+
+  const product = await productModel.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  const orderId = await orderClient.findDeliveredOrder(req.user.userId, product.id);
+  if (!orderId) {
+    logAuthzFailure(req.user.userId, `product/${product.id}/reviews`, 'create', {
+      reason: 'No delivered order for product',
+    });
+    throw new AuthorizationError('Only buyers who received this product can review it');
+  }
+
+  const review = await reviewModel.create({
+    productId: product.id,
+    userId: req.user.userId,
+    orderId,
+    rating,
+    title,
+    body,
+  });
+  if (!review) {
+    throw new ConflictError('You have already reviewed this product');
+  }
+
+  logDataAccess(req.user.userId, `product/${product.id}/reviews`, 'create');
+
+  res.status(201).json({
+    success: true,
+    message: 'Review posted successfully',
+    data: { review: toPublicReview(review) },
+  });
+});
+
+/**
+ * Edit one's own review
+ * @route PATCH /reviews/:reviewId
+ */
+const updateReview = asyncHandler(async (req, res) => {
+  const existing = await findReview(req);
+  if (existing.user_id !== req.user.userId) {
+    logAuthzFailure(req.user.userId, `review/${existing.id}`, 'update', {
+      reason: 'Not review author',
+    });
+    throw new AuthorizationError('You can only edit your own reviews');
+  }
+
+  const review = await reviewModel.update(existing.id, validate(req.body, REVIEW_UPDATE_SCHEMA));
+
+  logDataAccess(req.user.userId, `review/${existing.id}`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: { review: toPublicReview(review) },
+  });
+});
+
+/**
+ * Delete a review: one's own, or any as an admin
+ * @route DELETE /reviews/:reviewId
+ */
+const deleteReview = asyncHandler(async (req, res) => {
+  const existing = await findReview(req);
+  if (req.user.role !== ROLES.ADMIN && existing.user_id !== req.user.userId) {
+    logAuthzFailure(req.user.userId, `review/${existing.id}`, 'delete', {
+      reason: 'Not review author',
+    });
+    throw new AuthorizationError('You can only delete your own reviews');
+  }
+
+  await reviewModel.remove(existing.id);
+
+  logDataAccess(req.user.userId, `review/${existing.id}`, 'delete');
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+  });
+});
+
+/**
+ * Reply to a review of one's product, replacing any earlier reply
+ * @route PUT /reviews/:reviewId/reply
+ */
+const replyToReview = asyncHandler(async (req, res) => {
+  const existing = await findReviewForSeller(req, 'update');
+  const { reply } = validate(req.body, REPLY_SCHEMA);
+
+  const review = await reviewModel.setReply(existing.id, reply);
+
+  logDataAccess(req.user.userId, `review/${existing.id}/reply`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Reply saved successfully',
+    data: { review: toPublicReview(review) },
+  });
+});
+
+/**
+ * Remove the reply to a review of one's product
+ * @route DELETE /reviews/:reviewId/reply
+ */
+const deleteReply = asyncHandler(async (req, res) => {
+  const existing = await findReviewForSeller(req, 'delete');
+
+  const review = await reviewModel.setReply(existing.id, null);
+
+  logDataAccess(req.user.userId, `review/${existing.id}/reply`, 'delete');
+
+  res.json({
+    success: true,
+    message: 'Reply deleted successfully',
+    data: { review: toPublicReview(review) },
+  });
+});
+
+/**
+ * List reviews awaiting moderation, FLAGGED by default
+ * @route GET /reviews?status=
+ */
+const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const { status } = validate(
+    { status: req.query.status || REVIEW_STATUS.FLAGGED },
+    { status: MODERATION_SCHEMA.status }
+  );
+  const pageOptions = parsePage(req.query, PAGE_SIZES);
+  const { reviews, total } = await reviewModel.findByStatus(status, pageOptions);
+
+  res.json({
+    success: true,
+    data: { reviews, pagination: toPagePagination(pageOptions, total) },
+  });
+});
+
+/**
+ * Publish, flag or hide a review. Hidden reviews no longer count towards
+ * the product's rating.
+ * @route PATCH /reviews/:reviewId/moderation
+ */
+const moderateReview = asyncHandler(async (req, res) => {
+  const existing = await findReview(req);
+  const { status, reason } = validate(req.body, MODERATION_SCHEMA);
+
+  const review = await reviewModel.moderate(existing.id, {
+    status,
+    reason,
+    moderatorId: req.user.userId,
+  });
+
+  logDataAccess(req.user.userId, `review/${existing.id}/moderation`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Review moderated successfully',
+    data: { review },
+  });
+});
+
+export default {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  deleteReply,
+  getReviewsForModeration,
+  moderateReview,
+};
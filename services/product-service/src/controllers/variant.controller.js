@@ -0,0 +1,115 @@
+/**
+ * Product Variant Controller
+ * Sellers define option axes on their products and manage each variant's
+ * SKU, price and stock
+ */
+
+import {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from '../../../shared/middleware/errorHandler.js';
+import { validateInput, validationSchemas } from '../../../shared/utils/validation.js';
+import { logDataAccess } from '../../../shared/utils/logger.js';
+import productModel from '../models/product.model.js';
+import variantModel from '../models/variant.model.js';
+import { parseOptions } from '../utils/variants.js';
+import { findOwnedProduct } from '../utils/ownership.js';
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const VARIANT_ID_SCHEMA = { variant_id: validationSchemas.orderItem.variant_id };
+
+const VARIANT_SCHEMA = {
+  sku: { required: false, type: 'string', minLength: 1, maxLength: 100 },
+  price: { ...validationSchemas.product.price, required: false },
+  stock: { ...validationSchemas.product.stock, required: false },
+};
+
+/**
+ * Get a product's option axes and active variants
+ * @route GET /products/:id/variants
+ */
+const getVariants = asyncHandler(async (req, res) => {
+  const product = await productModel.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      options: product.options,
+      variants: await variantModel.findByProduct(product.id),
+    },
+  });
+});
+
+/**
+ * Replace a product's option axes and generate its variants
+ * @route PUT /products/:id/options
+ */
+const setOptions = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'update');
+  const options = parseOptions(req.body.options);
+
+  const variants = await variantModel.setOptions(product.id, options);
+
+  logDataAccess(req.user.userId, `product/${product.id}/options`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Product options updated successfully',
+    data: { options, variants },
+  });
+});
+
+/**
+ * Change a variant's SKU, price or stock. `price: null` makes the variant
+ * follow the product price again.
+ * @route PATCH /products/:id/variants/:variantId
+ */
+const updateVariant = asyncHandler(async (req, res) => {
+  const product = await findOwnedProduct(req, 'update');
+  const variantId = req.params.variantId.toLowerCase();
+  if (!validateInput({ variant_id: variantId }, VARIANT_ID_SCHEMA).valid) {
+    throw new NotFoundError('Variant not found');
+  }
+
+  const validation = validateInput(req.body, VARIANT_SCHEMA);
+  if (!validation.valid) {
+    throw new ValidationError('Validation failed', validation.errors);
+  }
+
+  const { sku, stock } = validation.sanitized;
+  if (sku && !SKU_PATTERN.test(sku)) {
+    throw new ValidationError('Validation failed', ['sku may only contain letters, digits, dots, dashes and underscores']);
+  }
+  const price = req.body.price === null ? null : validation.sanitized.price;
+
+  if (sku) {
+    const existing = await variantModel.findBySku(sku);
+    if (existing && existing.id !== variantId) {
+      throw new ConflictError(`SKU ${sku} is already in use`);
+    }
+  }
+
+  const variant = await variantModel.update(product.id, variantId, { sku, price, stock });
+  if (!variant) {
+    throw new NotFoundError('Variant not found');
+  }
+
+  logDataAccess(req.user.userId, `product/${product.id}/variants/${variantId}`, 'update');
+
+  res.json({
+    success: true,
+    message: 'Variant updated successfully',
+    data: { variant },
+  });
+});
+
+export default {
+  getVariants,
+  setOptions,
+  updateVariant,
+};
@@ -0,0 +1,64 @@
+/**
+ * Product Importer
+ * Creates the rows of import jobs in the background, a batch per transaction
+ * so progress is visible while a job runs and survives a restart
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import importModel, { IMPORT_STATUS } from '../models/import.model.js';
+
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE || '50', 10);
+
+// Jobs this instance is working on
+const running = new Set();
+
+async function runJob(jobId) {
+  try {
+    let job;
+    do {
+      job = await importModel.processBatch(jobId, BATCH_SIZE);
+    } while (job && job.status === IMPORT_STATUS.RUNNING);
+
+    if (job) {
+      logger.info('Product import completed', {
+        jobId,
+        created: job.created_count,
+        failed: job.failed_count,
+      });
+    }
+  } catch (error) {
+    logger.error('Product import failed', { jobId, error: error.message });
+    await importModel.fail(jobId).catch((failError) => {
+      logger.error('Failed to mark product import as failed', { jobId, error: failError.message });
+    });
+  } finally {
+    running.delete(jobId);
+  }
+}
+
+/**
+ * Start working on a job, unless this instance already is
+ * @param {string} jobId - Import job ID
+ */
+export function startImportJob(jobId) {
+  if (running.has(jobId)) return;
+  running.add(jobId);
+  setImmediate(() => runJob(jobId));
+}
+
+/**
+ * Pick up jobs left unfinished by a restart
+ */
+export async function resumeImportJobs() {
+  try {
+    const jobIds = await importModel.findUnfinished();
+    jobIds.forEach(startImportJob);
+    if (jobIds.length > 0) {
+      logger.info('Resuming product imports', { count: jobIds.length });
+    }
+  } catch (error) {
+    logger.error('Failed to resume product imports', { error: error.message });
+  }
+}
+
+export default { startImportJob, resumeImportJobs };
@@ -0,0 +1,48 @@
+/**
+ * Reservation Sweeper
+ * Periodically returns stock held by reservations whose TTL has passed
+ */
+
+import { logger } from '../../../shared/utils/logger.js';
+import reservationModel from '../models/reservation.model.js';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '60000', 10);
+
+let timer = null;
+
+/**
+ * Run a single sweep
+ * @returns {Promise<number>} - Number of reservations expired
+ */
+export async function sweepExpiredReservations() {
+  try {
+    const expired = await reservationModel.releaseExpired();
+    if (expired > 0) {
+      logger.info('Expired stock reservations released', { count: expired });
+    }
+    return expired;
+  } catch (error) {
+    logger.error('Reservation sweep failed', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Start the periodic sweeper
+ */
+export function startReservationSweeper() {
+  if (timer) return;
+  timer = setInterval(sweepExpiredReservations, SWEEP_INTERVAL_MS);
+  timer.unref();
+  logger.info('Reservation sweeper started', { intervalMs: SWEEP_INTERVAL_MS });
+}
+
+/**
+ * Stop the periodic sweeper
+ */
+export function stopReservationSweeper() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default { sweepExpiredReservations, startReservationSweeper, stopReservationSweeper };
@@ -0,0 +1,50 @@
+/**
+ * Image Upload Middleware
+ * Parses multipart uploads of product images into memory, within size and
+ * count limits. File content is checked again when it is processed.
+ */
+
+import multer from 'multer';
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+import { MAX_IMAGE_BYTES, IMAGE_TYPES } from '../utils/images.js';
+
+export const IMAGE_FIELD = 'images';
+export const MAX_FILES_PER_UPLOAD = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: MAX_FILES_PER_UPLOAD,
+    fields: 0,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      cb(new ValidationError('Validation failed', [`${file.originalname} is not a JPEG, PNG or WebP image`]));
+      return;
+    }
+    cb(null, true);
+  },
+}).array(IMAGE_FIELD, MAX_FILES_PER_UPLOAD);
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `each image must not exceed ${Math.floor(MAX_IMAGE_BYTES / (1024 * 1024))} MB`,
+  LIMIT_FILE_COUNT: `at most ${MAX_FILES_PER_UPLOAD} images may be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: `images must be sent in the "${IMAGE_FIELD}" field, at most ${MAX_FILES_PER_UPLOAD} at once`,
+  LIMIT_FIELD_COUNT: 'only image files may be sent',
+};
+
+/**
+ * Accept up to MAX_FILES_PER_UPLOAD images in the `images` field as req.files
+ */
+export function imageUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      next(new ValidationError('Validation failed', [LIMIT_MESSAGES[error.code] || error.message]));
+      return;
+    }
+    next(error);
+  });
+}
+
+export default imageUpload;
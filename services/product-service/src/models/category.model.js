@@ -0,0 +1,167 @@
+/**
+ * Category Model
+ * Category taxonomy: each category has an optional parent
+ */
+
+import { query, withTransaction } from '../config/database.js';
+import { slugify } from '../utils/slug.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Find all categories
+ */
+async function findAll() {
+  const result = await query('SELECT * FROM categories ORDER BY name');
+  return result.rows;
+}
+
+/**
+ * Find category by ID
+ */
+async function findById(id) {
+  const result = await query('SELECT * FROM categories WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find category by slug
+ */
+async function findBySlug(slug) {
+  const result = await query('SELECT * FROM categories WHERE slug = $1', [slug]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find a category by ID, slug or name ("Home & Garden" finds home-garden)
+ */
+async function findByReference(reference) {
+  if (UUID_PATTERN.test(reference)) {
+    return findById(reference);
+  }
+  return findBySlug(slugify(reference));
+}
+
+/**
+ * IDs of a category and all categories below it
+ * @param {string} id - Category ID
+ * @returns {Promise<array>} - Category IDs
+ */
+async function findDescendantIds(id) {
+  const result = await query(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+     )
+     SELECT id FROM tree`,
+    [id]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Categories above a category, starting at the top level
+ * @param {string} id - Category ID
+ * @returns {Promise<array>} - Ancestors, excluding the category itself
+ */
+async function findAncestors(id) {
+  const result = await query(
+    `WITH RECURSIVE path AS (
+       SELECT parent_id, 0 AS depth FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.parent_id, p.depth + 1
+       FROM categories c JOIN path p ON c.id = p.parent_id
+     )
+     SELECT c.* FROM path p JOIN categories c ON c.id = p.parent_id
+     ORDER BY p.depth DESC`,
+    [id]
+  );
+  return result.rows;
+}
+
+/**
+ * Create category
+ */
+async function create(categoryData) {
+  const { name, slug, parentId } = categoryData;
+
+  const result = await query(
+    `INSERT INTO categories (name, slug, parent_id)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [name, slug, parentId || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update category. A new name is copied to the products in the category,
+ * which keep it in their `category` field for older clients.
+ * @param {string} id - Category ID
+ * @param {object} categoryData - { name, slug, parentId }; parentId null
+ *   moves the category to the top level, undefined leaves it in place
+ * @returns {Promise<object|null>} - Updated category
+ */
+async function update(id, categoryData) {
+  const { name, slug, parentId } = categoryData;
+
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE categories
+       SET name = COALESCE($1, name),
+           slug = COALESCE($2, slug),
+           parent_id = CASE WHEN $3 THEN $4::uuid ELSE parent_id END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [name, slug, parentId !== undefined, parentId || null, id]
+    );
+
+    const category = result.rows[0];
+    if (category && name) {
+      await client.query(
+        'UPDATE products SET category = $1 WHERE category_id = $2',
+        [category.name, id]
+      );
+    }
+    return category || null;
+  });
+}
+
+/**
+ * Delete category
+ */
+async function remove(id) {
+  await query('DELETE FROM categories WHERE id = $1', [id]);
+}
+
+/**
+ * Count direct subcategories
+ */
+async function countChildren(id) {
+  const result = await query('SELECT COUNT(*) FROM categories WHERE parent_id = $1', [id]);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Count products assigned to a category, including deleted ones that still reference it
+ */
+async function countProducts(id) {
+  const result = await query('SELECT COUNT(*) FROM products WHERE category_id = $1', [id]);
+  return parseInt(result.rows[0].count);
+}
+
+export default {
+  findAll,
+  findById,
+  findBySlug,
+  findByReference,
+  findDescendantIds,
+  findAncestors,
+  create,
+  update,
+  remove,
+  countChildren,
+  countProducts,
+};
@@ -0,0 +1,191 @@
+/**
+ * Product Image Model
+ * Uploaded images of a product and their display order. The files themselves
+ * live in image storage; rows hold their keys.
+ */
+
+import { query, withTransaction } from '../config/database.js';
+import { getImageStorage } from '../storage/imageStorage.js';
+
+/**
+ * Image as returned to clients, with a URL per rendition
+ */
+function toImage(row) {
+  const storage = getImageStorage();
+  return {
+    id: row.id,
+    position: row.position,
+    width: row.width,
+    height: row.height,
+    urls: Object.fromEntries(
+      Object.entries(row.keys).map(([size, key]) => [size, storage.url(key)])
+    ),
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Images of a product in display order
+ * @param {string} productId - Product ID
+ * @returns {Promise<array>} - Images
+ */
+async function findByProduct(productId) {
+  const result = await query(
+    'SELECT * FROM product_images WHERE product_id = $1 ORDER BY position',
+    [productId]
+  );
+  return result.rows.map(toImage);
+}
+
+async function lockProduct(client, productId) {
+  const result = await client.query(
+    'SELECT id FROM products WHERE id = $1 AND is_active = true FOR UPDATE',
+    [productId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Point products.image_url at the medium rendition of the first image, so
+ * listings and older clients show it
+ */
+async function syncCoverImage(client, productId) {
+  const result = await client.query(
+    'SELECT keys FROM product_images WHERE product_id = $1 ORDER BY position LIMIT 1',
+    [productId]
+  );
+  const cover = result.rows[0];
+  await client.query(
+    'UPDATE products SET image_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [cover ? getImageStorage().url(cover.keys.medium) : null, productId]
+  );
+}
+
+/**
+ * Append stored images after a product's existing ones
+ * @param {string} productId - Product ID
+ * @param {array} images - [{ id, keys: { size: storage key }, width, height }]
+ * @param {number} maxImages - Most images a product may have
+ * @returns {Promise<object|null>} - { images } with all of the product's images,
+ *   { limitExceeded: true } when they would exceed maxImages, or null when
+ *   the product does not exist
+ */
+async function add(productId, images, maxImages) {
+  const added = await withTransaction(async (client) => {
+    if (!(await lockProduct(client, productId))) {
+      return null;
+    }
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) FROM product_images WHERE product_id = $1',
+      [productId]
+    );
+    const count = parseInt(countResult.rows[0].count, 10);
+    if (count + images.length > maxImages) {
+      return { limitExceeded: true };
+    }
+
+    await client.query(
+      `INSERT INTO product_images (id, product_id, position, keys, width, height)
+       SELECT id, $1, position, keys, width, height
+       FROM UNNEST($2::uuid[], $3::int[], $4::jsonb[], $5::int[], $6::int[])
+         AS i(id, position, keys, width, height)`,
+      [
+        productId,
+        images.map((image) => image.id),
+        images.map((image, index) => count + index),
+        images.map((image) => JSON.stringify(image.keys)),
+        images.map((image) => image.width),
+        images.map((image) => image.height),
+      ]
+    );
+
+    await syncCoverImage(client, productId);
+    return {};
+  });
+
+  if (!added || added.limitExceeded) {
+    return added;
+  }
+  return { images: await findByProduct(productId) };
+}
+
+/**
+ * Delete an image and close the gap it leaves in the order
+ * @param {string} productId - Product ID
+ * @param {string} imageId - Image ID
+ * @returns {Promise<object|null>} - Deleted row, with its storage keys, or null if not found
+ */
+async function remove(productId, imageId) {
+  return withTransaction(async (client) => {
+    if (!(await lockProduct(client, productId))) {
+      return null;
+    }
+
+    const result = await client.query(
+      'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *',
+      [imageId, productId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE product_images i SET position = o.position
+       FROM (
+         SELECT id, ROW_NUMBER() OVER (ORDER BY position) - 1 AS position
+         FROM product_images WHERE product_id = $1
+       ) o
+       WHERE i.id = o.id`,
+      [productId]
+    );
+
+    await syncCoverImage(client, productId);
+    return result.rows[0];
+  });
+}
+
+/**
+ * Put a product's images in the given order
+ * @param {string} productId - Product ID
+ * @param {array} imageIds - Every image ID of the product, each once, first image first
+ * @returns {Promise<array|null>} - Images in their new order, or null when
+ *   imageIds is not exactly the product's images
+ */
+async function reorder(productId, imageIds) {
+  const reordered = await withTransaction(async (client) => {
+    if (!(await lockProduct(client, productId))) {
+      return false;
+    }
+
+    const current = await client.query(
+      'SELECT id FROM product_images WHERE product_id = $1',
+      [productId]
+    );
+    const currentIds = new Set(current.rows.map((row) => row.id));
+    if (new Set(imageIds).size !== imageIds.length
+      || imageIds.length !== currentIds.size
+      || !imageIds.every((id) => currentIds.has(id))) {
+      return false;
+    }
+
+    await client.query(
+      `UPDATE product_images i SET position = o.ordinality - 1
+       FROM UNNEST($2::uuid[]) WITH ORDINALITY AS o(id, ordinality)
+       WHERE i.id = o.id AND i.product_id = $1`,
+      [productId, imageIds]
+    );
+
+    await syncCoverImage(client, productId);
+    return true;
+  });
+
+  return reordered ? findByProduct(productId) : null;
+}
+
+export default {
+  findByProduct,
+  add,
+  remove,
+  reorder,
+};
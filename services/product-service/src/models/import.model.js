@@ -0,0 +1,157 @@
+/**
+ * Product Import Job Model
+ * Bulk imports are validated up front, then their rows are created in
+ * batches by a background job whose progress is kept here
+ */
+
+import { query, withTransaction } from '../config/database.js';
+import { logger } from '../../../shared/utils/logger.js';
+import { insertProduct } from './product.model.js';
+
+export const IMPORT_STATUS = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+};
+
+// Everything but the rows still to create
+const JOB_COLUMNS = `id, seller_id, format, status, total_rows, processed_rows,
+  created_count, failed_count, errors, created_at, updated_at, finished_at`;
+
+/**
+ * Start an import job. Rows that failed validation count as processed and
+ * failed from the start.
+ * @param {object} jobData - { sellerId, format, totalRows,
+ *   rows: [{ row, product }] to create, errors: [{ row, errors }] }
+ * @returns {Promise<object>} - Job
+ */
+async function create(jobData) {
+  const { sellerId, format, totalRows, rows, errors } = jobData;
+  const done = rows.length === 0;
+
+  const result = await query(
+    `INSERT INTO product_import_jobs
+       (seller_id, format, status, total_rows, processed_rows, failed_count, rows, errors, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $5, $6, $7, CASE WHEN $8 THEN CURRENT_TIMESTAMP END)
+     RETURNING ${JOB_COLUMNS}`,
+    [
+      sellerId,
+      format,
+      done ? IMPORT_STATUS.COMPLETED : IMPORT_STATUS.PENDING,
+      totalRows,
+      errors.length,
+      JSON.stringify(rows),
+      JSON.stringify(errors),
+      done,
+    ]
+  );
+  return result.rows[0];
+}
+
+async function findById(id) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS} FROM product_import_jobs WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * IDs of jobs that have rows left to create, oldest first
+ */
+async function findUnfinished() {
+  const result = await query(
+    `SELECT id FROM product_import_jobs
+     WHERE status IN ('PENDING', 'RUNNING')
+     ORDER BY created_at`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Create the job's next batch of rows. A row that cannot be created is
+ * recorded as failed without affecting the others.
+ * @param {string} id - Job ID
+ * @param {number} batchSize - Rows to create
+ * @returns {Promise<object|null>} - Job after the batch, or null when it is
+ *   finished or another instance is working on it
+ */
+async function processBatch(id, batchSize) {
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      `SELECT * FROM product_import_jobs
+       WHERE id = $1 AND status IN ('PENDING', 'RUNNING')
+       FOR UPDATE SKIP LOCKED`,
+      [id]
+    );
+    const job = locked.rows[0];
+    if (!job) {
+      return null;
+    }
+
+    const batch = job.rows.slice(0, batchSize);
+    const remaining = job.rows.slice(batchSize);
+    const errors = [];
+    let created = 0;
+
+    for (const { row, product } of batch) {
+      await client.query('SAVEPOINT import_row');
+      try {
+        await insertProduct(client, { ...product, sellerId: job.seller_id });
+        await client.query('RELEASE SAVEPOINT import_row');
+        created += 1;
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        logger.warn('Product import row failed', { jobId: id, row, error: error.message });
+        errors.push({ row, errors: ['product could not be created'] });
+      }
+    }
+
+    const done = remaining.length === 0;
+    const result = await client.query(
+      `UPDATE product_import_jobs
+       SET status = $1,
+           rows = $2,
+           processed_rows = processed_rows + $3,
+           created_count = created_count + $4,
+           failed_count = failed_count + $5,
+           errors = errors || $6::jsonb,
+           updated_at = CURRENT_TIMESTAMP,
+           finished_at = CASE WHEN $7 THEN CURRENT_TIMESTAMP END
+       WHERE id = $8
+       RETURNING ${JOB_COLUMNS}`,
+      [
+        done ? IMPORT_STATUS.COMPLETED : IMPORT_STATUS.RUNNING,
+        JSON.stringify(remaining),
+        batch.length,
+        created,
+        errors.length,
+        JSON.stringify(errors),
+        done,
+        id,
+      ]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Stop a job that cannot continue; rows it already created are kept
+ */
+async function fail(id) {
+  await query(
+    `UPDATE product_import_jobs
+     SET status = 'FAILED', rows = '[]', updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('PENDING', 'RUNNING')`,
+    [id]
+  );
+}
+
+export default {
+  create,
+  findById,
+  findUnfinished,
+  processBatch,
+  fail,
+};
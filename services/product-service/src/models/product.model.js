@@ -3,124 +3,358 @@
  * Handles product data operations
  */
 
-import { query } from '../config/database.js';
+import {
+  query, withTransaction, outbox, PRODUCT_SEARCH_VECTOR,
+} from '../config/database.js';
+import { EVENT_TYPES } from '../../../shared/events/eventBus.js';
+import { PRODUCT_SORTS, encodeCursor } from '../utils/listing.js';
+import { recordRevision, REVISION_ACTIONS } from './revision.model.js';
 
 /**
- * Create new product
+ * Record ProductUpdated in the same transaction as the change
  */
-async function create(productData) {
-  const { name, description, price, stock, sellerId, category, imageUrl } = productData;
+export async function appendProductUpdated(client, product) {
+  await outbox.append(client, {
+    type: EVENT_TYPES.PRODUCT_UPDATED,
+    aggregateId: product.id,
+    payload: {
+      productId: product.id,
+      sellerId: product.seller_id,
+      name: product.name,
+      price: product.price,
+      stock: product.stock,
+      isActive: product.is_active,
+    },
+  });
+}
 
-  const result = await query(
-    `INSERT INTO products (name, description, price, stock, seller_id, category, image_url)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+/**
+ * Insert a product using the given client, e.g. inside a bulk import's transaction
+ */
+export async function insertProduct(client, productData) {
+  const { name, description, price, stock, sellerId, categoryId, imageUrl } = productData;
+
+  // `category` keeps the category name for clients that predate category_id
+  const result = await client.query(
+    `INSERT INTO products (name, description, price, stock, seller_id, category_id, category, image_url)
+     VALUES ($1, $2, $3, $4, $5, $6, (SELECT name FROM categories WHERE id = $6), $7)
      RETURNING *`,
-    [name, description, price, stock, sellerId, category || null, imageUrl || null]
+    [name, description, price, stock, sellerId, categoryId || null, imageUrl || null]
   );
 
   return result.rows[0];
 }
 
 /**
- * Find all products with filters
+ * Create new product
  */
-async function findAll(filters = {}, limit = 20, offset = 0) {
-  let queryText = 'SELECT * FROM products WHERE is_active = true';
-  const params = [];
-  let paramCount = 0;
+async function create(productData) {
+  return insertProduct({ query }, productData);
+}
 
-  if (filters.category) {
-    paramCount++;
-    queryText += ` AND category = $${paramCount}`;
-    params.push(filters.category);
+// Price ranges counted in search facets; max is exclusive, null means no upper bound
+export const PRICE_BUCKETS = [
+  { min: 0, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: null },
+];
+
+const SEARCH_QUERY = (term) => `websearch_to_tsquery('english', ${term})`;
+
+/**
+ * Build the WHERE clause shared by listing, counting and facets
+ * @param {object} filters - { search, categoryIds, minPrice, maxPrice, inStock, sellerId };
+ *   categoryIds holds a category and its descendants
+ * @param {array} params - Query parameters; filter values are appended
+ * @param {array} skip - Filters to leave out, so a facet counts every value
+ *   of its own dimension ('category', 'price' or 'inStock')
+ * @returns {object} - { where, searchTerm: placeholder of the search term }
+ */
+function buildConditions(filters, params, skip = []) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = ['is_active = true'];
+  let searchTerm = null;
+
+  if (filters.sellerId) {
+    conditions.push(`seller_id = ${param(filters.sellerId)}`);
   }
 
-  if (filters.minPrice !== undefined) {
-    paramCount++;
-    queryText += ` AND price >= $${paramCount}`;
-    params.push(filters.minPrice);
+  if (filters.search) {
+    searchTerm = param(filters.search);
+    // Word similarity catches misspelt names the stemmed full-text match misses
+    conditions.push(`(${PRODUCT_SEARCH_VECTOR} @@ ${SEARCH_QUERY(searchTerm)} OR ${searchTerm} <% name)`);
   }
 
-  if (filters.maxPrice !== undefined) {
-    paramCount++;
-    queryText += ` AND price <= $${paramCount}`;
-    params.push(filters.maxPrice);
+  if (filters.categoryIds && !skip.includes('category')) {
+    conditions.push(`category_id = ANY(${param(filters.categoryIds)}::uuid[])`);
   }
 
-  if (filters.search) {
-    paramCount++;
-    queryText += ` AND (name ILIKE $${paramCount} OR description ILIKE $${paramCount})`;
-    params.push(`%${filters.search}%`);
+  if (!skip.includes('price')) {
+    if (filters.minPrice !== undefined) {
+      conditions.push(`price >= ${param(filters.minPrice)}`);
+    }
+    if (filters.maxPrice !== undefined) {
+      conditions.push(`price <= ${param(filters.maxPrice)}`);
+    }
   }
 
-  queryText += ` ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-  params.push(limit, offset);
+  if (filters.inStock && !skip.includes('inStock')) {
+    conditions.push('stock > 0');
+  }
 
-  const result = await query(queryText, params);
-  return result.rows;
+  return { where: conditions.join(' AND '), searchTerm };
 }
 
 /**
- * Count products with filters
+ * Ranking of a product against a search term: full-text rank plus how
+ * closely a word in the name matches the term
  */
-async function count(filters = {}) {
-  let queryText = 'SELECT COUNT(*) FROM products WHERE is_active = true';
+const RELEVANCE = (term) => `(ts_rank_cd(${PRODUCT_SEARCH_VECTOR}, ${SEARCH_QUERY(term)})
+  + word_similarity(${term}, name))`;
+
+/**
+ * Find a page of products with filters.
+ * Pages after the first can be fetched by offset or, without skipping or
+ * repeating rows when products change in between, by keyset cursor.
+ * With a search term, products carry their relevance.
+ * @param {object} filters - Same filters as buildConditions
+ * @param {object} options - { sort, limit, offset, cursor: { value, id } }
+ * @returns {Promise<object>} - { products, nextCursor }
+ */
+async function findAll(filters = {}, options = {}) {
+  const {
+    sort = 'newest', limit = 20, offset = 0, cursor = null,
+  } = options;
   const params = [];
-  let paramCount = 0;
+  const { where, searchTerm } = buildConditions(filters, params);
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
 
-  if (filters.category) {
-    paramCount++;
-    queryText += ` AND category = $${paramCount}`;
-    params.push(filters.category);
-  }
+  const { column, direction, type } = PRODUCT_SORTS[sort];
+  const sortKey = column || RELEVANCE(searchTerm);
 
-  if (filters.minPrice !== undefined) {
-    paramCount++;
-    queryText += ` AND price >= $${paramCount}`;
-    params.push(filters.minPrice);
+  const select = [`*, ${sortKey}::text AS sort_value`];
+  if (searchTerm) {
+    select.push(`${RELEVANCE(searchTerm)} AS relevance`);
   }
 
-  if (filters.maxPrice !== undefined) {
-    paramCount++;
-    queryText += ` AND price <= $${paramCount}`;
-    params.push(filters.maxPrice);
+  let keyset = '';
+  if (cursor) {
+    const comparison = direction === 'DESC' ? '<' : '>';
+    keyset = ` AND (${sortKey}, id) ${comparison} (${param(cursor.value)}::${type}, ${param(cursor.id)}::uuid)`;
   }
 
-  if (filters.search) {
-    paramCount++;
-    queryText += ` AND (name ILIKE $${paramCount} OR description ILIKE $${paramCount})`;
-    params.push(`%${filters.search}%`);
-  }
+  // One extra row tells whether there is a next page
+  const result = await query(
+    `SELECT ${select.join(', ')} FROM products WHERE ${where}${keyset}
+     ORDER BY ${sortKey} ${direction}, id ${direction}
+     LIMIT ${param(limit + 1)} OFFSET ${param(offset)}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = result.rows.length > limit
+    ? encodeCursor(sort, last.sort_value, last.id)
+    : null;
 
-  const result = await query(queryText, params);
+  return {
+    products: rows.map(({ sort_value: sortValue, ...product }) => product),
+    nextCursor,
+  };
+}
+
+/**
+ * Count products with filters
+ */
+async function count(filters = {}) {
+  const params = [];
+  const { where } = buildConditions(filters, params);
+
+  const result = await query(`SELECT COUNT(*) FROM products WHERE ${where}`, params);
   return parseInt(result.rows[0].count);
 }
 
+/**
+ * Facet counts for a listing. Each facet applies every filter except its
+ * own, so selecting a category still shows how many match the others.
+ * A category counts the products of its subcategories too.
+ * @param {object} filters - Same filters as findAll
+ * @returns {Promise<object>} - { categories, priceRanges, availability }
+ */
+async function facets(filters = {}) {
+  const facetQuery = (skip, toSql) => {
+    const params = [];
+    const { where } = buildConditions(filters, params, skip);
+    return query(toSql(where), params);
+  };
+
+  const bucketColumns = PRICE_BUCKETS.map(({ min, max }, index) => {
+    const range = max === null ? `price >= ${min}` : `price >= ${min} AND price < ${max}`;
+    return `COUNT(*) FILTER (WHERE ${range}) AS bucket_${index}`;
+  });
+
+  const [categories, prices, availability] = await Promise.all([
+    facetQuery(['category'], (where) => `
+      WITH RECURSIVE lineage AS (
+        SELECT id AS category_id, id AS ancestor_id FROM categories
+        UNION ALL
+        SELECT l.category_id, c.parent_id
+        FROM lineage l JOIN categories c ON c.id = l.ancestor_id
+        WHERE c.parent_id IS NOT NULL
+      ), matched AS (
+        SELECT category_id, COUNT(*) AS count
+        FROM products WHERE ${where} AND category_id IS NOT NULL
+        GROUP BY category_id
+      )
+      SELECT c.id, c.slug, c.name, c.parent_id, SUM(m.count) AS count
+      FROM matched m
+      JOIN lineage l ON l.category_id = m.category_id
+      JOIN categories c ON c.id = l.ancestor_id
+      GROUP BY c.id
+      ORDER BY count DESC, c.name`),
+    facetQuery(['price'], (where) => `
+      SELECT ${bucketColumns.join(', ')} FROM products WHERE ${where}`),
+    facetQuery(['inStock'], (where) => `
+      SELECT COUNT(*) FILTER (WHERE stock > 0) AS in_stock,
+        COUNT(*) FILTER (WHERE stock = 0) AS out_of_stock
+      FROM products WHERE ${where}`),
+  ]);
+
+  return {
+    categories: categories.rows.map((row) => ({
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      parentId: row.parent_id,
+      count: parseInt(row.count),
+    })),
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({
+      ...bucket,
+      count: parseInt(prices.rows[0][`bucket_${index}`]),
+    })),
+    availability: {
+      inStock: parseInt(availability.rows[0].in_stock),
+      outOfStock: parseInt(availability.rows[0].out_of_stock),
+    },
+  };
+}
+
 /**
  * Find product by ID
+ * @param {string} id - Product ID
+ * @param {object} options - { includeDeleted: also find soft-deleted products }
  */
-async function findById(id) {
+async function findById(id, { includeDeleted = false } = {}) {
   const result = await query(
-    'SELECT * FROM products WHERE id = $1 AND is_active = true',
+    `SELECT * FROM products WHERE id = $1${includeDeleted ? '' : ' AND is_active = true'}`,
     [id]
   );
   return result.rows[0] || null;
 }
 
 /**
- * Find products by seller
+ * Lock a product for the rest of the transaction, so its revision records
+ * the values the change replaced
  */
-async function findBySeller(sellerId, limit = 20, offset = 0) {
+async function lockProduct(client, id) {
+  const result = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find a page of a seller's products
+ * @param {string} sellerId - Seller ID
+ * @param {object} options - Same options as findAll
+ * @returns {Promise<object>} - { products, nextCursor }
+ */
+async function findBySeller(sellerId, options = {}) {
+  return findAll({ sellerId }, options);
+}
+
+/**
+ * Every active product of a seller, oldest first, with its category slug
+ * @param {string} sellerId - Seller ID
+ * @returns {Promise<array>} - Products
+ */
+async function findCatalogue(sellerId) {
   const result = await query(
-    `SELECT * FROM products 
-     WHERE seller_id = $1 AND is_active = true 
-     ORDER BY created_at DESC 
-     LIMIT $2 OFFSET $3`,
-    [sellerId, limit, offset]
+    `SELECT p.*, c.slug AS category_slug
+     FROM products p LEFT JOIN categories c ON c.id = p.category_id
+     WHERE p.seller_id = $1 AND p.is_active = true
+     ORDER BY p.created_at, p.id`,
+    [sellerId]
   );
   return result.rows;
 }
 
+// Filters of a seller's own product list, as SQL conditions on products p
+export const SELLER_STATUS_FILTERS = {
+  active: 'p.is_active = true',
+  inactive: 'p.is_active = false',
+};
+export const SELLER_STOCK_FILTERS = {
+  in_stock: 'p.stock > $2',
+  low_stock: 'p.stock > 0 AND p.stock <= $2',
+  out_of_stock: 'p.stock = 0',
+};
+
+/**
+ * Every product of a seller, including deleted and out-of-stock ones, newest
+ * first, flagged when low on stock, with counts over all of them
+ * @param {string} sellerId - Seller ID
+ * @param {object} options - { status, stock, lowStockThreshold }; status and
+ *   stock are keys of SELLER_STATUS_FILTERS and SELLER_STOCK_FILTERS
+ * @returns {Promise<object>} - { products, summary }
+ */
+async function findForSeller(sellerId, { status, stock, lowStockThreshold }) {
+  const conditions = ['p.seller_id = $1'];
+  if (status) conditions.push(SELLER_STATUS_FILTERS[status]);
+  if (stock) conditions.push(SELLER_STOCK_FILTERS[stock]);
+
+  const [products, summary] = await Promise.all([
+    query(
+      `SELECT p.*, c.slug AS category_slug,
+         (p.stock > 0 AND p.stock <= $2) AS low_stock
+       FROM products p LEFT JOIN categories c ON c.id = p.category_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY p.created_at DESC, p.id DESC`,
+      [sellerId, lowStockThreshold]
+    ),
+    query(
+      `SELECT COUNT(*) AS total,
+         COUNT(*) FILTER (WHERE is_active) AS active,
+         COUNT(*) FILTER (WHERE NOT is_active) AS inactive,
+         COUNT(*) FILTER (WHERE is_active AND stock > 0 AND stock <= $2) AS low_stock,
+         COUNT(*) FILTER (WHERE is_active AND stock = 0) AS out_of_stock,
+         COALESCE(SUM(units_sold), 0) AS units_sold
+       FROM products WHERE seller_id = $1`,
+      [sellerId, lowStockThreshold]
+    ),
+  ]);
+
+  const counts = summary.rows[0];
+  return {
+    products: products.rows,
+    summary: {
+      total: parseInt(counts.total),
+      active: parseInt(counts.active),
+      inactive: parseInt(counts.inactive),
+      lowStock: parseInt(counts.low_stock),
+      outOfStock: parseInt(counts.out_of_stock),
+      unitsSold: parseInt(counts.units_sold),
+    },
+  };
+}
+
 /**
  * Count products by seller
  */
@@ -133,34 +367,85 @@ async function countBySeller(sellerId) {
 }
 
 /**
- * Update product
+ * Update product, recording a revision of the fields that changed
+ * @param {string} id - Product ID
+ * @param {object} productData - { name, description, price, stock, categoryId }
+ * @param {string} actorId - User making the change
  */
-async function update(id, productData) {
-  const { name, description, price, stock } = productData;
+async function update(id, productData, actorId) {
+  const { name, description, price, stock, categoryId } = productData;
 
-  const result = await query(
-    `UPDATE products 
-     SET name = COALESCE($1, name),
-         description = COALESCE($2, description),
-         price = COALESCE($3, price),
-         stock = COALESCE($4, stock),
-         updated_at = CURRENT_TIMESTAMP
-     WHERE id = $5 AND is_active = true
-     RETURNING *`,
-    [name, description, price, stock, id]
-  );
+  return withTransaction(async (client) => {
+    const before = await lockProduct(client, id);
+    const result = await client.query(
+      `UPDATE products 
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           price = COALESCE($3, price),
+           stock = CASE
+             -- A product sold by variant keeps the sum of their stock
+             WHEN EXISTS (SELECT 1 FROM product_variants WHERE product_id = $6 AND is_active = true) THEN stock
+             ELSE COALESCE($4, stock)
+           END,
+           category_id = COALESCE($5, category_id),
+           category = COALESCE((SELECT name FROM categories WHERE id = $5), category),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND is_active = true
+       RETURNING *`,
+      [name, description, price, stock, categoryId || null, id]
+    );
 
-  return result.rows[0];
+    const product = result.rows[0];
+    if (product) {
+      await recordRevision(client, {
+        action: REVISION_ACTIONS.UPDATE, before, after: product, actorId,
+      });
+      await appendProductUpdated(client, product);
+    }
+    return product;
+  });
+}
+
+/**
+ * Set whether a product is active, recording the change as a revision
+ * @returns {Promise<object|null>} - Product, or null if it was already in that state
+ */
+async function setActive(id, isActive, actorId) {
+  return withTransaction(async (client) => {
+    const before = await lockProduct(client, id);
+    if (!before || before.is_active === isActive) {
+      return null;
+    }
+
+    const result = await client.query(
+      'UPDATE products SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [isActive, id]
+    );
+    const product = result.rows[0];
+    await recordRevision(client, {
+      action: isActive ? REVISION_ACTIONS.RESTORE : REVISION_ACTIONS.DELETE,
+      before,
+      after: product,
+      actorId,
+    });
+    await appendProductUpdated(client, product);
+    return product;
+  });
 }
 
 /**
  * Soft delete product
  */
-async function softDelete(id) {
-  await query(
-    'UPDATE products SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-    [id]
-  );
+async function softDelete(id, actorId) {
+  await setActive(id, false, actorId);
+}
+
+/**
+ * Restore a soft-deleted product
+ * @returns {Promise<object|null>} - Product, or null if it was not deleted
+ */
+async function restore(id, actorId) {
+  return setActive(id, true, actorId);
 }
 
 /**
@@ -195,11 +480,15 @@ export default {
   create,
   findAll,
   count,
+  facets,
   findById,
   findBySeller,
+  findCatalogue,
+  findForSeller,
   countBySeller,
   update,
   softDelete,
+  restore,
   updateStock,
   hasStock,
 };
@@ -0,0 +1,279 @@
+/**
+ * Stock Reservation Model
+ * Holds stock for pending orders so two buyers cannot both buy the last unit
+ */
+
+import { query, withTransaction } from '../config/database.js';
+
+const RESERVATION_WITH_ITEMS = `
+  SELECT r.*,
+    COALESCE(
+      json_agg(json_build_object(
+        'product_id', i.product_id, 'variant_id', i.variant_id, 'quantity', i.quantity
+      ))
+        FILTER (WHERE i.product_id IS NOT NULL),
+      '[]'
+    ) AS items
+  FROM stock_reservations r
+  LEFT JOIN stock_reservation_items i ON i.reservation_id = r.id`;
+
+/**
+ * Stock a line can draw on. A product with active variants is sold by
+ * variant, so its lines must name one; other products are sold as they are.
+ */
+function availableStock(item, productsById, variantsById, productsWithVariants) {
+  const product = productsById.get(item.productId);
+  if (!product) return 0;
+
+  if (!productsWithVariants.has(item.productId)) {
+    return item.variantId ? 0 : product.stock;
+  }
+  const variant = item.variantId && variantsById.get(item.variantId);
+  return variant && variant.product_id === item.productId ? variant.stock : 0;
+}
+
+/**
+ * Reserve stock for all items or none. A variant's units are taken from
+ * both the variant and its product, whose stock is the sum of its variants.
+ * @param {object} reservationData - { items: [{ productId, variantId, quantity }], ttlSeconds, reference }
+ * @returns {Promise<object>} - { reservation } or { shortages } when stock is insufficient
+ */
+async function reserve(reservationData) {
+  const { items, ttlSeconds, reference } = reservationData;
+  const productIds = items.map((item) => item.productId);
+  const variantIds = items.map((item) => item.variantId || null);
+  const quantities = items.map((item) => item.quantity);
+
+  return withTransaction(async (client) => {
+    // Lock rows in a stable order, products before their variants, so
+    // concurrent reservations cannot deadlock
+    const locked = await client.query(
+      `SELECT id, name, stock FROM products
+       WHERE id = ANY($1::uuid[]) AND is_active = true
+       ORDER BY id
+       FOR UPDATE`,
+      [productIds]
+    );
+    const lockedVariants = await client.query(
+      `SELECT id, product_id, stock FROM product_variants
+       WHERE product_id = ANY($1::uuid[]) AND is_active = true
+       ORDER BY id
+       FOR UPDATE`,
+      [productIds]
+    );
+
+    const productsById = new Map(locked.rows.map((row) => [row.id, row]));
+    const variantsById = new Map(lockedVariants.rows.map((row) => [row.id, row]));
+    const productsWithVariants = new Set(lockedVariants.rows.map((row) => row.product_id));
+
+    const shortages = items
+      .map((item) => ({
+        item,
+        available: availableStock(item, productsById, variantsById, productsWithVariants),
+      }))
+      .filter(({ item, available }) => available < item.quantity)
+      .map(({ item, available }) => ({
+        product_id: item.productId,
+        variant_id: item.variantId || null,
+        requested: item.quantity,
+        available,
+      }));
+
+    if (shortages.length > 0) {
+      return { shortages };
+    }
+
+    // Several variants of one product add up to a single product update
+    await client.query(
+      `UPDATE products p
+       SET stock = p.stock - r.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT product_id, SUM(quantity) AS quantity
+         FROM UNNEST($1::uuid[], $2::int[]) AS t(product_id, quantity)
+         GROUP BY product_id
+       ) r
+       WHERE p.id = r.product_id`,
+      [productIds, quantities]
+    );
+
+    await client.query(
+      `UPDATE product_variants v
+       SET stock = v.stock - r.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM UNNEST($1::uuid[], $2::int[]) AS r(variant_id, quantity)
+       WHERE v.id = r.variant_id`,
+      [variantIds, quantities]
+    );
+
+    const reservationResult = await client.query(
+      `INSERT INTO stock_reservations (reference, expires_at)
+       VALUES ($1, CURRENT_TIMESTAMP + make_interval(secs => $2))
+       RETURNING *`,
+      [reference || null, ttlSeconds]
+    );
+    const reservation = reservationResult.rows[0];
+
+    await client.query(
+      `INSERT INTO stock_reservation_items (reservation_id, product_id, variant_id, quantity)
+       SELECT $1, * FROM UNNEST($2::uuid[], $3::uuid[], $4::int[])`,
+      [reservation.id, productIds, variantIds, quantities]
+    );
+
+    return {
+      reservation: {
+        ...reservation,
+        items: items.map((item) => ({
+          product_id: item.productId,
+          variant_id: item.variantId || null,
+          quantity: item.quantity,
+        })),
+      },
+    };
+  });
+}
+
+/**
+ * Find reservation by ID
+ */
+async function findById(id) {
+  const result = await query(`${RESERVATION_WITH_ITEMS} WHERE r.id = $1 GROUP BY r.id`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Commit an active reservation, making the stock decrement permanent
+ * and counting the units as sold
+ * @returns {Promise<object|null>} - Updated reservation or null if not active
+ */
+async function commit(id) {
+  const result = await query(
+    `WITH committed AS (
+       UPDATE stock_reservations
+       SET status = 'COMMITTED', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'RESERVED' AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *
+     ), sold AS (
+       UPDATE products p
+       SET units_sold = p.units_sold + t.quantity
+       FROM (
+         SELECT i.product_id, SUM(i.quantity) AS quantity
+         FROM stock_reservation_items i
+         JOIN committed c ON c.id = i.reservation_id
+         GROUP BY i.product_id
+       ) t
+       WHERE p.id = t.product_id
+     )
+     SELECT * FROM committed`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Units returned to each product by the reservation lines in a `lines` CTE
+ * that carries each line's reservation status. Units of a variant that has
+ * since been deactivated go back to the variant only, as the product counts
+ * active variants alone.
+ */
+const RETURNED_TO_PRODUCTS = `
+  SELECT i.product_id,
+    COALESCE(SUM(i.quantity) FILTER (WHERE i.variant_id IS NULL OR v.is_active), 0) AS quantity,
+    SUM(CASE WHEN i.status = 'COMMITTED' THEN i.quantity ELSE 0 END) AS sold
+  FROM lines i
+  LEFT JOIN product_variants v ON v.id = i.variant_id
+  GROUP BY i.product_id`;
+
+/**
+ * Release a reserved or committed reservation and return its stock.
+ * Units of a committed reservation are no longer counted as sold.
+ * @returns {Promise<object|null>} - Updated reservation or null if already released
+ */
+async function release(id) {
+  const result = await query(
+    `WITH previous AS (
+       SELECT id, status FROM stock_reservations
+       WHERE id = $1 AND status IN ('RESERVED', 'COMMITTED')
+       FOR UPDATE
+     ), released AS (
+       UPDATE stock_reservations
+       SET status = 'RELEASED', updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (SELECT id FROM previous)
+       RETURNING *
+     ), lines AS (
+       SELECT i.*, prev.status
+       FROM stock_reservation_items i
+       JOIN previous prev ON prev.id = i.reservation_id
+     ), restored AS (
+       UPDATE products p
+       SET stock = p.stock + t.quantity,
+           units_sold = p.units_sold - t.sold,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (${RETURNED_TO_PRODUCTS}) t
+       WHERE p.id = t.product_id
+     ), restored_variants AS (
+       UPDATE product_variants v
+       SET stock = v.stock + l.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM lines l
+       WHERE v.id = l.variant_id
+     )
+     SELECT * FROM released`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Expire reservations past their TTL and return their stock
+ * @param {number} batchSize - Maximum reservations to expire in one pass
+ * @returns {Promise<number>} - Number of reservations expired
+ */
+async function releaseExpired(batchSize = 100) {
+  const result = await query(
+    `WITH expired AS (
+       UPDATE stock_reservations
+       SET status = 'EXPIRED', updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM stock_reservations
+         WHERE status = 'RESERVED' AND expires_at <= CURRENT_TIMESTAMP
+         ORDER BY expires_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id
+     ), lines AS (
+       SELECT i.*, 'RESERVED' AS status
+       FROM stock_reservation_items i
+       JOIN expired e ON e.id = i.reservation_id
+     ), restored AS (
+       UPDATE products p
+       SET stock = p.stock + t.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (${RETURNED_TO_PRODUCTS}) t
+       WHERE p.id = t.product_id
+     ), restored_variants AS (
+       UPDATE product_variants v
+       SET stock = v.stock + t.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT variant_id, SUM(quantity) AS quantity
+         FROM lines
+         WHERE variant_id IS NOT NULL
+         GROUP BY variant_id
+       ) t
+       WHERE v.id = t.variant_id
+     )
+     SELECT COUNT(*) FROM expired`,
+    [batchSize]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+export default {
+  reserve,
+  findById,
+  commit,
+  release,
+  releaseExpired,
+};
@@ -0,0 +1,202 @@
+/**
+ * Product Review Model
+ * Buyer reviews, seller replies and moderation. Every change that affects
+ * which reviews count updates the product's rating in the same transaction.
+ */
+
+import { query, withTransaction } from '../config/database.js';
+
+export const REVIEW_STATUS = {
+  PUBLISHED: 'PUBLISHED',
+  FLAGGED: 'FLAGGED',
+  HIDDEN: 'HIDDEN',
+};
+
+/**
+ * Recompute a product's rating from its reviews that are not hidden
+ */
+async function syncRating(client, productId) {
+  // Wait for concurrent review changes to commit, so the recompute below
+  // (a new snapshot) includes them and the last writer is never stale
+  await client.query('SELECT 1 FROM products WHERE id = $1 FOR UPDATE', [productId]);
+  await client.query(
+    `UPDATE products
+     SET (rating_average, rating_count) = (
+       SELECT COALESCE(ROUND(AVG(rating), 2), 0), COUNT(*)
+       FROM product_reviews
+       WHERE product_id = $1 AND status <> 'HIDDEN'
+     )
+     WHERE id = $1`,
+    [productId]
+  );
+}
+
+/**
+ * Post a review
+ * @param {object} reviewData - { productId, userId, orderId, rating, title, body }
+ * @returns {Promise<object|null>} - Review, or null if the user already reviewed the product
+ */
+async function create(reviewData) {
+  const { productId, userId, orderId, rating, title, body } = reviewData;
+
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO product_reviews (product_id, user_id, order_id, rating, title, body)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (product_id, user_id) DO NOTHING
+       RETURNING *`,
+      [productId, userId, orderId, rating, title, body]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await syncRating(client, productId);
+    return result.rows[0];
+  });
+}
+
+async function findById(id) {
+  const result = await query('SELECT * FROM product_reviews WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * A page of a product's visible reviews, newest first
+ * @param {string} productId - Product ID
+ * @param {object} options - { limit, offset }
+ * @returns {Promise<object>} - { reviews, total }
+ */
+async function findByProduct(productId, { limit, offset }) {
+  const [reviews, count] = await Promise.all([
+    query(
+      `SELECT * FROM product_reviews
+       WHERE product_id = $1 AND status <> 'HIDDEN'
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [productId, limit, offset]
+    ),
+    query(
+      `SELECT COUNT(*) FROM product_reviews WHERE product_id = $1 AND status <> 'HIDDEN'`,
+      [productId]
+    ),
+  ]);
+  return { reviews: reviews.rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+/**
+ * A page of reviews in a moderation status, oldest first
+ * @param {string} status - Review status
+ * @param {object} options - { limit, offset }
+ * @returns {Promise<object>} - { reviews, total }
+ */
+async function findByStatus(status, { limit, offset }) {
+  const [reviews, count] = await Promise.all([
+    query(
+      `SELECT * FROM product_reviews WHERE status = $1
+       ORDER BY created_at, id
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    ),
+    query('SELECT COUNT(*) FROM product_reviews WHERE status = $1', [status]),
+  ]);
+  return { reviews: reviews.rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+/**
+ * Edit a review's rating, title or body
+ * @param {string} id - Review ID
+ * @param {object} reviewData - { rating, title, body }; undefined fields are unchanged
+ * @returns {Promise<object|null>} - Updated review
+ */
+async function update(id, reviewData) {
+  const { rating, title, body } = reviewData;
+
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE product_reviews
+       SET rating = COALESCE($1, rating),
+           title = COALESCE($2, title),
+           body = COALESCE($3, body),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [rating, title, body, id]
+    );
+    const review = result.rows[0];
+    if (review && rating !== undefined) {
+      await syncRating(client, review.product_id);
+    }
+    return review || null;
+  });
+}
+
+/**
+ * Delete a review
+ * @returns {Promise<object|null>} - Deleted review
+ */
+async function remove(id) {
+  return withTransaction(async (client) => {
+    const result = await client.query('DELETE FROM product_reviews WHERE id = $1 RETURNING *', [id]);
+    const review = result.rows[0];
+    if (review) {
+      await syncRating(client, review.product_id);
+    }
+    return review || null;
+  });
+}
+
+/**
+ * Set or remove the seller's reply
+ * @param {string} id - Review ID
+ * @param {string|null} reply - Reply text, null to remove it
+ * @returns {Promise<object|null>} - Updated review
+ */
+async function setReply(id, reply) {
+  const result = await query(
+    `UPDATE product_reviews
+     SET seller_reply = $1,
+         seller_replied_at = CASE WHEN $1::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE id = $2
+     RETURNING *`,
+    [reply, id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Change a review's moderation status
+ * @param {string} id - Review ID
+ * @param {object} moderation - { status, reason, moderatorId }
+ * @returns {Promise<object|null>} - Updated review
+ */
+async function moderate(id, { status, reason, moderatorId }) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE product_reviews
+       SET status = $1,
+           moderation_reason = $2,
+           moderated_by = $3,
+           moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [status, reason || null, moderatorId, id]
+    );
+    const review = result.rows[0];
+    if (review) {
+      await syncRating(client, review.product_id);
+    }
+    return review || null;
+  });
+}
+
+export default {
+  create,
+  findById,
+  findByProduct,
+  findByStatus,
+  update,
+  remove,
+  setReply,
+  moderate,
+};
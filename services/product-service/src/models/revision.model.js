@@ -0,0 +1,80 @@
+/**
+ * Product Revision Model
+ * Before and after values of every product edit, delete and restore,
+ * with who made the change
+ */
+
+import { query } from '../config/database.js';
+
+export const REVISION_ACTIONS = {
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+  RESTORE: 'RESTORE',
+};
+
+// Product columns whose changes are recorded
+const TRACKED_FIELDS = ['name', 'description', 'price', 'stock', 'category_id', 'is_active'];
+
+/**
+ * Changed tracked fields between two versions of a product
+ * @returns {object} - { field: { from, to } }
+ */
+function diff(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a change to a product using the given client, inside the
+ * transaction that made it. Nothing is recorded if no tracked field changed.
+ * @param {object} client - Transaction client
+ * @param {object} revision - { action, before, after, actorId }; before and
+ *   after are the product rows
+ * @returns {Promise<object|null>} - Revision, or null if nothing changed
+ */
+export async function recordRevision(client, { action, before, after, actorId }) {
+  const changes = diff(before, after);
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO product_revisions (product_id, action, changes, actor_id)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [after.id, action, JSON.stringify(changes), actorId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * A page of a product's revisions, newest first
+ * @param {string} productId - Product ID
+ * @param {object} options - { limit, offset }
+ * @returns {Promise<object>} - { revisions, total }
+ */
+async function findByProduct(productId, { limit, offset }) {
+  const [revisions, count] = await Promise.all([
+    query(
+      `SELECT * FROM product_revisions
+       WHERE product_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [productId, limit, offset]
+    ),
+    query('SELECT COUNT(*) FROM product_revisions WHERE product_id = $1', [productId]),
+  ]);
+  return { revisions: revisions.rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+export default {
+  recordRevision,
+  findByProduct,
+};
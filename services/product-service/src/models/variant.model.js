@@ -0,0 +1,163 @@
+/**
+ * Product Variant Model
+ * Variants are the option combinations a product is sold in, each with its
+ * own SKU, stock and optional price
+ */
+
+import { query, withTransaction } from '../config/database.js';
+import { appendProductUpdated } from './product.model.js';
+import { combinations, variantSku } from '../utils/variants.js';
+
+// `price` is what the variant sells for; `price_override` is null when it
+// follows the product price
+const VARIANT_COLUMNS = `v.id, v.product_id, v.sku, v.options,
+  COALESCE(v.price, p.price) AS price, v.price AS price_override,
+  v.stock, v.position, v.is_active, v.created_at, v.updated_at`;
+
+/**
+ * Active variants of a product, in the order their options were defined
+ * @param {string} productId - Product ID
+ * @returns {Promise<array>} - Variants
+ */
+async function findByProduct(productId) {
+  const result = await query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.product_id = $1 AND v.is_active = true
+     ORDER BY v.position`,
+    [productId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find an active variant of a product
+ */
+async function findById(productId, variantId) {
+  const result = await query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.id = $1 AND v.product_id = $2 AND v.is_active = true`,
+    [variantId, productId]
+  );
+  return result.rows[0] || null;
+}
+
+async function findBySku(sku) {
+  const result = await query('SELECT * FROM product_variants WHERE sku = $1', [sku]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Set a product's stock to the sum of its active variants and record the change
+ */
+async function syncProductStock(client, productId) {
+  const result = await client.query(
+    `UPDATE products
+     SET stock = (
+           SELECT COALESCE(SUM(stock), 0) FROM product_variants
+           WHERE product_id = $1 AND is_active = true
+         ),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [productId]
+  );
+  await appendProductUpdated(client, result.rows[0]);
+}
+
+/**
+ * Replace a product's option axes and generate a variant per combination.
+ * Combinations that already had a variant keep its SKU, price and stock;
+ * variants whose combination is gone are deactivated, since orders and
+ * reservations still reference them. New variants start without stock.
+ * Removing every option makes the product a single item again, keeping its
+ * current stock.
+ * @param {string} productId - Product ID
+ * @param {array} options - Validated option axes
+ * @returns {Promise<array>} - Active variants
+ */
+async function setOptions(productId, options) {
+  const combos = combinations(options);
+
+  await withTransaction(async (client) => {
+    // Lock the product first, like reservations do, so the two cannot deadlock
+    await client.query(
+      'UPDATE products SET options = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(options), productId]
+    );
+
+    if (combos.length > 0) {
+      await client.query(
+        `INSERT INTO product_variants (product_id, sku, options, position)
+         SELECT $1, * FROM UNNEST($2::varchar[], $3::jsonb[], $4::int[])
+         ON CONFLICT (product_id, options) DO UPDATE
+         SET is_active = true, position = EXCLUDED.position, updated_at = CURRENT_TIMESTAMP`,
+        [
+          productId,
+          combos.map((combo) => variantSku(productId, combo)),
+          combos.map((combo) => JSON.stringify(combo)),
+          combos.map((combo, index) => index),
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE product_variants
+       SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE product_id = $1 AND is_active = true AND NOT (options = ANY($2::jsonb[]))`,
+      [productId, combos.map((combo) => JSON.stringify(combo))]
+    );
+
+    if (combos.length > 0) {
+      await syncProductStock(client, productId);
+    }
+  });
+
+  return findByProduct(productId);
+}
+
+/**
+ * Update a variant's SKU, price or stock
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID
+ * @param {object} variantData - { sku, price, stock }; price null returns the
+ *   variant to the product price, undefined leaves a field unchanged
+ * @returns {Promise<object|null>} - Updated variant
+ */
+async function update(productId, variantId, variantData) {
+  const { sku, price, stock } = variantData;
+
+  const updated = await withTransaction(async (client) => {
+    await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+
+    const result = await client.query(
+      `UPDATE product_variants
+       SET sku = COALESCE($1, sku),
+           price = CASE WHEN $2 THEN $3::numeric ELSE price END,
+           stock = COALESCE($4, stock),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND product_id = $6 AND is_active = true
+       RETURNING id`,
+      [sku, price !== undefined, price ?? null, stock, variantId, productId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+    if (stock !== undefined) {
+      await syncProductStock(client, productId);
+    }
+    return true;
+  });
+
+  return updated ? findById(productId, variantId) : null;
+}
+
+export default {
+  findByProduct,
+  findById,
+  findBySku,
+  setOptions,
+  update,
+};
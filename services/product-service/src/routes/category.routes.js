@@ -0,0 +1,63 @@
+/**
+ * Category Routes
+ * Browsing is public; only admins manage the taxonomy
+ */
+
+import express from 'express';
+import categoryController from '../controllers/category.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /categories
+ * @desc    Get the category tree
+ * @access  Public
+ */
+router.get('/', categoryController.getCategories);
+
+/**
+ * @route   GET /categories/:reference
+ * @desc    Get category by ID or slug, with its path and subcategories
+ * @access  Public
+ */
+router.get('/:reference', categoryController.getCategory);
+
+/**
+ * @route   POST /categories
+ * @desc    Create category
+ * @access  Private (ADMIN)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  categoryController.createCategory
+);
+
+/**
+ * @route   PATCH /categories/:id
+ * @desc    Rename or move category
+ * @access  Private (ADMIN)
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  categoryController.updateCategory
+);
+
+/**
+ * @route   DELETE /categories/:id
+ * @desc    Delete an empty category
+ * @access  Private (ADMIN)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  categoryController.deleteCategory
+);
+
+export default router;
@@ -5,11 +5,19 @@
 
 import express from 'express';
 import productController from '../controllers/product.controller.js';
+import variantController from '../controllers/variant.controller.js';
+import imageController from '../controllers/image.controller.js';
+import catalogueController from '../controllers/catalogue.controller.js';
+import reviewController from '../controllers/review.controller.js';
+import { imageUpload } from '../middleware/imageUpload.js';
 import { authenticate } from '../../../shared/middleware/auth.js';
-import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+import { authorize, requireVerifiedEmail, ROLES } from '../../../shared/middleware/rbac.js';
 
 const router = express.Router();
 
+// CSV catalogues arrive as raw text; JSON is parsed by the app
+const CATALOGUE_CSV_LIMIT = '5mb';
+
 /**
  * @route   GET /products
  * @desc    Get all products (public)
@@ -17,6 +25,56 @@ const router = express.Router();
  */
 router.get('/', productController.getAllProducts);
 
+/**
+ * @route   GET /products/export
+ * @desc    Download own products as CSV or JSON (?format=csv|json)
+ * @access  Private (SELLER, ADMIN)
+ */
+router.get(
+  '/export',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  catalogueController.exportProducts
+);
+
+/**
+ * @route   POST /products/import
+ * @desc    Import products from CSV or JSON (?dryRun=true to validate only)
+ * @access  Private (SELLER, ADMIN; verified email)
+ */
+router.post(
+  '/import',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  requireVerifiedEmail,
+  express.text({ type: 'text/csv', limit: CATALOGUE_CSV_LIMIT }),
+  catalogueController.importProducts
+);
+
+/**
+ * @route   GET /products/import/:jobId
+ * @desc    Get import job progress
+ * @access  Private (SELLER - own jobs, ADMIN)
+ */
+router.get(
+  '/import/:jobId',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  catalogueController.getImportJob
+);
+
+/**
+ * @route   GET /products/mine
+ * @desc    Get all own products, including inactive ones (?status=&stock=)
+ * @access  Private (SELLER, ADMIN)
+ */
+router.get(
+  '/mine',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  productController.getMyProducts
+);
+
 /**
  * @route   GET /products/:id
  * @desc    Get product by ID
@@ -27,12 +85,13 @@ router.get('/:id', productController.getProductById);
 /**
  * @route   POST /products
  * @desc    Create new product
- * @access  Private (SELLER, ADMIN)
+ * @access  Private (SELLER, ADMIN; verified email)
  */
 router.post(
   '/',
   authenticate,
   authorize(ROLES.SELLER, ROLES.ADMIN),
+  requireVerifiedEmail,
   productController.createProduct
 );
 
@@ -60,6 +119,119 @@ router.delete(
   productController.deleteProduct
 );
 
+/**
+ * @route   GET /products/:id/history
+ * @desc    Get product change history, including of deleted products
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  productController.getProductHistory
+);
+
+/**
+ * @route   POST /products/:id/restore
+ * @desc    Restore a deleted product
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.post(
+  '/:id/restore',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  productController.restoreProduct
+);
+
+/**
+ * @route   GET /products/:id/variants
+ * @desc    Get product options and variants
+ * @access  Public
+ */
+router.get('/:id/variants', variantController.getVariants);
+
+/**
+ * @route   PUT /products/:id/options
+ * @desc    Set option axes and generate variants
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.put(
+  '/:id/options',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  variantController.setOptions
+);
+
+/**
+ * @route   PATCH /products/:id/variants/:variantId
+ * @desc    Update variant SKU, price or stock
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.patch(
+  '/:id/variants/:variantId',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  variantController.updateVariant
+);
+
+/**
+ * @route   GET /products/:id/images
+ * @desc    Get product images in display order
+ * @access  Public
+ */
+router.get('/:id/images', imageController.getImages);
+
+/**
+ * @route   POST /products/:id/images
+ * @desc    Upload product images (multipart, field "images")
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.post(
+  '/:id/images',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  imageUpload,
+  imageController.uploadImages
+);
+
+/**
+ * @route   PUT /products/:id/images/order
+ * @desc    Reorder product images
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.put(
+  '/:id/images/order',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  imageController.reorderImages
+);
+
+/**
+ * @route   DELETE /products/:id/images/:imageId
+ * @desc    Delete a product image
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.delete(
+  '/:id/images/:imageId',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  imageController.deleteImage
+);
+
+/**
+ * @route   GET /products/:id/reviews
+ * @desc    Get product rating and reviews
+ * @access  Public
+ */
+router.get('/:id/reviews', reviewController.getProductReviews);
+
+/**
+ * @route   POST /products/:id/reviews
+ * @desc    Review a product
+ * @access  Private (buyers with a delivered order of the product)
+ */
+router.post('/:id/reviews', authenticate, reviewController.createReview);
+
 /**
  * @route   GET /products/seller/:sellerId
  * @desc    Get products by seller
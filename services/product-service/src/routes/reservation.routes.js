@@ -0,0 +1,40 @@
+/**
+ * Stock Reservation Routes
+ * Internal endpoints, callable only with a service token
+ */
+
+import express from 'express';
+import reservationController from '../controllers/reservation.controller.js';
+import { authenticateService } from '../../../shared/middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /reservations
+ * @desc    Reserve stock for a set of products (all or nothing)
+ * @access  Internal (service token)
+ */
+router.post('/', authenticateService, reservationController.createReservation);
+
+/**
+ * @route   GET /reservations/:id
+ * @desc    Get reservation with its items
+ * @access  Internal (service token)
+ */
+router.get('/:id', authenticateService, reservationController.getReservation);
+
+/**
+ * @route   POST /reservations/:id/commit
+ * @desc    Make reserved stock permanent
+ * @access  Internal (service token)
+ */
+router.post('/:id/commit', authenticateService, reservationController.commitReservation);
+
+/**
+ * @route   POST /reservations/:id/release
+ * @desc    Return reserved or committed stock
+ * @access  Internal (service token)
+ */
+router.post('/:id/release', authenticateService, reservationController.releaseReservation);
+
+export default router;
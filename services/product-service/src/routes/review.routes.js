@@ -0,0 +1,71 @@
+/**
+ * Review Routes
+ * Authors edit their reviews, sellers reply, admins moderate. Reviews are
+ * listed and posted under /products/:id/reviews.
+ */
+
+import express from 'express';
+import reviewController from '../controllers/review.controller.js';
+import { authenticate } from '../../../shared/middleware/auth.js';
+import { authorize, ROLES } from '../../../shared/middleware/rbac.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /reviews
+ * @desc    List reviews by moderation status (?status=FLAGGED)
+ * @access  Private (ADMIN)
+ */
+router.get('/', authenticate, authorize(ROLES.ADMIN), reviewController.getReviewsForModeration);
+
+/**
+ * @route   PATCH /reviews/:reviewId
+ * @desc    Edit own review
+ * @access  Private (review author)
+ */
+router.patch('/:reviewId', authenticate, reviewController.updateReview);
+
+/**
+ * @route   DELETE /reviews/:reviewId
+ * @desc    Delete review
+ * @access  Private (review author, ADMIN)
+ */
+router.delete('/:reviewId', authenticate, reviewController.deleteReview);
+
+/**
+ * @route   PUT /reviews/:reviewId/reply
+ * @desc    Reply to a review
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.put(
+  '/:reviewId/reply',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  reviewController.replyToReview
+);
+
+/**
+ * @route   DELETE /reviews/:reviewId/reply
+ * @desc    Remove the reply to a review
+ * @access  Private (SELLER - own products, ADMIN)
+ */
+router.delete(
+  '/:reviewId/reply',
+  authenticate,
+  authorize(ROLES.SELLER, ROLES.ADMIN),
+  reviewController.deleteReply
+);
+
+/**
+ * @route   PATCH /reviews/:reviewId/moderation
+ * @desc    Publish, flag or hide a review
+ * @access  Private (ADMIN)
+ */
+router.patch(
+  '/:reviewId/moderation',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  reviewController.moderateReview
+);
+
+export default router;
@@ -13,10 +13,18 @@ dotenv.config();
 
 import { configureHelmet, configureCORS, rateLimiter, logSecurityEvents } from '../../shared/middleware/security.js';
 import { errorHandler, notFoundHandler } from '../../shared/middleware/errorHandler.js';
+import { requestContext } from '../../shared/middleware/requestContext.js';
 import { logger } from '../../shared/utils/logger.js';
-import { initializeDatabase } from './config/database.js';
+import { getEventBus } from '../../shared/events/eventBus.js';
+import { initializeDatabase, outbox } from './config/database.js';
+import { startReservationSweeper } from './jobs/reservationSweeper.js';
+import { resumeImportJobs } from './jobs/productImporter.js';
+import { getImageStorage } from './storage/imageStorage.js';
 
 import productRoutes from './routes/product.routes.js';
+import categoryRoutes from './routes/category.routes.js';
+import reviewRoutes from './routes/review.routes.js';
+import reservationRoutes from './routes/reservation.routes.js';
 import healthRoutes from './routes/health.routes.js';
 
 const app = express();
@@ -36,9 +44,18 @@ app.use(configureHelmet());
 app.use(configureCORS());
 app.use(logSecurityEvents);
 
+// Uploaded images, when the storage backend serves them itself. Ahead of the
+// rate limiter: a single product page loads several of them.
+const imageStorage = getImageStorage();
+if (imageStorage.handler) {
+  app.use('/images', imageStorage.handler);
+}
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// After the body parsers, whose stream callbacks would lose the request's async context
+app.use(requestContext);
 
 // Rate limiting
 app.use(rateLimiter);
@@ -49,6 +66,7 @@ app.use((req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - start;
     logger.http('Request completed', {
+      requestId: req.id,
       method: req.method,
       path: req.path,
       status: res.statusCode,
@@ -61,6 +79,9 @@ app.use((req, res, next) => {
 // Routes
 app.use('/health', healthRoutes);
 app.use('/products', productRoutes);
+app.use('/categories', categoryRoutes);
+app.use('/reviews', reviewRoutes);
+app.use('/reservations', reservationRoutes);
 
 app.get('/', (req, res) => {
   res.json({
@@ -76,6 +97,9 @@ app.use(errorHandler);
 
 // Initialize database and start server
 initializeDatabase().then(() => {
+  outbox.startRelay(getEventBus());
+  startReservationSweeper();
+  resumeImportJobs();
   app.listen(PORT, () => {
     logger.info(`Product Service started on port ${PORT}`);
   });
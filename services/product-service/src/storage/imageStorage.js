@@ -0,0 +1,53 @@
+/**
+ * Image Storage
+ * Where uploaded product images are kept, and the registry of backends.
+ *
+ * A backend is an object implementing:
+ *   put(key, buffer, contentType) -> Promise, resolves once the object is stored
+ *   remove(key)                   -> Promise, resolves once the object is gone
+ *   url(key)                      -> public URL of the object
+ * and optionally:
+ *   handler                       -> Express middleware serving objects under /images
+ *
+ * Keys are generated by the service ("products/<productId>/<imageId>-<size>.webp"),
+ * so an S3-compatible backend can use them as object keys unchanged.
+ */
+
+import { createLocalDiskStorage } from './localDisk.storage.js';
+
+const factories = {
+  local: createLocalDiskStorage,
+};
+
+let activeStorage = null;
+
+/**
+ * Register an additional storage backend
+ * @param {string} name - Value of IMAGE_STORAGE selecting it
+ * @param {function} factory - Returns a storage backend
+ */
+export function registerStorage(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured storage backend
+ * @returns {object} - Image storage
+ */
+export function getImageStorage() {
+  if (activeStorage) return activeStorage;
+
+  const name = process.env.IMAGE_STORAGE || 'local';
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+
+  activeStorage = factory();
+  return activeStorage;
+}
+
+export default {
+  getImageStorage,
+  registerStorage,
+};
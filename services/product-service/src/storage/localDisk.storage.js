@@ -0,0 +1,64 @@
+/**
+ * Local Disk Image Storage
+ * Keeps images in a directory on this host and serves them itself.
+ * Suitable for a single instance; instances behind a load balancer need a
+ * shared volume or an object store.
+ */
+
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Keys never change content, so browsers may cache them for good
+const CACHE_MAX_AGE = '365d';
+
+export function createLocalDiskStorage() {
+  const root = path.resolve(
+    process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads')
+  );
+  const publicUrl = (
+    process.env.IMAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3002}/images`
+  ).replace(/\/+$/, '');
+
+  const pathOf = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid image key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = pathOf(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async remove(key) {
+      await fs.rm(pathOf(key), { force: true });
+    },
+
+    url(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    handler: express.static(root, {
+      dotfiles: 'deny',
+      index: false,
+      immutable: true,
+      maxAge: CACHE_MAX_AGE,
+      setHeaders: (res) => {
+        // Helmet defaults to same-origin, which would block the storefront
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      },
+    }),
+  };
+}
+
+export default {
+  createLocalDiskStorage,
+};
@@ -0,0 +1,88 @@
+/**
+ * Catalogue Files
+ * The CSV and JSON layouts sellers import products from and export them to
+ */
+
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+import { parseCsv, stringifyCsv } from './csv.js';
+
+export const CATALOGUE_FORMATS = ['csv', 'json'];
+export const MAX_IMPORT_ROWS = 1000;
+
+// `category` is a category slug, name or ID
+export const IMPORT_COLUMNS = ['name', 'description', 'price', 'stock', 'category'];
+const REQUIRED_COLUMNS = ['name', 'description', 'price', 'stock'];
+
+// Exports add columns for reference; imports ignore them and always create
+// new products
+export const EXPORT_COLUMNS = ['id', ...IMPORT_COLUMNS, 'image_url'];
+
+const invalid = (message) => new ValidationError('Validation failed', [message]);
+
+/**
+ * Rows of an uploaded catalogue: CSV with a header record, or JSON holding
+ * an array of products or { products: [...] }
+ * @param {string} format - 'csv' or 'json'
+ * @param {*} body - Parsed request body
+ * @returns {array} - Rows, in file order
+ */
+export function parseCatalogue(format, body) {
+  let rows;
+
+  if (format === 'csv') {
+    const csv = parseCsv(typeof body === 'string' ? body : '');
+    const missing = REQUIRED_COLUMNS.filter((column) => !csv.columns.includes(column));
+    if (csv.columns.length > 0 && missing.length > 0) {
+      throw invalid(`CSV is missing the column(s): ${missing.join(', ')}`);
+    }
+    rows = csv.rows;
+  } else {
+    rows = Array.isArray(body) ? body : body?.products;
+    if (!Array.isArray(rows)) {
+      throw invalid('JSON must be an array of products or { "products": [...] }');
+    }
+  }
+
+  if (rows.length === 0) {
+    throw invalid('the catalogue has no rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw invalid(`a catalogue must not exceed ${MAX_IMPORT_ROWS} rows`);
+  }
+  return rows;
+}
+
+/**
+ * A product as an export row
+ */
+export function toExportRow(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    price: Number(product.price),
+    stock: product.stock,
+    category: product.category_slug,
+    image_url: product.image_url,
+  };
+}
+
+/**
+ * Write export rows in the given format
+ * @returns {string} - File content
+ */
+export function formatCatalogue(format, rows) {
+  return format === 'csv'
+    ? stringifyCsv(EXPORT_COLUMNS, rows)
+    : JSON.stringify({ products: rows }, null, 2);
+}
+
+export default {
+  CATALOGUE_FORMATS,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  parseCatalogue,
+  toExportRow,
+  formatCatalogue,
+};
@@ -0,0 +1,124 @@
+/**
+ * CSV
+ * Reading and writing RFC 4180 CSV: comma-separated, fields optionally
+ * quoted with ", quotes doubled inside quoted fields, CRLF or LF line ends
+ */
+
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+
+// Fields a spreadsheet would run as a formula, possibly already escaped with
+// apostrophes. Export adds one apostrophe and import removes it, so values
+// such as "-20% sale" or "'=x" survive a round trip unchanged.
+const FORMULA_FIELD = /^'*[=+\-@\t\r]/;
+
+const unescapeFormula = (value) => (FORMULA_FIELD.test(value) && value[0] === "'" ? value.slice(1) : value);
+
+/**
+ * Split CSV text into records of fields
+ * @param {string} text - CSV text
+ * @returns {array} - Records, each an array of field strings
+ */
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    throw new ValidationError('Validation failed', [`CSV has an unterminated quoted field on record ${records.length + 1}`]);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter((fields) => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parse CSV with a header record into one object per data record
+ * @param {string} text - CSV text
+ * @returns {object} - { columns: header names, rows: [{ column: value }] }
+ */
+export function parseCsv(text) {
+  const [header, ...records] = parseRecords(text);
+  if (!header) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const rows = records.map((fields) => Object.fromEntries(
+    columns.map((column, index) => [column, unescapeFormula(fields[index] ?? '')])
+  ));
+  return { columns, rows };
+}
+
+/**
+ * Quote a field when it needs it. Fields a spreadsheet would run as a formula
+ * get a leading apostrophe, which parseCsv removes.
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_FIELD.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV with a header record
+ * @param {array} columns - Column names, in order
+ * @param {array} rows - Objects keyed by column
+ * @returns {string} - CSV text
+ */
+export function stringifyCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(formatField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+export default {
+  parseCsv,
+  stringifyCsv,
+};
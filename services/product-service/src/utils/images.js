@@ -0,0 +1,86 @@
+/**
+ * Product Images
+ * Checking uploaded files and resizing them into the sizes the storefront shows
+ */
+
+import sharp from 'sharp';
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+
+export const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10);
+export const MAX_IMAGES_PER_PRODUCT = parseInt(process.env.IMAGE_MAX_PER_PRODUCT || '10', 10);
+
+// Longest side of each rendition, in pixels
+export const IMAGE_SIZES = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200,
+};
+
+// Refuse images that would decode to more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+// Leading bytes of each accepted format
+const SIGNATURES = {
+  'image/jpeg': (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  ),
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF'
+    && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+export const IMAGE_TYPES = Object.keys(SIGNATURES);
+
+/**
+ * The format a file really is, from its content rather than its name or
+ * declared type
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - MIME type, null when not an accepted format
+ */
+export function sniffImageType(buffer) {
+  return IMAGE_TYPES.find((type) => SIGNATURES[type](buffer)) || null;
+}
+
+/**
+ * Resize an uploaded image into every rendition. Output is WebP, which also
+ * drops EXIF and other metadata such as GPS coordinates.
+ * @param {object} file - Uploaded file: { originalname, mimetype, buffer }
+ * @returns {Promise<object>} - { width, height, renditions: { size: Buffer } }
+ */
+export async function processImage(file) {
+  const type = sniffImageType(file.buffer);
+  if (!type || type !== file.mimetype) {
+    throw new ValidationError('Validation failed', [`${file.originalname} is not a JPEG, PNG or WebP image`]);
+  }
+
+  try {
+    // Apply the EXIF orientation before it is stripped
+    const source = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    const metadata = await source.metadata();
+    // Orientations 5-8 turn the image on its side
+    const turned = metadata.orientation >= 5;
+    const width = turned ? metadata.height : metadata.width;
+    const height = turned ? metadata.width : metadata.height;
+
+    const renditions = {};
+    for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+      renditions[size] = await source.clone()
+        .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer();
+    }
+
+    return { width, height, renditions };
+  } catch (error) {
+    throw new ValidationError('Validation failed', [`${file.originalname} could not be read as an image`]);
+  }
+}
+
+export default {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_PRODUCT,
+  IMAGE_SIZES,
+  IMAGE_TYPES,
+  sniffImageType,
+  processImage,
+};
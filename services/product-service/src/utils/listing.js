@@ -0,0 +1,160 @@
+/**
+ * Product Listing Options
+ * Sort orders, page size and keyset cursors shared by the product listings
+ */
+
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Sort orders. Rows with equal keys are ordered by id in the same direction,
+ * so every row has a unique position a cursor can point at. `type` is the
+ * SQL type the cursor value is cast back to.
+ */
+export const PRODUCT_SORTS = {
+  newest: { column: 'created_at', direction: 'DESC', type: 'timestamp' },
+  price_asc: { column: 'price', direction: 'ASC', type: 'numeric' },
+  price_desc: { column: 'price', direction: 'DESC', type: 'numeric' },
+  name: { column: 'name', direction: 'ASC', type: 'text' },
+  popularity: { column: 'units_sold', direction: 'DESC', type: 'integer' },
+  rating: { column: 'rating_average', direction: 'DESC', type: 'numeric' },
+  // Only with a search term; the model supplies the ranking expression
+  relevance: { column: null, direction: 'DESC', type: 'real' },
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i;
+
+// Cursor values are cast in SQL, so reject anything the cast would fail on
+const VALUE_CHECKS = {
+  timestamp: (value) => !Number.isNaN(Date.parse(value)),
+  numeric: (value) => NUMBER_PATTERN.test(value),
+  integer: (value) => /^-?\d+$/.test(value),
+  real: (value) => NUMBER_PATTERN.test(value),
+  text: () => true,
+};
+
+const invalid = (message) => new ValidationError('Validation failed', [message]);
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {string} sort - Sort the position belongs to
+ * @param {string} value - Sort key of the row, as text
+ * @param {string} id - Row ID
+ * @returns {string} - Cursor
+ */
+export function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {string} sort - Sort of the current request
+ * @returns {object} - { value, id }
+ */
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid('cursor is invalid');
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 3
+    || decoded.some((part) => typeof part !== 'string')) {
+    throw invalid('cursor is invalid');
+  }
+
+  const [cursorSort, value, id] = decoded;
+  if (cursorSort !== sort) {
+    throw invalid('cursor belongs to a different sort order');
+  }
+  if (!UUID_PATTERN.test(id) || !VALUE_CHECKS[PRODUCT_SORTS[sort].type](value)) {
+    throw invalid('cursor is invalid');
+  }
+
+  return { value, id };
+}
+
+/**
+ * Read sort, page size and position from a listing's query string.
+ * `cursor` takes precedence over `page`, which is kept for older clients.
+ * @param {object} query - req.query
+ * @param {boolean} searching - Whether a search term was given
+ * @returns {object} - { sort, limit, page, offset, cursor }
+ */
+export function parseListOptions(query, searching = false) {
+  const sort = query.sort || (searching ? 'relevance' : 'newest');
+  if (!Object.prototype.hasOwnProperty.call(PRODUCT_SORTS, sort)) {
+    throw invalid(`sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`);
+  }
+  if (sort === 'relevance' && !searching) {
+    throw invalid('sort relevance requires a search term');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (query.cursor) {
+    return {
+      sort, limit, page: null, offset: 0, cursor: decodeCursor(String(query.cursor), sort),
+    };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return {
+    sort, limit, page, offset: (page - 1) * limit, cursor: null,
+  };
+}
+
+/**
+ * Pagination block of a listing response
+ * @param {object} options - Result of parseListOptions
+ * @param {number} total - Rows matching the filters
+ * @param {string|null} nextCursor - Cursor of the next page, null on the last
+ * @returns {object} - Pagination
+ */
+export function toPagination(options, total, nextCursor) {
+  if (options.cursor) {
+    return { limit: options.limit, total, nextCursor };
+  }
+  return {
+    page: options.page,
+    limit: options.limit,
+    total,
+    pages: Math.ceil(total / options.limit),
+    nextCursor,
+  };
+}
+
+/**
+ * Read page and page size from the query string of a listing that is only
+ * paged by offset, such as reviews or revisions
+ * @param {object} query - req.query
+ * @param {object} sizes - { defaultLimit, maxLimit }
+ * @returns {object} - { page, limit, offset }
+ */
+export function parsePage(query, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Pagination block of a listing paged with parsePage
+ */
+export const toPagePagination = ({ page, limit }, total) => ({
+  page, limit, total, pages: Math.ceil(total / limit),
+});
+
+export default {
+  PRODUCT_SORTS,
+  encodeCursor,
+  decodeCursor,
+  parseListOptions,
+  toPagination,
+  parsePage,
+  toPagePagination,
+};
@@ -0,0 +1,36 @@
+/**
+ * Product Ownership
+ * Sellers manage only their own products; admins manage all of them
+ */
+
+import { NotFoundError, AuthorizationError } from '../../../shared/middleware/errorHandler.js';
+import { logAuthzFailure } from '../../../shared/utils/logger.js';
+import { ROLES } from '../../../shared/middleware/rbac.js';
+import productModel from '../models/product.model.js';
+
+/**
+ * Find the product named by req.params.id that the current user may manage
+ * @param {object} req - Express request
+ * @param {string} action - Action logged when access is refused
+ * @param {object} options - Passed to productModel.findById, e.g. { includeDeleted }
+ * @returns {Promise<object>} - Product
+ */
+export async function findOwnedProduct(req, action, options = {}) {
+  const { id } = req.params;
+  const product = await productModel.findById(id, options);
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  if (req.user.role === ROLES.SELLER && product.seller_id !== req.user.userId) {
+    logAuthzFailure(req.user.userId, `product/${id}`, action, {
+      reason: 'Not product owner',
+    });
+    throw new AuthorizationError('You can only manage your own products');
+  }
+  return product;
+}
+
+export default {
+  findOwnedProduct,
+};
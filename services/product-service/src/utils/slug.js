@@ -0,0 +1,23 @@
+/**
+ * Slugs
+ * URL-safe identifiers derived from display names
+ */
+
+const MAX_SLUG_LENGTH = 120;
+
+/**
+ * Slug of a name, e.g. "Home & Garden" -> "home-garden"
+ * @param {string} value - Name
+ * @returns {string} - Slug, empty if the name has no letters or digits
+ */
+export function slugify(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+export default { slugify };
@@ -0,0 +1,110 @@
+/**
+ * Product Variants
+ * Option axes of a product and the variant combinations they generate
+ */
+
+import { ValidationError } from '../../../shared/middleware/errorHandler.js';
+import { slugify } from './slug.js';
+
+export const MAX_OPTION_AXES = 3;
+export const MAX_OPTION_VALUES = 20;
+export const MAX_VARIANTS = 100;
+const MAX_OPTION_LENGTH = 30;
+
+const isLabel = (value) => typeof value === 'string'
+  && value.trim().length > 0
+  && value.trim().length <= MAX_OPTION_LENGTH
+  && slugify(value) !== '';
+
+/**
+ * Validate option axes, e.g. [{ name: 'Size', values: ['S', 'M'] }].
+ * Names and values are trimmed; they must differ once slugified, as they
+ * make up the variant SKUs.
+ * @param {*} rawOptions - options from the request body
+ * @returns {array} - [{ name, values }]
+ */
+export function parseOptions(rawOptions) {
+  if (!Array.isArray(rawOptions)) {
+    throw new ValidationError('Validation failed', ['options must be an array']);
+  }
+  if (rawOptions.length > MAX_OPTION_AXES) {
+    throw new ValidationError('Validation failed', [`options must not exceed ${MAX_OPTION_AXES} entries`]);
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  const options = rawOptions.map((rawOption, index) => {
+    const { name, values } = rawOption || {};
+
+    if (!isLabel(name)) {
+      errors.push(`options[${index}].name must be 1-${MAX_OPTION_LENGTH} characters with a letter or digit`);
+    } else if (names.has(slugify(name))) {
+      errors.push(`options[${index}].name is repeated`);
+    } else {
+      names.add(slugify(name));
+    }
+
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_OPTION_VALUES) {
+      errors.push(`options[${index}].values must contain 1-${MAX_OPTION_VALUES} values`);
+      return null;
+    }
+    if (!values.every(isLabel)) {
+      errors.push(`options[${index}].values must be 1-${MAX_OPTION_LENGTH} characters with a letter or digit`);
+      return null;
+    }
+    if (new Set(values.map(slugify)).size !== values.length) {
+      errors.push(`options[${index}].values must not repeat`);
+    }
+
+    return { name: String(name).trim(), values: values.map((value) => value.trim()) };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const count = options.reduce((total, option) => total * option.values.length, 1);
+  if (options.length > 0 && count > MAX_VARIANTS) {
+    throw new ValidationError('Validation failed', [`options must not generate more than ${MAX_VARIANTS} variants`]);
+  }
+
+  return options;
+}
+
+/**
+ * Every combination of one value per axis, in axis order
+ * @param {array} options - [{ name, values }]
+ * @returns {array} - [{ Size: 'S', Colour: 'Red' }, ...]; empty without options
+ */
+export function combinations(options) {
+  if (options.length === 0) return [];
+  return options.reduce(
+    (combos, { name, values }) => combos.flatMap(
+      (combo) => values.map((value) => ({ ...combo, [name]: value }))
+    ),
+    [{}]
+  );
+}
+
+/**
+ * Generated SKU of a combination, e.g. "3F2A9C1B-M-RED"; the product ID
+ * prefix keeps SKUs of different products apart
+ * @param {string} productId - Product ID
+ * @param {object} combination - { optionName: value }
+ * @returns {string} - SKU
+ */
+export function variantSku(productId, combination) {
+  const parts = Object.values(combination)
+    .map((value) => slugify(value).slice(0, MAX_OPTION_LENGTH).replace(/-+$/, ''));
+  return [productId.slice(0, 8), ...parts].join('-').toUpperCase();
+}
+
+export default {
+  MAX_OPTION_AXES,
+  MAX_OPTION_VALUES,
+  MAX_VARIANTS,
+  parseOptions,
+  combinations,
+  variantSku,
+};
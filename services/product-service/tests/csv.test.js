@@ -0,0 +1,89 @@
+import { ValidationError } from '../../shared/middleware/errorHandler.js';
+import { parseCsv, stringifyCsv } from '../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('reads a header and one object per record', () => {
+    const { columns, rows } = parseCsv('Name, Price\nLamp,19.99\nDesk,120\n');
+
+    expect(columns).toEqual(['name', 'price']);
+    expect(rows).toEqual([
+      { name: 'Lamp', price: '19.99' },
+      { name: 'Desk', price: '120' },
+    ]);
+  });
+
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const { rows } = parseCsv('name,description\r\n"Lamp, desk","A ""bright""\r\nlamp"\r\n');
+
+    expect(rows).toEqual([{ name: 'Lamp, desk', description: 'A "bright"\r\nlamp' }]);
+  });
+
+  it('ignores a byte order mark and blank lines', () => {
+    const { columns, rows } = parseCsv('\uFEFFname\n\nLamp\n\n');
+
+    expect(columns).toEqual(['name']);
+    expect(rows).toEqual([{ name: 'Lamp' }]);
+  });
+
+  it('fills missing fields with empty strings', () => {
+    expect(parseCsv('name,price\nLamp\n').rows).toEqual([{ name: 'Lamp', price: '' }]);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(parseCsv('')).toEqual({ columns: [], rows: [] });
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('name\n"Lamp\n')).toThrow(ValidationError);
+  });
+});
+
+describe('stringifyCsv', () => {
+  it('writes a header and CRLF-terminated records', () => {
+    const csv = stringifyCsv(['name', 'price'], [{ name: 'Lamp', price: 19.99 }, { name: 'Desk' }]);
+
+    expect(csv).toBe('name,price\r\nLamp,19.99\r\nDesk,\r\n');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = stringifyCsv(['name'], [{ name: 'Lamp, "desk"' }, { name: 'two\nlines' }]);
+
+    expect(csv).toBe('name\r\n"Lamp, ""desk"""\r\n"two\nlines"\r\n');
+  });
+
+  it.each([
+    ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ['+1', "'+1"],
+    ['-20% sale', "'-20% sale"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"],
+    ["'=x", "''=x"],
+  ])('escapes the formula %j', (value, field) => {
+    expect(stringifyCsv(['name'], [{ name: value }])).toBe(`name\r\n${field}\r\n`);
+  });
+
+  it('leaves other values alone', () => {
+    expect(stringifyCsv(['name'], [{ name: "Bob's lamp" }])).toBe("name\r\nBob's lamp\r\n");
+  });
+});
+
+describe('round trip', () => {
+  it.each([
+    'Lamp',
+    '',
+    'Lamp, desk',
+    'A "bright"\r\nlamp',
+    '=1+1',
+    '-20% sale',
+    '+44 20 7946 0000',
+    '@handle',
+    "'=x",
+    "''-y",
+    "'quoted'",
+    '\r=x',
+  ])('keeps %j unchanged', (value) => {
+    const { rows } = parseCsv(stringifyCsv(['name', 'sku'], [{ name: value, sku: 'SKU-1' }]));
+
+    expect(rows).toEqual([{ name: value, sku: 'SKU-1' }]);
+  });
+});
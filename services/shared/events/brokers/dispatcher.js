@@ -0,0 +1,57 @@
+/**
+ * Event Dispatcher
+ * Routes delivered events to subscribed handlers; shared by all brokers
+ */
+
+import { logger } from '../../utils/logger.js';
+
+const WILDCARD = '*';
+
+/**
+ * Create a handler registry
+ * @returns {object} - { subscribe, dispatch, hasSubscribers }
+ */
+export function createDispatcher() {
+  const handlers = new Map();
+
+  return {
+    /**
+     * @param {string} type - Event type, or '*' for every event
+     * @param {function} handler - Receives the event envelope
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(type, handler) {
+      if (!handlers.has(type)) {
+        handlers.set(type, new Set());
+      }
+      handlers.get(type).add(handler);
+      return () => handlers.get(type).delete(handler);
+    },
+
+    // A failing handler is logged and never affects the other handlers
+    async dispatch(event) {
+      const targets = [
+        ...(handlers.get(event.type) || []),
+        ...(handlers.get(WILDCARD) || []),
+      ];
+
+      await Promise.all(targets.map(async (handler) => {
+        try {
+          await handler(event);
+        } catch (error) {
+          logger.error('Event handler failed', {
+            eventId: event.id,
+            type: event.type,
+            error: error.message,
+          });
+        }
+      }));
+    },
+
+    hasSubscribers() {
+      return [...handlers.values()].some((set) => set.size > 0);
+    },
+  };
+}
+
+export default createDispatcher;
@@ -0,0 +1,34 @@
+/**
+ * In-Process Broker
+ * Delivers events to subscribers in the same Node process. Suitable for
+ * running a single service locally and for development tooling.
+ */
+
+import { createDispatcher } from './dispatcher.js';
+
+/**
+ * Create the in-process broker
+ * @returns {object} - Event broker
+ */
+export function createInProcessBroker() {
+  const dispatcher = createDispatcher();
+
+  return {
+    name: 'inprocess',
+
+    async publish(event) {
+      // Deliver on the next tick so publishers never wait on consumers
+      setImmediate(() => {
+        dispatcher.dispatch(event);
+      });
+    },
+
+    subscribe(type, handler) {
+      return dispatcher.subscribe(type, handler);
+    },
+
+    async close() {},
+  };
+}
+
+export default createInProcessBroker;
@@ -0,0 +1,157 @@
+/**
+ * Postgres LISTEN/NOTIFY Broker
+ * Delivers events between services that share a bus database
+ * (EVENT_BUS_DB_NAME). Events are stored in its `event_bus_events` table and
+ * only their IDs are sent with NOTIFY, whose payload is limited to 8000
+ * bytes; subscribers read the event by ID. NOTIFY is fire-and-forget: a
+ * subscriber that is disconnected when an event is published does not
+ * receive it, so this broker is intended for local and single-host runs.
+ */
+
+import pg from 'pg';
+import { logger } from '../../utils/logger.js';
+import { createDispatcher } from './dispatcher.js';
+
+const RECONNECT_DELAY_MS = 5000;
+const RETENTION_HOURS = parseInt(process.env.EVENT_BUS_RETENTION_HOURS || '24', 10);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function busConfig() {
+  return {
+    host: process.env.EVENT_BUS_DB_HOST || process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.EVENT_BUS_DB_PORT || process.env.DB_PORT || '5432', 10),
+    database: process.env.EVENT_BUS_DB_NAME || process.env.DB_NAME,
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD,
+    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+  };
+}
+
+/**
+ * Create the Postgres broker
+ * @returns {object} - Event broker
+ */
+export function createPostgresBroker() {
+  const channel = process.env.EVENT_BUS_CHANNEL || 'marketplace_events';
+  const dispatcher = createDispatcher();
+  let connecting = null;
+  let reconnectTimer = null;
+  let closed = false;
+  let lastPurge = 0;
+
+  // Events are only needed until subscribers have read them
+  const purgeOld = async (client) => {
+    if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+    lastPurge = Date.now();
+    await client.query(
+      'DELETE FROM event_bus_events WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)',
+      [RETENTION_HOURS]
+    );
+  };
+
+  // Connection handling; connect and scheduleReconnect call each other
+  const link = {
+    connect() {
+      if (connecting) return connecting;
+
+      const client = new pg.Client(busConfig());
+      const attempt = (async () => {
+        try {
+          await client.connect();
+          await client.query(`
+            CREATE TABLE IF NOT EXISTS event_bus_events (
+              id VARCHAR(100) PRIMARY KEY,
+              event JSONB NOT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+          `);
+          await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+        } catch (error) {
+          connecting = null;
+          client.end().catch(() => {});
+          logger.error('Event bus connection failed', { error: error.message });
+          throw error;
+        }
+
+        // The notification carries the event ID; the event is read from the table
+        client.on('notification', (message) => {
+          if (message.channel !== channel) return;
+          client.query('SELECT event FROM event_bus_events WHERE id = $1', [message.payload])
+            .then((result) => {
+              if (result.rows.length === 0) {
+                logger.error('Discarding notification for unknown event', { eventId: message.payload });
+                return undefined;
+              }
+              return dispatcher.dispatch(result.rows[0].event);
+            })
+            .catch((error) => {
+              logger.error('Failed to read event', { eventId: message.payload, error: error.message });
+            });
+        });
+
+        const onLost = (error) => {
+          if (connecting !== attempt) return;
+          connecting = null;
+          if (!closed) {
+            logger.warn('Event bus connection lost', { error: error?.message });
+            link.scheduleReconnect();
+          }
+        };
+        client.on('error', onLost);
+        client.on('end', onLost);
+
+        return client;
+      })();
+
+      connecting = attempt;
+      return attempt;
+    },
+
+    scheduleReconnect() {
+      if (closed || reconnectTimer || !dispatcher.hasSubscribers()) return;
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        link.connect().catch(() => link.scheduleReconnect());
+      }, RECONNECT_DELAY_MS);
+      reconnectTimer.unref();
+    },
+  };
+
+  return {
+    name: 'postgres',
+
+    async publish(event) {
+      const client = await link.connect();
+      // One statement, so the notification is only sent once the event is stored
+      await client.query(
+        `WITH stored AS (
+           INSERT INTO event_bus_events (id, event) VALUES ($2, $3)
+           ON CONFLICT (id) DO NOTHING
+         )
+         SELECT pg_notify($1, $4)`,
+        [channel, event.id, JSON.stringify(event), event.id]
+      );
+      await purgeOld(client).catch((error) => {
+        logger.error('Failed to purge old events', { error: error.message });
+      });
+    },
+
+    subscribe(type, handler) {
+      const unsubscribe = dispatcher.subscribe(type, handler);
+      link.connect().catch(() => link.scheduleReconnect());
+      return unsubscribe;
+    },
+
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (connecting) {
+        const client = await connecting.catch(() => null);
+        connecting = null;
+        if (client) await client.end();
+      }
+    },
+  };
+}
+
+export default createPostgresBroker;
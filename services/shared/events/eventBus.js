@@ -0,0 +1,85 @@
+/**
+ * Event Bus
+ * Domain events exchanged between services, and the registry of brokers
+ * that carry them.
+ *
+ * A broker is an object implementing:
+ *   publish(event)            -> Promise, resolves once the broker accepted it
+ *   subscribe(type, handler)  -> unsubscribe function; type '*' receives all
+ *   close()                   -> Promise
+ *
+ * Events are delivered at least once; handlers must tolerate duplicates
+ * (use event.id to deduplicate).
+ */
+
+import { logger } from '../utils/logger.js';
+import { createInProcessBroker } from './brokers/inProcess.broker.js';
+import { createPostgresBroker } from './brokers/postgres.broker.js';
+
+export const EVENT_TYPES = {
+  ORDER_CREATED: 'OrderCreated',
+  PAYMENT_COMPLETED: 'PaymentCompleted',
+  PAYMENT_REFUNDED: 'PaymentRefunded',
+  PRODUCT_UPDATED: 'ProductUpdated',
+  USER_REGISTERED: 'UserRegistered',
+};
+
+const factories = {
+  inprocess: createInProcessBroker,
+  postgres: createPostgresBroker,
+};
+
+let activeBroker = null;
+
+/**
+ * Register an additional broker implementation
+ * @param {string} name - Value of EVENT_BUS selecting it
+ * @param {function} factory - Returns a broker object
+ */
+export function registerBroker(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured broker
+ * @returns {object} - Event broker
+ */
+export function getEventBus() {
+  if (activeBroker) return activeBroker;
+
+  const name = process.env.EVENT_BUS || 'inprocess';
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown event bus: ${name}`);
+  }
+
+  activeBroker = factory();
+  return activeBroker;
+}
+
+/**
+ * Subscribe to an event that another service publishes. The in-process
+ * broker cannot deliver it, so that is refused in production and warned
+ * about otherwise.
+ * @param {object} bus - Event broker
+ * @param {string} type - Event type
+ * @param {function} handler - Receives the event envelope
+ * @returns {function} - Unsubscribe
+ */
+export function subscribeAcrossServices(bus, type, handler) {
+  if (bus.name === 'inprocess') {
+    const message = `${type} comes from another service and the in-process event bus cannot deliver it; set EVENT_BUS=postgres`;
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(message);
+    }
+    logger.warn(message);
+  }
+  return bus.subscribe(type, handler);
+}
+
+export default {
+  EVENT_TYPES,
+  getEventBus,
+  registerBroker,
+  subscribeAcrossServices,
+};
@@ -0,0 +1,212 @@
+/**
+ * Transactional Outbox
+ * Services append domain events to their own `outbox` table inside the
+ * transaction that changes their data; a relay later publishes pending
+ * rows to the event bus. An event is therefore published if and only if
+ * the change that produced it was committed.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '1000', 10);
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE || '50', 10);
+const RETENTION_HOURS = parseInt(process.env.OUTBOX_RETENTION_HOURS || '168', 10);
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '15', 10);
+const MAX_RETRY_DELAY_SECONDS = 600;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Seconds to wait before retrying after a given number of attempts: 2, 4, 8, ...
+const retryDelaySeconds = (attempts) => Math.min(2 ** attempts, MAX_RETRY_DELAY_SECONDS);
+
+function toEnvelope(row, source) {
+  return {
+    id: row.id,
+    type: row.event_type,
+    source,
+    aggregateId: row.aggregate_id,
+    payload: row.payload,
+    occurredAt: row.created_at,
+  };
+}
+
+/**
+ * Create the outbox for a service
+ * @param {object} options - { pool, source } where source names the service
+ * @returns {object} - Outbox
+ */
+export function createOutbox({ pool, source }) {
+  let timer = null;
+  let lastPurge = 0;
+
+  const outbox = {
+    async initialize() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS outbox (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          aggregate_id VARCHAR(100),
+          event_type VARCHAR(100) NOT NULL,
+          payload JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          published_at TIMESTAMP,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT
+        )
+      `);
+      // Retries back off; an event that keeps failing, or fails in a way a
+      // retry cannot fix, is dead-lettered so the events behind it go out
+      await pool.query('ALTER TABLE outbox ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP');
+      await pool.query('ALTER TABLE outbox ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP');
+      await pool.query(
+        'CREATE INDEX IF NOT EXISTS idx_outbox_pending ON outbox(created_at) WHERE published_at IS NULL'
+      );
+    },
+
+    /**
+     * Record an event; call with the client of the enclosing transaction
+     * @param {object} client - Transaction client
+     * @param {object} event - { type, aggregateId, payload }
+     * @returns {Promise<object>} - Outbox row
+     */
+    async append(client, { type, aggregateId, payload }) {
+      const result = await client.query(
+        `INSERT INTO outbox (event_type, aggregate_id, payload)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [type, aggregateId ? String(aggregateId) : null, JSON.stringify(payload || {})]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Publish one batch of pending events in creation order.
+     * Stops at an event that failed and is waiting to be retried, so later
+     * events never overtake it. An event is dead-lettered (failed_at set) and
+     * skipped once it fails OUTBOX_MAX_ATTEMPTS times, or at once if the
+     * broker marks the error `retryable: false`.
+     * @param {object} bus - Event broker
+     * @returns {Promise<number>} - Number of events handled, published or dead-lettered
+     */
+    async relayBatch(bus) {
+      const client = await pool.connect();
+      let handled = 0;
+
+      try {
+        await client.query('BEGIN');
+        // SKIP LOCKED lets several replicas relay without double publishing
+        const pending = await client.query(
+          `SELECT *, (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP) AS due
+           FROM outbox
+           WHERE published_at IS NULL AND failed_at IS NULL
+           ORDER BY created_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED`,
+          [BATCH_SIZE]
+        );
+
+        for (const row of pending.rows) {
+          if (!row.due) break;
+
+          let failure = null;
+          try {
+            await bus.publish(toEnvelope(row, source));
+          } catch (error) {
+            failure = error;
+          }
+
+          if (!failure) {
+            await client.query(
+              'UPDATE outbox SET published_at = CURRENT_TIMESTAMP, attempts = attempts + 1 WHERE id = $1',
+              [row.id]
+            );
+            handled += 1;
+          } else {
+            const attempts = row.attempts + 1;
+            const deadLetter = failure.retryable === false || attempts >= MAX_ATTEMPTS;
+
+            await client.query(
+              `UPDATE outbox
+               SET attempts = $1, last_error = $2,
+                   next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3),
+                   failed_at = CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP END
+               WHERE id = $5`,
+              [attempts, failure.message, retryDelaySeconds(attempts), deadLetter, row.id]
+            );
+
+            logger.error(deadLetter ? 'Outbox event dead-lettered' : 'Outbox publish failed', {
+              eventId: row.id,
+              type: row.event_type,
+              attempts,
+              error: failure.message,
+            });
+
+            if (!deadLetter) break;
+            handled += 1;
+          }
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      return handled;
+    },
+
+    async purgePublished() {
+      await pool.query(
+        `DELETE FROM outbox
+         WHERE published_at IS NOT NULL
+           AND published_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+        [RETENTION_HOURS]
+      );
+    },
+
+    /**
+     * Start relaying pending events to the bus
+     * @param {object} bus - Event broker
+     */
+    startRelay(bus) {
+      if (timer) return;
+
+      const tick = async () => {
+        try {
+          // Drain quickly while full batches keep coming
+          let handled;
+          do {
+            handled = await outbox.relayBatch(bus);
+          } while (handled === BATCH_SIZE);
+
+          if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+            lastPurge = Date.now();
+            await outbox.purgePublished();
+          }
+        } catch (error) {
+          logger.error('Outbox relay failed', { error: error.message });
+        }
+
+        if (timer) {
+          timer = setTimeout(tick, POLL_INTERVAL_MS);
+          timer.unref();
+        }
+      };
+
+      timer = setTimeout(tick, 0);
+      timer.unref();
+      logger.info('Outbox relay started', { source, broker: bus.name, intervalMs: POLL_INTERVAL_MS });
+    },
+
+    /**
+     * Stop the relay
+     */
+    stopRelay() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+
+  return outbox;
+}
+
+export default createOutbox;
@@ -4,7 +4,7 @@
  * Implements Zero Trust - verify every request
  */
 
-import { verifyToken } from '../utils/jwt.js';
+import { verifyToken, verifyServiceToken } from '../utils/jwt.js';
 import { logAuthzFailure } from '../utils/logger.js';
 
 /**
@@ -34,6 +34,10 @@ export function authenticate(req, res, next) {
       userId: decoded.userId,
       email: decoded.email,
       role: decoded.role,
+      // Tokens issued before email verification existed carry no claim
+      emailVerified: decoded.emailVerified !== false,
+      // Refresh token family the token was issued with, if any
+      sessionId: decoded.sessionId,
     };
 
     next();
@@ -70,6 +74,8 @@ export function optionalAuthenticate(req, res, next) {
         userId: decoded.userId,
         email: decoded.email,
         role: decoded.role,
+        emailVerified: decoded.emailVerified !== false,
+        sessionId: decoded.sessionId,
       };
     }
     
@@ -80,7 +86,41 @@ export function optionalAuthenticate(req, res, next) {
   }
 }
 
+/**
+ * Authenticate internal service-to-service calls
+ * Accepts only tokens minted with generateServiceToken, never user tokens
+ */
+export function authenticateService(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: 'No service token provided',
+      code: 'SERVICE_TOKEN_MISSING',
+    });
+  }
+
+  try {
+    const decoded = verifyServiceToken(authHeader.substring(7));
+    req.service = { name: decoded.service };
+    return next();
+  } catch (error) {
+    logAuthzFailure('unknown-service', req.originalUrl, req.method, {
+      reason: 'Invalid service token',
+      ip: req.ip,
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid service token',
+      code: 'SERVICE_TOKEN_INVALID',
+    });
+  }
+}
+
 export default {
   authenticate,
   optionalAuthenticate,
+  authenticateService,
 };
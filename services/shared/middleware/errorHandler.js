@@ -13,6 +13,7 @@ import { logError } from '../utils/logger.js';
 export function errorHandler(err, req, res, next) {
   // Log the full error with stack trace
   logError(err, {
+    requestId: req.id,
     method: req.method,
     path: req.path,
     userId: req.user?.userId,
@@ -119,6 +120,52 @@ export class ConflictError extends Error {
   }
 }
 
+export class InsufficientStockError extends Error {
+  constructor(message = 'Insufficient stock', details = []) {
+    super(message);
+    this.name = 'InsufficientStockError';
+    this.statusCode = 409;
+    this.code = 'INSUFFICIENT_STOCK';
+    this.details = details;
+  }
+}
+
+export class PaymentAmountMismatchError extends Error {
+  constructor(message = 'Payment amount does not match order total') {
+    super(message);
+    this.name = 'PaymentAmountMismatchError';
+    this.statusCode = 422;
+    this.code = 'PAYMENT_AMOUNT_MISMATCH';
+  }
+}
+
+export class PaymentDeclinedError extends Error {
+  constructor(message = 'Payment declined', code = 'PAYMENT_DECLINED') {
+    super(message);
+    this.name = 'PaymentDeclinedError';
+    this.statusCode = 402;
+    this.code = code;
+  }
+}
+
+export class GatewayTimeoutError extends Error {
+  constructor(message = 'Payment gateway timed out') {
+    super(message);
+    this.name = 'GatewayTimeoutError';
+    this.statusCode = 504;
+    this.code = 'GATEWAY_TIMEOUT';
+  }
+}
+
+export class ServiceUnavailableError extends Error {
+  constructor(message = 'A dependent service is unavailable') {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.statusCode = 503;
+    this.code = 'SERVICE_UNAVAILABLE';
+  }
+}
+
 export default {
   errorHandler,
   notFoundHandler,
@@ -128,4 +175,9 @@ export default {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  InsufficientStockError,
+  PaymentAmountMismatchError,
+  PaymentDeclinedError,
+  GatewayTimeoutError,
+  ServiceUnavailableError,
 };
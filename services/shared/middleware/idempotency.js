@@ -0,0 +1,197 @@
+/**
+ * Idempotency Middleware
+ * Makes retried POST requests safe: responses are stored per user and
+ * Idempotency-Key, and replayed when the same request arrives again
+ */
+
+import crypto from 'crypto';
+import { logSecurityEvent } from '../utils/logger.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+const DEFAULT_TTL_HOURS = 24;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * JSON serialisation with sorted keys so equal bodies fingerprint equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Create a Postgres-backed idempotency store
+ * @param {object} db - Object exposing query(text, params)
+ * @param {number} ttlHours - How long stored responses are replayed
+ * @returns {object} - Idempotency store
+ */
+export function createPostgresIdempotencyStore(db, ttlHours = DEFAULT_TTL_HOURS) {
+  return {
+    async initialize() {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          user_id UUID NOT NULL,
+          idempotency_key VARCHAR(255) NOT NULL,
+          fingerprint CHAR(64) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS',
+          response_status INTEGER,
+          response_body JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          PRIMARY KEY (user_id, idempotency_key)
+        )
+      `);
+      await db.query('CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_at)');
+    },
+
+    /**
+     * Claim a key; an expired record is replaced
+     * @returns {Promise<object>} - { claimed: true } or { claimed: false, record }
+     */
+    async begin(userId, key, fingerprint) {
+      const claimed = await db.query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, fingerprint, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+         ON CONFLICT (user_id, idempotency_key) DO UPDATE
+           SET fingerprint = EXCLUDED.fingerprint,
+               status = 'IN_PROGRESS',
+               response_status = NULL,
+               response_body = NULL,
+               created_at = CURRENT_TIMESTAMP,
+               expires_at = EXCLUDED.expires_at
+           WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [userId, key, fingerprint, ttlHours]
+      );
+      if (claimed.rows.length > 0) {
+        return { claimed: true };
+      }
+
+      const existing = await db.query(
+        'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [userId, key]
+      );
+      return { claimed: false, record: existing.rows[0] };
+    },
+
+    async complete(userId, key, responseStatus, responseBody) {
+      await db.query(
+        `UPDATE idempotency_keys
+         SET status = 'COMPLETED', response_status = $1, response_body = $2
+         WHERE user_id = $3 AND idempotency_key = $4`,
+        [responseStatus, JSON.stringify(responseBody ?? null), userId, key]
+      );
+    },
+
+    async release(userId, key) {
+      await db.query(
+        "DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND status = 'IN_PROGRESS'",
+        [userId, key]
+      );
+    },
+
+    async purgeExpired() {
+      await db.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    },
+  };
+}
+
+/**
+ * Idempotency-Key middleware; must run after authenticate
+ * Requests without the header are processed normally.
+ * @param {object} store - Idempotency store
+ */
+export function idempotent(store) {
+  let lastPurge = 0;
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Idempotency-Key header',
+        code: 'IDEMPOTENCY_KEY_INVALID',
+      });
+    }
+
+    const { userId } = req.user;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+        lastPurge = Date.now();
+        store.purgeExpired().catch(() => {});
+      }
+
+      const { claimed, record } = await store.begin(userId, key, fingerprint);
+
+      if (!claimed) {
+        if (record.fingerprint !== fingerprint) {
+          logSecurityEvent('IDEMPOTENCY_KEY_REUSED', {
+            userId,
+            path: req.originalUrl,
+          }, 'warn');
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used with a different request',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+          });
+        }
+
+        if (record.status !== 'COMPLETED') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // Store the response when the handler produces it, even if the client
+    // has already gone, so a retry replays it rather than running again.
+    // Only server errors free the key; a handler that never responds keeps
+    // it in progress until it expires.
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        const stored = res.statusCode < 500
+          ? store.complete(userId, key, res.statusCode, body)
+          : store.release(userId, key);
+        stored.catch(() => {});
+      }
+      return originalJson(body);
+    };
+
+    return next();
+  };
+}
+
+export default {
+  createPostgresIdempotencyStore,
+  idempotent,
+};
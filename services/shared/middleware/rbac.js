@@ -153,9 +153,39 @@ export function requireOwnership(userIdParam = 'userId') {
   };
 }
 
+/**
+ * Require a verified email address, unless REQUIRE_EMAIL_VERIFICATION=false.
+ * Unverified users can sign in and browse; this guards actions such as
+ * placing orders and listing products.
+ */
+export function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED',
+    });
+  }
+
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || req.user.emailVerified) {
+    return next();
+  }
+
+  logAuthzFailure(req.user.userId, req.originalUrl, req.method, {
+    reason: 'Email not verified',
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: 'Verify your email address first',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+}
+
 export default {
   authorize,
   requirePermission,
   requireOwnership,
+  requireVerifiedEmail,
   ROLES,
 };
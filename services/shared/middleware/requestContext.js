@@ -0,0 +1,40 @@
+/**
+ * Request Context Middleware
+ * Assigns every request an ID (reusing a valid incoming X-Request-ID) and
+ * makes it available to code running on behalf of that request, so calls
+ * to other services carry the same ID
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Request ID middleware; mount after the body parsers
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-ID');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  req.id = requestId;
+  res.setHeader('X-Request-ID', requestId);
+  storage.run({ requestId }, next);
+}
+
+/**
+ * ID of the request currently being handled
+ * @returns {string|undefined} - Request ID, or undefined outside a request
+ */
+export function getRequestId() {
+  return storage.getStore()?.requestId;
+}
+
+export default {
+  requestContext,
+  getRequestId,
+};
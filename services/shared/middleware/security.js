@@ -81,6 +81,17 @@ export const strictRateLimiter = rateLimit({
   message: 'Too many failed attempts, please try again later',
 });
 
+/**
+ * Rate limiter for endpoints that send email (password reset, email
+ * verification), counting
+ * every request since they always succeed
+ */
+export const emailRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 emails per windowMs
+  message: 'Too many requests, please try again later',
+});
+
 /**
  * NoSQL injection prevention
  */
@@ -118,8 +129,9 @@ export function configureCORS() {
       res.setHeader('Access-Control-Allow-Origin', origin || '*');
     }
 
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, X-Request-ID, X-Cart-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed, X-Request-ID');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
 
@@ -182,6 +194,7 @@ export default {
   configureHelmet,
   rateLimiter,
   strictRateLimiter,
+  emailRateLimiter,
   preventNoSQLInjection,
   configureCORS,
   sanitizeRequest,
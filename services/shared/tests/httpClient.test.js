@@ -0,0 +1,200 @@
+import http from 'http';
+import { ServiceUnavailableError } from '../middleware/errorHandler.js';
+import { CIRCUIT_STATE, createServiceClient, getHttpClientMetrics } from '../utils/httpClient.js';
+
+// Statuses the test server answers with, in order; 200 once they run out
+let replies = [];
+let received = [];
+let server;
+let baseURL;
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+let clientCount = 0;
+function createClient(options = {}) {
+  clientCount += 1;
+  return createServiceClient(`test-service-${clientCount}`, {
+    baseURL,
+    retries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 1,
+    failureThreshold: 3,
+    resetTimeoutMs: 50,
+    ...options,
+  });
+}
+
+// GET /items one call after another; resolves to the error of each, or null
+const getRepeatedly = (client, times) => Array.from({ length: times }).reduce(
+  (previous) => previous.then((errors) => client.get('/items')
+    .then(() => [...errors, null], (error) => [...errors, error])),
+  Promise.resolve([]),
+);
+
+const metricsOf = (client) => getHttpClientMetrics().find((entry) => entry.target === client.name);
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers });
+    const status = replies.shift() || 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status }));
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => {
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  replies = [];
+  received = [];
+});
+
+describe('retries', () => {
+  it('retries an idempotent request on a 503', async () => {
+    const client = createClient();
+    replies = [503, 503];
+
+    const response = await client.get('/items');
+
+    expect(response.status).toBe(200);
+    expect(received).toHaveLength(3);
+    expect(metricsOf(client).retries).toBe(2);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const client = createClient();
+    replies = [503, 503, 503, 200];
+
+    const error = await client.get('/items').catch((e) => e);
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.response.status).toBe(503);
+    expect(received).toHaveLength(3);
+  });
+
+  it('does not retry a POST', async () => {
+    const client = createClient();
+    replies = [503];
+
+    await expect(client.post('/orders', {})).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(received).toHaveLength(1);
+  });
+
+  it('retries a POST with an Idempotency-Key header', async () => {
+    const client = createClient();
+    replies = [502];
+
+    await client.post('/orders', {}, { headers: { 'Idempotency-Key': 'key-1' } });
+
+    expect(received).toHaveLength(2);
+    expect(received[1].headers['idempotency-key']).toBe('key-1');
+  });
+
+  it('does not retry a 500', async () => {
+    const client = createClient();
+    replies = [500];
+
+    await expect(client.get('/items')).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(received).toHaveLength(1);
+  });
+
+  it('rethrows a 4xx unchanged without retrying', async () => {
+    const client = createClient();
+    replies = [409];
+
+    const error = await client.get('/items').catch((e) => e);
+
+    expect(error).not.toBeInstanceOf(ServiceUnavailableError);
+    expect(error.response.status).toBe(409);
+    expect(received).toHaveLength(1);
+  });
+
+  it('retries when the target does not answer in time', async () => {
+    const client = createClient({ timeoutMs: 20, retries: 1 });
+    const slow = http.createServer((req, res) => {
+      received.push({ method: req.method, url: req.url });
+      setTimeout(() => res.end('{}'), 200);
+    });
+    await new Promise((resolve) => {
+      slow.listen(0, '127.0.0.1', resolve);
+    });
+
+    const error = await client.get(`http://127.0.0.1:${slow.address().port}/slow`).catch((e) => e);
+    slow.closeAllConnections();
+    slow.close();
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.message).toBe(`${client.name} did not respond`);
+    expect(received).toHaveLength(2);
+    expect(metricsOf(client).timeouts).toBe(2);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after consecutive failures and short-circuits calls', async () => {
+    const client = createClient({ retries: 0 });
+    replies = [500, 500, 500];
+
+    const errors = await getRepeatedly(client, 3);
+    errors.forEach((error) => expect(error).toBeInstanceOf(ServiceUnavailableError));
+    expect(metricsOf(client).circuit).toBe(CIRCUIT_STATE.OPEN);
+
+    await expect(client.get('/items')).rejects.toThrow(`${client.name} is unavailable`);
+    expect(received).toHaveLength(3);
+    expect(metricsOf(client).shortCircuited).toBe(1);
+  });
+
+  it('stays closed when the target answers with a 4xx', async () => {
+    const client = createClient({ retries: 0 });
+    replies = [500, 500, 404, 500, 500];
+
+    await getRepeatedly(client, 5);
+
+    expect(metricsOf(client).circuit).toBe(CIRCUIT_STATE.CLOSED);
+  });
+
+  it('closes again after a successful half-open probe', async () => {
+    const client = createClient({ retries: 0 });
+    replies = [500, 500, 500];
+    await getRepeatedly(client, 3);
+
+    await sleep(60);
+    const response = await client.get('/items');
+
+    expect(response.status).toBe(200);
+    expect(metricsOf(client).circuit).toBe(CIRCUIT_STATE.CLOSED);
+  });
+
+  it('reopens when the half-open probe fails', async () => {
+    const client = createClient({ retries: 0 });
+    replies = [500, 500, 500, 500];
+    await getRepeatedly(client, 3);
+
+    await sleep(60);
+    await expect(client.get('/items')).rejects.toThrow(`${client.name} request failed`);
+
+    expect(metricsOf(client).circuit).toBe(CIRCUIT_STATE.OPEN);
+    await expect(client.get('/items')).rejects.toThrow(`${client.name} is unavailable`);
+    expect(received).toHaveLength(4);
+  });
+
+  it('lets a single probe through while half-open', async () => {
+    const client = createClient({ retries: 0 });
+    replies = [500, 500, 500];
+    await getRepeatedly(client, 3);
+
+    await sleep(60);
+    const results = await Promise.allSettled([client.get('/items'), client.get('/items')]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(received).toHaveLength(4);
+  });
+});
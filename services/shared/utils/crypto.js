@@ -21,6 +21,17 @@ if (process.env.ENCRYPTION_KEY) {
   ENCRYPTION_KEY = crypto.randomBytes(32);
 }
 
+/**
+ * Throw unless ENCRYPTION_KEY is a fixed 32-byte hex key. Services that keep
+ * encrypted data call it at startup, since a generated key differs per
+ * process and cannot decrypt what another process stored.
+ */
+export function requireEncryptionKey() {
+  if (!/^[0-9a-f]{64}$/i.test(process.env.ENCRYPTION_KEY || '')) {
+    throw new Error('ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+  }
+}
+
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
 const SALT_LENGTH = 64;
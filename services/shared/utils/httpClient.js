@@ -0,0 +1,275 @@
+/**
+ * Resilient HTTP Client
+ * Shared client for every service-to-service call:
+ *   - per-target timeouts (<TARGET>_TIMEOUT_MS, e.g. PRODUCT_SERVICE_TIMEOUT_MS)
+ *   - retries with full jitter for idempotent requests
+ *   - a circuit breaker per target with half-open probing
+ *   - X-Request-ID propagation from the incoming request
+ *   - per-target call metrics
+ *
+ * Responses with a 4xx status are rethrown unchanged so callers can act on
+ * them. Timeouts, network errors, 5xx responses and an open circuit reject
+ * with ServiceUnavailableError; `response` is kept when there was one.
+ */
+
+import axios from 'axios';
+import { ServiceUnavailableError } from '../middleware/errorHandler.js';
+import { getRequestId } from '../middleware/requestContext.js';
+import { logger } from './logger.js';
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+// Metrics of every client created in this process, keyed by target name
+const registry = new Map();
+
+function envInt(key, fallback) {
+  const value = parseInt(process.env[key] || '', 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Create a circuit breaker.
+ * CLOSED lets calls through; failureThreshold consecutive failures open it.
+ * OPEN rejects calls until resetTimeoutMs has passed, then HALF_OPEN lets a
+ * single probe through: success closes the circuit, failure reopens it.
+ */
+function createCircuitBreaker({ failureThreshold, resetTimeoutMs, onStateChange }) {
+  let state = CIRCUIT_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+
+  const transition = (next) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange(previous, next);
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * @returns {boolean} - Whether a call may be made now
+     */
+    tryAcquire() {
+      if (state === CIRCUIT_STATE.OPEN && Date.now() - openedAt >= resetTimeoutMs) {
+        transition(CIRCUIT_STATE.HALF_OPEN);
+        probeInFlight = false;
+      }
+      if (state === CIRCUIT_STATE.CLOSED) return true;
+      if (state === CIRCUIT_STATE.HALF_OPEN && !probeInFlight) {
+        probeInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    onSuccess() {
+      failures = 0;
+      probeInFlight = false;
+      transition(CIRCUIT_STATE.CLOSED);
+    },
+
+    onFailure() {
+      failures += 1;
+      probeInFlight = false;
+      if (state === CIRCUIT_STATE.HALF_OPEN || failures >= failureThreshold) {
+        openedAt = Date.now();
+        transition(CIRCUIT_STATE.OPEN);
+      }
+    },
+  };
+}
+
+/**
+ * Create a client for one target service
+ * @param {string} name - Target name, e.g. 'product-service'
+ * @param {object} options - { baseURL, timeoutMs, retries, retryBaseDelayMs,
+ *   retryMaxDelayMs, failureThreshold, resetTimeoutMs }
+ * @returns {object} - Client with request, get, post, put, patch and delete
+ */
+export function createServiceClient(name, options = {}) {
+  const envPrefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const config = {
+    timeoutMs: envInt(`${envPrefix}_TIMEOUT_MS`, options.timeoutMs || 5000),
+    retries: envInt('HTTP_CLIENT_RETRIES', options.retries ?? 2),
+    retryBaseDelayMs: options.retryBaseDelayMs || 100,
+    retryMaxDelayMs: options.retryMaxDelayMs || 2000,
+    failureThreshold: envInt('HTTP_CLIENT_BREAKER_THRESHOLD', options.failureThreshold || 5),
+    resetTimeoutMs: envInt('HTTP_CLIENT_BREAKER_RESET_MS', options.resetTimeoutMs || 30000),
+  };
+
+  const metrics = {
+    requests: 0,
+    failures: 0,
+    timeouts: 0,
+    retries: 0,
+    shortCircuited: 0,
+    totalLatencyMs: 0,
+    maxLatencyMs: 0,
+  };
+
+  const breaker = createCircuitBreaker({
+    failureThreshold: config.failureThreshold,
+    resetTimeoutMs: config.resetTimeoutMs,
+    onStateChange: (from, to) => {
+      const log = to === CIRCUIT_STATE.OPEN ? logger.warn : logger.info;
+      log.call(logger, 'Circuit breaker state changed', { target: name, from, to });
+    },
+  });
+
+  const instance = axios.create({ baseURL: options.baseURL });
+
+  const recordLatency = (start) => {
+    const elapsed = Date.now() - start;
+    metrics.totalLatencyMs += elapsed;
+    metrics.maxLatencyMs = Math.max(metrics.maxLatencyMs, elapsed);
+  };
+
+  // Full jitter: a random delay up to the exponential backoff for this attempt
+  const backoff = (attempt) => Math.random()
+    * Math.min(config.retryMaxDelayMs, config.retryBaseDelayMs * 2 ** (attempt - 1));
+
+  async function send(requestConfig, attempt, maxAttempts) {
+    if (!breaker.tryAcquire()) {
+      metrics.shortCircuited += 1;
+      throw new ServiceUnavailableError(`${name} is unavailable`);
+    }
+
+    const start = Date.now();
+    metrics.requests += 1;
+
+    try {
+      const response = await instance.request(requestConfig);
+      recordLatency(start);
+      breaker.onSuccess();
+      return response;
+    } catch (error) {
+      recordLatency(start);
+
+      const status = error.response?.status;
+      if (status && status < 500) {
+        // The target answered; the request itself was rejected
+        breaker.onSuccess();
+        throw error;
+      }
+
+      breaker.onFailure();
+      metrics.failures += 1;
+      if (TIMEOUT_CODES.includes(error.code)) {
+        metrics.timeouts += 1;
+      }
+
+      const transient = !status || RETRYABLE_STATUSES.includes(status);
+      if (transient && attempt < maxAttempts) {
+        metrics.retries += 1;
+        logger.warn('Retrying service call', {
+          target: name,
+          method: requestConfig.method,
+          url: requestConfig.url,
+          attempt,
+          error: error.message,
+        });
+        await sleep(backoff(attempt));
+        return send(requestConfig, attempt + 1, maxAttempts);
+      }
+
+      const unavailable = new ServiceUnavailableError(
+        status ? `${name} request failed` : `${name} did not respond`
+      );
+      unavailable.cause = error;
+      unavailable.response = error.response;
+      throw unavailable;
+    }
+  }
+
+  /**
+   * Send a request
+   * @param {object} requestConfig - axios request config, plus `idempotent`
+   *   to allow retries of a POST/PATCH that is safe to repeat. Requests with
+   *   an Idempotency-Key header are retried as well.
+   * @returns {Promise<object>} - axios response
+   */
+  function request(requestConfig) {
+    const { idempotent, ...axiosConfig } = requestConfig;
+    const method = (axiosConfig.method || 'get').toLowerCase();
+    const headers = { ...axiosConfig.headers };
+
+    const requestId = getRequestId();
+    if (requestId) {
+      headers['X-Request-ID'] = requestId;
+    }
+
+    const retryable = idempotent
+      ?? (IDEMPOTENT_METHODS.includes(method) || Boolean(headers['Idempotency-Key']));
+
+    return send(
+      {
+        ...axiosConfig,
+        method,
+        headers,
+        timeout: axiosConfig.timeout || config.timeoutMs,
+      },
+      1,
+      retryable ? config.retries + 1 : 1
+    );
+  }
+
+  const client = {
+    name,
+    request,
+    get: (url, requestConfig = {}) => request({ ...requestConfig, method: 'get', url }),
+    delete: (url, requestConfig = {}) => request({ ...requestConfig, method: 'delete', url }),
+    post: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'post', url, data }),
+    put: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'put', url, data }),
+    patch: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'patch', url, data }),
+  };
+
+  registry.set(name, () => ({
+    target: name,
+    circuit: breaker.state,
+    timeoutMs: config.timeoutMs,
+    requests: metrics.requests,
+    failures: metrics.failures,
+    timeouts: metrics.timeouts,
+    retries: metrics.retries,
+    shortCircuited: metrics.shortCircuited,
+    averageLatencyMs: metrics.requests
+      ? Math.round(metrics.totalLatencyMs / metrics.requests)
+      : 0,
+    maxLatencyMs: metrics.maxLatencyMs,
+  }));
+
+  return client;
+}
+
+/**
+ * Snapshot of the metrics of every client in this process
+ * @returns {array} - One entry per target
+ */
+export function getHttpClientMetrics() {
+  return Array.from(registry.values(), (snapshot) => snapshot());
+}
+
+export default {
+  CIRCUIT_STATE,
+  createServiceClient,
+  getHttpClientMetrics,
+};
@@ -7,8 +7,11 @@
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '24h';
+// Short, since signing a session out only stops its refresh token
+const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '15m';
 const JWT_REFRESH_EXPIRATION = process.env.JWT_REFRESH_EXPIRATION || '7d';
+const JWT_SERVICE_EXPIRATION = process.env.JWT_SERVICE_EXPIRATION || '5m';
+const JWT_MFA_EXPIRATION = process.env.JWT_MFA_EXPIRATION || '5m';
 
 /**
  * Generate JWT access token
@@ -20,6 +23,8 @@ export function generateAccessToken(payload) {
     userId: payload.userId,
     email: payload.email,
     role: payload.role,
+    emailVerified: Boolean(payload.emailVerified),
+    sessionId: payload.sessionId,
     iat: Math.floor(Date.now() / 1000),
   };
   
@@ -32,12 +37,14 @@ export function generateAccessToken(payload) {
 
 /**
  * Generate JWT refresh token
- * @param {object} payload - Token payload (user data)
+ * @param {object} payload - { userId, familyId, tokenVersion }: the sign-in
+ *   the token belongs to and how many times it has been rotated
  * @returns {string} - Signed refresh token
  */
 export function generateRefreshToken(payload) {
   const sanitizedPayload = {
     userId: payload.userId,
+    familyId: payload.familyId,
     tokenVersion: payload.tokenVersion || 0,
   };
   
@@ -85,6 +92,67 @@ export function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Generate short-lived token for service-to-service calls
+ * @param {string} serviceName - Calling service name
+ * @returns {string} - Signed service token
+ */
+export function generateServiceToken(serviceName) {
+  return jwt.sign({ service: serviceName }, JWT_SECRET, {
+    expiresIn: JWT_SERVICE_EXPIRATION,
+    issuer: 'secure-marketplace',
+    audience: 'marketplace-internal',
+  });
+}
+
+/**
+ * Verify service-to-service token
+ * @param {string} token - Service token
+ * @returns {object} - Decoded payload
+ */
+export function verifyServiceToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: 'secure-marketplace',
+      audience: 'marketplace-internal',
+    });
+  } catch (error) {
+    throw new Error('Invalid service token');
+  }
+}
+
+/**
+ * Generate short-lived MFA challenge token, issued after the password
+ * checks out and exchanged for access and refresh tokens once the second
+ * factor does
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'verify' (enter a code) or 'enroll' (set up MFA first)
+ * @returns {string} - Signed MFA token
+ */
+export function generateMfaToken(userId, purpose) {
+  return jwt.sign({ userId, purpose }, JWT_SECRET, {
+    expiresIn: JWT_MFA_EXPIRATION,
+    issuer: 'secure-marketplace',
+    audience: 'marketplace-mfa',
+  });
+}
+
+/**
+ * Verify MFA challenge token
+ * @param {string} token - MFA token
+ * @returns {object} - Decoded payload
+ */
+export function verifyMfaToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: 'secure-marketplace',
+      audience: 'marketplace-mfa',
+    });
+  } catch (error) {
+    throw new Error('Invalid MFA token');
+  }
+}
+
 /**
  * Decode token without verification (for debugging only)
  * @param {string} token - JWT token
@@ -99,5 +167,9 @@ export default {
   generateRefreshToken,
   verifyToken,
   verifyRefreshToken,
+  generateServiceToken,
+  verifyServiceToken,
+  generateMfaToken,
+  verifyMfaToken,
   decodeToken,
 };
@@ -54,6 +54,10 @@ export const validationSchemas = {
       min: 0,
       max: 100000,
     },
+    category_id: {
+      required: false,
+      type: 'uuid',
+    },
   },
   order: {
     product_id: {
@@ -78,6 +82,48 @@ export const validationSchemas = {
       min: 0,
     },
   },
+  orderItem: {
+    product_id: {
+      required: true,
+      type: 'uuid',
+    },
+    variant_id: {
+      required: false,
+      type: 'uuid',
+    },
+    quantity: {
+      required: true,
+      type: 'integer',
+      min: 1,
+      max: 1000,
+    },
+  },
+  refund: {
+    amount: {
+      required: false,
+      type: 'number',
+      min: 0.01,
+      max: 1000000,
+    },
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 500,
+    },
+  },
+  stockReservation: {
+    ttl_seconds: {
+      required: false,
+      type: 'integer',
+      min: 30,
+      max: 3600,
+    },
+    reference: {
+      required: false,
+      type: 'string',
+      maxLength: 100,
+    },
+  },
   payment: {
     order_id: {
       required: true,